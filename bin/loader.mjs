@@ -0,0 +1,25 @@
+// Module hooks that let Node load src/ as the bundler does: the files are ES
+// modules with a .js extension and import each other without extensions.
+import { fileURLToPath } from 'node:url';
+import { existsSync, statSync } from 'node:fs';
+
+const sourceRoot = new URL('../src/', import.meta.url).href;
+
+export const resolve = (specifier, context, nextResolve) => {
+  if (specifier.startsWith('.') && context.parentURL && context.parentURL.startsWith(sourceRoot)) {
+    const url = new URL(specifier, context.parentURL);
+    const path = fileURLToPath(url);
+    if (!existsSync(path) && existsSync(`${path}.js`)) {
+      return nextResolve(`${url.href}.js`, context);
+    }
+    if (existsSync(path) && statSync(path).isDirectory()) {
+      return nextResolve(`${url.href}/index.js`, context);
+    }
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = (url, context, nextLoad) =>
+  url.startsWith(sourceRoot) && url.endsWith('.js')
+    ? nextLoad(url, { ...context, format: 'module' })
+    : nextLoad(url, context);
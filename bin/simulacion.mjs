@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Command-line entry point; see src/cli.js or run with --help.
+import { register } from 'node:module';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+register('./loader.mjs', import.meta.url);
+const { runCli, exitCodes } = await import('../src/cli.js');
+
+let result;
+try {
+  result = runCli(process.argv.slice(2), { readFile: path => readFileSync(path, 'utf8') });
+  Object.entries(result.files).forEach(([path, content]) => writeFileSync(path, content));
+} catch (error) {
+  result = { exitCode: exitCodes.invalidInput, stdout: '', files: {}, errors: [error.message] };
+}
+
+// A closed pipe (e.g. piping into head) is not an error of the run
+process.stdout.on('error', error => {
+  if (error.code !== 'EPIPE') throw error;
+});
+if (result.stdout) process.stdout.write(result.stdout);
+if (result.errors.length) process.stderr.write(`${result.errors.join('\n')}\n`);
+process.exitCode = result.exitCode;
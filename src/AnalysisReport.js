@@ -0,0 +1,72 @@
+import React from 'react';
+import { formatCell } from './analysis';
+import { useTranslation } from './i18n/LanguageProvider';
+
+const severityStyles = {
+  success: { icon: '✓', className: 'text-green-700' },
+  info: { icon: 'ℹ', className: 'text-blue-700' },
+  warning: { icon: '⚠', className: 'text-orange-600' }
+};
+
+const ReportTable = ({ table, t }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-sm text-left text-gray-600">
+      <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+        <tr>
+          {table.columns.map(column => (
+            <th key={column.key} className="px-2 py-2">{column.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {table.rows.map((row, index) => (
+          <tr key={index} className="border-b">
+            {table.columns.map(column => (
+              <td key={column.key} className="px-2 py-2">{formatCell(row[column.key], column, t)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const AnalysisReport = ({ report }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('reportPanel.title')}</h2>
+      <div className="space-y-6">
+        {report.sections.map(section => (
+          <section key={section.id}>
+            <h3 className="text-md font-semibold mb-2 text-gray-700">{section.title}</h3>
+            {section.table && (
+              section.table.rows.length
+                ? <ReportTable table={section.table} t={t} />
+                : <p className="text-sm text-gray-500">{t('reportPanel.noCells')}</p>
+            )}
+            {section.paragraphs && section.paragraphs.map((paragraph, index) => (
+              <p key={index} className="mb-2 text-sm text-gray-600">{paragraph}</p>
+            ))}
+            {section.findings && (
+              section.findings.length ? (
+                <ul className="space-y-1">
+                  {section.findings.map((finding, index) => (
+                    <li key={index} className={`text-sm font-medium ${severityStyles[finding.severity].className}`}>
+                      {severityStyles[finding.severity].icon} {finding.message}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">{t('reportPanel.noFindings')}</p>
+              )
+            )}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisReport;
@@ -1,358 +1,572 @@
-import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ErrorBar } from 'recharts';
+import { fitParameters } from './fitting';
+import { defaultDesign, matchedCells } from './design';
+import { buildReport } from './analysis';
+import AnalysisReport from './AnalysisReport';
+import DesignEditor from './DesignEditor';
+import { defaultPopulationSettings, simulatePopulation, summarizePopulation } from './population';
+import PopulationStats from './PopulationStats';
+import { builtInDatasets, datasetFitsDesign } from './datasets';
+import DatasetPanel from './DatasetPanel';
+import ModelComparison from './ModelComparison';
+import RecoveryPanel from './RecoveryPanel';
+import SensitivityPanel from './SensitivityPanel';
+import DynamicsPanel from './DynamicsPanel';
+import ConstraintPanel from './ConstraintPanel';
+import ScenarioPanel from './ScenarioPanel';
+import { stepParameters } from './teaching';
+import MechanismDiagram from './MechanismDiagram';
+import PosteriorPanel from './PosteriorPanel';
+import { validateParameters, encodeConfigurationQuery, decodeConfigurationQuery } from './configurations';
+import ConfigurationManager from './ConfigurationManager';
+import ExportMenu from './ExportMenu';
+import Slider from './Slider';
+import ChartPatterns, { patternFill } from './ChartPatterns';
+import ChartTable from './ChartTable';
+import {
+  liveRunDelay,
+  emptyParameterHistory,
+  recordParameterChange,
+  undoParameters,
+  redoParameters,
+  addRun,
+  togglePin,
+  removeRun,
+  overlayKey,
+  overlayRows
+} from './history';
+import RunHistory from './RunHistory';
+import RunComparison from './RunComparison';
+import { getModel, listModels } from './models';
+import { languages, localizeModel } from './i18n';
+import { useTranslation } from './i18n/LanguageProvider';
 
 const SelfControlSimulation = () => {
+  const { language, setLanguage, t } = useTranslation();
   const [selectedInterpretation, setSelectedInterpretation] = useState('');
   const [parameters, setParameters] = useState({});
   const [simulationData, setSimulationData] = useState([]);
-  const [explanation, setExplanation] = useState('');
-  const [analysisResult, setAnalysisResult] = useState('');
-
-  // Human experiment data
-  const humanData = [
-    { condition: 'Before Choice', granola: 102.19, chocolate: 74.06 },
-    { condition: 'After Choice', granola: 94.22, chocolate: 93.11 }
-  ];
-
-  // Default parameters for each interpretation
-  const defaultParams = {
-    'explicit-implicit': {
-      achievementDeficit: 0.7,
-      achievementStimulus: 0.7,
-      deficitReductionRate: 0.5,
-      benefitCoefficient: 1.0,
-      costCoefficient: 0.16
-    },
-    'desire-goal': {
-      achievementStimulusBefore: 0.8,
-      achievementStimulusAfter: 0.5,
-      achievementDeficit: 0.7,
-      healthyGoalSatisfaction: 0.5,
-      costCoefficient: 0.185
-    },
-    'goal-goal': {
-      achievementStimulusBefore: 0.8,
-      achievementStimulusAfter: 0.5,
-      granolaAchievementSat: 0.9,
-      chocolateFoodSat: 0.9,
-      granolaActionCost: 0.2,
-      chocolateActionCost: 0.1
-    }
-  };
-
-  // Parameter configurations - only critical parameters with groups
-  const parameterConfigs = {
-    'explicit-implicit': [
-      { key: 'achievementDeficit', label: 'Achievement Deficit', group: 'Drive Parameters', min: 0.4, max: 1.0, step: 0.1 },
-      { key: 'achievementStimulus', label: 'Achievement Stimulus Level', group: 'Drive Parameters', min: 0.4, max: 1.0, step: 0.1 },
-      { key: 'deficitReductionRate', label: 'Deficit Reduction Rate', group: 'Self-Control Depletion', min: 0.2, max: 0.8, step: 0.1 },
-      { key: 'benefitCoefficient', label: 'Benefit Coefficient', group: 'Utility Parameters', min: 0.5, max: 1.5, step: 0.1 },
-      { key: 'costCoefficient', label: 'Cost Coefficient', group: 'Utility Parameters', min: 0.1, max: 0.3, step: 0.02 }
-    ],
-    'desire-goal': [
-      { key: 'achievementStimulusBefore', label: 'Achievement Stimulus (Before)', group: 'Drive Parameters', min: 0.5, max: 1.0, step: 0.1 },
-      { key: 'achievementStimulusAfter', label: 'Achievement Stimulus (After)', group: 'Drive Parameters', min: 0.3, max: 0.7, step: 0.1 },
-      { key: 'achievementDeficit', label: 'Achievement Deficit', group: 'Drive Parameters', min: 0.4, max: 1.0, step: 0.1 },
-      { key: 'healthyGoalSatisfaction', label: 'Healthy Goal Satisfaction', group: 'Goal Competition', min: 0.2, max: 0.8, step: 0.1 },
-      { key: 'costCoefficient', label: 'Cost Coefficient', group: 'Utility Parameters', min: 0.1, max: 0.3, step: 0.02 }
-    ],
-    'goal-goal': [
-      { key: 'achievementStimulusBefore', label: 'Achievement Stimulus (Before)', group: 'Drive Parameters', min: 0.5, max: 1.0, step: 0.1 },
-      { key: 'achievementStimulusAfter', label: 'Achievement Stimulus (After)', group: 'Drive Parameters', min: 0.3, max: 0.7, step: 0.1 },
-      { key: 'granolaAchievementSat', label: 'Granola Achievement Satisfaction', group: 'Action-Drive Satisfaction', min: 0.5, max: 1.0, step: 0.1 },
-      { key: 'chocolateFoodSat', label: 'Chocolate Food Satisfaction', group: 'Action-Drive Satisfaction', min: 0.6, max: 1.0, step: 0.1 },
-      { key: 'granolaActionCost', label: 'Granola Action Cost', group: 'Action Costs', min: 0.1, max: 0.4, step: 0.1 },
-      { key: 'chocolateActionCost', label: 'Chocolate Action Cost', group: 'Action Costs', min: 0.05, max: 0.2, step: 0.05 }
-    ]
-  };
+  const [explanation, setExplanation] = useState(null);
+  const [analysisResult, setAnalysisResult] = useState(null);
+  const [fitResults, setFitResults] = useState({});
+  const [fitProgress, setFitProgress] = useState(null);
+  const [isFitting, setIsFitting] = useState(false);
+  const [fitError, setFitError] = useState(null);
+  const [gapWeight, setGapWeight] = useState(0);
+  const [showComparison, setShowComparison] = useState(false);
+  const [showRecovery, setShowRecovery] = useState(false);
+  const [showSensitivity, setShowSensitivity] = useState(false);
+  const [showDynamics, setShowDynamics] = useState(false);
+  const [showConstraints, setShowConstraints] = useState(false);
+  const [showScenarios, setShowScenarios] = useState(false);
+  // The guided-scenario step in progress, which holds the interpretation
+  // and locks some sliders
+  const [scenarioStep, setScenarioStep] = useState(null);
+  const [showPosterior, setShowPosterior] = useState(false);
+  const [showMechanism, setShowMechanism] = useState(true);
+  const [populationMode, setPopulationMode] = useState(false);
+  const [populationSettings, setPopulationSettings] = useState(defaultPopulationSettings);
+  const [populationStats, setPopulationStats] = useState(null);
+  const [datasets, setDatasets] = useState(builtInDatasets);
+  const [activeDatasetId, setActiveDatasetId] = useState(builtInDatasets[0].id);
+  const [datasetNotice, setDatasetNotice] = useState(null);
+  const [rejectedLink, setRejectedLink] = useState(null);
+  const [design, setDesign] = useState(defaultDesign);
+  const [liveMode, setLiveMode] = useState(false);
+  const [parameterHistory, setParameterHistory] = useState(emptyParameterHistory);
+  const [runs, setRuns] = useState([]);
+  const [simulatedParameters, setSimulatedParameters] = useState({});
+  const runCounter = useRef(0);
+  const runSimulationRef = useRef(null);
+  const historyStepRef = useRef(null);
+  const pendingParameters = useRef(null);
+  const humanChartRef = useRef(null);
+  const simulationChartRef = useRef(null);
+
+  // Human experiment data from the active dataset
+  const activeDataset = datasets.find(dataset => dataset.id === activeDatasetId) || datasets[0];
+  const humanData = activeDataset.data;
+  // Design cells the human data covers; fitting needs at least one
+  const coveredCells = matchedCells(humanData, humanData, design).length;
+
+  // Registered models with their text in the chosen language
+  const models = useMemo(() => listModels().map(entry => localizeModel(entry, t)), [t]);
+  const model = models.find(entry => entry.id === selectedInterpretation);
+  // Parameters lag one render behind an interpretation change
+  const parametersReady = Boolean(model) && model.parameters.every(config => config.key in parameters);
 
   // Initialize parameters when interpretation changes
   useEffect(() => {
-    if (selectedInterpretation && defaultParams[selectedInterpretation]) {
-      setParameters(defaultParams[selectedInterpretation]);
+    const selectedModel = getModel(selectedInterpretation);
+    if (selectedModel) {
+      setParameters(pendingParameters.current || selectedModel.defaults);
+      setParameterHistory(emptyParameterHistory);
+      pendingParameters.current = null;
       setSimulationData([]);
-      setExplanation('');
-      setAnalysisResult('');
+      setPopulationStats(null);
+      setExplanation(null);
+      setAnalysisResult(null);
+      setFitProgress(null);
     }
   }, [selectedInterpretation]);
 
-  // Simulation functions
-  const simulateExplicitImplicit = (params) => {
-    const { achievementDeficit, achievementStimulus, deficitReductionRate, benefitCoefficient, costCoefficient } = params;
-    
-    const achievementDriveStrength = achievementStimulus * achievementDeficit;
-    const beforeExplicitness = Math.min(1.0, 0.75 + (achievementDriveStrength * benefitCoefficient - costCoefficient) * 0.3);
-    const afterExplicitness = Math.max(0.3, 0.75 - deficitReductionRate * 0.4);
-    
-    const beforeGranola = 70 + beforeExplicitness * 35;
-    const beforeChocolate = 105 - beforeExplicitness * 35;
-    const afterGranola = 70 + afterExplicitness * 35;
-    const afterChocolate = 105 - afterExplicitness * 35;
-    
-    return [
-      { condition: 'Before Choice', granola: Math.round(beforeGranola), chocolate: Math.round(beforeChocolate) },
-      { condition: 'After Choice', granola: Math.round(afterGranola), chocolate: Math.round(afterChocolate) }
-    ];
-  };
+  // Restore a shared configuration from the URL on first load
+  useEffect(() => {
+    const shared = decodeConfigurationQuery(window.location.search);
+    if (!shared) return;
 
-  const simulateDesireGoal = (params) => {
-    const { achievementStimulusBefore, achievementStimulusAfter, achievementDeficit, healthyGoalSatisfaction, costCoefficient } = params;
-    
-    const beforeAchievementDrive = achievementStimulusBefore * achievementDeficit;
-    const afterAchievementDrive = achievementStimulusAfter * achievementDeficit;
-    const foodDriveStrength = 0.8 * 0.7;
-    
-    const beforeGoalValue = beforeAchievementDrive * healthyGoalSatisfaction + foodDriveStrength * 0.7;
-    const afterGoalValue = afterAchievementDrive * healthyGoalSatisfaction + foodDriveStrength * 0.7;
-    
-    const beforeExplicitness = Math.min(1.0, Math.max(0.3, (beforeGoalValue * 1.0 - costCoefficient) * 1.5));
-    const afterExplicitness = Math.min(1.0, Math.max(0.3, (afterGoalValue * 1.0 - costCoefficient) * 1.5));
-    
-    const beforeGranola = 60 + beforeExplicitness * 52 + 2;
-    const beforeChocolate = 100 - beforeExplicitness * 40 + 6;
-    const afterGranola = 93.5 + (afterExplicitness - 0.5) * 2;
-    const afterChocolate = 93.5 - (afterExplicitness - 0.5) * 1;
-    
-    return [
-      { condition: 'Before Choice', granola: Math.round(Math.max(50, beforeGranola)), chocolate: Math.round(Math.max(50, beforeChocolate)) },
-      { condition: 'After Choice', granola: Math.round(Math.max(50, afterGranola)), chocolate: Math.round(Math.max(50, afterChocolate)) }
-    ];
+    const sharedModel = getModel(shared.interpretation);
+    if (!sharedModel) {
+      setRejectedLink(shared);
+      return;
+    }
+    if (shared.params) {
+      const result = validateParameters(sharedModel.parameters, shared.params, sharedModel.defaults);
+      if (result.errors) {
+        setRejectedLink(shared);
+      } else {
+        pendingParameters.current = result.params;
+      }
+    }
+    setSelectedInterpretation(shared.interpretation);
+  }, []);
+
+  // Problems with the link are worked out again on render so they follow
+  // a language switch
+  const linkErrors = (() => {
+    if (!rejectedLink) return [];
+    const linkModel = models.find(entry => entry.id === rejectedLink.interpretation);
+    if (!linkModel) return [t('app.link.unknownInterpretation', { interpretation: rejectedLink.interpretation })];
+    const result = validateParameters(linkModel.parameters, rejectedLink.params, linkModel.defaults, t);
+    return [t('app.link.invalidParameters'), ...(result.errors || [])];
+  })();
+
+  // Keep the URL in sync so the address bar is always a shareable link
+  useEffect(() => {
+    const selectedModel = getModel(selectedInterpretation);
+    if (!selectedModel) return;
+    const complete = selectedModel.parameters.every(config => config.key in parameters);
+    if (!complete) return;
+    window.history.replaceState(null, '', `${window.location.pathname}${encodeConfigurationQuery(selectedInterpretation, parameters)}`);
+  }, [selectedInterpretation, parameters]);
+
+  // Every displayed simulation is also kept in the run history
+  const recordRun = (data, params, stats = null) => {
+    runCounter.current += 1;
+    setRuns(previous => addRun(previous, {
+      id: runCounter.current,
+      interpretation: model.id,
+      parameters: params,
+      data,
+      stats,
+      population: Boolean(stats),
+      pinned: false,
+      createdAt: new Date().toISOString()
+    }));
+    setSimulatedParameters(params);
   };
 
-  const simulateGoalGoal = (params) => {
-    const { achievementStimulusBefore, achievementStimulusAfter, granolaAchievementSat, chocolateFoodSat, granolaActionCost, chocolateActionCost } = params;
-    
-    const beforeAchievementDrive = achievementStimulusBefore * 0.7;
-    const afterAchievementDrive = achievementStimulusAfter * 0.7;
-    const foodDriveStrength = 0.8 * 0.7;
-    
-    const beforeGranolaUtility = (beforeAchievementDrive * granolaAchievementSat + foodDriveStrength * 0.6) - granolaActionCost;
-    const beforeChocolateUtility = (beforeAchievementDrive * 0.1 + foodDriveStrength * chocolateFoodSat) - chocolateActionCost;
-    
-    const afterGranolaUtility = (afterAchievementDrive * granolaAchievementSat + foodDriveStrength * 0.6) - granolaActionCost;
-    const afterChocolateUtility = (afterAchievementDrive * 0.1 + foodDriveStrength * chocolateFoodSat) - chocolateActionCost;
-    
-    const utilityDiffBefore = beforeGranolaUtility - beforeChocolateUtility;
-    const utilityDiffAfter = afterGranolaUtility - afterChocolateUtility;
-    
-    const beforeGranola = 88.1 + utilityDiffBefore * 35 + 14.1;
-    const beforeChocolate = 88.1 - utilityDiffBefore * 28 - 14.0;
-    const afterGranola = 88.1 + utilityDiffAfter * 35 + 6.1;
-    const afterChocolate = 88.1 - utilityDiffAfter * 28 + 5.0;
-    
-    return [
-      { condition: 'Before Choice', granola: Math.round(Math.max(50, Math.min(150, beforeGranola))), chocolate: Math.round(Math.max(50, Math.min(150, beforeChocolate))) },
-      { condition: 'After Choice', granola: Math.round(Math.max(50, Math.min(150, afterGranola))), chocolate: Math.round(Math.max(50, Math.min(150, afterChocolate))) }
-    ];
-  };
+  // Returns the displayed rows, or null when there is nothing to simulate
+  const runSimulation = (params = parameters) => {
+    if (!model || !parametersReady) return null;
+
+    let data = model.simulate(params, design);
+    let summary = null;
 
-  const runSimulation = () => {
-    if (!selectedInterpretation || !parameters) return;
-
-    let data = [];
-    let newExplanation = '';
-
-    switch (selectedInterpretation) {
-      case 'explicit-implicit':
-        data = simulateExplicitImplicit(parameters);
-        newExplanation = 'The explicit-implicit interpretation shows how self-control operates through competition between deliberate health-conscious rules and automatic hedonic preferences.';
-        break;
-      case 'desire-goal':
-        data = simulateDesireGoal(parameters);
-        newExplanation = 'The desire-goal interpretation demonstrates how immediate food desires compete with longer-term health goals through temporal modulation of achievement drives.';
-        break;
-      case 'goal-goal':
-        data = simulateGoalGoal(parameters);
-        newExplanation = 'The goal-goal interpretation models explicit competition between health-oriented and taste-oriented subgoals through utility calculations.';
-        break;
+    if (populationMode) {
+      const participants = simulatePopulation(model.simulate, model.parameters, params, populationSettings, design);
+      summary = summarizePopulation(participants, design);
+      data = summary.cells;
     }
 
+    setPopulationStats(summary);
     setSimulationData(data);
-    setExplanation(newExplanation);
+    setExplanation({ source: 'model' });
+    recordRun(data, params, summary);
+    return data;
   };
+  runSimulationRef.current = runSimulation;
+
+  // Live mode re-runs once the parameters have settled
+  useEffect(() => {
+    if (!liveMode) return undefined;
+    const timer = setTimeout(() => runSimulationRef.current(), liveRunDelay);
+    return () => clearTimeout(timer);
+  }, [liveMode, parameters, design, populationMode, populationSettings]);
+
+  // The report and exports describe the last run, not sliders moved since
+  const buildAnalysis = () => buildReport({
+    model,
+    parameters: simulatedParameters,
+    simulationData,
+    humanData,
+    design,
+    datasetName: activeDataset.name,
+    t
+  });
 
   const analyzeConfiguration = () => {
     if (!simulationData.length) return;
+    setAnalysisResult(buildAnalysis());
+  };
 
-    const beforeGranolaDiff = simulationData[0].granola - humanData[0].granola;
-    const beforeChocolateDiff = simulationData[0].chocolate - humanData[0].chocolate;
-    const afterGranolaDiff = simulationData[1].granola - humanData[1].granola;
-    const afterChocolateDiff = simulationData[1].chocolate - humanData[1].chocolate;
-
-    const humanBeforeDiff = humanData[0].granola - humanData[0].chocolate;
-    const humanAfterDiff = humanData[1].granola - humanData[1].chocolate;
-    const simBeforeDiff = simulationData[0].granola - simulationData[0].chocolate;
-    const simAfterDiff = simulationData[1].granola - simulationData[1].chocolate;
+  const fitToHumanData = async () => {
+    if (!model || isFitting || !coveredCells) return;
+
+    const interpretation = model.id;
+    setIsFitting(true);
+    setFitError(null);
+    setFitResults(previous => ({ ...previous, [interpretation]: null }));
+    setFitProgress({ phase: 'grid', completed: 0, total: 1, bestError: null });
+
+    try {
+      const result = await fitParameters(
+        model.simulate,
+        model.parameters,
+        humanData,
+        { gapWeight, design, onProgress: setFitProgress, t }
+      );
+      storeFitResult(interpretation, { ...result, gapWeight });
+    } catch (error) {
+      setFitError({ interpretation, message: t('errors.fitFailed', { message: error.message }) });
+    } finally {
+      setIsFitting(false);
+    }
+  };
 
-    let analysis = '## Parameter Configuration Analysis\n\n';
+  const storeFitResult = (interpretation, result) => {
+    setFitResults(previous => ({ ...previous, [interpretation]: result }));
+  };
 
-    const defaults = defaultParams[selectedInterpretation];
-    const significantChanges = [];
-    
-    Object.entries(parameters).forEach(([key, value]) => {
-      const defaultValue = defaults[key];
-      const percentChange = ((value - defaultValue) / defaultValue) * 100;
-      if (Math.abs(percentChange) > 10) {
-        const paramConfig = parameterConfigs[selectedInterpretation].find(p => p.key === key);
-        significantChanges.push({
-          param: paramConfig?.label || key,
-          group: paramConfig?.group || 'Unknown',
-          change: percentChange,
-          direction: percentChange > 0 ? 'increased' : 'decreased'
-        });
-      }
-    });
+  const fitResult = fitResults[selectedInterpretation];
+  const fitErrorMessage = fitError && fitError.interpretation === selectedInterpretation ? fitError.message : '';
+  const pinnedRuns = runs.filter(run => run.pinned);
+
+  // Fits and analyses refer to the previous dataset, so they are dropped
+  const selectDataset = (id) => {
+    setActiveDatasetId(id);
+    setDatasetNotice(null);
+    setFitResults({});
+    setFitError(null);
+    setAnalysisResult(null);
+  };
 
-    if (significantChanges.length > 0) {
-      analysis += '### Significant Parameter Changes:\n';
-      significantChanges.forEach(change => {
-        analysis += `• **${change.param}** (${change.group}): ${change.direction} by ${Math.abs(change.change).toFixed(1)}%\n`;
+  // A new design invalidates every result computed on the previous one, and
+  // imported datasets naming cells it no longer has are dropped
+  const changeDesign = (nextDesign) => {
+    const removed = datasets.filter(dataset => !dataset.builtIn && !datasetFitsDesign(dataset, nextDesign));
+    if (removed.length) {
+      const activeRemoved = removed.includes(activeDataset);
+      setDatasets(datasets.filter(dataset => !removed.includes(dataset)));
+      if (activeRemoved) setActiveDatasetId(builtInDatasets[0].id);
+      setDatasetNotice({
+        key: activeRemoved ? 'datasetPanel.activeRemovedForDesign' : 'datasetPanel.removedForDesign',
+        values: { names: removed.map(dataset => dataset.name).join(', ') }
       });
-      analysis += '\n';
     }
+    setDesign(nextDesign);
+    setFitResults({});
+    setFitError(null);
+    setRuns([]);
+    setSimulationData([]);
+    setPopulationStats(null);
+    setExplanation(null);
+    setAnalysisResult(null);
+  };
 
-    analysis += '### Simulation vs Human Results:\n';
-    analysis += '**Before Choice Condition:**\n';
-    analysis += `• Granola bars: ${beforeGranolaDiff > 0 ? '+' : ''}${beforeGranolaDiff.toFixed(1)} points difference\n`;
-    analysis += `• Chocolate bars: ${beforeChocolateDiff > 0 ? '+' : ''}${beforeChocolateDiff.toFixed(1)} points difference\n`;
-    analysis += '**After Choice Condition:**\n';
-    analysis += `• Granola bars: ${afterGranolaDiff > 0 ? '+' : ''}${afterGranolaDiff.toFixed(1)} points difference\n`;
-    analysis += `• Chocolate bars: ${afterChocolateDiff > 0 ? '+' : ''}${afterChocolateDiff.toFixed(1)} points difference\n\n`;
-
-    analysis += '### Effect Size Comparison:\n';
-    analysis += `• Human preference difference (Before): ${humanBeforeDiff.toFixed(1)} points\n`;
-    analysis += `• Simulation preference difference (Before): ${simBeforeDiff.toFixed(1)} points\n`;
-    analysis += `• Human preference difference (After): ${humanAfterDiff.toFixed(1)} points\n`;
-    analysis += `• Simulation preference difference (After): ${simAfterDiff.toFixed(1)} points\n\n`;
-
-    let mechanisticExplanation = '';
-    
-    if (selectedInterpretation === 'explicit-implicit') {
-      mechanisticExplanation = '### Mechanistic Explanation (Explicit-Implicit):\n';
-      mechanisticExplanation += 'The explicit-implicit competition determines whether health-conscious rules or hedonic preferences dominate food evaluations. ';
-      if (parameters.achievementDeficit !== defaults.achievementDeficit) {
-        mechanisticExplanation += 'Changes in achievement deficit affect the motivation for explicit rule engagement. ';
-      }
-      mechanisticExplanation += '\n\n';
-    } else if (selectedInterpretation === 'desire-goal') {
-      mechanisticExplanation = '### Mechanistic Explanation (Desire-Goal):\n';
-      mechanisticExplanation += 'The temporal modulation of achievement drives creates differential explicitness levels. ';
-      if (parameters.achievementStimulusBefore !== defaults.achievementStimulusBefore) {
-        mechanisticExplanation += 'Achievement stimulus changes alter goal activation strength during decision-making contexts. ';
-      }
-      mechanisticExplanation += '\n\n';
-    } else if (selectedInterpretation === 'goal-goal') {
-      mechanisticExplanation = '### Mechanistic Explanation (Goal-Goal):\n';
-      mechanisticExplanation += 'Utility-based subgoal competition determines food preferences through action-specific satisfaction calculations. ';
-      if (parameters.granolaAchievementSat !== defaults.granolaAchievementSat) {
-        mechanisticExplanation += 'Changes in granola achievement satisfaction alter the utility advantage of healthy choices. ';
+  const importDataset = (dataset) => {
+    setDatasets(previous => [...previous, dataset]);
+    selectDataset(dataset.id);
+  };
+
+  // Parameter changes go through here so they can be undone; group merges
+  // a run of changes to one control into a single undo step
+  const changeParameters = (next, group = null) => {
+    setParameterHistory(history => recordParameterChange(history, parameters, { group, time: Date.now() }));
+    setParameters(next);
+  };
+
+  const undoParameterChange = () => {
+    const step = undoParameters(parameterHistory, parameters);
+    if (!step) return;
+    setParameters(step.parameters);
+    setParameterHistory(step.history);
+  };
+
+  const redoParameterChange = () => {
+    const step = redoParameters(parameterHistory, parameters);
+    if (!step) return;
+    setParameters(step.parameters);
+    setParameterHistory(step.history);
+  };
+  historyStepRef.current = { undo: undoParameterChange, redo: redoParameterChange };
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) step through parameter
+  // changes, except while typing in a text field
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      const typing = ['TEXTAREA', 'SELECT'].includes(event.target.tagName)
+        || (event.target.tagName === 'INPUT' && !['range', 'checkbox', 'radio'].includes(event.target.type));
+      if (typing || !(event.ctrlKey || event.metaKey)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        historyStepRef.current.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        historyStepRef.current.redo();
       }
-      mechanisticExplanation += '\n\n';
-    }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const restoreRun = (run) => {
+    changeParameters(run.parameters);
+    setSimulationData(run.data);
+    setSimulatedParameters(run.parameters);
+    setPopulationStats(run.stats);
+    setExplanation({ key: 'app.explanation.restoredRun', values: { id: run.id } });
+    setAnalysisResult(null);
+  };
+
+  const clearRuns = () => setRuns(previous => previous.filter(run => run.pinned));
 
-    analysis += mechanisticExplanation;
+  const applyFitResult = () => {
+    if (!fitResult) return;
 
-    const simConvergence = Math.abs(simAfterDiff);
-    const humanConvergence = Math.abs(humanAfterDiff);
-    analysis += '### Convergence Analysis:\n';
-    if (simConvergence < 5 && humanConvergence < 5) {
-      analysis += '✓ Both human and simulation show good convergence in After Choice condition.\n';
-    } else if (simConvergence > humanConvergence + 5) {
-      analysis += '⚠ Simulation shows stronger preference differences than humans in After Choice condition.\n';
+    changeParameters(fitResult.params);
+    setSimulationData(fitResult.simulated);
+    recordRun(fitResult.simulated, fitResult.params);
+    setPopulationStats(null);
+    setExplanation({ key: 'app.explanation.fitApplied' });
+    setAnalysisResult(null);
+  };
+
+  const applyConstraintSolution = (params) => {
+    changeParameters(params);
+    setSimulationData([]);
+    setPopulationStats(null);
+    setExplanation({ key: 'app.explanation.constraintsApplied' });
+    setAnalysisResult(null);
+  };
+
+  // Predictions are checked against the model itself, so a step runs
+  // without the population's noise
+  const startScenarioStep = (step) => {
+    const { baseline } = stepParameters(step, getModel(step.interpretation));
+    setScenarioStep(step);
+    setPopulationMode(false);
+    if (step.interpretation === selectedInterpretation) {
+      loadConfiguration(baseline);
+    } else {
+      pendingParameters.current = baseline;
+      setSelectedInterpretation(step.interpretation);
     }
+  };
+
+  const runScenarioStep = (params) => {
+    changeParameters(params);
+    return runSimulation(params);
+  };
 
-    setAnalysisResult(analysis);
+  const toggleScenarios = () => {
+    setShowScenarios(!showScenarios);
+    setScenarioStep(null);
+  };
+
+  const loadConfiguration = (params) => {
+    changeParameters(params);
+    setSimulationData([]);
+    setPopulationStats(null);
+    setExplanation(null);
+    setAnalysisResult(null);
   };
 
   const resetParameters = () => {
-    if (selectedInterpretation && defaultParams[selectedInterpretation]) {
-      setParameters(defaultParams[selectedInterpretation]);
+    if (model) {
+      changeParameters(model.defaults);
       setSimulationData([]);
-      setExplanation('');
-      setAnalysisResult('');
+      setPopulationStats(null);
+      setExplanation(null);
+      setAnalysisResult(null);
     }
   };
 
   const handleParameterChange = (key, value) => {
-    const newParams = { ...parameters, [key]: parseFloat(value) };
-    setParameters(newParams);
+    const newParams = { ...parameters, [key]: value };
+    changeParameters(newParams, `slider:${key}`);
     
-    const parameterEffects = {
-      'explicit-implicit': {
-        achievementDeficit: 'Higher achievement deficit increases motivation for goal-directed behavior, strengthening explicit rule dominance.',
-        deficitReductionRate: 'Higher deficit reduction rates represent faster depletion of self-control resources after exertion.',
-        costCoefficient: 'Higher cost coefficients represent greater cognitive effort required for explicit control.'
-      },
-      'desire-goal': {
-        achievementStimulusBefore: 'Higher before-choice achievement stimulus creates stronger goal activation during decision-making.',
-        healthyGoalSatisfaction: 'Higher healthy goal satisfaction increases the utility gained from achieving health objectives.',
-        costCoefficient: 'Higher cost coefficients represent greater effort required for goal pursuit.'
-      },
-      'goal-goal': {
-        granolaAchievementSat: 'Higher granola achievement satisfaction increases utility gained from healthy choices.',
-        chocolateFoodSat: 'Higher chocolate food satisfaction increases the hedonic advantage of indulgent options.',
-        granolaActionCost: 'Higher granola action costs represent greater effort required for healthy choices.'
-      }
-    };
-
-    if (parameterEffects[selectedInterpretation] && parameterEffects[selectedInterpretation][key]) {
-      setExplanation(parameterEffects[selectedInterpretation][key]);
+    const effect = model?.parameters.find(config => config.key === key)?.effect;
+    if (effect) {
+      setExplanation({ source: 'effect', parameter: key });
     }
   };
 
-  const interpretationDescriptions = {
-    'explicit-implicit': {
-      title: 'Explicit-Implicit Interpretation',
-      description: 'Models self-control as competition between explicit health-conscious rules and implicit hedonic preferences.'
-    },
-    'desire-goal': {
-      title: 'Desire-Goal Interpretation', 
-      description: 'Views self-control as managing competition between immediate food desires and longer-term health goals.'
-    },
-    'goal-goal': {
-      title: 'Goal-Goal Interpretation',
-      description: 'Models self-control as explicit conflict resolution between competing subgoals through utility calculations.'
-    }
+  // The explanation is kept as where its text comes from, so it follows a
+  // language switch
+  const explanationText = () => {
+    if (!explanation || !model) return '';
+    if (explanation.source === 'model') return model.explanation;
+    if (explanation.source === 'effect') return model.parameters.find(config => config.key === explanation.parameter)?.effect || '';
+    return t(explanation.key, explanation.values);
   };
 
   return (
     <div className="p-6 max-w-6xl mx-auto bg-gray-50 min-h-screen">
+      <div className="flex justify-end mb-2">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          {t('app.language')}
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="p-1 border border-gray-300 rounded text-sm"
+          >
+            {languages.map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
       <h1 className="text-3xl font-bold text-center mb-8 text-gray-800">
-        Self-Control Simulation: Three Interpretations
+        {t('app.title')}
       </h1>
+
+      {linkErrors.length > 0 && (
+        <div className="mb-8 p-4 bg-red-50 rounded-lg">
+          {linkErrors.map((error, index) => (
+            <p key={index} className={`text-sm text-red-700 ${index === 0 ? 'font-medium' : 'ml-4'}`}>{error}</p>
+          ))}
+        </div>
+      )}
       
+      <div className="mb-4 flex justify-center">
+        <button
+          onClick={toggleScenarios}
+          aria-expanded={showScenarios}
+          className="px-6 py-3 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors font-medium"
+        >
+          {showScenarios ? t('app.hideScenarios') : t('app.showScenarios')}
+        </button>
+      </div>
+
+      {showScenarios && (
+        <ScenarioPanel
+          models={models}
+          design={design}
+          onStartStep={startScenarioStep}
+          onRunStep={runScenarioStep}
+          onExit={() => setScenarioStep(null)}
+        />
+      )}
+
       <div className="mb-8">
-        <h2 className="text-xl font-semibold mb-4 text-gray-700">Select Interpretation:</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          {Object.entries(interpretationDescriptions).map(([key, { title, description }]) => (
-            <div
-              key={key}
-              onClick={() => setSelectedInterpretation(key)}
-              className={`p-4 border-2 rounded-lg cursor-pointer transition-all ${
-                selectedInterpretation === key
-                  ? 'border-blue-500 bg-blue-50'
-                  : 'border-gray-300 bg-white hover:border-gray-400'
-              }`}
-            >
-              <h3 className="text-lg font-medium mb-2 text-gray-800">{title}</h3>
-              <p className="text-sm text-gray-600">{description}</p>
-            </div>
-          ))}
+        {/* Native radios keep arrow-key selection and screen reader semantics;
+            the card around each one is its label */}
+        <fieldset disabled={Boolean(scenarioStep)} className="disabled:opacity-60">
+          <legend className="mb-4">
+            <h2 className="text-xl font-semibold text-gray-700">{t('app.selectInterpretation')}</h2>
+          </legend>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {models.map(({ id, title, description }) => (
+              <label
+                key={id}
+                className={`block p-4 border-2 rounded-lg cursor-pointer transition-all focus-within:ring-2 focus-within:ring-blue-500 focus-within:ring-offset-2 ${
+                  selectedInterpretation === id
+                    ? 'border-blue-500 bg-blue-50'
+                    : 'border-gray-300 bg-white hover:border-gray-400'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="interpretation"
+                  value={id}
+                  checked={selectedInterpretation === id}
+                  onChange={() => setSelectedInterpretation(id)}
+                  aria-labelledby={`interpretation-${id}-title`}
+                  aria-describedby={`interpretation-${id}-description`}
+                  className="sr-only"
+                />
+                <span id={`interpretation-${id}-title`} className="block text-lg font-medium mb-2 text-gray-800">{title}</span>
+                <span id={`interpretation-${id}-description`} className="block text-sm text-gray-600">{description}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <div className="mt-4 flex flex-wrap gap-4 justify-center">
+          <button
+            onClick={() => setShowComparison(!showComparison)}
+            className="px-4 py-2 border-2 border-blue-500 text-blue-700 rounded-lg hover:bg-blue-50 transition-colors font-medium"
+          >
+            {showComparison ? t('app.hideComparison') : t('app.showComparison')}
+          </button>
+          <button
+            onClick={() => setShowRecovery(!showRecovery)}
+            className="px-4 py-2 border-2 border-purple-500 text-purple-700 rounded-lg hover:bg-purple-50 transition-colors font-medium"
+          >
+            {showRecovery ? t('app.hideRecovery') : t('app.showRecovery')}
+          </button>
         </div>
       </div>
 
-      {selectedInterpretation && (
+      <DesignEditor design={design} onChange={changeDesign} />
+
+      <DatasetPanel
+        datasets={datasets}
+        activeDatasetId={activeDataset.id}
+        onSelect={selectDataset}
+        onImport={importDataset}
+        design={design}
+        notice={datasetNotice}
+      />
+
+      {showComparison && (
+        <ModelComparison
+          models={models}
+          humanData={humanData}
+          design={design}
+          selectedInterpretation={selectedInterpretation}
+          parameters={parameters}
+          fitResults={fitResults}
+          onFitResult={storeFitResult}
+        />
+      )}
+
+      {showRecovery && <RecoveryPanel models={models} design={design} />}
+
+      {model && (
         <>
           <div className="mb-8 bg-white p-6 rounded-lg shadow">
-            <h2 className="text-xl font-semibold mb-4 text-gray-700">Critical Parameters:</h2>
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h2 className="text-xl font-semibold text-gray-700">{t('app.parameters')}</h2>
+              <div className="flex gap-2">
+                <button
+                  onClick={undoParameterChange}
+                  disabled={!parameterHistory.past.length}
+                  title={t('app.undoTitle')}
+                  className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <span aria-hidden="true">↶</span> {t('app.undo')}
+                </button>
+                <button
+                  onClick={redoParameterChange}
+                  disabled={!parameterHistory.future.length}
+                  title={t('app.redoTitle')}
+                  className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <span aria-hidden="true">↷</span> {t('app.redo')}
+                </button>
+              </div>
+            </div>
             
             {Object.entries(
-              parameterConfigs[selectedInterpretation]?.reduce((groups, param) => {
+              model.parameters.reduce((groups, param) => {
                 const group = param.group;
                 if (!groups[group]) groups[group] = [];
                 groups[group].push(param);
                 return groups;
-              }, {}) || {}
+              }, {})
             ).map(([groupName, groupParams]) => (
               <div key={groupName} className="mb-6">
                 <h3 className="text-lg font-medium mb-3 text-blue-700 border-b border-blue-200 pb-1">
@@ -360,114 +574,379 @@ const SelfControlSimulation = () => {
                 </h3>
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                   {groupParams.map((config) => (
-                    <div key={config.key} className="space-y-2">
-                      <label className="block text-sm font-medium text-gray-700">
-                        {config.label}: {parameters[config.key]?.toFixed(2)}
-                      </label>
-                      <input
-                        type="range"
-                        min={config.min}
-                        max={config.max}
-                        step={config.step}
-                        value={parameters[config.key] || config.min}
-                        onChange={(e) => handleParameterChange(config.key, e.target.value)}
-                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-                      />
-                    </div>
+                    <Slider
+                      key={config.key}
+                      label={config.label}
+                      value={parameters[config.key] ?? config.min}
+                      min={config.min}
+                      max={config.max}
+                      step={config.step}
+                      digits={2}
+                      disabled={Boolean(scenarioStep?.locked?.includes(config.key))}
+                      onChange={(value) => handleParameterChange(config.key, value)}
+                    />
                   ))}
                 </div>
               </div>
             ))}
+
+            <div className="mt-6 pt-4 border-t border-gray-200">
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-3">
+                <input
+                  type="checkbox"
+                  checked={populationMode}
+                  onChange={(e) => setPopulationMode(e.target.checked)}
+                />
+                {t('app.population.mode')}
+              </label>
+              {populationMode && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {[
+                    { key: 'participantsPerCondition', label: t('app.population.participantsPerCondition'), min: 5, max: 200, step: 5, digits: 0 },
+                    { key: 'parameterVariability', label: t('app.population.parameterVariability'), min: 0, max: 0.3, step: 0.02, digits: 2 },
+                    { key: 'ratingNoise', label: t('app.population.ratingNoise'), min: 0, max: 40, step: 1, digits: 0 }
+                  ].map(setting => (
+                    <Slider
+                      key={setting.key}
+                      label={setting.label}
+                      value={populationSettings[setting.key]}
+                      min={setting.min}
+                      max={setting.max}
+                      step={setting.step}
+                      digits={setting.digits}
+                      onChange={(value) => setPopulationSettings({ ...populationSettings, [setting.key]: value })}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <ConfigurationManager
+              key={selectedInterpretation}
+              model={model}
+              parameters={parameters}
+              onLoad={loadConfiguration}
+            />
           </div>
 
-          <div className="mb-8 flex gap-4 justify-center">
+          <div className="mb-8 flex flex-wrap gap-4 justify-center items-center">
             <button
-              onClick={runSimulation}
-              className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+              onClick={() => runSimulation()}
+              disabled={liveMode}
+              className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Run Simulation
+              {t('app.run')}
             </button>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input type="checkbox" checked={liveMode} onChange={(e) => setLiveMode(e.target.checked)} />
+              {t('app.liveMode')}
+            </label>
             <button
               onClick={resetParameters}
               className="px-6 py-3 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors font-medium"
             >
-              Reset Values
+              {t('app.reset')}
+            </button>
+            <button
+              onClick={fitToHumanData}
+              disabled={isFitting || !coveredCells}
+              title={coveredCells ? undefined : t('app.noCoveredCells')}
+              className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isFitting ? t('app.fitting') : t('app.fit')}
+            </button>
+            <button
+              onClick={() => setShowSensitivity(!showSensitivity)}
+              className="px-6 py-3 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors font-medium"
+            >
+              {showSensitivity ? t('app.hideSensitivity') : t('app.showSensitivity')}
+            </button>
+            <button
+              onClick={() => setShowPosterior(!showPosterior)}
+              disabled={!coveredCells}
+              className="px-6 py-3 bg-violet-600 text-white rounded-lg hover:bg-violet-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {showPosterior ? t('app.hidePosterior') : t('app.showPosterior')}
+            </button>
+            {model.causalGraph && (
+              <button
+                onClick={() => setShowMechanism(!showMechanism)}
+                className="px-6 py-3 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors font-medium"
+              >
+                {showMechanism ? t('app.hideMechanism') : t('app.showMechanism')}
+              </button>
+            )}
+            {model.evaluate && (
+              <button
+                onClick={() => setShowDynamics(!showDynamics)}
+                className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium"
+              >
+                {showDynamics ? t('app.hideDynamics') : t('app.showDynamics')}
+              </button>
+            )}
+            <button
+              onClick={() => setShowConstraints(!showConstraints)}
+              className="px-6 py-3 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors font-medium"
+            >
+              {showConstraints ? t('app.hideConstraints') : t('app.showConstraints')}
             </button>
           </div>
 
-          <div className="space-y-8">
-            <div className="bg-white p-6 rounded-lg shadow">
-              <h2 className="text-xl font-semibold mb-4 text-gray-700">Human Experiment Results (Myrseth et al., 2009)</h2>
-              <ResponsiveContainer width="100%" height={300}>
-                <BarChart data={humanData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="condition" />
-                  <YAxis domain={[60, 120]} />
-                  <Tooltip />
-                  <Legend />
-                  <Bar dataKey="granola" fill="#8FBC8F" name="Granola Bars" />
-                  <Bar dataKey="chocolate" fill="#CD853F" name="Chocolate Bars" />
-                </BarChart>
-              </ResponsiveContainer>
-              <p className="text-sm text-gray-600 mt-2">
-                Human participants showed significantly higher granola bar ratings compared to chocolate bars in the before-choice condition (M = 102.19 vs M = 74.06), with this preference disparity disappearing in the after-choice condition (M = 94.22 vs M = 93.11).
-              </p>
+          {showMechanism && model.causalGraph && parametersReady && (
+            <MechanismDiagram key={`mechanism-${model.id}`} model={model} parameters={parameters} design={design} />
+          )}
+
+          {showDynamics && model.evaluate && parametersReady && (
+            <DynamicsPanel key={`dynamics-${model.id}`} model={model} parameters={parameters} humanData={humanData} design={design} />
+          )}
+
+          {showPosterior && coveredCells > 0 && (
+            <PosteriorPanel key={`posterior-${model.id}`} model={model} humanData={humanData} design={design} />
+          )}
+
+          {showSensitivity && parametersReady && (
+            <SensitivityPanel
+              key={`sensitivity-${model.id}`}
+              simulate={model.simulate}
+              configs={model.parameters}
+              parameters={parameters}
+              humanData={humanData}
+              design={design}
+            />
+          )}
+
+          {showConstraints && parametersReady && (
+            <ConstraintPanel
+              key={`constraints-${model.id}`}
+              model={model}
+              parameters={parameters}
+              design={design}
+              onApply={applyConstraintSolution}
+            />
+          )}
+
+          {(isFitting || fitResult || fitErrorMessage) && (
+            <div className="mb-8 bg-white p-6 rounded-lg shadow">
+              <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('app.fit')}</h2>
+
+              <div className="mb-4 space-y-2">
+                <div className="w-full md:w-1/3">
+                  <Slider
+                    label={t('app.fitPanel.gapWeight')}
+                    value={gapWeight}
+                    min={0}
+                    max={3}
+                    step={0.5}
+                    digits={1}
+                    disabled={isFitting}
+                    onChange={setGapWeight}
+                  />
+                </div>
+                <p className="text-xs text-gray-500">
+                  {t('app.fitPanel.gapWeightHelp')}
+                </p>
+              </div>
+
+              {fitProgress && isFitting && (
+                <div className="mb-4">
+                  <p className="text-sm text-gray-600 mb-1">
+                    {fitProgress.phase === 'grid' ? t('app.fitPanel.gridSearch') : t('app.fitPanel.refinement')}: {fitProgress.completed} / {fitProgress.total}
+                    {fitProgress.bestError !== null && ` ${t('app.fitPanel.bestError', { error: t.number(fitProgress.bestError, 2) })}`}
+                  </p>
+                  <div
+                    role="progressbar"
+                    aria-valuemin={0}
+                    aria-valuemax={fitProgress.total}
+                    aria-valuenow={fitProgress.completed}
+                    aria-label={t('app.fit')}
+                    className="w-full h-2 bg-gray-200 rounded-lg"
+                  >
+                    <div
+                      className="h-2 bg-purple-600 rounded-lg"
+                      style={{ width: `${Math.round((fitProgress.completed / fitProgress.total) * 100)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {fitErrorMessage && <p className="text-sm text-red-700 mb-4">{fitErrorMessage}</p>}
+
+              {fitResult && (
+                <>
+                  <p className="text-sm text-gray-700 mb-3">
+                    RMSE: <span className="font-medium">{t.number(fitResult.rmse, 2)}</span> {t('app.fitPanel.points')}
+                    {fitResult.gapWeight > 0 && <> · {t('app.fitPanel.weightedError')}: <span className="font-medium">{t.number(fitResult.error, 2)}</span></>}
+                    {' '}· {t('app.fitPanel.gridPoints', { count: fitResult.gridSize })}
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2 mb-4">
+                    {model.parameters.map((config) => (
+                      <p key={config.key} className="text-sm text-gray-600">
+                        {config.label}: <span className="font-medium">{t.number(fitResult.params[config.key], 2)}</span>
+                        {' '}{t('app.fitPanel.current', { value: t.number(parameters[config.key], 2) })}
+                      </p>
+                    ))}
+                  </div>
+                  <button
+                    onClick={applyFitResult}
+                    className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium"
+                  >
+                    {t('app.fitPanel.apply')}
+                  </button>
+                </>
+              )}
             </div>
+          )}
 
-            {simulationData.length > 0 && (
-              <div className="bg-white p-6 rounded-lg shadow">
-                <h2 className="text-xl font-semibold mb-4 text-gray-700">Simulation Results</h2>
+          <div className="space-y-8">
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('app.humanResults', { dataset: activeDataset.name })}</h2>
+              <div ref={humanChartRef} role="img" aria-label={t('app.charts.humanDescription')}>
                 <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={simulationData}>
+                  <BarChart data={humanData}>
+                    <ChartPatterns prefix="human-pattern" series={design.items} />
                     <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="condition" />
+                    <XAxis dataKey="condition" tickFormatter={t.label} />
                     <YAxis domain={[60, 120]} />
-                    <Tooltip />
+                    <Tooltip labelFormatter={t.label} />
                     <Legend />
-                    <Bar dataKey="granola" fill="#8FBC8F" name="Granola Bars" />
-                    <Bar dataKey="chocolate" fill="#CD853F" name="Chocolate Bars" />
+                    {design.items.map((item, index) => (
+                      <Bar key={item.id} dataKey={item.id} fill={patternFill('human-pattern', index)} name={t.label(item.label)} />
+                    ))}
                   </BarChart>
                 </ResponsiveContainer>
+              </div>
+              <ChartTable
+                caption={t('app.humanResults', { dataset: activeDataset.name })}
+                columns={[t('report.columns.condition'), ...design.items.map(item => t.label(item.label))]}
+                rows={humanData.map(row => [
+                  t.label(row.condition),
+                  ...design.items.map(item => row[item.id])
+                ])}
+              />
+              <p className="text-sm text-gray-600 mt-2">
+                {(activeDataset.description && t(`datasets.${activeDataset.id}.description`, {}, activeDataset.description))
+                  || humanData.map(row =>
+                    `${t.label(row.condition)}: ${design.items
+                      .filter(item => Number.isFinite(row[item.id]))
+                      .map(item => `${t.label(item.label)} M = ${t.number(row[item.id], 2)}${row[`${item.id}N`] ? ` (n = ${row[`${item.id}N`]})` : ''}`)
+                      .join(', ')}.`
+                  ).join(' ')}
+              </p>
+            </div>
+
+            {simulationData.length > 0 && (
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('app.simulationResults')}</h2>
+                <div ref={simulationChartRef} role="img" aria-label={t('app.charts.simulationDescription')}>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={overlayRows(simulationData, pinnedRuns, design)}>
+                      <ChartPatterns prefix="simulation-pattern" series={design.items} />
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="condition" tickFormatter={t.label} />
+                      {/* Each pinned run gets its own hidden axis so its bars land on the current ones */}
+                      {pinnedRuns.map(run => (
+                        <XAxis key={run.id} xAxisId={`run${run.id}`} dataKey="condition" hide />
+                      ))}
+                      <YAxis domain={[60, 120]} />
+                      <Tooltip labelFormatter={t.label} />
+                      <Legend />
+                      {design.items.map((item, index) => (
+                        <Bar key={item.id} dataKey={item.id} fill={patternFill('simulation-pattern', index)} name={t.label(item.label)}>
+                          {populationStats && <ErrorBar dataKey={`${item.id}Error`} width={6} strokeWidth={2} stroke="#374151" />}
+                        </Bar>
+                      ))}
+                      {pinnedRuns.flatMap(run =>
+                        design.items.map((item, index) => (
+                          <Bar
+                            key={overlayKey(run.id, item.id)}
+                            xAxisId={`run${run.id}`}
+                            dataKey={overlayKey(run.id, item.id)}
+                            name={`${t.label(item.label)} (#${run.id})`}
+                            fill={patternFill('simulation-pattern', index)}
+                            fillOpacity={0.2}
+                            stroke="#111827"
+                            strokeDasharray="4 2"
+                          />
+                        ))
+                      )}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <ChartTable
+                  caption={t('app.simulationResults')}
+                  columns={[
+                    t('report.columns.condition'),
+                    ...design.items.map(item => t.label(item.label)),
+                    ...pinnedRuns.flatMap(run => design.items.map(item => `${t.label(item.label)} (#${run.id})`))
+                  ]}
+                  rows={overlayRows(simulationData, pinnedRuns, design).map(row => [
+                    t.label(row.condition),
+                    ...design.items.map(item => row[item.id]),
+                    ...pinnedRuns.flatMap(run => design.items.map(item => row[overlayKey(run.id, item.id)]))
+                  ])}
+                />
+                {pinnedRuns.length > 0 && (
+                  <>
+                    <p className="text-xs text-gray-500 mt-2">{t('app.pinnedOverlay')}</p>
+                    <RunComparison
+                      simulationData={simulationData}
+                      pinnedRuns={pinnedRuns}
+                      design={design}
+                      model={model}
+                      parameters={simulatedParameters}
+                      models={models}
+                    />
+                  </>
+                )}
+                {populationStats && (
+                  <>
+                    <p className="text-xs text-gray-500 mt-2">{t('app.population.errorBars')}</p>
+                    <PopulationStats stats={populationStats} design={design} />
+                  </>
+                )}
                 
-                <div className="mt-6 text-center">
+                <div className="mt-6 flex gap-4 justify-center items-start">
                   <button
                     onClick={analyzeConfiguration}
                     className="px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium"
                   >
-                    Analyze Parameter Configuration
+                    {t('app.analyze')}
                   </button>
+                  <ExportMenu
+                    interpretation={selectedInterpretation}
+                    parameters={simulatedParameters}
+                    datasetName={activeDataset.name}
+                    humanData={humanData}
+                    simulationData={simulationData}
+                    design={design}
+                    buildReport={buildAnalysis}
+                    charts={[
+                      { id: 'human-chart', label: t('app.charts.human'), ref: humanChartRef },
+                      { id: 'simulation-chart', label: t('app.charts.simulation'), ref: simulationChartRef }
+                    ]}
+                  />
                 </div>
                 
-                {explanation && (
+                {explanationText() && (
                   <div className="mt-4 p-4 bg-blue-50 rounded-lg">
-                    <p className="text-sm text-gray-700">{explanation}</p>
+                    <p className="text-sm text-gray-700">{explanationText()}</p>
                   </div>
                 )}
               </div>
             )}
 
-            {analysisResult && (
-              <div className="bg-white p-6 rounded-lg shadow">
-                <h2 className="text-xl font-semibold mb-4 text-gray-700">Parameter Configuration Analysis</h2>
-                <div className="prose prose-sm max-w-none">
-                  {analysisResult.split('\n').map((line, index) => {
-                    if (line.startsWith('##')) {
-                      return <h2 key={index} className="text-lg font-bold mt-4 mb-2 text-gray-800">{line.replace('##', '').trim()}</h2>;
-                    } else if (line.startsWith('###')) {
-                      return <h3 key={index} className="text-md font-semibold mt-3 mb-2 text-gray-700">{line.replace('###', '').trim()}</h3>;
-                    } else if (line.startsWith('•')) {
-                      return <p key={index} className="ml-4 mb-1 text-gray-600">{line}</p>;
-                    } else if (line.startsWith('✓')) {
-                      return <p key={index} className="text-green-700 font-medium mb-1">{line}</p>;
-                    } else if (line.startsWith('⚠')) {
-                      return <p key={index} className="text-orange-600 font-medium mb-1">{line}</p>;
-                    } else if (line.trim()) {
-                      return <p key={index} className="mb-2 text-gray-600">{line}</p>;
-                    }
-                    return null;
-                  })}
-                </div>
-              </div>
+            {analysisResult && <AnalysisReport report={analysisResult} />}
+
+            {runs.length > 0 && (
+              <RunHistory
+                runs={runs}
+                models={models}
+                interpretation={selectedInterpretation}
+                onTogglePin={(id) => setRuns(previous => togglePin(previous, id))}
+                onRestore={restoreRun}
+                onRemove={(id) => setRuns(previous => removeRun(previous, id))}
+                onClear={clearRuns}
+              />
             )}
           </div>
         </>
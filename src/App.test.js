@@ -0,0 +1,46 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import App from './App';
+import { LanguageProvider } from './i18n/LanguageProvider';
+
+// Jest cannot load the worker scripts; these tests never start a worker
+jest.mock('./workers', () => ({}));
+
+// Recharts' ResponsiveContainer measures its parent with ResizeObserver
+global.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+const renderApp = () => render(<LanguageProvider initialLanguage="en"><App /></LanguageProvider>);
+
+const selectInterpretation = (name) => fireEvent.click(screen.getByRole('radio', { name }));
+
+describe('App', () => {
+  it('analyzes the parameters of the last run, not sliders moved since', () => {
+    renderApp();
+    selectInterpretation('Explicit-Implicit Interpretation');
+    fireEvent.click(screen.getByText('Run Simulation'));
+    fireEvent.change(screen.getByRole('spinbutton', { name: 'Cost Coefficient, exact value' }), { target: { value: '0.3' } });
+    fireEvent.click(screen.getByText('Analyze Parameter Configuration'));
+
+    const row = screen.getByRole('row', { name: /^Cost Coefficient/ });
+    expect(within(row).getAllByRole('cell').map(cell => cell.textContent)).toContain('0.16');
+    expect(within(row).queryByText('0.30')).toBeNull();
+  });
+
+  it('drops an imported dataset the new design no longer fits', async () => {
+    renderApp();
+    const file = new File(['condition,item,mean\nafter,granola,94'], 'lab.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('Import CSV / JSON'), { target: { files: [file] } });
+    expect(await screen.findByRole('option', { name: 'lab' })).toBeTruthy();
+
+    fireEvent.click(screen.getByText('Edit Design'));
+    fireEvent.click(screen.getByRole('button', { name: 'Remove After Choice' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Apply Design' }));
+
+    expect(screen.queryByRole('option', { name: 'lab' })).toBeNull();
+    expect(screen.getByText('Removed imported datasets that do not fit the new design: lab. The built-in data is active again.')).toBeTruthy();
+  });
+});
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Symbols } from 'recharts';
+
+// Textures drawn over a series' colour so bars can be told apart without
+// relying on colour; a series keeps its texture by position
+const textures = [
+  null,
+  'M0,8 L8,0',
+  'dots',
+  'M0,8 L8,0 M0,0 L8,8',
+  'M0,4 L8,4',
+  'M4,0 L4,8'
+];
+
+export const patternFill = (prefix, index) => `url(#${prefix}-${index})`;
+
+// Marker shapes that do the same for lines: a series keeps its shape in the
+// plot and in the legend (pass markerType as the Line's legendType)
+const markerTypes = ['circle', 'square', 'triangle', 'diamond', 'star', 'cross', 'wye'];
+
+export const markerType = (index) => markerTypes[index % markerTypes.length];
+
+// Recharts clones this for every point of a Line, adding cx, cy and stroke
+export const SeriesMarker = ({ cx, cy, stroke, type }) => (
+  Number.isFinite(cx) && Number.isFinite(cy)
+    ? <Symbols cx={cx} cy={cy} type={type} size={40} fill={stroke} stroke="#1F2937" strokeWidth={0.5} />
+    : null
+);
+
+// <defs> for a Recharts chart; series are { color } in legend order
+const ChartPatterns = ({ prefix, series }) => (
+  <defs>
+    {series.map((entry, index) => {
+      const texture = textures[index % textures.length];
+      return (
+        <pattern key={index} id={`${prefix}-${index}`} width={8} height={8} patternUnits="userSpaceOnUse">
+          <rect width={8} height={8} fill={entry.color} />
+          {texture === 'dots' && <circle cx={4} cy={4} r={1.5} fill="#1F2937" />}
+          {texture && texture !== 'dots' && <path d={texture} stroke="#1F2937" strokeWidth={1.5} />}
+        </pattern>
+      );
+    })}
+  </defs>
+);
+
+export default ChartPatterns;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { useTranslation } from './i18n/LanguageProvider';
+
+// Text alternative to a chart: the plotted values as a table behind a
+// disclosure. The first cell of each row is its header; numbers are shown
+// with up to two decimals in the active locale.
+const ChartTable = ({ caption, columns, rows }) => {
+  const { t } = useTranslation();
+  const formatValue = (value) => {
+    if (typeof value !== 'number') return value ?? '–';
+    return Number.isFinite(value) ? value.toLocaleString(t.locale, { maximumFractionDigits: 2 }) : '–';
+  };
+
+  return (
+    <details className="mt-2">
+      <summary className="text-sm text-blue-700 cursor-pointer">{t('chartTable.show')}</summary>
+      <div className="overflow-x-auto">
+        <table className="mt-2 w-full text-sm text-left text-gray-600">
+          <caption className="text-left text-xs text-gray-500 mb-1">{caption}</caption>
+          <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+            <tr>
+              {columns.map(column => (
+                <th key={column} scope="col" className="px-2 py-2">{column}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([header, ...values]) => (
+              <tr key={header} className="border-b">
+                <th scope="row" className="px-2 py-2 font-medium text-gray-800">{header}</th>
+                {values.map((value, index) => (
+                  <td key={columns[index + 1]} className="px-2 py-2">{formatValue(value)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+export default ChartTable;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import {
+  validateParameters,
+  loadSavedConfigurations,
+  persistSavedConfigurations,
+  encodeConfigurationQuery,
+  configurationsToJson,
+  parseConfigurationsJson
+} from './configurations';
+import { downloadFile } from './download';
+import { getModel } from './models';
+import { localizeModel } from './i18n';
+import { useTranslation } from './i18n/LanguageProvider';
+
+const ConfigurationManager = ({ model, parameters, onLoad }) => {
+  const [saved, setSaved] = useState(loadSavedConfigurations);
+  const [name, setName] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [shareLink, setShareLink] = useState('');
+  const { t } = useTranslation();
+
+  const interpretation = model.id;
+  const configs = model.parameters;
+  const savedForInterpretation = saved[interpretation] || [];
+
+  const updateSaved = (next) => {
+    setSaved(next);
+    persistSavedConfigurations(next);
+  };
+
+  const saveCurrent = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setMessages([{ type: 'error', text: t('configurations.nameRequired') }]);
+      return;
+    }
+    const entry = { name: trimmed, params: { ...parameters }, savedAt: new Date().toISOString() };
+    const others = savedForInterpretation.filter(configuration => configuration.name !== trimmed);
+    updateSaved({ ...saved, [interpretation]: [...others, entry] });
+    setName('');
+    setMessages([{ type: 'success', text: t('configurations.saved', { name: trimmed }) }]);
+  };
+
+  const loadConfiguration = (configuration) => {
+    const result = validateParameters(configs, configuration.params, model.defaults, t);
+    if (result.errors) {
+      setMessages([
+        { type: 'error', text: t('configurations.invalid', { name: configuration.name }) },
+        ...result.errors.map(text => ({ type: 'error', text }))
+      ]);
+      return;
+    }
+    onLoad(result.params);
+    setMessages([{ type: 'success', text: t('configurations.loaded', { name: configuration.name }) }]);
+  };
+
+  const deleteConfiguration = (configurationName) => {
+    updateSaved({
+      ...saved,
+      [interpretation]: savedForInterpretation.filter(configuration => configuration.name !== configurationName)
+    });
+  };
+
+  const exportConfigurations = () => {
+    const current = { name: t('configurations.current'), params: parameters };
+    downloadFile(
+      `${interpretation}-configurations.json`,
+      configurationsToJson(interpretation, [current, ...savedForInterpretation]),
+      'application/json'
+    );
+  };
+
+  const importConfigurations = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseConfigurationsJson(String(reader.result), t);
+      if (result.errors) {
+        setMessages(result.errors.map(text => ({ type: 'error', text })));
+        return;
+      }
+      const registered = getModel(result.interpretation);
+      if (!registered) {
+        setMessages([{ type: 'error', text: t('configurations.unknownInterpretation', { interpretation: result.interpretation }) }]);
+        return;
+      }
+      const targetModel = localizeModel(registered, t);
+
+      const imported = [];
+      const problems = [];
+      result.configurations.forEach((configuration, index) => {
+        const label = configuration.name || t('configurations.importedName', { number: index + 1 });
+        const validated = validateParameters(targetModel.parameters, configuration.params, targetModel.defaults, t);
+        if (validated.errors) {
+          problems.push(...validated.errors.map(text => ({ type: 'error', text: `${label}: ${text}` })));
+        } else {
+          imported.push({ name: label, params: validated.params, savedAt: new Date().toISOString() });
+        }
+      });
+
+      const existing = (saved[result.interpretation] || [])
+        .filter(configuration => !imported.some(entry => entry.name === configuration.name));
+      updateSaved({ ...saved, [result.interpretation]: [...existing, ...imported] });
+      setMessages([
+        { type: 'success', text: t('configurations.imported', { count: imported.length, interpretation: targetModel.shortTitle }) },
+        ...problems
+      ]);
+    };
+    reader.readAsText(file);
+  };
+
+  const copyShareLink = () => {
+    const link = `${window.location.origin}${window.location.pathname}${encodeConfigurationQuery(interpretation, parameters)}`;
+    setShareLink(link);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).then(
+        () => setMessages([{ type: 'success', text: t('configurations.linkCopied') }]),
+        () => setMessages([])
+      );
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200">
+      <h3 className="text-lg font-medium mb-3 text-blue-700">{t('configurations.title')}</h3>
+
+      <div className="flex flex-wrap gap-2 items-center mb-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('configurations.namePlaceholder')}
+          className="p-2 border border-gray-300 rounded text-sm"
+        />
+        <button onClick={saveCurrent} className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium">
+          {t('configurations.save')}
+        </button>
+        <button onClick={exportConfigurations} className="px-3 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium">
+          {t('configurations.export')}
+        </button>
+        <label className="px-3 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium cursor-pointer focus-within:ring-2 focus-within:ring-blue-500 focus-within:ring-offset-2">
+          {t('configurations.import')}
+          <input type="file" accept=".json,application/json" onChange={importConfigurations} className="sr-only" />
+        </label>
+        <button onClick={copyShareLink} className="px-3 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium">
+          {t('configurations.copyLink')}
+        </button>
+      </div>
+
+      {shareLink && (
+        <input
+          type="text"
+          readOnly
+          value={shareLink}
+          onFocus={(e) => e.target.select()}
+          className="w-full p-2 mb-3 border border-gray-300 rounded text-xs text-gray-600"
+        />
+      )}
+
+      {savedForInterpretation.length > 0 ? (
+        <ul className="space-y-1">
+          {savedForInterpretation.map(configuration => (
+            <li key={configuration.name} className="flex items-center gap-3 text-sm text-gray-700">
+              <span className="font-medium">{configuration.name}</span>
+              {configuration.savedAt && (
+                <span className="text-xs text-gray-500">{t.dateTime(configuration.savedAt)}</span>
+              )}
+              <button onClick={() => loadConfiguration(configuration)} className="text-blue-600 hover:underline">{t('configurations.load')}</button>
+              <button onClick={() => deleteConfiguration(configuration.name)} className="text-red-600 hover:underline">{t('configurations.delete')}</button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">{t('configurations.empty')}</p>
+      )}
+
+      {messages.length > 0 && (
+        <div className="mt-3">
+          {messages.map((message, index) => (
+            <p key={index} className={`text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>{message.text}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConfigurationManager;
@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import {
+  exampleConstraints,
+  validateConstraints,
+  describeConstraint,
+  solveConstraints,
+  maxConstraints
+} from './constraints';
+import { useTranslation } from './i18n/LanguageProvider';
+
+const parseBound = (text) => {
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+const ConstraintPanel = ({ model, parameters, design, onApply }) => {
+  const [constraints, setConstraints] = useState(() => exampleConstraints(design));
+  const [errors, setErrors] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const { t } = useTranslation();
+
+  const labelFor = (key) => (model.parameters.find(config => config.key === key) || { label: key }).label;
+
+  // Any edit makes a previous answer refer to other targets
+  const changeConstraints = (next) => {
+    setConstraints(next);
+    setErrors([]);
+    setResult(null);
+  };
+
+  const updateConstraint = (index, changes) => {
+    changeConstraints(constraints.map((constraint, i) => (i === index ? { ...constraint, ...changes } : constraint)));
+  };
+
+  const changeKind = (index, kind) => {
+    updateConstraint(index, kind === 'cell' ? { kind, item: design.items[0].id } : { kind, item: undefined });
+  };
+
+  const addConstraint = () => {
+    changeConstraints([...constraints, { kind: 'gap', condition: design.conditions[0].label, min: null, max: null }]);
+  };
+
+  const removeConstraint = (index) => {
+    changeConstraints(constraints.filter((_, i) => i !== index));
+  };
+
+  const solve = async () => {
+    if (progress) return;
+    const validationErrors = validateConstraints(constraints, design, t);
+    setErrors(validationErrors);
+    setResult(null);
+    if (validationErrors.length) return;
+
+    setProgress({ completed: 0, total: 1 });
+    try {
+      const solved = await solveConstraints(model.simulate, model.parameters, constraints, parameters, {
+        design,
+        onProgress: setProgress
+      });
+      setResult(solved);
+    } catch (error) {
+      setErrors([t('errors.constraintSolveFailed', { message: error.message })]);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const apply = (point) => {
+    onApply(point.params);
+    setResult(null);
+  };
+
+  const inputClass = 'p-1 border border-gray-300 rounded text-sm';
+  const cellClass = 'px-2 py-1';
+  const listConstraints = (indexes) => (
+    <ul className="list-disc ml-6 text-sm text-gray-700 mb-3">
+      {indexes.map(index => <li key={index}>{describeConstraint(constraints[index], design, t)}</li>)}
+    </ul>
+  );
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-2 text-gray-700">{t('constraints.title')}</h2>
+      <p className="text-sm text-gray-600 mb-4">{t('constraints.intro')}</p>
+
+      <div className="space-y-2 mb-4">
+        {constraints.map((constraint, index) => {
+          const name = t('constraints.number', { number: index + 1 });
+          return (
+            <fieldset key={index} className="flex flex-wrap items-end gap-3 p-3 border border-gray-200 rounded">
+              <legend className="px-1 text-sm font-medium text-gray-700">{name}</legend>
+              <label className="text-sm text-gray-700">
+                {t('constraints.quantity')}
+                <select value={constraint.kind} onChange={(e) => changeKind(index, e.target.value)} className={`ml-2 ${inputClass}`}>
+                  <option value="gap">{t('constraints.kinds.gap')}</option>
+                  <option value="cell">{t('constraints.kinds.cell')}</option>
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                {t('constraints.condition')}
+                <select value={constraint.condition} onChange={(e) => updateConstraint(index, { condition: e.target.value })} className={`ml-2 ${inputClass}`}>
+                  {design.conditions.map(condition => (
+                    <option key={condition.label} value={condition.label}>{t.label(condition.label)}</option>
+                  ))}
+                </select>
+              </label>
+              {constraint.kind === 'cell' && (
+                <label className="text-sm text-gray-700">
+                  {t('constraints.item')}
+                  <select value={constraint.item} onChange={(e) => updateConstraint(index, { item: e.target.value })} className={`ml-2 ${inputClass}`}>
+                    {design.items.map(item => (
+                      <option key={item.id} value={item.id}>{t.label(item.label)}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label className="text-sm text-gray-700">
+                {t('constraints.min')}
+                <input
+                  type="number"
+                  value={constraint.min ?? ''}
+                  onChange={(e) => updateConstraint(index, { min: parseBound(e.target.value) })}
+                  className={`ml-2 w-20 ${inputClass}`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                {t('constraints.max')}
+                <input
+                  type="number"
+                  value={constraint.max ?? ''}
+                  onChange={(e) => updateConstraint(index, { max: parseBound(e.target.value) })}
+                  className={`ml-2 w-20 ${inputClass}`}
+                />
+              </label>
+              <button
+                onClick={() => removeConstraint(index)}
+                aria-label={`${t('constraints.remove')} ${name}`}
+                className="text-sm text-red-600 hover:underline"
+              >
+                {t('constraints.remove')}
+              </button>
+            </fieldset>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        <button
+          onClick={addConstraint}
+          disabled={constraints.length >= maxConstraints || Boolean(progress)}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('constraints.add')}
+        </button>
+        <button
+          onClick={solve}
+          disabled={Boolean(progress)}
+          className="px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {progress ? t('constraints.solving') : t('constraints.solve')}
+        </button>
+      </div>
+
+      {errors.map((error, index) => (
+        <p key={index} className="text-sm text-red-700">{error}</p>
+      ))}
+
+      {progress && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-1">{t('constraints.progress', progress)}</p>
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.completed}
+            aria-label={t('constraints.title')}
+            className="w-full h-2 bg-gray-200 rounded-lg"
+          >
+            <div
+              className="h-2 bg-cyan-600 rounded-lg"
+              style={{ width: `${Math.round((progress.completed / progress.total) * 100)}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {result && result.feasible && (
+        <div>
+          <p className="text-sm text-gray-700 mb-3">
+            {t('constraints.feasible', { count: result.feasibleCount, total: result.gridSize })}
+          </p>
+          {result.solution.changes.length === 0 ? (
+            <p className="text-sm font-medium text-green-700">{t('constraints.alreadyMet')}</p>
+          ) : (
+            <>
+              <h3 className="text-md font-medium mb-2 text-gray-700">{t('constraints.smallestChange')}</h3>
+              <table className="text-sm mb-4">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th scope="col" className={cellClass}>{t('constraints.parameter')}</th>
+                    <th scope="col" className={`${cellClass} text-right`}>{t('constraints.current')}</th>
+                    <th scope="col" className={`${cellClass} text-right`}>{t('constraints.needed')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.solution.changes.map(change => (
+                    <tr key={change.key} className="border-t border-gray-100">
+                      <th scope="row" className={`${cellClass} text-left font-normal`}>{labelFor(change.key)}</th>
+                      <td className={`${cellClass} text-right`}>{t.number(change.from, 2)}</td>
+                      <td className={`${cellClass} text-right font-medium`}>{t.number(change.to, 2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                onClick={() => apply(result.solution)}
+                className="px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors font-medium"
+              >
+                {t('constraints.apply')}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {result && !result.feasible && (
+        <div>
+          <p className="text-sm font-medium text-red-700 mb-3">{t('constraints.infeasible')}</p>
+          {result.impossible.length > 0 && (
+            <>
+              <p className="text-sm text-gray-700">{t('constraints.impossible')}</p>
+              {listConstraints(result.impossible)}
+            </>
+          )}
+          {result.conflict.length > 0 && (
+            <>
+              <p className="text-sm text-gray-700">{t('constraints.conflict')}</p>
+              {listConstraints(result.conflict)}
+            </>
+          )}
+          {result.closest && (
+            <>
+              <h3 className="text-md font-medium mb-1 text-gray-700">{t('constraints.closest')}</h3>
+              <p className="text-sm text-gray-600 mb-2">
+                {t('constraints.closestHelp', { points: t.number(result.closest.total, 1) })}
+              </p>
+              <table className="text-sm mb-4">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th scope="col" className={cellClass}>{t('constraints.constraint')}</th>
+                    <th scope="col" className={`${cellClass} text-right`}>{t('constraints.achieved')}</th>
+                    <th scope="col" className={`${cellClass} text-right`}>{t('constraints.missedBy')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {constraints.map((constraint, index) => (
+                    <tr key={index} className="border-t border-gray-100">
+                      <th scope="row" className={`${cellClass} text-left font-normal`}>{describeConstraint(constraint, design, t)}</th>
+                      <td className={`${cellClass} text-right`}>{t.number(result.closest.values[index], 1)}</td>
+                      <td className={`${cellClass} text-right ${result.closest.violations[index] > 0 ? 'font-medium text-red-700' : ''}`}>
+                        {t.number(result.closest.violations[index], 1)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {result.closest.changes.length > 0 && (
+                <table className="text-sm mb-4">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th scope="col" className={cellClass}>{t('constraints.parameter')}</th>
+                      <th scope="col" className={`${cellClass} text-right`}>{t('constraints.current')}</th>
+                      <th scope="col" className={`${cellClass} text-right`}>{t('constraints.closestValue')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.closest.changes.map(change => (
+                      <tr key={change.key} className="border-t border-gray-100">
+                        <th scope="row" className={`${cellClass} text-left font-normal`}>{labelFor(change.key)}</th>
+                        <td className={`${cellClass} text-right`}>{t.number(change.from, 2)}</td>
+                        <td className={`${cellClass} text-right font-medium`}>{t.number(change.to, 2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <button
+                onClick={() => apply(result.closest)}
+                className="px-4 py-2 border border-cyan-600 text-cyan-700 rounded-lg hover:bg-cyan-50 transition-colors font-medium"
+              >
+                {t('constraints.applyClosest')}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {result && !result.exhaustive && (
+        <p className="text-xs text-gray-500 mt-3">{t('constraints.thinned', { count: result.gridSize })}</p>
+      )}
+    </div>
+  );
+};
+
+export default ConstraintPanel;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { parseDatasetFile } from './datasets';
+import { useTranslation } from './i18n/LanguageProvider';
+
+const DatasetPanel = ({ datasets, activeDatasetId, onSelect, onImport, design, notice }) => {
+  const [errors, setErrors] = useState([]);
+  const { t } = useTranslation();
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseDatasetFile(String(reader.result), file.name, design, t);
+      if (result.errors) {
+        setErrors([t('datasetPanel.importFailed', { file: file.name }), ...result.errors]);
+        return;
+      }
+      setErrors([]);
+      onImport(result.dataset);
+    };
+    reader.onerror = () => setErrors([t('datasetPanel.readFailed', { file: file.name })]);
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('datasetPanel.title')}</h2>
+      <div className="flex flex-wrap gap-4 items-center">
+        <label className="text-sm font-medium text-gray-700">
+          {t('datasetPanel.active')}
+          <select
+            value={activeDatasetId}
+            onChange={(e) => onSelect(e.target.value)}
+            className="ml-2 p-1 border border-gray-300 rounded text-sm"
+          >
+            {datasets.map(dataset => (
+              <option key={dataset.id} value={dataset.id}>
+                {dataset.name}{dataset.builtIn ? ` ${t('datasetPanel.builtIn')}` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium cursor-pointer focus-within:ring-2 focus-within:ring-blue-500 focus-within:ring-offset-2">
+          {t('datasetPanel.import')}
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="sr-only" />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        {t('datasetPanel.help', {
+          conditions: design.conditions.map(condition => condition.label).join(', '),
+          items: design.items.map(item => item.id).join(', ')
+        })}
+      </p>
+      {notice && (
+        <p className="mt-4 p-4 bg-yellow-50 rounded-lg text-sm text-yellow-800">{t(notice.key, notice.values)}</p>
+      )}
+      {errors.length > 0 && (
+        <div className="mt-4 p-4 bg-red-50 rounded-lg">
+          {errors.map((error, index) => (
+            <p key={index} className={`text-sm text-red-700 ${index === 0 ? 'font-medium' : 'ml-4'}`}>{error}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetPanel;
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { defaultDesign, itemColor, uniqueItemId, validateDesign } from './design';
+import { useTranslation } from './i18n/LanguageProvider';
+
+// Edits a copy of the design; the simulation only sees it once applied
+const DesignEditor = ({ design, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(design);
+  const { t } = useTranslation();
+
+  const errors = validateDesign(draft, t);
+  const changed = JSON.stringify(draft) !== JSON.stringify(design);
+
+  const updateItem = (index, key, value) => {
+    const items = draft.items.map((item, i) => (i === index ? { ...item, [key]: value } : item));
+    if (key !== 'label') {
+      setDraft({ ...draft, items });
+      return;
+    }
+    // The id follows the label so imported files can name items naturally
+    const previousId = draft.items[index].id;
+    const id = uniqueItemId(value, draft.items, index);
+    items[index] = { ...items[index], id };
+    setDraft({
+      ...draft,
+      items,
+      contrast: draft.contrast.map(contrastId => (contrastId === previousId ? id : contrastId))
+    });
+  };
+
+  const addItem = () => {
+    const label = t('design.newItem', { number: draft.items.length + 1 });
+    const item = {
+      id: uniqueItemId(label, draft.items),
+      label,
+      color: itemColor(draft.items.length),
+      health: 0.5,
+      hedonic: 0.5
+    };
+    setDraft({ ...draft, items: [...draft.items, item] });
+  };
+
+  const removeItem = (index) => {
+    const items = draft.items.filter((_, i) => i !== index);
+    const removedId = draft.items[index].id;
+    const fallback = items.map(item => item.id).filter(id => !draft.contrast.includes(id));
+    setDraft({
+      ...draft,
+      items,
+      contrast: draft.contrast.map(id => (id === removedId ? fallback[0] || items[0]?.id : id))
+    });
+  };
+
+  const updateCondition = (index, key, value) => {
+    setDraft({
+      ...draft,
+      conditions: draft.conditions.map((condition, i) => (i === index ? { ...condition, [key]: value } : condition))
+    });
+  };
+
+  const addCondition = () => {
+    const condition = { label: t('design.newCondition', { number: draft.conditions.length + 1 }), onset: 1, progress: 0.5 };
+    setDraft({ ...draft, conditions: [...draft.conditions, condition] });
+  };
+
+  const removeCondition = (index) => {
+    setDraft({ ...draft, conditions: draft.conditions.filter((_, i) => i !== index) });
+  };
+
+  const updateContrast = (position, id) => {
+    setDraft({ ...draft, contrast: draft.contrast.map((contrastId, i) => (i === position ? id : contrastId)) });
+  };
+
+  const inputClass = 'p-1 border border-gray-300 rounded text-sm';
+  // Inputs in the tables are named by their row and column for screen readers
+  const cellLabel = (row, column) => `${row}: ${t(`design.columns.${column}`)}`;
+  const numberInput = (value, onValue, label) => (
+    <input
+      type="number"
+      min={0}
+      max={1}
+      step={0.1}
+      value={value}
+      aria-label={label}
+      onChange={(e) => onValue(e.target.value === '' ? NaN : parseFloat(e.target.value))}
+      className={`${inputClass} w-20`}
+    />
+  );
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-700">{t('design.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {t('design.summary', {
+              items: design.items.length,
+              itemNames: design.items.map(item => t.label(item.label)).join(', '),
+              conditions: design.conditions.length,
+              conditionNames: design.conditions.map(condition => t.label(condition.label)).join(', ')
+            })}
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setDraft(design);
+            setOpen(!open);
+          }}
+          aria-expanded={open}
+          className="px-4 py-2 border-2 border-blue-500 text-blue-700 rounded-lg hover:bg-blue-50 transition-colors text-sm font-medium"
+        >
+          {open ? t('design.close') : t('design.open')}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-6 space-y-6">
+          <div className="overflow-x-auto">
+            <h3 className="text-lg font-medium mb-2 text-blue-700">{t('design.items')}</h3>
+            <table className="text-sm text-left text-gray-600">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">{t('design.columns.name')}</th>
+                  <th className="px-2 py-2">{t('design.columns.id')}</th>
+                  <th className="px-2 py-2">{t('design.columns.health')}</th>
+                  <th className="px-2 py-2">{t('design.columns.hedonic')}</th>
+                  <th className="px-2 py-2">{t('design.columns.colour')}</th>
+                  <td className="px-2 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.items.map((item, index) => (
+                  <tr key={index} className="border-b">
+                    <td className="px-2 py-2">
+                      <input type="text" value={item.label} aria-label={cellLabel(t('design.newItem', { number: index + 1 }), 'name')} onChange={(e) => updateItem(index, 'label', e.target.value)} className={inputClass} />
+                    </td>
+                    <td className="px-2 py-2 text-xs text-gray-500">{item.id}</td>
+                    <td className="px-2 py-2">{numberInput(item.health, value => updateItem(index, 'health', value), cellLabel(t.label(item.label), 'health'))}</td>
+                    <td className="px-2 py-2">{numberInput(item.hedonic, value => updateItem(index, 'hedonic', value), cellLabel(t.label(item.label), 'hedonic'))}</td>
+                    <td className="px-2 py-2">
+                      <input type="color" value={item.color} aria-label={cellLabel(t.label(item.label), 'colour')} onChange={(e) => updateItem(index, 'color', e.target.value)} />
+                    </td>
+                    <td className="px-2 py-2">
+                      <button onClick={() => removeItem(index)} aria-label={`${t('design.remove')} ${t.label(item.label)}`} className="text-red-600 hover:underline">{t('design.remove')}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button onClick={addItem} className="mt-2 text-sm text-blue-600 hover:underline">+ {t('design.addItem')}</button>
+            <p className="text-xs text-gray-500 mt-1">
+              {t('design.itemsHelp')}
+            </p>
+          </div>
+
+          <div className="overflow-x-auto">
+            <h3 className="text-lg font-medium mb-2 text-blue-700">{t('design.conditions')}</h3>
+            <table className="text-sm text-left text-gray-600">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">{t('design.columns.name')}</th>
+                  <th className="px-2 py-2">{t('design.columns.onset')}</th>
+                  <th className="px-2 py-2">{t('design.columns.progress')}</th>
+                  <td className="px-2 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.conditions.map((condition, index) => (
+                  <tr key={index} className="border-b">
+                    <td className="px-2 py-2">
+                      <input type="text" value={condition.label} aria-label={cellLabel(t('design.newCondition', { number: index + 1 }), 'name')} onChange={(e) => updateCondition(index, 'label', e.target.value)} className={inputClass} />
+                    </td>
+                    <td className="px-2 py-2">{numberInput(condition.onset, value => updateCondition(index, 'onset', value), cellLabel(t.label(condition.label), 'onset'))}</td>
+                    <td className="px-2 py-2">{numberInput(condition.progress, value => updateCondition(index, 'progress', value), cellLabel(t.label(condition.label), 'progress'))}</td>
+                    <td className="px-2 py-2">
+                      <button onClick={() => removeCondition(index)} aria-label={`${t('design.remove')} ${t.label(condition.label)}`} className="text-red-600 hover:underline">{t('design.remove')}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button onClick={addCondition} className="mt-2 text-sm text-blue-600 hover:underline">+ {t('design.addCondition')}</button>
+            <p className="text-xs text-gray-500 mt-1">
+              {t('design.conditionsHelp')}
+            </p>
+          </div>
+
+          <div role="group" aria-labelledby="design-contrast" className="flex flex-wrap gap-4 items-center text-sm text-gray-700">
+            <span id="design-contrast" className="font-medium">{t('design.contrast')}</span>
+            {[0, 1].map(position => (
+              <React.Fragment key={position}>
+                {position === 1 && <span>{t('design.minus')}</span>}
+                <select value={draft.contrast[position] || ''} aria-label={position === 0 ? t('design.contrastFirst') : t('design.contrastSecond')} onChange={(e) => updateContrast(position, e.target.value)} className={inputClass}>
+                  {draft.items.map(item => (
+                    <option key={item.id} value={item.id}>{t.label(item.label)}</option>
+                  ))}
+                </select>
+              </React.Fragment>
+            ))}
+          </div>
+
+          {errors.length > 0 && (
+            <div className="p-4 bg-red-50 rounded-lg">
+              {errors.map(error => (
+                <p key={error} className="text-sm text-red-700">{error}</p>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-4">
+            <button
+              onClick={() => onChange(draft)}
+              disabled={errors.length > 0 || !changed}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('design.apply')}
+            </button>
+            <button
+              onClick={() => setDraft(defaultDesign)}
+              className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium"
+            >
+              {t('design.reset')}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            {t('design.matchingHelp')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DesignEditor;
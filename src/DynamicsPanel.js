@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceDot } from 'recharts';
+import { runDynamics, defaultDynamicsSettings, conditionStep } from './dynamics';
+import { useTranslation } from './i18n/LanguageProvider';
+import Slider from './Slider';
+import ChartTable from './ChartTable';
+
+const stateColors = ['#2563EB', '#DC2626', '#7C3AED', '#059669', '#D97706'];
+// Lines differ in dash as well as colour, for readers who cannot tell the colours apart
+const lineDashes = ['', '8 4', '2 3', '8 3 2 3', '4 4'];
+
+const DynamicsPanel = ({ model, parameters, humanData, design }) => {
+  const [settings, setSettings] = useState(defaultDynamicsSettings);
+  const { t } = useTranslation();
+
+  const trajectory = runDynamics(model, parameters, settings, design.items);
+  const lastStep = settings.steps - 1;
+  const stateEntries = Object.entries(model.stateLabels(design.items));
+  const humanPoints = design.conditions.flatMap(condition => {
+    const row = humanData.find(humanRow => humanRow.condition === condition.label);
+    return row ? [{ x: conditionStep(trajectory, condition), row }] : [];
+  });
+
+  const controls = [
+    { key: 'steps', label: t('dynamics.steps'), min: 10, max: 60, step: 1 },
+    { key: 'choiceStep', label: t('dynamics.choiceStep'), min: 2, max: settings.steps - 2, step: 1 },
+    ...(model.dynamicsRate ? [] : [{ key: 'transitionRate', label: t('dynamics.transitionRate'), min: 0.05, max: 1, step: 0.05 }])
+  ];
+
+  const updateSetting = (key, value) => {
+    const next = { ...settings, [key]: value };
+    next.choiceStep = Math.min(next.choiceStep, next.steps - 2);
+    setSettings(next);
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('dynamics.title')}</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {controls.map(control => (
+          <Slider
+            key={control.key}
+            label={control.label}
+            value={settings[control.key]}
+            min={control.min}
+            max={control.max}
+            step={control.step}
+            onChange={(value) => updateSetting(control.key, value)}
+          />
+        ))}
+      </div>
+      {model.dynamicsRate && (
+        <p className="text-xs text-gray-500 mb-4">
+          {t('dynamics.modelRate', { rate: t.number(model.dynamicsRate(parameters), 2) })}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-md font-medium mb-2 text-gray-700">{t('dynamics.ratings')}</h3>
+          <div role="img" aria-label={t('dynamics.ratingsDescription')}>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={trajectory}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="step" type="number" domain={[0, lastStep]} />
+                <YAxis domain={['auto', 'auto']} />
+                <Tooltip />
+                <Legend />
+                <ReferenceLine x={settings.choiceStep - 0.5} stroke="#6B7280" strokeDasharray="4 4" label={t('dynamics.choice')} />
+                {design.items.map((item, index) => (
+                  <Line
+                    key={item.id}
+                    type="monotone"
+                    dataKey={item.id}
+                    stroke={item.color}
+                    strokeWidth={2}
+                    strokeDasharray={lineDashes[index % lineDashes.length]}
+                    name={t.label(item.label)}
+                    dot={false}
+                  />
+                ))}
+                {humanPoints.flatMap(({ x, row }) =>
+                  design.items
+                    .filter(item => Number.isFinite(row[item.id]))
+                    .map(item => (
+                      <ReferenceDot key={`${row.condition}-${item.id}`} x={x} y={row[item.id]} r={6} fill={item.color} stroke="#111827" />
+                    ))
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartTable
+            caption={t('dynamics.ratings')}
+            columns={[t('dynamics.step'), ...design.items.map(item => t.label(item.label))]}
+            rows={trajectory.map(row => [row.step, ...design.items.map(item => row[item.id])])}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {t('dynamics.humanHelp')}
+          </p>
+        </div>
+        <div>
+          <h3 className="text-md font-medium mb-2 text-gray-700">{t('dynamics.state')}</h3>
+          <div role="img" aria-label={t('dynamics.stateDescription')}>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={trajectory}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="step" type="number" domain={[0, lastStep]} />
+                <YAxis domain={['auto', 'auto']} />
+                <Tooltip />
+                <Legend />
+                <ReferenceLine x={settings.choiceStep - 0.5} stroke="#6B7280" strokeDasharray="4 4" />
+                {stateEntries.map(([key, label], index) => (
+                  <Line
+                    key={key}
+                    type="monotone"
+                    dataKey={key}
+                    stroke={stateColors[index % stateColors.length]}
+                    strokeDasharray={lineDashes[index % lineDashes.length]}
+                    name={label}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartTable
+            caption={t('dynamics.state')}
+            columns={[t('dynamics.step'), ...stateEntries.map(([, label]) => label)]}
+            rows={trajectory.map(row => [row.step, ...stateEntries.map(([key]) => row[key])])}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DynamicsPanel;
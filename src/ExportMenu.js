@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { resultsToCsv, resultsToJson, reportToMarkdown, reportToJson, chartToSvg, svgToPng } from './exporters';
+import { downloadFile } from './download';
+import { useTranslation } from './i18n/LanguageProvider';
+
+const ExportMenu = ({
+  interpretation,
+  parameters,
+  datasetName,
+  humanData,
+  simulationData,
+  design,
+  buildReport,
+  charts
+}) => {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+
+  const baseName = `self-control-${interpretation}`;
+
+  const exportResultsCsv = () => {
+    downloadFile(`${baseName}-results.csv`, resultsToCsv(humanData, simulationData, design), 'text/csv');
+  };
+
+  const exportResultsJson = () => {
+    downloadFile(
+      `${baseName}-results.json`,
+      resultsToJson({ interpretation, parameters, datasetName, humanData, simulationData, design, report: buildReport() }),
+      'application/json'
+    );
+  };
+
+  const exportReport = (format) => {
+    const report = buildReport();
+    if (format === 'json') {
+      downloadFile(`${baseName}-report.json`, reportToJson(report), 'application/json');
+      return;
+    }
+    downloadFile(`${baseName}-report.md`, reportToMarkdown(report, t), 'text/markdown');
+  };
+
+  const exportChart = async (chart, format) => {
+    setError('');
+    const svg = chartToSvg(chart.ref.current);
+    if (!svg) {
+      setError(t('exportMenu.chartMissing', { chart: chart.label }));
+      return;
+    }
+    if (format === 'svg') {
+      downloadFile(`${baseName}-${chart.id}.svg`, svg, 'image/svg+xml');
+      return;
+    }
+    try {
+      downloadFile(`${baseName}-${chart.id}.png`, await svgToPng(svg), 'image/png');
+    } catch (pngError) {
+      setError(t(`exportMenu.${pngError.message}`, {}, pngError.message));
+    }
+  };
+
+  const itemClass = 'block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100';
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="px-6 py-3 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors font-medium"
+      >
+        {t('exportMenu.button')} ▾
+      </button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-64 bg-white rounded-lg shadow-lg border border-gray-200 py-1">
+          <p className="px-4 pt-2 text-xs font-semibold text-gray-500 uppercase">{t('exportMenu.data')}</p>
+          <button onClick={exportResultsCsv} className={itemClass}>{t('exportMenu.results')} (CSV)</button>
+          <button onClick={exportResultsJson} className={itemClass}>{t('exportMenu.results')} (JSON)</button>
+          <p className="px-4 pt-2 text-xs font-semibold text-gray-500 uppercase">{t('exportMenu.report')}</p>
+          <button onClick={() => exportReport('markdown')} className={itemClass}>{t('exportMenu.analysisReport')} (Markdown)</button>
+          <button onClick={() => exportReport('json')} className={itemClass}>{t('exportMenu.analysisReport')} (JSON)</button>
+          <p className="px-4 pt-2 text-xs font-semibold text-gray-500 uppercase">{t('exportMenu.charts')}</p>
+          {charts.map(chart => (
+            <React.Fragment key={chart.id}>
+              <button onClick={() => exportChart(chart, 'svg')} className={itemClass}>{chart.label} (SVG)</button>
+              <button onClick={() => exportChart(chart, 'png')} className={itemClass}>{chart.label} (PNG)</button>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
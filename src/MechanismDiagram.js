@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { nodeValues, changeDirections, layoutGraph } from './mechanism';
+import { ratingNodeId } from './models/shared';
+import { useTranslation } from './i18n/LanguageProvider';
+
+const signColors = { 1: '#16A34A', '-1': '#DC2626', 0: '#9CA3AF' };
+const kindStyles = {
+  parameter: { fill: '#EFF6FF', stroke: '#3B82F6' },
+  intermediate: { fill: '#F5F3FF', stroke: '#8B5CF6' },
+  rating: { fill: '#FFFFFF', stroke: '#374151' }
+};
+const directionMarks = { 1: '▲', '-1': '▼' };
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const MechanismDiagram = ({ model, parameters, design }) => {
+  const [conditionIndex, setConditionIndex] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const { t } = useTranslation();
+
+  const formatValue = (value) => t.number(value, Math.abs(value) >= 10 ? 1 : 3);
+
+  const condition = design.conditions[Math.min(conditionIndex, design.conditions.length - 1)];
+  const graph = layoutGraph(model.causalGraph(design.items));
+  const values = nodeValues(model, parameters, condition, design.items);
+  const defaults = nodeValues(model, model.defaults, condition, design.items);
+  const directions = changeDirections(values, defaults);
+  const selected = graph.nodes.find(node => node.id === selectedId);
+
+  const strokeFor = (node) => {
+    const item = design.items.find(candidate => ratingNodeId(candidate.id) === node.id);
+    return item ? item.color : kindStyles[node.kind].stroke;
+  };
+  const labelFor = (id) => graph.nodes.find(node => node.id === id).label;
+  const inputs = (id, sign) => graph.edges.filter(edge => edge.to === id && edge.sign === sign).map(edge => labelFor(edge.from));
+  const toggleNode = (id) => setSelectedId(id === selectedId ? null : id);
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('mechanism.title')}</h2>
+      <p className="text-sm text-gray-600 mb-4">{t('mechanism.intro')}</p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {design.conditions.map((entry, index) => (
+          <button
+            key={entry.label}
+            onClick={() => setConditionIndex(index)}
+            className={`px-3 py-1 rounded-lg text-sm font-medium border ${entry === condition ? 'bg-indigo-600 text-white border-indigo-600' : 'text-indigo-700 border-indigo-300 hover:bg-indigo-50'}`}
+          >
+            {t.label(entry.label)}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <svg
+          viewBox={`0 0 ${graph.width} ${graph.height}`}
+          width="100%"
+          style={{ minWidth: graph.width * 0.75 }}
+          role="group"
+          aria-label={t('mechanism.diagramLabel', { model: model.shortTitle, condition: t.label(condition.label) })}
+        >
+          <defs>
+            {Object.entries(signColors).map(([sign, color]) => (
+              <marker key={sign} id={`mechanism-arrow-${sign}`} viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+              </marker>
+            ))}
+          </defs>
+
+          {graph.edges.map(edge => {
+            const active = directions[edge.from] !== 0 && directions[edge.to] !== 0;
+            const touchesSelection = selectedId && (edge.from === selectedId || edge.to === selectedId);
+            return (
+              <path
+                key={`${edge.from}-${edge.to}`}
+                d={edge.path}
+                fill="none"
+                stroke={signColors[edge.sign]}
+                strokeWidth={active || touchesSelection ? 2.5 : 1.2}
+                strokeOpacity={active || touchesSelection ? 1 : 0.45}
+                strokeDasharray={edge.sign === 0 ? '4 3' : undefined}
+                markerEnd={`url(#mechanism-arrow-${edge.sign})`}
+              />
+            );
+          })}
+
+          {graph.nodes.map(node => {
+            const direction = directions[node.id];
+            return (
+              <g
+                key={node.id}
+                transform={`translate(${node.x}, ${node.y})`}
+                role="button"
+                tabIndex={0}
+                aria-label={`${node.label}: ${formatValue(values[node.id])}`}
+                aria-pressed={node.id === selectedId}
+                onClick={() => toggleNode(node.id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggleNode(node.id);
+                  }
+                }}
+                style={{ cursor: 'pointer' }}
+              >
+                <title>{`${node.label}: ${formatValue(values[node.id])}`}</title>
+                <rect
+                  width={graph.nodeWidth}
+                  height={graph.nodeHeight}
+                  rx="6"
+                  fill={kindStyles[node.kind].fill}
+                  stroke={strokeFor(node)}
+                  strokeWidth={node.id === selectedId || direction !== 0 ? 2.5 : 1}
+                />
+                <text x="8" y="17" fontSize="11" fill="#374151">{truncate(node.label, 24)}</text>
+                <text x="8" y="35" fontSize="13" fontWeight="600" fill="#111827">{formatValue(values[node.id])}</text>
+                {direction !== 0 && (
+                  <text x={graph.nodeWidth - 8} y="35" fontSize="12" textAnchor="end" fill={signColors[direction]}>
+                    {directionMarks[direction]} {formatValue(defaults[node.id])}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2">
+        {t('mechanism.legend')}
+      </p>
+
+      {selected && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg text-sm text-gray-700">
+          <p className="font-medium text-gray-800">
+            {selected.label}: {formatValue(values[selected.id])}
+            <span className="text-gray-500 font-normal"> {t('mechanism.defaults', { value: formatValue(defaults[selected.id]) })}</span>
+          </p>
+          <p className="mt-1">{selected.description}</p>
+          {[[1, t('mechanism.raisedBy')], [-1, t('mechanism.loweredBy')], [0, t('mechanism.blends')]].map(([sign, title]) => {
+            const names = inputs(selected.id, sign);
+            return names.length > 0 && <p key={sign} className="mt-1 text-gray-600">{title}: {names.join(', ')}</p>;
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MechanismDiagram;
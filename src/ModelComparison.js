@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { fitParameters, computeRMSE, computePreferenceGaps, computeInformationCriteria } from './fitting';
+import { matchedCells } from './design';
+import { useTranslation } from './i18n/LanguageProvider';
+import ChartPatterns, { patternFill } from './ChartPatterns';
+import ChartTable from './ChartTable';
+
+const modelColors = ['#3B82F6', '#8B5CF6', '#F59E0B', '#EC4899', '#10B981'];
+
+const ModelComparison = ({
+  models,
+  humanData,
+  design,
+  selectedInterpretation,
+  parameters,
+  fitResults,
+  onFitResult
+}) => {
+  const [parameterSource, setParameterSource] = useState('current');
+  const [fittingModel, setFittingModel] = useState(null);
+  const { t } = useTranslation();
+
+  // Current parameters are the live sliders for the selected interpretation
+  // and the defaults for the others
+  const parametersFor = (model) => {
+    if (parameterSource === 'fit' && fitResults[model.id]) {
+      return { params: fitResults[model.id].params, source: 'fit' };
+    }
+    const hasCurrent = model.parameters.every(config => config.key in parameters);
+    if (model.id === selectedInterpretation && hasCurrent) {
+      return { params: parameters, source: 'current' };
+    }
+    return { params: model.defaults, source: 'default' };
+  };
+
+  const rows = models.map(model => {
+    const { params, source } = parametersFor(model);
+    const simulated = model.simulate(params, design);
+    const parameterCount = model.parameters.length;
+    return {
+      model,
+      source,
+      simulated,
+      parameterCount,
+      rmse: computeRMSE(simulated, humanData, design),
+      gaps: computePreferenceGaps(simulated, design),
+      ...computeInformationCriteria(simulated, humanData, parameterCount, design)
+    };
+  });
+
+  const humanGaps = computePreferenceGaps(humanData, design);
+  // AIC and BIC need more covered cells than any model has parameters
+  const cellCount = matchedCells(humanData, humanData, design).length;
+  const maxParameterCount = Math.max(...rows.map(row => row.parameterCount));
+  const showCriteria = cellCount > maxParameterCount;
+  const bestAic = Math.min(...rows.map(row => row.aic));
+  const bestBic = Math.min(...rows.map(row => row.bic));
+
+  const chartData = design.conditions.flatMap((condition, row) => {
+    const humanRow = humanData.find(humanCells => humanCells.condition === condition.label) || {};
+    return design.items.map(item => ({
+      cell: `${t.label(condition.label)} · ${t.label(item.label)}`,
+      human: humanRow[item.id],
+      ...rows.reduce((values, { model, simulated }) => ({ ...values, [model.id]: simulated[row][item.id] }), {})
+    }));
+  });
+  const chartSeries = [
+    { key: 'human', name: t('comparison.human'), color: '#6B7280' },
+    ...models.map((model, index) => ({ key: model.id, name: model.shortTitle, color: modelColors[index % modelColors.length] }))
+  ];
+  const formatGap = (gap) => t.number(gap, 1);
+
+  const contrastLabels = design.contrast.map(id => t.label(design.items.find(item => item.id === id).label));
+  const missingFits = models.filter(model => !fitResults[model.id]);
+
+  const fitMissingModels = async () => {
+    for (const model of missingFits) {
+      setFittingModel(model);
+      const result = await fitParameters(model.simulate, model.parameters, humanData, { design, t });
+      onFitResult(model.id, { ...result, gapWeight: 0 });
+    }
+    setFittingModel(null);
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('comparison.title')}</h2>
+
+      <div role="radiogroup" aria-labelledby="comparison-parameter-source" className="mb-4 flex flex-wrap gap-4 items-center">
+        <span id="comparison-parameter-source" className="text-sm font-medium text-gray-700">{t('comparison.parameters')}</span>
+        {[['current', t('comparison.current')], ['fit', t('comparison.bestFit')]].map(([value, label]) => (
+          <label key={value} className="text-sm text-gray-600 flex items-center gap-1">
+            <input
+              type="radio"
+              name="comparison-parameter-source"
+              value={value}
+              checked={parameterSource === value}
+              onChange={() => setParameterSource(value)}
+            />
+            {label}
+          </label>
+        ))}
+        {parameterSource === 'fit' && missingFits.length > 0 && matchedCells(humanData, humanData, design).length > 0 && (
+          <button
+            onClick={fitMissingModels}
+            disabled={fittingModel !== null}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {fittingModel ? t('comparison.fitting', { model: fittingModel.title }) : t('comparison.fitMissing', { count: missingFits.length })}
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <div role="img" aria-label={t('comparison.chartDescription')}>
+            <ResponsiveContainer width="100%" height={320}>
+              <BarChart data={chartData}>
+                <ChartPatterns prefix="comparison-pattern" series={chartSeries} />
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="cell" tick={{ fontSize: 11 }} />
+                <YAxis domain={[60, 120]} />
+                <Tooltip />
+                <Legend />
+                {chartSeries.map((series, index) => (
+                  <Bar key={series.key} dataKey={series.key} fill={patternFill('comparison-pattern', index)} name={series.name} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartTable
+            caption={t('comparison.title')}
+            columns={[t('comparison.cell'), ...chartSeries.map(series => series.name)]}
+            rows={chartData.map(cell => [cell.cell, ...chartSeries.map(series => cell[series.key])])}
+          />
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-gray-600">
+            <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+              <tr>
+                <th className="px-2 py-2">{t('comparison.model')}</th>
+                <th className="px-2 py-2">k</th>
+                <th className="px-2 py-2">RMSE</th>
+                {design.conditions.map(condition => (
+                  <th key={condition.label} className="px-2 py-2">{t('comparison.gap', { condition: t.label(condition.label) })}</th>
+                ))}
+                {showCriteria && (
+                  <>
+                    <th className="px-2 py-2">AIC</th>
+                    <th className="px-2 py-2">BIC</th>
+                  </>
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b">
+                <td className="px-2 py-2 font-medium text-gray-800">{t('comparison.human')}</td>
+                <td className="px-2 py-2">–</td>
+                <td className="px-2 py-2">–</td>
+                {design.conditions.map(condition => (
+                  <td key={condition.label} className="px-2 py-2">{formatGap(humanGaps[condition.label])}</td>
+                ))}
+                {showCriteria && (
+                  <>
+                    <td className="px-2 py-2">–</td>
+                    <td className="px-2 py-2">–</td>
+                  </>
+                )}
+              </tr>
+              {rows.map(row => (
+                <tr key={row.model.id} className="border-b">
+                  <td className="px-2 py-2 font-medium text-gray-800">
+                    {row.model.shortTitle}
+                    <span className="block text-xs font-normal text-gray-500">{t(`comparison.sources.${row.source}`)}</span>
+                  </td>
+                  <td className="px-2 py-2">{row.parameterCount}</td>
+                  <td className="px-2 py-2">{t.number(row.rmse, 2)}</td>
+                  {design.conditions.map(condition => (
+                    <td key={condition.label} className="px-2 py-2">{formatGap(row.gaps[condition.label])}</td>
+                  ))}
+                  {showCriteria && (
+                    <>
+                      <td className={`px-2 py-2 ${row.aic === bestAic ? 'font-semibold text-green-700' : ''}`}>{t.number(row.aic, 1)}</td>
+                      <td className={`px-2 py-2 ${row.bic === bestBic ? 'font-semibold text-green-700' : ''}`}>{t.number(row.bic, 1)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            {t(showCriteria ? 'comparison.help' : 'comparison.helpRmseOnly', { first: contrastLabels[0], second: contrastLabels[1] })}
+          </p>
+          {!showCriteria && (
+            <p className="mt-2 p-2 bg-yellow-50 rounded-lg text-xs text-yellow-800">
+              {t('comparison.criteriaHidden', { cells: cellCount, parameters: maxParameterCount })}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModelComparison;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import ModelComparison from './ModelComparison';
+import { defaultDesign } from './design';
+import { listModels } from './models';
+import { LanguageProvider } from './i18n/LanguageProvider';
+
+// Recharts' ResponsiveContainer measures its parent with ResizeObserver
+global.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+const human = [
+  { condition: 'Before Choice', granola: 100, chocolate: 75 },
+  { condition: 'After Choice', granola: 90, chocolate: 90 }
+];
+
+// One free parameter, so four human cells are enough for AIC and BIC
+const shiftModel = (id, granola) => ({
+  id,
+  title: id,
+  shortTitle: id,
+  parameters: [{ key: 'shift', label: 'Shift', min: 0, max: 10, step: 1 }],
+  defaults: { shift: 0 },
+  simulate: ({ shift }) => [
+    { condition: 'Before Choice', granola: granola + shift, chocolate: 75 },
+    { condition: 'After Choice', granola: 90, chocolate: 90 }
+  ]
+});
+
+const renderComparison = (models) => render(
+  <LanguageProvider initialLanguage="en">
+    <ModelComparison
+      models={models}
+      humanData={human}
+      design={defaultDesign}
+      selectedInterpretation=""
+      parameters={{}}
+      fitResults={{}}
+      onFitResult={jest.fn()}
+    />
+  </LanguageProvider>
+);
+
+const cellsOf = (name) => within(screen.getByRole('row', { name: new RegExp(`^${name}`) }))
+  .getAllByRole('cell')
+  .map(cell => cell.textContent);
+
+describe('ModelComparison', () => {
+  it('ranks the interpretations by RMSE, gaps, AIC and BIC', () => {
+    renderComparison([shiftModel('Close', 102), shiftModel('Far', 106)]);
+
+    expect(screen.getByRole('columnheader', { name: 'AIC' })).toBeTruthy();
+    // RSS 4 and 36 over four cells with k = 1
+    expect(cellsOf('Close')).toEqual(['Closedefault', '1', '1.00', '27.0', '0.0', '2.0', '1.4']);
+    expect(cellsOf('Far')).toEqual(['Fardefault', '1', '3.00', '31.0', '0.0', '10.8', '10.2']);
+    expect(screen.queryByText(/AIC and BIC are hidden/)).toBeNull();
+  });
+
+  it('compares by RMSE only when the cells do not outnumber the parameters', () => {
+    renderComparison(listModels());
+
+    expect(screen.queryByRole('columnheader', { name: 'AIC' })).toBeNull();
+    expect(screen.getByText(/^AIC and BIC are hidden: the human data covers 4 cell\(s\), no more than the \d+ free parameters/)).toBeTruthy();
+    expect(cellsOf('Human')).toEqual(['Human', '–', '–', '25.0', '0.0']);
+  });
+});
@@ -0,0 +1,107 @@
+import React from 'react';
+import { useTranslation } from './i18n/LanguageProvider';
+
+// APA style, without the leading zero; statistics that are undefined
+// (no variation at all) show as a dash
+const formatP = (p, t) => {
+  if (Number.isNaN(p)) return '–';
+  return p < 0.001 ? `< ${t.number(0.001, 3).replace(/^0/, '')}` : `= ${t.number(p, 3).replace(/^0/, '')}`;
+};
+
+const formatStatistic = (value, digits, t) => (Number.isNaN(value) ? '–' : t.number(value, digits));
+
+const PopulationStats = ({ stats, design }) => {
+  const { t } = useTranslation();
+  const [first, second] = design.contrast.map(id => design.items.find(item => item.id === id));
+
+  return (
+    <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="overflow-x-auto">
+        <h3 className="text-md font-semibold mb-2 text-gray-700">{t('population.descriptives')}</h3>
+        <table className="w-full text-sm text-left text-gray-600">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+            <tr>
+              <th className="px-2 py-2">{t('report.columns.condition')}</th>
+              <th className="px-2 py-2">{t('report.columns.item')}</th>
+              <th className="px-2 py-2">M</th>
+              <th className="px-2 py-2">{t('posterior.columns.sd')}</th>
+              <th className="px-2 py-2">{t('population.ci')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.cells.flatMap(cell =>
+              design.items.map(({ id, label }) => (
+                <tr key={`${cell.condition}-${id}`} className="border-b">
+                  <td className="px-2 py-2">{t.label(cell.condition)}</td>
+                  <td className="px-2 py-2">{t.label(label)}</td>
+                  <td className="px-2 py-2">{t.number(cell[id], 2)}</td>
+                  <td className="px-2 py-2">{t.number(cell[`${id}SD`], 2)}</td>
+                  <td className="px-2 py-2">[{t.number(cell[`${id}CI`][0], 1)}; {t.number(cell[`${id}CI`][1], 1)}]</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-2">{t('population.sampleSize', { n: stats.cells[0].n })}</p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <h3 className="text-md font-semibold mb-2 text-gray-700">{t('population.anova')}</h3>
+        <table className="w-full text-sm text-left text-gray-600 mb-4">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+            <tr>
+              <th className="px-2 py-2">{t('population.effect')}</th>
+              <th className="px-2 py-2">F</th>
+              <th className="px-2 py-2">p</th>
+              <th className="px-2 py-2">η²p</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(stats.anova).map(([effect, { F, df, p, partialEtaSquared }]) => (
+              <tr key={effect} className="border-b">
+                <td className="px-2 py-2">{t(`population.effects.${effect}`)}</td>
+                <td className="px-2 py-2">F({df[0]}, {df[1]}) = {formatStatistic(F, 2, t)}</td>
+                <td className={`px-2 py-2 ${p < 0.05 ? 'font-semibold text-green-700' : ''}`}>p {formatP(p, t)}</td>
+                <td className="px-2 py-2">{formatStatistic(partialEtaSquared, 3, t)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h3 className="text-md font-semibold mb-2 text-gray-700">{t('population.pairedTests', { first: t.label(first.label), second: t.label(second.label) })}</h3>
+        <table className="w-full text-sm text-left text-gray-600">
+          <tbody>
+            {stats.simpleEffects.map(({ condition, t: tValue, df, p, d }) => (
+              <tr key={condition} className="border-b">
+                <td className="px-2 py-2">{t.label(condition)}</td>
+                <td className="px-2 py-2">t({df}) = {formatStatistic(tValue, 2, t)}</td>
+                <td className={`px-2 py-2 ${p < 0.05 ? 'font-semibold text-green-700' : ''}`}>p {formatP(p, t)}</td>
+                <td className="px-2 py-2">d = {formatStatistic(d, 2, t)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {stats.gapComparisons.length > 0 && (
+          <>
+            <h3 className="text-md font-semibold mt-4 mb-2 text-gray-700">{t('population.gapTests', { first: t.label(first.label), second: t.label(second.label) })}</h3>
+            <table className="w-full text-sm text-left text-gray-600">
+              <tbody>
+                {stats.gapComparisons.map(({ conditions, t: tValue, df, p, d }) => (
+                  <tr key={conditions.join()} className="border-b">
+                    <td className="px-2 py-2">{t('population.versus', { first: t.label(conditions[0]), second: t.label(conditions[1]) })}</td>
+                    <td className="px-2 py-2">t({df}) = {formatStatistic(tValue, 2, t)}</td>
+                    <td className={`px-2 py-2 ${p < 0.05 ? 'font-semibold text-green-700' : ''}`}>p {formatP(p, t)}</td>
+                    <td className="px-2 py-2">d = {formatStatistic(d, 2, t)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PopulationStats;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  BarChart, Bar, ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ErrorBar
+} from 'recharts';
+import { defaultPosteriorSettings, histogram } from './posterior';
+import { correlation } from './statistics';
+import { createPosteriorWorker } from './workers';
+import { useTranslation } from './i18n/LanguageProvider';
+import Slider from './Slider';
+import ChartTable from './ChartTable';
+
+const settingControls = [
+  { key: 'chains', min: 2, max: 8, step: 1 },
+  { key: 'iterations', min: 1000, max: 20000, step: 1000 },
+  { key: 'burnIn', min: 200, max: 5000, step: 100 },
+  { key: 'observationSD', min: 1, max: 20, step: 0.5 }
+];
+
+const maxScatterPoints = 1000;
+
+const PosteriorPanel = ({ model, humanData, design }) => {
+  const [settings, setSettings] = useState(defaultPosteriorSettings);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [xKey, setXKey] = useState(model.parameters[0].key);
+  const [yKey, setYKey] = useState(model.parameters[1].key);
+  const workerRef = useRef(null);
+  const { t } = useTranslation();
+
+  const stopWorker = () => {
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+    setProgress(null);
+  };
+
+  // A posterior only describes the data and design it was sampled with
+  useEffect(() => {
+    setResult(null);
+  }, [humanData, design]);
+
+  useEffect(() => () => workerRef.current && workerRef.current.terminate(), []);
+
+  const runSampler = () => {
+    stopWorker();
+    setError('');
+    setResult(null);
+    setProgress(0);
+
+    const worker = createPosteriorWorker();
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress(data.fraction);
+      } else if (data.type === 'done') {
+        setResult(data.result);
+        stopWorker();
+      } else if (data.type === 'error') {
+        setError(t(`errors.${data.code}`, data.values));
+        stopWorker();
+      }
+    };
+    worker.onerror = (event) => {
+      setError(event.message || t('posterior.stopped'));
+      stopWorker();
+    };
+    worker.postMessage({ interpretation: model.id, humanData, design, settings });
+  };
+
+  const updateSetting = (key, value) => {
+    const next = { ...settings, [key]: value };
+    next.burnIn = Math.min(next.burnIn, next.iterations - 500);
+    setSettings(next);
+  };
+
+  const configFor = (key) => model.parameters.find(config => config.key === key);
+  const running = progress !== null;
+
+  const scatterStride = result ? Math.max(1, Math.floor(result.samples.length / maxScatterPoints)) : 1;
+  const scatterData = result
+    ? result.samples.filter((_, index) => index % scatterStride === 0).map(sample => ({ x: sample[xKey], y: sample[yKey] }))
+    : [];
+
+  const marginals = result
+    ? Object.fromEntries(model.parameters.map(config => [
+      config.key,
+      histogram(result.samples.map(sample => sample[config.key]), config.min, config.max)
+    ]))
+    : {};
+
+  const predictiveData = result
+    ? design.conditions.flatMap((condition, row) => {
+      const humanRow = humanData.find(humanCells => humanCells.condition === condition.label) || {};
+      return design.items.map(item => ({
+        cell: `${t.label(condition.label)} · ${t.label(item.label)}`,
+        human: humanRow[item.id],
+        predicted: result.predictive[row][item.id],
+        interval: result.predictive[row][`${item.id}Interval`]
+      }));
+    })
+    : [];
+
+  const selectClass = 'ml-2 p-1 border border-gray-300 rounded text-sm';
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('posterior.title')}</h2>
+      <p className="text-sm text-gray-600 mb-4">{t('posterior.intro')}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {settingControls.map(control => (
+          <Slider
+            key={control.key}
+            label={t(`posterior.settings.${control.key}`)}
+            value={settings[control.key]}
+            min={control.min}
+            max={control.max}
+            step={control.step}
+            disabled={running}
+            onChange={(value) => updateSetting(control.key, value)}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4 items-center mb-4">
+        <button
+          onClick={runSampler}
+          disabled={running}
+          className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {running ? t('posterior.running') : t('posterior.run')}
+        </button>
+        {running && (
+          <button onClick={stopWorker} className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium">
+            {t('posterior.cancel')}
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(progress * 100)}
+          aria-label={t('posterior.title')}
+          className="w-full h-2 bg-gray-200 rounded-lg mb-4"
+        >
+          <div className="h-2 bg-purple-600 rounded-lg" style={{ width: `${Math.round(progress * 100)}%` }} />
+        </div>
+      )}
+      {error && <p className="text-sm text-red-700 mb-4">{error}</p>}
+
+      {result && (
+        <>
+          <div className="overflow-x-auto mb-2">
+            <table className="w-full text-sm text-left text-gray-600">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">{t('posterior.columns.parameter')}</th>
+                  <th className="px-2 py-2">{t('posterior.columns.mean')}</th>
+                  <th className="px-2 py-2">{t('posterior.columns.sd')}</th>
+                  <th className="px-2 py-2">{t('posterior.columns.interval')}</th>
+                  <th className="px-2 py-2">{t('posterior.columns.shrinkage')}</th>
+                  <th className="px-2 py-2">R-hat</th>
+                  <th className="px-2 py-2">ESS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.summary.map(parameter => (
+                  <tr key={parameter.key} className="border-b">
+                    <td className="px-2 py-2 font-medium text-gray-800">{(configFor(parameter.key) || parameter).label}</td>
+                    <td className="px-2 py-2">{t.number(parameter.mean, 3)}</td>
+                    <td className="px-2 py-2">{t.number(parameter.sd, 3)}</td>
+                    <td className="px-2 py-2">[{t.number(parameter.low, 3)}; {t.number(parameter.high, 3)}]</td>
+                    <td className={`px-2 py-2 ${parameter.shrinkage >= 0.5 ? 'font-semibold text-green-700' : ''}`}>{t.number(parameter.shrinkage, 2)}</td>
+                    <td className={`px-2 py-2 ${parameter.rHat > 1.1 ? 'font-semibold text-red-700' : ''}`}>{t.number(parameter.rHat, 3)}</td>
+                    <td className={`px-2 py-2 ${parameter.ess < 100 ? 'font-semibold text-orange-600' : ''}`}>{Math.round(parameter.ess)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mb-6">
+            {t('posterior.summaryHelp', {
+              draws: result.samples.length.toLocaleString(t.locale),
+              chains: result.chainCount,
+              acceptance: result.acceptanceRates.map(rate => `${Math.round(rate * 100)}%`).join(', ')
+            })}
+          </p>
+
+          <h3 className="text-md font-medium mb-2 text-gray-700">{t('posterior.marginals')}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-8">
+            {model.parameters.map(config => (
+              <div key={config.key}>
+                <p className="text-sm text-gray-700 mb-1">{config.label}</p>
+                <div role="img" aria-label={t('posterior.marginalDescription', { parameter: config.label })}>
+                  <ResponsiveContainer width="100%" height={160}>
+                    <BarChart data={marginals[config.key]} barCategoryGap={1}>
+                      <XAxis dataKey="x" tick={{ fontSize: 10 }} />
+                      <YAxis hide />
+                      <Tooltip />
+                      <Bar dataKey="count" fill="#8B5CF6" name={t('posterior.draws')} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <ChartTable
+                  caption={config.label}
+                  columns={[config.label, t('posterior.draws')]}
+                  rows={marginals[config.key].map(bin => [bin.x, bin.count])}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-md font-medium mb-2 text-gray-700">{t('posterior.pairwise')}</h3>
+              <div className="flex flex-wrap gap-4 mb-2 text-sm text-gray-700">
+                {[[t('sensitivity.xAxis'), xKey, setXKey], [t('sensitivity.yAxis'), yKey, setYKey]].map(([label, value, setValue]) => (
+                  <label key={label}>
+                    {label}
+                    <select value={value} onChange={(e) => setValue(e.target.value)} className={selectClass}>
+                      {model.parameters.map(config => (
+                        <option key={config.key} value={config.key}>{config.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div
+                role="img"
+                aria-label={t('posterior.pairwiseDescription', {
+                  x: configFor(xKey).label,
+                  y: configFor(yKey).label,
+                  r: t.number(correlation(result.samples.map(sample => sample[xKey]), result.samples.map(sample => sample[yKey])), 2)
+                })}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <ScatterChart>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" dataKey="x" name={configFor(xKey).label} domain={[configFor(xKey).min, configFor(xKey).max]} />
+                    <YAxis type="number" dataKey="y" name={configFor(yKey).label} domain={[configFor(yKey).min, configFor(yKey).max]} />
+                    <ZAxis range={[12, 12]} />
+                    <Tooltip />
+                    <Scatter data={scatterData} fill="#8B5CF6" fillOpacity={0.4} />
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {t('posterior.pairwiseHelp')}
+              </p>
+            </div>
+            <div>
+              <h3 className="text-md font-medium mb-2 text-gray-700">{t('posterior.predictive')}</h3>
+              <div role="img" aria-label={t('posterior.predictiveDescription')}>
+                <ResponsiveContainer width="100%" height={340}>
+                  <BarChart data={predictiveData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="cell" tick={{ fontSize: 11 }} />
+                    <YAxis domain={[60, 120]} />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="human" fill="#6B7280" name={t('comparison.human')} />
+                    <Bar dataKey="predicted" fill="#8B5CF6" name={t('posterior.predicted')}>
+                      <ErrorBar dataKey="interval" width={6} strokeWidth={2} stroke="#374151" />
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <ChartTable
+                caption={t('posterior.predictive')}
+                columns={[t('comparison.cell'), t('comparison.human'), t('posterior.predictedMean'), t('posterior.intervalLow'), t('posterior.intervalHigh')]}
+                rows={predictiveData.map(cell => [cell.cell, cell.human, cell.predicted, cell.predicted - cell.interval[0], cell.predicted + cell.interval[1]])}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PosteriorPanel;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { defaultRecoverySettings, recoveryCriteria, confusionMatrix, parameterRecovery } from './recovery';
+import { createRecoveryWorker } from './workers';
+import { useTranslation } from './i18n/LanguageProvider';
+import Slider from './Slider';
+import ChartTable from './ChartTable';
+
+const settingControls = [
+  { key: 'datasetsPerModel', min: 2, max: 50, step: 1 },
+  { key: 'participantsPerCondition', min: 10, max: 200, step: 10 },
+  { key: 'ratingNoise', min: 0, max: 40, step: 1 },
+  { key: 'maxGridPoints', min: 500, max: 10000, step: 500 }
+];
+
+const RecoveryPanel = ({ models, design }) => {
+  const [settings, setSettings] = useState(defaultRecoverySettings);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [recoveryModelId, setRecoveryModelId] = useState(models[0].id);
+  const workerRef = useRef(null);
+  const { t } = useTranslation();
+
+  const stopWorker = () => {
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+    setProgress(null);
+  };
+
+  useEffect(() => {
+    setResult(null);
+  }, [design]);
+
+  useEffect(() => () => workerRef.current && workerRef.current.terminate(), []);
+
+  const runValidation = () => {
+    stopWorker();
+    setError('');
+    setResult(null);
+    setProgress(0);
+
+    const worker = createRecoveryWorker();
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress(data.fraction);
+      } else if (data.type === 'done') {
+        setResult(data.result);
+        stopWorker();
+      } else if (data.type === 'error') {
+        setError(t(`errors.${data.code}`, data.values));
+        stopWorker();
+      }
+    };
+    worker.onerror = (event) => {
+      setError(event.message || t('recovery.stopped'));
+      stopWorker();
+    };
+    worker.postMessage({ modelIds: models.map(model => model.id), settings, design });
+  };
+
+  const running = progress !== null;
+  const titleFor = (id) => (models.find(model => model.id === id) || { shortTitle: id }).shortTitle;
+  const matrix = result && confusionMatrix(result);
+  const recoveryModel = models.find(model => model.id === recoveryModelId) || models[0];
+  const recovery = result && parameterRecovery(result, recoveryModel);
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('recovery.title')}</h2>
+      <p className="text-sm text-gray-600 mb-4">{t('recovery.intro')}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {settingControls.map(control => (
+          <Slider
+            key={control.key}
+            label={t(`recovery.settings.${control.key}`)}
+            value={settings[control.key]}
+            min={control.min}
+            max={control.max}
+            step={control.step}
+            disabled={running}
+            onChange={(value) => setSettings({ ...settings, [control.key]: value })}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4 items-center mb-4">
+        <label className="text-sm font-medium text-gray-700">
+          {t('recovery.criterion')}
+          <select
+            value={settings.criterion}
+            disabled={running}
+            onChange={(e) => setSettings({ ...settings, criterion: e.target.value })}
+            className="ml-2 p-1 border border-gray-300 rounded text-sm"
+          >
+            {Object.entries(recoveryCriteria).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={runValidation}
+          disabled={running}
+          className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {running ? t('recovery.running') : t('recovery.run')}
+        </button>
+        {running && (
+          <button onClick={stopWorker} className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium">
+            {t('recovery.cancel')}
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(progress * 100)}
+          aria-label={t('recovery.title')}
+          className="w-full h-2 bg-gray-200 rounded-lg mb-4"
+        >
+          <div className="h-2 bg-purple-600 rounded-lg" style={{ width: `${Math.round(progress * 100)}%` }} />
+        </div>
+      )}
+      {error && <p className="text-sm text-red-700 mb-4">{error}</p>}
+
+      {result && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="overflow-x-auto">
+            <h3 className="text-md font-medium mb-2 text-gray-700">{t('recovery.modelRecovery')}</h3>
+            <table className="text-sm text-gray-600">
+              <thead className="text-xs text-gray-700 bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2 text-left">{t('recovery.matrixCorner')}</th>
+                  {result.modelIds.map(id => (
+                    <th key={id} className="px-2 py-2">{titleFor(id)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.modelIds.map(generator => (
+                  <tr key={generator} className="border-b">
+                    <th className="px-2 py-2 text-left font-medium text-gray-800">{titleFor(generator)}</th>
+                    {result.modelIds.map(winner => {
+                      const share = matrix.counts[generator][winner] / result.settings.datasetsPerModel;
+                      return (
+                        <td
+                          key={winner}
+                          className={`px-2 py-2 text-center ${generator === winner ? 'font-semibold' : ''}`}
+                          style={{ backgroundColor: `hsla(${generator === winner ? 140 : 0}, 70%, 50%, ${share * 0.6})` }}
+                        >
+                          {matrix.counts[generator][winner]}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              {t('recovery.accuracy', {
+                percent: Math.round(matrix.accuracy * 100),
+                runs: result.runs.length,
+                criterion: recoveryCriteria[result.settings.criterion],
+                noise: result.settings.ratingNoise,
+                participants: result.settings.participantsPerCondition
+              })}
+            </p>
+          </div>
+
+          <div>
+            <h3 className="text-md font-medium mb-2 text-gray-700">{t('recovery.parameterRecovery')}</h3>
+            <label className="block text-sm text-gray-700 mb-2">
+              {t('recovery.interpretation')}
+              <select value={recoveryModel.id} onChange={(e) => setRecoveryModelId(e.target.value)} className="ml-2 p-1 border border-gray-300 rounded text-sm">
+                {models.map(model => (
+                  <option key={model.id} value={model.id}>{model.shortTitle}</option>
+                ))}
+              </select>
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {recovery.map(parameter => (
+                <div key={parameter.key}>
+                  <p className="text-sm text-gray-700">
+                    {parameter.label} <span className="text-gray-500">(r = {t.number(parameter.r, 2)})</span>
+                  </p>
+                  <div role="img" aria-label={t('recovery.scatterDescription', { parameter: parameter.label, r: t.number(parameter.r, 2) })}>
+                    <ResponsiveContainer width="100%" height={180}>
+                      <ScatterChart>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" dataKey="true" name={t('recovery.true')} domain={[parameter.min, parameter.max]} tick={{ fontSize: 10 }} />
+                        <YAxis type="number" dataKey="recovered" name={t('recovery.recovered')} domain={[parameter.min, parameter.max]} tick={{ fontSize: 10 }} />
+                        <ZAxis range={[30, 30]} />
+                        <Tooltip />
+                        <ReferenceLine
+                          segment={[{ x: parameter.min, y: parameter.min }, { x: parameter.max, y: parameter.max }]}
+                          stroke="#9CA3AF"
+                          strokeDasharray="4 4"
+                        />
+                        <Scatter data={parameter.points} fill="#8B5CF6" />
+                      </ScatterChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <ChartTable
+                    caption={parameter.label}
+                    columns={[t('recovery.dataset'), t('recovery.true'), t('recovery.recovered')]}
+                    rows={parameter.points.map((point, index) => [index + 1, point.true, point.recovered])}
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              {t('recovery.scatterHelp')}
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecoveryPanel;
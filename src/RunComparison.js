@@ -0,0 +1,68 @@
+import React from 'react';
+import { runDiff, parameterChanges } from './history';
+import { useTranslation } from './i18n/LanguageProvider';
+
+// Current simulation against the pinned runs, cell by cell, with the
+// parameter changes that separate them
+const RunComparison = ({ simulationData, pinnedRuns, design, model, parameters, models }) => {
+  const { t } = useTranslation();
+  const rows = runDiff(simulationData, pinnedRuns, design);
+  const itemLabel = (id) => t.label(design.items.find(item => item.id === id).label);
+  const formatRating = (value) => (Number.isFinite(value) ? value.toLocaleString(t.locale) : '–');
+
+  return (
+    <div className="mt-6 overflow-x-auto">
+      <h3 className="text-md font-medium mb-2 text-gray-700">{t('runs.comparisonTitle')}</h3>
+      <table className="w-full text-sm text-left text-gray-600">
+        <thead className="text-xs text-gray-700 bg-gray-100">
+          <tr>
+            <th className="px-3 py-2">{t('report.columns.condition')}</th>
+            <th className="px-3 py-2">{t('report.columns.item')}</th>
+            <th className="px-3 py-2">{t('runs.current')}</th>
+            {pinnedRuns.map(run => (
+              <React.Fragment key={run.id}>
+                <th className="px-3 py-2">#{run.id}</th>
+                <th className="px-3 py-2">{t('runs.difference', { id: run.id })}</th>
+              </React.Fragment>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={`${row.condition}-${row.item}`} className="border-b">
+              <td className="px-3 py-2">{t.label(row.condition)}</td>
+              <td className="px-3 py-2">{itemLabel(row.item)}</td>
+              <td className="px-3 py-2 font-medium text-gray-800">{formatRating(row.current)}</td>
+              {row.pinned.map(entry => (
+                <React.Fragment key={entry.id}>
+                  <td className="px-3 py-2">{formatRating(entry.value)}</td>
+                  <td className={`px-3 py-2 ${entry.difference > 0 ? 'text-green-700' : entry.difference < 0 ? 'text-red-700' : ''}`}>
+                    {entry.difference === null ? '–' : t.signed(entry.difference, 1)}
+                  </td>
+                </React.Fragment>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ul className="mt-2 space-y-1 text-xs text-gray-600">
+        {pinnedRuns.map(run => {
+          if (run.interpretation !== model.id) {
+            const other = models.find(entry => entry.id === run.interpretation);
+            return <li key={run.id}>{t('runs.otherInterpretation', { id: run.id, interpretation: other ? other.shortTitle : run.interpretation })}</li>;
+          }
+          const changes = parameterChanges(model.parameters, run.parameters, parameters);
+          return (
+            <li key={run.id}>
+              {t('runs.since', { id: run.id })}: {changes.length
+                ? changes.map(change => `${change.label} ${formatRating(change.from)} → ${formatRating(change.to)}`).join(', ')
+                : t('runs.noChanges')}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default RunComparison;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { maxPinnedRuns, parameterChanges } from './history';
+import { useTranslation } from './i18n/LanguageProvider';
+
+const formatChange = ({ label, from, to }, t) => `${label} ${from.toLocaleString(t.locale)} → ${to.toLocaleString(t.locale)}`;
+
+// Run list, newest first. Each run is described by what changed since the
+// previous run of the same interpretation.
+const RunHistory = ({ runs, models, interpretation, onTogglePin, onRestore, onRemove, onClear }) => {
+  const { t } = useTranslation();
+  const pinnedCount = runs.filter(run => run.pinned).length;
+  const titleFor = (id) => (models.find(model => model.id === id) || { shortTitle: id }).shortTitle;
+
+  const describe = (run, index) => {
+    const previous = runs.slice(index + 1).find(entry => entry.interpretation === run.interpretation);
+    if (!previous) return t('runs.firstRun');
+    const model = models.find(entry => entry.id === run.interpretation);
+    const changes = model ? parameterChanges(model.parameters, previous.parameters, run.parameters) : [];
+    return changes.length ? changes.map(change => formatChange(change, t)).join(', ') : t('runs.sameParameters');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-xl font-semibold text-gray-700">{t('runs.title')}</h2>
+        <button onClick={onClear} className="text-sm text-red-600 hover:underline">{t('runs.clear')}</button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        {t('runs.help', { max: maxPinnedRuns })}
+      </p>
+      <ul className="divide-y divide-gray-200">
+        {runs.map((run, index) => (
+          <li key={run.id} className={`py-2 flex flex-wrap items-center gap-3 text-sm ${run.pinned ? 'bg-amber-50' : ''}`}>
+            <span className="font-medium text-gray-800">#{run.id}</span>
+            <span className="text-gray-700">{titleFor(run.interpretation)}</span>
+            <span className="text-xs text-gray-500">{t.time(run.createdAt)}</span>
+            {run.population && <span className="text-xs px-2 rounded bg-gray-100 text-gray-600">{t('runs.population')}</span>}
+            <span className="flex-1 text-xs text-gray-600">{describe(run, index)}</span>
+            <button
+              onClick={() => onTogglePin(run.id)}
+              disabled={!run.pinned && pinnedCount >= maxPinnedRuns}
+              className="text-amber-700 hover:underline disabled:opacity-50 disabled:no-underline"
+            >
+              {run.pinned ? t('runs.unpin') : t('runs.pin')}
+            </button>
+            {run.interpretation === interpretation && (
+              <button onClick={() => onRestore(run)} className="text-blue-600 hover:underline">{t('runs.restore')}</button>
+            )}
+            <button onClick={() => onRemove(run.id)} className="text-red-600 hover:underline">{t('runs.remove')}</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RunHistory;
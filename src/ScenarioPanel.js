@@ -0,0 +1,344 @@
+import React, { useState } from 'react';
+import { builtInScenarios } from './scenarios';
+import {
+  directions,
+  scenarioText,
+  validateScenario,
+  parseScenarioJson,
+  stepParameters,
+  predictionOutcome,
+  scenarioProgress,
+  updateScenarioProgress,
+  recordStepAnswer,
+  scenarioScore,
+  emptyScenarioProgress,
+  loadScenarioProgress,
+  persistScenarioProgress,
+  loadImportedScenarios,
+  persistImportedScenarios
+} from './teaching';
+import { describeQuantity } from './constraints';
+import { useTranslation } from './i18n/LanguageProvider';
+
+// Walks a student through a scenario's steps. App owns the interpretation
+// and the sliders: onStartStep(step) selects the step's interpretation and
+// presets, onRunStep(params) runs the simulation with params and returns its
+// rows, onExit() releases the sliders.
+const ScenarioPanel = ({ models, design, onStartStep, onRunStep, onExit }) => {
+  const [imported, setImported] = useState(() => loadImportedScenarios(design));
+  const [progress, setProgress] = useState(loadScenarioProgress);
+  const [activeId, setActiveId] = useState(null);
+  const [prediction, setPrediction] = useState(null);
+  const [quizChoice, setQuizChoice] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const { language, t } = useTranslation();
+
+  const text = (value) => scenarioText(value, language);
+  // Built-in scenarios keep their ids
+  const scenarios = [...builtInScenarios, ...imported.filter(scenario => !builtInScenarios.some(builtIn => builtIn.id === scenario.id))];
+  const scenario = scenarios.find(entry => entry.id === activeId);
+
+  const saveProgress = (next) => {
+    setProgress(next);
+    persistScenarioProgress(next);
+  };
+
+  const showStep = (target, index) => {
+    setPrediction(null);
+    setQuizChoice(null);
+    onStartStep(target.steps[index]);
+  };
+
+  const openScenario = (target, restart = false) => {
+    const problems = validateScenario(target, design, t);
+    if (problems.length) {
+      setErrors([t('scenarios.invalid'), ...problems]);
+      return;
+    }
+    const next = restart
+      ? { ...progress, [target.id]: emptyScenarioProgress }
+      : updateScenarioProgress(progress, target.id, {});
+    saveProgress(next);
+    setErrors([]);
+    setActiveId(target.id);
+    showStep(target, next[target.id].step);
+  };
+
+  const closeScenario = () => {
+    setActiveId(null);
+    onExit();
+  };
+
+  const goToStep = (index) => {
+    saveProgress(updateScenarioProgress(progress, scenario.id, { step: index }));
+    showStep(scenario, index);
+  };
+
+  const finishScenario = () => {
+    saveProgress(updateScenarioProgress(progress, scenario.id, { completed: true }));
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseScenarioJson(String(reader.result), design, t);
+      if (result.errors) {
+        setErrors([t('scenarios.importFailed', { file: file.name }), ...result.errors]);
+        return;
+      }
+      // A scenario imported again replaces the earlier version
+      const next = [...imported.filter(entry => entry.id !== result.scenario.id), result.scenario];
+      setImported(next);
+      persistImportedScenarios(next);
+      setErrors([]);
+    };
+    reader.onerror = () => setErrors([t('scenarios.readFailed', { file: file.name })]);
+    reader.readAsText(file);
+  };
+
+  const errorList = errors.length > 0 && (
+    <div className="mt-4 p-4 bg-red-50 rounded-lg">
+      {errors.map((error, index) => (
+        <p key={index} className={`text-sm text-red-700 ${index === 0 ? 'font-medium' : 'ml-4'}`}>{error}</p>
+      ))}
+    </div>
+  );
+
+  if (!scenario) {
+    return (
+      <div className="mb-8 bg-white p-6 rounded-lg shadow">
+        <h2 className="text-xl font-semibold mb-2 text-gray-700">{t('scenarios.title')}</h2>
+        <p className="text-sm text-gray-600 mb-4">{t('scenarios.intro')}</p>
+        <ul className="space-y-3 mb-4">
+          {scenarios.map(entry => {
+            const entryProgress = scenarioProgress(progress, entry.id);
+            const score = scenarioScore(entry, entryProgress);
+            const started = Boolean(progress[entry.id]);
+            return (
+              <li key={entry.id} className="p-4 border border-gray-200 rounded-lg">
+                <h3 className="text-md font-medium text-gray-800">
+                  {text(entry.title)}
+                  {!builtInScenarios.includes(entry) && <span className="ml-2 text-sm font-normal text-gray-500">{t('scenarios.imported')}</span>}
+                </h3>
+                {entry.description && <p className="text-sm text-gray-600 mt-1">{text(entry.description)}</p>}
+                <p className="text-xs text-gray-500 mt-1">
+                  {t('scenarios.steps', { count: entry.steps.length })}
+                  {started && ` · ${t('scenarios.score', score)}`}
+                  {entryProgress.completed && ` · ${t('scenarios.completed')}`}
+                </p>
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {!entryProgress.completed && (
+                    <button
+                      onClick={() => openScenario(entry)}
+                      className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors text-sm font-medium"
+                    >
+                      {started ? t('scenarios.resume') : t('scenarios.start')}
+                    </button>
+                  )}
+                  {started && (
+                    <button
+                      onClick={() => openScenario(entry, true)}
+                      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium"
+                    >
+                      {t('scenarios.restart')}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+        <label className="inline-block px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium cursor-pointer focus-within:ring-2 focus-within:ring-blue-500 focus-within:ring-offset-2">
+          {t('scenarios.import')}
+          <input type="file" accept=".json,application/json" onChange={handleFile} className="sr-only" />
+        </label>
+        {errorList}
+      </div>
+    );
+  }
+
+  const entry = scenarioProgress(progress, scenario.id);
+  const stepIndex = entry.step;
+  const step = scenario.steps[stepIndex];
+  const answer = entry.answers[stepIndex] || {};
+  const model = models.find(candidate => candidate.id === step.interpretation);
+  const labelFor = (key) => model.parameters.find(config => config.key === key).label;
+  const { baseline, changed } = stepParameters(step, model);
+  const quantity = step.measure && describeQuantity(step.measure, design, t);
+  const lastStep = stepIndex === scenario.steps.length - 1;
+  const stepDone = (!step.measure || answer.outcome) && (!step.quiz || answer.quiz !== undefined);
+  const score = scenarioScore(scenario, entry);
+
+  const runStep = () => {
+    const rows = onRunStep(changed);
+    if (!rows) return;
+    const outcome = predictionOutcome(step, model.simulate(baseline, design), rows, design);
+    saveProgress(recordStepAnswer(progress, scenario.id, stepIndex, { prediction, outcome }));
+  };
+
+  const checkQuiz = () => {
+    saveProgress(recordStepAnswer(progress, scenario.id, stepIndex, { quiz: quizChoice }));
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-xl font-semibold text-gray-700">{text(scenario.title)}</h2>
+        <button onClick={closeScenario} className="text-sm text-blue-600 hover:underline">{t('scenarios.back')}</button>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        {t('scenarios.stepOf', { number: stepIndex + 1, total: scenario.steps.length })} · {model.title}
+      </p>
+      <h3 className="text-lg font-medium mb-2 text-gray-800">{text(step.title)}</h3>
+      {step.intro && <p className="text-sm text-gray-700 mb-3">{text(step.intro)}</p>}
+      {step.locked && step.locked.length > 0 && (
+        <p className="text-xs text-gray-500 mb-3">
+          {t('scenarios.locked', { parameters: step.locked.map(labelFor).join(', ') })}
+        </p>
+      )}
+
+      {step.measure && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-700 mb-2">
+            {t('scenarios.change', {
+              parameter: labelFor(step.change.parameter),
+              from: t.number(baseline[step.change.parameter], 2),
+              to: t.number(step.change.to, 2)
+            })}
+          </p>
+          <fieldset disabled={Boolean(answer.outcome)} className="mb-3">
+            <legend className="text-sm font-medium text-gray-700 mb-2">{t('scenarios.predict', { quantity })}</legend>
+            <div className="flex flex-wrap gap-4">
+              {directions.map(direction => (
+                <label key={direction} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name={`prediction-${scenario.id}-${stepIndex}`}
+                    value={direction}
+                    checked={(answer.outcome ? answer.prediction : prediction) === direction}
+                    onChange={() => setPrediction(direction)}
+                  />
+                  {t(`scenarios.predictions.${direction}`)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          {!answer.outcome && (
+            <button
+              onClick={runStep}
+              disabled={!prediction}
+              className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('scenarios.run')}
+            </button>
+          )}
+          {answer.outcome && (
+            <div role="status" className="p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-700">
+                {t('scenarios.outcome', {
+                  quantity,
+                  before: t.number(answer.outcome.before, 1),
+                  after: t.number(answer.outcome.after, 1)
+                })}
+                {' '}{t(`scenarios.outcomes.${answer.outcome.direction}`, { tolerance: step.tolerance ?? 1 })}
+              </p>
+              <p className={`text-sm font-medium mt-1 ${answer.prediction === answer.outcome.direction ? 'text-green-700' : 'text-red-700'}`}>
+                {answer.prediction === answer.outcome.direction ? t('scenarios.right') : t('scenarios.wrong')}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {(!step.measure || answer.outcome) && step.explanation && (
+        <div className="mb-4 p-4 bg-blue-50 rounded-lg">
+          <h4 className="font-medium text-blue-800 mb-1">{t('scenarios.why')}</h4>
+          <p className="text-sm text-gray-700">{text(step.explanation)}</p>
+        </div>
+      )}
+
+      {step.quiz && (!step.measure || answer.outcome) && (
+        <div className="mb-4">
+          <fieldset disabled={answer.quiz !== undefined} className="mb-3">
+            <legend className="text-sm font-medium text-gray-700 mb-2">
+              {t('scenarios.quiz')}: {text(step.quiz.question)}
+            </legend>
+            <div className="space-y-1">
+              {step.quiz.options.map((option, index) => (
+                <label key={index} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name={`quiz-${scenario.id}-${stepIndex}`}
+                    value={index}
+                    checked={(answer.quiz !== undefined ? answer.quiz : quizChoice) === index}
+                    onChange={() => setQuizChoice(index)}
+                  />
+                  {text(option)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          {answer.quiz === undefined ? (
+            <button
+              onClick={checkQuiz}
+              disabled={quizChoice === null}
+              className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('scenarios.check')}
+            </button>
+          ) : (
+            <div role="status" className="p-4 bg-gray-50 rounded-lg">
+              <p className={`text-sm font-medium ${answer.quiz === step.quiz.answer ? 'text-green-700' : 'text-red-700'}`}>
+                {answer.quiz === step.quiz.answer
+                  ? t('scenarios.quizRight')
+                  : t('scenarios.quizWrong', { answer: text(step.quiz.options[step.quiz.answer]) })}
+              </p>
+              {step.quiz.feedback && <p className="text-sm text-gray-700 mt-1">{text(step.quiz.feedback)}</p>}
+            </div>
+          )}
+        </div>
+      )}
+
+      {entry.completed && lastStep && (
+        <p className="text-sm font-medium text-green-700 mb-4">
+          {t('scenarios.finished', { correct: score.correct, total: score.total })}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-3 pt-4 border-t border-gray-200">
+        <button
+          onClick={() => goToStep(stepIndex - 1)}
+          disabled={stepIndex === 0}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('scenarios.previous')}
+        </button>
+        {lastStep ? (
+          <button
+            onClick={entry.completed ? closeScenario : finishScenario}
+            disabled={!stepDone}
+            className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {entry.completed ? t('scenarios.back') : t('scenarios.finish')}
+          </button>
+        ) : (
+          <button
+            onClick={() => goToStep(stepIndex + 1)}
+            disabled={!stepDone}
+            className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('scenarios.next')}
+          </button>
+        )}
+      </div>
+      {errorList}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { sweepParameter, computeHeatmap, heatmapMetrics, cellKey, gapKey } from './sensitivity';
+import { computePreferenceGaps } from './fitting';
+import { useTranslation } from './i18n/LanguageProvider';
+import { SeriesMarker, markerType } from './ChartPatterns';
+import ChartTable from './ChartTable';
+
+// Items keep their colour and marker; conditions are told apart by dash pattern
+const conditionDashes = ['', '5 5', '2 2', '8 3 2 3', '1 4'];
+const gapColors = ['#2563EB', '#DC2626', '#059669', '#D97706', '#7C3AED'];
+
+// Green (low) to red (high) for fit error; blue/white/red around zero for gaps
+const heatmapColor = (value, metric, min, max) => {
+  if (metric === 'rmse') {
+    const t = max === min ? 0 : (value - min) / (max - min);
+    return `hsl(${Math.round(120 - t * 120)}, 70%, 55%)`;
+  }
+  const extent = Math.max(Math.abs(min), Math.abs(max)) || 1;
+  const t = value / extent;
+  const lightness = Math.round(95 - Math.abs(t) * 45);
+  return t >= 0 ? `hsl(0, 75%, ${lightness}%)` : `hsl(215, 75%, ${lightness}%)`;
+};
+
+const SensitivityPanel = ({ simulate, configs, parameters, humanData, design }) => {
+  const [sweepKey, setSweepKey] = useState(configs[0].key);
+  const [xKey, setXKey] = useState(configs[0].key);
+  const [yKey, setYKey] = useState(configs[1].key);
+  const [metric, setMetric] = useState('rmse');
+  const { t } = useTranslation();
+
+  const configFor = (key) => configs.find(config => config.key === key);
+  const sweepConfig = configFor(sweepKey) || configs[0];
+  const xConfig = configFor(xKey) || configs[0];
+  const yConfig = configFor(yKey) || configs[1];
+
+  const metrics = heatmapMetrics(design, t);
+  const activeMetric = metrics[metric] ? metric : 'rmse';
+  const [first, second] = design.contrast.map(id => design.items.find(item => item.id === id));
+
+  const sweepData = sweepParameter(simulate, sweepConfig, parameters, design);
+  const humanGaps = computePreferenceGaps(humanData, design);
+  const heatmap = xConfig.key !== yConfig.key
+    ? computeHeatmap(simulate, xConfig, yConfig, parameters, activeMetric, humanData, design)
+    : null;
+
+  const selectClass = 'ml-2 p-1 border border-gray-300 rounded text-sm';
+  const cellSeries = design.conditions.flatMap((condition, conditionIndex) =>
+    design.items.map((item, itemIndex) => ({
+      key: cellKey(conditionIndex, item.id),
+      name: `${t.label(item.label)} (${t.label(condition.label)})`,
+      item,
+      itemIndex,
+      conditionIndex
+    }))
+  );
+  const gapName = (condition) => t('sensitivity.gapLine', { condition: t.label(condition.label) });
+  const humanGapConditions = design.conditions.filter(condition => Number.isFinite(humanGaps[condition.label]));
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('sensitivity.title')}</h2>
+
+      <label className="block text-sm font-medium text-gray-700 mb-4">
+        {t('sensitivity.sweepParameter')}
+        <select value={sweepConfig.key} onChange={(e) => setSweepKey(e.target.value)} className={selectClass}>
+          {configs.map(config => (
+            <option key={config.key} value={config.key}>{config.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        <div>
+          <h3 className="text-md font-medium mb-2 text-gray-700">{t('sensitivity.ratings')}</h3>
+          <div role="img" aria-label={t('sensitivity.ratingsDescription', { parameter: sweepConfig.label })}>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={sweepData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="value" />
+                <YAxis domain={['auto', 'auto']} />
+                <Tooltip />
+                <Legend />
+                <ReferenceLine x={parameters[sweepConfig.key]} stroke="#9CA3AF" strokeDasharray="4 4" />
+                {cellSeries.map(series => (
+                  <Line
+                    key={series.key}
+                    type="monotone"
+                    dataKey={series.key}
+                    stroke={series.item.color}
+                    strokeDasharray={conditionDashes[series.conditionIndex % conditionDashes.length]}
+                    name={series.name}
+                    legendType={markerType(series.itemIndex)}
+                    dot={<SeriesMarker type={markerType(series.itemIndex)} />}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartTable
+            caption={t('sensitivity.ratings')}
+            columns={[sweepConfig.label, ...cellSeries.map(series => series.name)]}
+            rows={sweepData.map(row => [row.value, ...cellSeries.map(series => row[series.key])])}
+          />
+        </div>
+        <div>
+          <h3 className="text-md font-medium mb-2 text-gray-700">{t('sensitivity.gap', { first: t.label(first.label), second: t.label(second.label) })}</h3>
+          <div role="img" aria-label={t('sensitivity.gapDescription', { parameter: sweepConfig.label })}>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={sweepData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="value" />
+                <YAxis domain={['auto', 'auto']} />
+                <Tooltip />
+                <Legend />
+                <ReferenceLine x={parameters[sweepConfig.key]} stroke="#9CA3AF" strokeDasharray="4 4" />
+                {design.conditions.map((condition, index) => Number.isFinite(humanGaps[condition.label]) && (
+                  <ReferenceLine key={condition.label} y={humanGaps[condition.label]} stroke={gapColors[index % gapColors.length]} strokeDasharray="2 2" />
+                ))}
+                {design.conditions.map((condition, index) => (
+                  <Line
+                    key={condition.label}
+                    type="monotone"
+                    dataKey={gapKey(index)}
+                    stroke={gapColors[index % gapColors.length]}
+                    name={gapName(condition)}
+                    legendType={markerType(index)}
+                    dot={<SeriesMarker type={markerType(index)} />}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartTable
+            caption={t('sensitivity.gap', { first: t.label(first.label), second: t.label(second.label) })}
+            columns={[
+              sweepConfig.label,
+              ...design.conditions.map(gapName),
+              ...humanGapConditions.map(condition => t('sensitivity.humanGap', { condition: t.label(condition.label) }))
+            ]}
+            rows={sweepData.map(row => [
+              row.value,
+              ...design.conditions.map((_, index) => row[gapKey(index)]),
+              ...humanGapConditions.map(condition => humanGaps[condition.label])
+            ])}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {t('sensitivity.gapHelp')}
+          </p>
+        </div>
+      </div>
+
+      <h3 className="text-md font-medium mb-2 text-gray-700">{t('sensitivity.heatmap')}</h3>
+      <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-700">
+        <label>
+          {t('sensitivity.xAxis')}
+          <select value={xConfig.key} onChange={(e) => setXKey(e.target.value)} className={selectClass}>
+            {configs.map(config => (
+              <option key={config.key} value={config.key}>{config.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('sensitivity.yAxis')}
+          <select value={yConfig.key} onChange={(e) => setYKey(e.target.value)} className={selectClass}>
+            {configs.map(config => (
+              <option key={config.key} value={config.key}>{config.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('sensitivity.metric')}
+          <select value={activeMetric} onChange={(e) => setMetric(e.target.value)} className={selectClass}>
+            {Object.entries(metrics).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {heatmap ? (
+        <div className="overflow-x-auto">
+          <table className="text-xs text-gray-600 border-collapse">
+            <tbody>
+              {[...heatmap.yValues].reverse().map((y, reversedIndex) => {
+                const rowIndex = heatmap.yValues.length - 1 - reversedIndex;
+                return (
+                  <tr key={y}>
+                    <th scope="row" className="pr-2 text-right font-normal">{t.number(y, 2)}</th>
+                    {heatmap.xValues.map((x, columnIndex) => {
+                      const value = heatmap.cells[rowIndex][columnIndex];
+                      const isCurrent = Math.abs(x - parameters[xConfig.key]) < 1e-9 && Math.abs(y - parameters[yConfig.key]) < 1e-9;
+                      return (
+                        <td
+                          key={x}
+                          title={`${xConfig.label} = ${x.toLocaleString(t.locale)}, ${yConfig.label} = ${y.toLocaleString(t.locale)}: ${t.number(value, 2)}`}
+                          className={`w-12 h-8 text-center ${isCurrent ? 'ring-2 ring-gray-800' : ''}`}
+                          style={{ backgroundColor: heatmapColor(value, activeMetric, heatmap.min, heatmap.max) }}
+                        >
+                          {t.number(value, 1)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+              <tr>
+                <td />
+                {heatmap.xValues.map(x => (
+                  <th key={x} scope="col" className="pt-1 font-normal">{t.number(x, 2)}</th>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            {t('sensitivity.heatmapHelp', { rows: yConfig.label, columns: xConfig.label })}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">{t('sensitivity.sameParameters')}</p>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityPanel;
@@ -0,0 +1,65 @@
+import React, { useId, useState } from 'react';
+import { snapToStep } from './fitting';
+import { useTranslation } from './i18n/LanguageProvider';
+
+// A labelled range input with a number field for typing an exact value.
+// Arrow keys in the field move one step like the slider; other typed values
+// are committed on Enter or blur, snapped to the step and clamped to the range.
+const Slider = ({ label, value, min, max, step, digits, disabled = false, onChange }) => {
+  const id = useId();
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(null);
+  const config = { min, max, step };
+  const displayed = digits === undefined ? value.toLocaleString(t.locale) : t.number(value, digits);
+
+  const typeValue = (text) => {
+    setDraft(text);
+    const typed = parseFloat(text);
+    if (Number.isFinite(typed) && snapToStep(typed, config) === typed && typed !== value) onChange(typed);
+  };
+
+  const commitDraft = () => {
+    if (draft === null) return;
+    const typed = parseFloat(draft);
+    setDraft(null);
+    if (!Number.isFinite(typed)) return;
+    const snapped = snapToStep(typed, config);
+    if (snapped !== value) onChange(snapped);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <label htmlFor={id} className="text-sm font-medium text-gray-700">{label}</label>
+        <input
+          type="number"
+          min={min}
+          max={max}
+          step={step}
+          value={draft ?? value}
+          disabled={disabled}
+          aria-label={t('slider.exactValue', { label })}
+          aria-invalid={draft !== null && !Number.isFinite(parseFloat(draft))}
+          onChange={(e) => typeValue(e.target.value)}
+          onBlur={commitDraft}
+          onKeyDown={(e) => e.key === 'Enter' && commitDraft()}
+          className="w-20 p-1 border border-gray-300 rounded text-sm text-right disabled:opacity-50"
+        />
+      </div>
+      <input
+        id={id}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        disabled={disabled}
+        aria-valuetext={displayed}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2"
+      />
+    </div>
+  );
+};
+
+export default Slider;
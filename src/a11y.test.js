@@ -0,0 +1,168 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import App from './App';
+import Slider from './Slider';
+import { LanguageProvider } from './i18n/LanguageProvider';
+
+expect.extend(toHaveNoViolations);
+
+// Jest cannot load the worker scripts, so the jobs run on the main thread
+// with a small budget and report back the way the workers do
+jest.mock('./workers', () => {
+  const { samplePosterior } = jest.requireActual('./posterior');
+  const { runRecovery } = jest.requireActual('./recovery');
+  const { getModel } = jest.requireActual('./models');
+  const { act } = jest.requireActual('@testing-library/react');
+  const fakeWorker = (run) => {
+    const worker = {
+      terminate: () => {},
+      postMessage: async (data) => {
+        const result = await run(data);
+        act(() => worker.onmessage({ data: { type: 'done', result } }));
+      }
+    };
+    return worker;
+  };
+  return {
+    createPosteriorWorker: () => fakeWorker(({ interpretation, humanData, design, settings }) =>
+      samplePosterior(getModel(interpretation), humanData, design, { ...settings, chains: 2, iterations: 600, burnIn: 200 })
+    ),
+    createRecoveryWorker: () => fakeWorker(({ modelIds, settings, design }) =>
+      runRecovery(modelIds.map(getModel), { ...settings, datasetsPerModel: 2, maxGridPoints: 500, iterations: 40 }, design)
+    )
+  };
+});
+
+// Recharts' ResponsiveContainer measures its parent with ResizeObserver
+global.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+const renderApp = () => render(<LanguageProvider initialLanguage="en"><App /></LanguageProvider>);
+
+const selectInterpretation = (name) => fireEvent.click(screen.getByRole('radio', { name }));
+
+describe('SelfControlSimulation', () => {
+  it('has no axe violations before an interpretation is chosen', async () => {
+    const { container } = renderApp();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('offers the interpretations as a radio group', () => {
+    renderApp();
+    const radios = screen.getAllByRole('radio', { name: /Interpretation$/ });
+    expect(radios).toHaveLength(3);
+    expect(screen.getByRole('group', { name: 'Select Interpretation:' })).toBeTruthy();
+
+    selectInterpretation('Goal-Goal Interpretation');
+    expect(screen.getByRole('radio', { name: 'Goal-Goal Interpretation' }).checked).toBe(true);
+    expect(screen.getByRole('slider', { name: 'Granola Action Cost' })).toBeTruthy();
+  });
+
+  it('labels every parameter slider and its number field', () => {
+    renderApp();
+    selectInterpretation('Explicit-Implicit Interpretation');
+    const slider = screen.getByRole('slider', { name: 'Cost Coefficient' });
+    const field = screen.getByRole('spinbutton', { name: 'Cost Coefficient, exact value' });
+
+    fireEvent.change(field, { target: { value: '0.2' } });
+    expect(slider.value).toBe('0.2');
+    expect(slider.getAttribute('aria-valuetext')).toBe('0.20');
+  });
+
+  it('has no axe violations with a simulation and its panels shown', async () => {
+    const { container } = renderApp();
+    selectInterpretation('Desire-Goal Interpretation');
+    fireEvent.click(screen.getByText('Run Simulation'));
+    fireEvent.click(screen.getByText('Compare All Interpretations'));
+    fireEvent.click(screen.getByText('Sensitivity Analysis'));
+    fireEvent.click(screen.getByText('Time Course'));
+    fireEvent.click(screen.getByText('Analyze Parameter Configuration'));
+    fireEvent.click(screen.getByText('Edit Design'));
+    fireEvent.click(screen.getByRole('button', { name: 'What Would It Take?' }));
+
+    expect(screen.getAllByText('Show the data as a table').length).toBeGreaterThanOrEqual(3);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no axe violations with the posterior and recovery results shown', async () => {
+    const { container } = renderApp();
+    selectInterpretation('Goal-Goal Interpretation');
+    fireEvent.click(screen.getByText('Bayesian Estimation'));
+    fireEvent.click(screen.getByText('Sample Posterior'));
+    fireEvent.click(screen.getByText('Validate Model Recovery'));
+    fireEvent.click(screen.getByText('Run Validation'));
+
+    expect(await screen.findByRole('img', { name: /^Bar chart of the human and posterior predicted rating/ })).toBeTruthy();
+    expect(await screen.findAllByRole('img', { name: /^Scatter plot of the true against the recovered values/ }, { timeout: 20000 })).not.toHaveLength(0);
+    expect(await axe(container)).toHaveNoViolations();
+  }, 30000);
+
+  it('selects mechanism nodes from the keyboard', async () => {
+    const { container } = renderApp();
+    selectInterpretation('Goal-Goal Interpretation');
+
+    const node = screen.getByRole('button', { name: 'Food Drive: 0.560' });
+    fireEvent.keyDown(node, { key: 'Enter' });
+    expect(node.getAttribute('aria-pressed')).toBe('true');
+    expect(screen.getByText('(defaults: 0.560)')).toBeTruthy();
+    fireEvent.keyDown(node, { key: ' ' });
+    expect(node.getAttribute('aria-pressed')).toBe('false');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no axe violations during a guided scenario step', async () => {
+    const { container } = renderApp();
+    fireEvent.click(screen.getByRole('button', { name: 'Guided Scenarios' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+
+    // The step picks the interpretation and locks the slider it changes
+    expect(screen.getByRole('radio', { name: 'Explicit-Implicit Interpretation' }).checked).toBe(true);
+    expect(screen.getByRole('slider', { name: 'Deficit Reduction Rate' }).disabled).toBe(true);
+    fireEvent.click(screen.getByRole('radio', { name: 'It will go down' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Apply the change and run' }));
+    expect(screen.getByText('Your prediction was right.')).toBeTruthy();
+    expect(screen.getByRole('slider', { name: 'Deficit Reduction Rate' }).value).toBe('0.8');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('Slider', () => {
+  const renderSlider = (onChange) =>
+    render(<Slider label="Cost" value={0.16} min={0.1} max={0.3} step={0.02} digits={2} onChange={onChange} />);
+
+  it('commits values on the step grid as they are typed', () => {
+    const onChange = jest.fn();
+    renderSlider(onChange);
+    fireEvent.change(screen.getByRole('spinbutton', { name: 'Cost, exact value' }), { target: { value: '0.24' } });
+    expect(onChange).toHaveBeenCalledWith(0.24);
+  });
+
+  it('snaps and clamps other typed values on blur or Enter', () => {
+    const onChange = jest.fn();
+    renderSlider(onChange);
+    const field = screen.getByRole('spinbutton', { name: 'Cost, exact value' });
+
+    fireEvent.change(field, { target: { value: '0.215' } });
+    expect(onChange).not.toHaveBeenCalled();
+    fireEvent.blur(field);
+    expect(onChange).toHaveBeenLastCalledWith(0.22);
+
+    fireEvent.change(field, { target: { value: '5' } });
+    fireEvent.keyDown(field, { key: 'Enter' });
+    expect(onChange).toHaveBeenLastCalledWith(0.3);
+  });
+
+  it('ignores a field left empty', () => {
+    const onChange = jest.fn();
+    renderSlider(onChange);
+    const field = screen.getByRole('spinbutton', { name: 'Cost, exact value' });
+    fireEvent.change(field, { target: { value: '' } });
+    fireEvent.blur(field);
+    expect(onChange).not.toHaveBeenCalled();
+    expect(field.value).toBe('0.16');
+  });
+});
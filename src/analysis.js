@@ -0,0 +1,252 @@
+// Structured analysis report. buildReport compares a simulation with the
+// human data and returns { title, sections, findings } where a section holds
+// a table ({ columns, rows }), paragraphs or findings. Findings come from
+// declarative rules: each rule names a scope, a severity, a predicate and a
+// message, and is checked once per compared condition ('condition'), once
+// per parameter ('parameter') or once for the whole run ('model'). An
+// interpretation adds its own rules through model.analysisRules. Messages
+// and headings come from the translator t, English unless one is given.
+import { defaultDesign, matchedCells, preferenceGap } from './design';
+import { computeRMSE } from './fitting';
+import { defaultTranslator } from './i18n';
+
+export const severities = ['success', 'info', 'warning'];
+
+// Difference in rating points treated as meaningful throughout the rules
+const tolerance = 5;
+
+// Both gaps must be clear of zero: a simulated gap within the tolerance has
+// no direction to speak of and is judged by its size instead
+const isReversed = ({ humanGap, simulatedGap }) =>
+  Math.abs(humanGap) >= tolerance && Math.abs(simulatedGap) >= tolerance
+  && Math.sign(simulatedGap) !== Math.sign(humanGap);
+const isConverged = ({ humanGap, simulatedGap }) =>
+  Math.abs(humanGap) < tolerance && Math.abs(simulatedGap) < tolerance;
+const sameSign = ({ humanGap, simulatedGap }) => Math.sign(simulatedGap) === Math.sign(humanGap);
+// Opposite signs with only one gap clear of zero: the other has no
+// direction, so the two are compared by size alone
+const isOneSided = (context) => !sameSign(context) && !isReversed(context) && !isConverged(context);
+
+// The condition rules cover every case: a gap either converges, is reversed,
+// or is larger than, smaller than or about as large as the human one. Only
+// gaps pointing the same way count as about as large.
+export const defaultRules = [
+  {
+    id: 'gap-reversed',
+    scope: 'condition',
+    severity: 'warning',
+    when: isReversed,
+    message: ({ condition, humanGap, simulatedGap, contrast }, t) =>
+      t('rules.gapReversed', { condition, contrast, simulated: t.signed(simulatedGap), human: t.signed(humanGap) })
+  },
+  {
+    id: 'gap-converged',
+    scope: 'condition',
+    severity: 'success',
+    when: isConverged,
+    message: ({ condition }, t) => t('rules.gapConverged', { condition })
+  },
+  {
+    id: 'gap-exceeds-human',
+    scope: 'condition',
+    severity: 'warning',
+    when: (context) => Math.abs(context.simulatedGap) > Math.abs(context.humanGap) + tolerance
+      || (isOneSided(context) && Math.abs(context.simulatedGap) > Math.abs(context.humanGap)),
+    message: ({ condition, humanGap, simulatedGap }, t) =>
+      t('rules.gapExceedsHuman', { condition, simulated: t.signed(simulatedGap), human: t.signed(humanGap) })
+  },
+  {
+    id: 'gap-below-human',
+    scope: 'condition',
+    severity: 'warning',
+    when: (context) => Math.abs(context.simulatedGap) < Math.abs(context.humanGap) - tolerance
+      || (isOneSided(context) && Math.abs(context.simulatedGap) < Math.abs(context.humanGap)),
+    message: ({ condition, humanGap, simulatedGap }, t) =>
+      t('rules.gapBelowHuman', { condition, simulated: t.signed(simulatedGap), human: t.signed(humanGap) })
+  },
+  {
+    id: 'gap-matches-human',
+    scope: 'condition',
+    severity: 'success',
+    when: (context) =>
+      Math.abs(Math.abs(context.simulatedGap) - Math.abs(context.humanGap)) <= tolerance && !isConverged(context) && sameSign(context),
+    message: ({ condition, humanGap, simulatedGap }, t) =>
+      t('rules.gapMatchesHuman', { condition, simulated: t.signed(simulatedGap), human: t.signed(humanGap) })
+  },
+  {
+    id: 'parameter-at-boundary',
+    scope: 'parameter',
+    severity: 'info',
+    when: ({ config, value }) => value <= config.min || value >= config.max,
+    message: ({ config, value }, t) =>
+      t(value <= config.min ? 'rules.parameterAtLowerBound' : 'rules.parameterAtUpperBound', { parameter: config.label, value: t.number(value, 2) })
+  },
+  {
+    id: 'parameter-changed',
+    scope: 'parameter',
+    severity: 'info',
+    when: ({ change }) => Math.abs(change) > 10,
+    message: ({ config, change }, t) =>
+      t(change > 0 ? 'rules.parameterIncreased' : 'rules.parameterDecreased', {
+        parameter: config.label,
+        group: config.group,
+        change: t.number(Math.abs(change), 1)
+      })
+  },
+  {
+    id: 'fit-close',
+    scope: 'model',
+    severity: 'success',
+    when: ({ rmse }) => rmse < 3,
+    message: ({ rmse }, t) => t('rules.fitClose', { rmse: t.number(rmse, 2) })
+  },
+  {
+    id: 'fit-poor',
+    scope: 'model',
+    severity: 'warning',
+    when: ({ rmse }) => rmse > 10,
+    message: ({ rmse }, t) => t('rules.fitPoor', { rmse: t.number(rmse, 2) })
+  }
+];
+
+const percentChange = (value, defaultValue) =>
+  defaultValue === 0 ? 0 : ((value - defaultValue) / defaultValue) * 100;
+
+// Contexts each rule scope is checked against
+const ruleContexts = ({ model, parameters, simulationData, humanData, design, t }) => {
+  const [first, second] = design.contrast.map(id => design.items.find(item => item.id === id));
+  const compared = simulationData.flatMap(simulated => {
+    const human = humanData.find(row => row.condition === simulated.condition);
+    return human ? [{ condition: simulated.condition, simulated, human }] : [];
+  });
+
+  return {
+    condition: compared
+      .map(({ condition, simulated, human }) => ({
+        condition: t.label(condition),
+        contrast: `${t.label(first.label)} − ${t.label(second.label)}`,
+        humanGap: preferenceGap(human, design),
+        simulatedGap: preferenceGap(simulated, design)
+      }))
+      .filter(context => Number.isFinite(context.humanGap) && Number.isFinite(context.simulatedGap)),
+    parameter: model.parameters.map(config => ({
+      config,
+      value: parameters[config.key],
+      defaultValue: model.defaults[config.key],
+      change: percentChange(parameters[config.key], model.defaults[config.key])
+    })),
+    model: [{
+      model,
+      parameters,
+      design,
+      simulationData,
+      humanData,
+      rmse: computeRMSE(simulationData, humanData, design),
+      evaluate: model.evaluate ? (phase) => model.evaluate(parameters, phase, design.items) : null
+    }]
+  };
+};
+
+export const evaluateRules = (rules, contexts, t = defaultTranslator) =>
+  rules.flatMap(rule =>
+    (contexts[rule.scope] || [])
+      .filter(context => rule.when(context))
+      .map(context => ({ rule: rule.id, severity: rule.severity, message: rule.message(context, t) }))
+  );
+
+// model should already carry its text in t's language (localizeModel)
+export const buildReport = ({ model, parameters, simulationData, humanData, design = defaultDesign, datasetName, t = defaultTranslator }) => {
+  const [first, second] = design.contrast.map(id => design.items.find(item => item.id === id));
+  const contexts = ruleContexts({ model, parameters, simulationData, humanData, design, t });
+  const findings = evaluateRules([...defaultRules, ...(model.analysisRules || [])], contexts, t)
+    .sort((a, b) => severities.indexOf(b.severity) - severities.indexOf(a.severity));
+
+  const sections = [
+    {
+      id: 'parameters',
+      title: t('report.parameters'),
+      table: {
+        columns: [
+          { key: 'parameter', label: t('report.columns.parameter') },
+          { key: 'group', label: t('report.columns.group') },
+          { key: 'value', label: t('report.columns.value'), digits: 2 },
+          { key: 'default', label: t('report.columns.default'), digits: 3 },
+          { key: 'range', label: t('report.columns.range') },
+          { key: 'change', label: t('report.columns.change'), digits: 1, signed: true }
+        ],
+        rows: contexts.parameter.map(({ config, value, defaultValue, change }) => ({
+          parameter: config.label,
+          group: config.group,
+          value,
+          default: defaultValue,
+          range: `${config.min.toLocaleString(t.locale)}–${config.max.toLocaleString(t.locale)}`,
+          change
+        }))
+      }
+    },
+    {
+      id: 'cells',
+      title: t('report.cells'),
+      table: {
+        columns: [
+          { key: 'condition', label: t('report.columns.condition') },
+          { key: 'item', label: t('report.columns.item') },
+          { key: 'human', label: t('report.columns.human'), digits: 2 },
+          { key: 'simulated', label: t('report.columns.simulation'), digits: 2 },
+          { key: 'difference', label: t('report.columns.difference'), digits: 1, signed: true }
+        ],
+        rows: matchedCells(simulationData, humanData, design).map(cell => ({
+          condition: t.label(cell.condition),
+          item: t.label(design.items.find(item => item.id === cell.item).label),
+          human: cell.human,
+          simulated: cell.simulated,
+          difference: cell.simulated - cell.human
+        }))
+      }
+    },
+    {
+      id: 'gaps',
+      title: t('report.gaps', { contrast: `${t.label(first.label)} − ${t.label(second.label)}` }),
+      table: {
+        columns: [
+          { key: 'condition', label: t('report.columns.condition') },
+          { key: 'human', label: t('report.columns.humanGap'), digits: 1 },
+          { key: 'simulated', label: t('report.columns.simulationGap'), digits: 1 },
+          { key: 'difference', label: t('report.columns.difference'), digits: 1, signed: true }
+        ],
+        rows: contexts.condition.map(({ condition, humanGap, simulatedGap }) => ({
+          condition,
+          human: humanGap,
+          simulated: simulatedGap,
+          difference: simulatedGap - humanGap
+        }))
+      }
+    }
+  ];
+
+  if (model.mechanism) {
+    const notes = Object.entries(model.mechanism.notes || {})
+      .filter(([key]) => parameters[key] !== model.defaults[key])
+      .map(([, note]) => note);
+    sections.push({ id: 'mechanism', title: model.mechanism.title, paragraphs: [model.mechanism.summary, ...notes] });
+  }
+
+  sections.push({ id: 'findings', title: t('report.findings'), findings });
+
+  return {
+    title: t('report.title', { interpretation: model.title }),
+    interpretation: model.id,
+    datasetName,
+    generatedAt: new Date().toISOString(),
+    sections,
+    findings
+  };
+};
+
+// Display text for a table value, shared by the on-screen report and exports
+export const formatCell = (value, column, t = defaultTranslator) => {
+  if (typeof value !== 'number') return value ?? '';
+  if (!Number.isFinite(value)) return '–';
+  if (column.digits === undefined) return value.toLocaleString(t.locale, { maximumFractionDigits: 6 });
+  return column.signed ? t.signed(value, column.digits) : t.number(value, column.digits);
+};
@@ -0,0 +1,89 @@
+import { buildReport, evaluateRules, defaultRules, formatCell } from './analysis';
+import { reportToMarkdown } from './exporters';
+import { getModel } from './models';
+
+const humanData = [
+  { condition: 'Before Choice', granola: 102.19, chocolate: 74.06 },
+  { condition: 'After Choice', granola: 94.22, chocolate: 93.11 }
+];
+
+const conditionFindings = (humanGap, simulatedGap) =>
+  evaluateRules(defaultRules, { condition: [{ condition: 'Test', contrast: 'A − B', humanGap, simulatedGap }] })
+    .map(finding => finding.rule);
+
+describe('condition rules', () => {
+  it('flags a reversed gap', () => {
+    expect(conditionFindings(20, -8)).toContain('gap-reversed');
+  });
+
+  it('does not call a gap within the tolerance of zero reversed', () => {
+    expect(conditionFindings(20, 0)).toEqual(['gap-below-human']);
+    expect(conditionFindings(-20, 3)).toEqual(['gap-below-human']);
+    expect(conditionFindings(20, -5)).toContain('gap-reversed');
+  });
+
+  it('does not call gaps of opposite sign a match', () => {
+    expect(conditionFindings(4, -6)).toEqual(['gap-exceeds-human']);
+    expect(conditionFindings(-7, 2)).toEqual(['gap-below-human']);
+    expect(conditionFindings(-7, -4)).toEqual(['gap-matches-human']);
+  });
+
+  it('reports convergence when both gaps are small', () => {
+    expect(conditionFindings(1.1, 3)).toEqual(['gap-converged']);
+  });
+
+  it('flags a simulated gap larger than the human one', () => {
+    expect(conditionFindings(1.1, 12)).toEqual(['gap-exceeds-human']);
+  });
+
+  it('produces a finding for every comparison', () => {
+    [[28, 26], [28, 10], [4.9, -5.5], [-12, -14], [0, 0]].forEach(([human, simulated]) => {
+      expect(conditionFindings(human, simulated).length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('report for an interpretation', () => {
+  const model = getModel('explicit-implicit');
+  const parameters = { ...model.defaults, achievementDeficit: 1.0 };
+  const report = buildReport({
+    model,
+    parameters,
+    simulationData: model.simulate(parameters),
+    humanData,
+    datasetName: 'Myrseth et al., 2009'
+  });
+
+  it('has tables, the mechanism and findings', () => {
+    expect(report.sections.map(section => section.id)).toEqual(['parameters', 'cells', 'gaps', 'mechanism', 'findings']);
+    expect(report.sections[1].table.rows).toHaveLength(4);
+    expect(report.sections[3].paragraphs).toHaveLength(2);
+  });
+
+  it('lists parameter findings and orders warnings first', () => {
+    const rules = report.findings.map(finding => finding.rule);
+    expect(rules).toContain('parameter-at-boundary');
+    expect(rules).toContain('parameter-changed');
+    const order = report.findings.map(finding => ['warning', 'info', 'success'].indexOf(finding.severity));
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+  });
+
+  it('applies the interpretation\'s own rules', () => {
+    const saturated = { ...model.defaults, achievementDeficit: 1.0, achievementStimulus: 1.0, benefitCoefficient: 1.5, costCoefficient: 0.1 };
+    const saturatedReport = buildReport({ model, parameters: saturated, simulationData: model.simulate(saturated), humanData, datasetName: 'x' });
+    expect(saturatedReport.findings.map(finding => finding.rule)).toContain('explicitness-ceiling');
+  });
+
+  it('renders to Markdown without inline markup', () => {
+    const markdown = reportToMarkdown(report);
+    expect(markdown).toContain('# Self-Control Simulation Report: Explicit-Implicit Interpretation');
+    expect(markdown).toContain('| Parameter | Group | Value | Default | Range | Change (%) |');
+    expect(markdown).not.toContain('**');
+  });
+});
+
+it('formats table values', () => {
+  expect(formatCell(2.345, { digits: 1, signed: true })).toBe('+2.3');
+  expect(formatCell(NaN, { digits: 1 })).toBe('–');
+  expect(formatCell('Granola Bars', {})).toBe('Granola Bars');
+});
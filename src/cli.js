@@ -0,0 +1,355 @@
+// Headless runner behind bin/simulacion.mjs. It runs the same model,
+// design, fitting and report code as the web app and returns what to print
+// instead of touching the file system, so it can be tested directly.
+import { getModel, listModels } from './models';
+import { defaultDesign, validateDesign, matchedCells } from './design';
+import { builtInDatasets, parseDatasetFile, parseCsv } from './datasets';
+import { validateParameters, parseConfigurationsJson } from './configurations';
+import { computeRMSE, computeInformationCriteria, computePreferenceGaps } from './fitting';
+import { buildReport } from './analysis';
+import { csvField, reportToMarkdown } from './exporters';
+import { createTranslator, isLanguage, languages, localizeModel } from './i18n';
+
+export const exitCodes = {
+  ok: 0,
+  usage: 1,
+  unknownInterpretation: 2,
+  invalidParameters: 3,
+  invalidInput: 4
+};
+
+export const usage = `Usage: simulacion --interpretation <id> [options]
+
+Runs a self-control interpretation with the web app's model code and prints
+the simulated ratings, fit metrics against a human dataset and the analysis
+report.
+
+Options:
+  -i, --interpretation <id>  explicit-implicit, desire-goal or goal-goal
+  --set <key=value>          override one parameter (repeatable)
+  --grid <file>              parameter sets to run, from CSV or JSON
+  --data <file>              human dataset (CSV or JSON, as imported in the app);
+                             defaults to the built-in Myrseth et al. (2009) means
+  --design <file>            experimental design JSON (items, conditions, contrast)
+  --format <json|csv>        output format (default json)
+  -o, --output <file>        write the results to a file instead of stdout
+  --report <file>            write the analysis report; Markdown for .md, else JSON
+  --language <es|en>         language of the report and of validation messages
+                             (default en)
+  --list                     list the interpretations and their parameters
+  -h, --help                 show this help
+
+Exit codes:
+  0 success, 1 usage error, 2 unknown interpretation,
+  3 invalid parameters, 4 unreadable or invalid input file`;
+
+const valueFlags = {
+  '-i': 'interpretation',
+  '--interpretation': 'interpretation',
+  '--set': 'set',
+  '--grid': 'grid',
+  '--data': 'data',
+  '--design': 'design',
+  '--format': 'format',
+  '-o': 'output',
+  '--output': 'output',
+  '--report': 'report',
+  '--language': 'language'
+};
+
+const switchFlags = {
+  '--list': 'list',
+  '-h': 'help',
+  '--help': 'help'
+};
+
+// Parse argv (without node and the script) into options. Returns
+// { options } or { errors }.
+export const parseArguments = (args) => {
+  const options = { set: [], format: 'json', language: 'en' };
+  const errors = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].startsWith('--') && args[i].includes('=')
+      ? [args[i].slice(0, args[i].indexOf('=')), args[i].slice(args[i].indexOf('=') + 1)]
+      : [args[i], undefined];
+
+    if (switchFlags[flag]) {
+      options[switchFlags[flag]] = true;
+    } else if (valueFlags[flag]) {
+      const value = inlineValue ?? args[++i];
+      if (value === undefined) {
+        errors.push(`${flag} needs a value.`);
+      } else if (valueFlags[flag] === 'set') {
+        options.set.push(value);
+      } else {
+        options[valueFlags[flag]] = value;
+      }
+    } else {
+      errors.push(`Unknown option "${args[i]}".`);
+    }
+  }
+
+  if (!['json', 'csv'].includes(options.format)) {
+    errors.push(`--format must be json or csv, got "${options.format}".`);
+  }
+  if (!isLanguage(options.language)) {
+    errors.push(`--language must be one of ${languages.map(entry => entry.id).join(', ')}, got "${options.language}".`);
+  }
+  return errors.length ? { errors } : { options };
+};
+
+// "key=value" pairs from --set into a parameter object
+export const parseOverrides = (pairs) => {
+  const errors = [];
+  const params = {};
+  pairs.forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      errors.push(`--set expects key=value, got "${pair}".`);
+    } else {
+      params[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+  });
+  return errors.length ? { errors } : { params };
+};
+
+const cartesianProduct = (axes) =>
+  Object.entries(axes).reduce(
+    (sets, [key, values]) => sets.flatMap(set => values.map(value => ({ ...set, [key]: value }))),
+    [{}]
+  );
+
+const withoutName = ({ name, ...params }) => params;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with a { key: [values] } grid: every key needs at least one
+// value and every value must be a finite number
+const gridAxisErrors = (axes, fileName) => Object.entries(axes).flatMap(([key, values]) => {
+  if (!values.length) return [`${fileName}: ${key} lists no values.`];
+  const invalid = values.filter(value => typeof value !== 'number' || !Number.isFinite(value));
+  return invalid.length ? [`${fileName}: ${key} has values that are not finite numbers: ${invalid.map(value => JSON.stringify(value)).join(', ')}.`] : [];
+});
+
+// Parameter sets from a grid file. Accepted forms:
+//   CSV with one column per parameter and an optional name column
+//   JSON array of parameter objects, or of { name, params }
+//   JSON { key: [values] } - every combination of the listed values
+//   a configurations export from the app: { interpretation, configurations }
+// Returns { configurations: [{ name, params }], interpretation } or { errors }.
+export const parseParameterGrid = (text, fileName) => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  if (!isJson) {
+    const rows = parseCsv(text);
+    if (!rows.length) return { errors: [`${fileName}: no parameter rows.`] };
+    return {
+      configurations: rows.map((row, index) => ({ name: row.name || `row ${index + 1}`, params: withoutName(row) }))
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { errors: [`${fileName}: invalid JSON: ${error.message}`] };
+  }
+
+  if (Array.isArray(parsed)) {
+    if (!parsed.length) return { errors: [`${fileName}: no parameter sets.`] };
+    const notSets = parsed
+      .map((entry, index) => (isPlainObject(entry) && (entry.params === undefined || isPlainObject(entry.params)) ? null : index + 1))
+      .filter(Boolean);
+    if (notSets.length) {
+      return { errors: [`${fileName}: set(s) ${notSets.join(', ')} are not objects of parameter values.`] };
+    }
+    return {
+      configurations: parsed.map((entry, index) => ({
+        name: entry.name || `set ${index + 1}`,
+        params: entry.params || withoutName(entry)
+      }))
+    };
+  }
+  if (isPlainObject(parsed) && Object.keys(parsed).length && Object.values(parsed).every(Array.isArray)) {
+    const errors = gridAxisErrors(parsed, fileName);
+    if (errors.length) return { errors };
+    return {
+      configurations: cartesianProduct(parsed).map((params, index) => ({ name: `grid ${index + 1}`, params }))
+    };
+  }
+
+  const result = parseConfigurationsJson(text);
+  if (result.errors) {
+    return { errors: [`${fileName}: expected a parameter array, a { key: [values] } grid or a configurations export.`] };
+  }
+  return result;
+};
+
+const fitMetrics = (simulated, humanData, model, design) => {
+  const cells = matchedCells(simulated, humanData, design).length;
+  if (!cells) return { cells, rmse: null, rss: null, aic: null, bic: null };
+  return {
+    cells,
+    rmse: computeRMSE(simulated, humanData, design),
+    ...computeInformationCriteria(simulated, humanData, model.parameters.length, design)
+  };
+};
+
+// One line per run x condition x item, with the run's parameters and fit
+// metrics repeated on each line
+export const runsToCsv = (runs, model, humanData, design) => {
+  const parameterKeys = model.parameters.map(config => config.key);
+  const columns = ['run', ...parameterKeys, 'condition', 'item', 'simulated', 'human', 'rmse', 'aic', 'bic'];
+  const lines = runs.flatMap(run =>
+    run.simulated.flatMap(row => {
+      const humanRow = humanData.find(candidate => candidate.condition === row.condition) || {};
+      return design.items.map(item => [
+        run.name,
+        ...parameterKeys.map(key => run.parameters[key]),
+        row.condition,
+        item.id,
+        row[item.id],
+        humanRow[item.id],
+        run.fit.rmse,
+        run.fit.aic,
+        run.fit.bic
+      ].map(csvField).join(','));
+    })
+  );
+  return [columns.join(','), ...lines].join('\n') + '\n';
+};
+
+const listing = () =>
+  listModels().map(model => [
+    `${model.id}  ${model.title}`,
+    ...model.parameters.map(config =>
+      `  ${config.key} = ${model.defaults[config.key]}  (${config.min}–${config.max}, step ${config.step})  ${config.label}`
+    )
+  ].join('\n')).join('\n\n') + '\n';
+
+const failure = (exitCode, errors) => ({ exitCode, errors, stdout: '', files: {} });
+
+// A file's text through readFile, with read errors returned as { errors }
+const readInput = (readFile, path) => {
+  try {
+    return { text: readFile(path) };
+  } catch (error) {
+    return { errors: [`Cannot read ${path}: ${error.message}`] };
+  }
+};
+
+// Run the CLI for argv. readFile(path) returns a file's text. Returns
+// { exitCode, stdout, files: { [path]: content }, errors }.
+export const runCli = (args, { readFile }) => {
+  const parsedArgs = parseArguments(args);
+  if (parsedArgs.errors) return failure(exitCodes.usage, [...parsedArgs.errors, '', usage]);
+  const { options } = parsedArgs;
+
+  if (options.help) return { exitCode: exitCodes.ok, stdout: `${usage}\n`, files: {}, errors: [] };
+  if (options.list) return { exitCode: exitCodes.ok, stdout: listing(), files: {}, errors: [] };
+
+  let grid = null;
+  if (options.grid) {
+    const input = readInput(readFile, options.grid);
+    if (input.errors) return failure(exitCodes.invalidInput, input.errors);
+    grid = parseParameterGrid(input.text, options.grid);
+    if (grid.errors) return failure(exitCodes.invalidInput, grid.errors);
+  }
+
+  const interpretation = options.interpretation || (grid && grid.interpretation);
+  if (!interpretation) return failure(exitCodes.usage, ['--interpretation is required.', '', usage]);
+  const registered = getModel(interpretation);
+  if (!registered) {
+    return failure(exitCodes.unknownInterpretation, [
+      `Unknown interpretation "${interpretation}". Available: ${listModels().map(m => m.id).join(', ')}.`
+    ]);
+  }
+  const t = createTranslator(options.language);
+  const model = localizeModel(registered, t);
+
+  // A grid naming other parameters was written for another interpretation
+  if (grid) {
+    const gridKeys = [...new Set(grid.configurations.flatMap(configuration => Object.keys(configuration.params)))];
+    const unknown = gridKeys.filter(key => !model.parameters.some(config => config.key === key));
+    if (unknown.length) {
+      return failure(exitCodes.invalidInput, [`${options.grid}: unknown parameter(s) for ${model.id}: ${unknown.join(', ')}.`]);
+    }
+  }
+
+  let design = defaultDesign;
+  if (options.design) {
+    const input = readInput(readFile, options.design);
+    if (input.errors) return failure(exitCodes.invalidInput, input.errors);
+    try {
+      design = JSON.parse(input.text);
+    } catch (error) {
+      return failure(exitCodes.invalidInput, [`${options.design}: invalid JSON: ${error.message}`]);
+    }
+    const shapeOk = design && Array.isArray(design.items) && Array.isArray(design.conditions) && Array.isArray(design.contrast);
+    const designErrors = shapeOk ? validateDesign(design, t) : [t('errors.designShape')];
+    if (designErrors.length) return failure(exitCodes.invalidInput, designErrors.map(text => `${options.design}: ${text}`));
+  }
+
+  let dataset = builtInDatasets[0];
+  if (options.data) {
+    const input = readInput(readFile, options.data);
+    if (input.errors) return failure(exitCodes.invalidInput, input.errors);
+    const result = parseDatasetFile(input.text, options.data.split(/[\\/]/).pop(), design, t);
+    if (result.errors) return failure(exitCodes.invalidInput, result.errors.map(text => `${options.data}: ${text}`));
+    dataset = result.dataset;
+  }
+
+  const overrides = parseOverrides(options.set);
+  if (overrides.errors) return failure(exitCodes.usage, overrides.errors);
+
+  const configurations = grid ? grid.configurations : [{ name: 'run', params: {} }];
+  const errors = [];
+  const runs = [];
+  configurations.forEach(configuration => {
+    const merged = { ...model.defaults, ...overrides.params, ...configuration.params };
+    const validated = validateParameters(model.parameters, merged, model.defaults, t);
+    if (validated.errors) {
+      errors.push(...validated.errors.map(text => (grid ? `${configuration.name}: ${text}` : text)));
+      return;
+    }
+    const simulated = model.simulate(validated.params, design);
+    runs.push({
+      name: configuration.name,
+      parameters: validated.params,
+      simulated,
+      ...(model.trace ? { trace: model.trace(validated.params, design) } : {}),
+      fit: fitMetrics(simulated, dataset.data, model, design),
+      gaps: computePreferenceGaps(simulated, design),
+      analysis: buildReport({
+        model,
+        parameters: validated.params,
+        simulationData: simulated,
+        humanData: dataset.data,
+        design,
+        datasetName: dataset.name,
+        t
+      })
+    });
+  });
+  if (errors.length) return failure(exitCodes.invalidParameters, errors);
+
+  const results = options.format === 'csv'
+    ? runsToCsv(runs, model, dataset.data, design)
+    : JSON.stringify({
+      interpretation: model.id,
+      dataset: dataset.name,
+      design,
+      generatedAt: new Date().toISOString(),
+      runs
+    }, null, 2) + '\n';
+
+  const files = {};
+  if (options.output) files[options.output] = results;
+  if (options.report) {
+    files[options.report] = /\.md$/i.test(options.report)
+      ? runs.map(run => reportToMarkdown(run.analysis, t)).join('\n\n---\n\n') + '\n'
+      : JSON.stringify(grid ? runs.map(run => run.analysis) : runs[0].analysis, null, 2) + '\n';
+  }
+
+  return { exitCode: exitCodes.ok, stdout: options.output ? '' : results, files, errors: [] };
+};
@@ -0,0 +1,121 @@
+import { runCli, parseArguments, parseParameterGrid, exitCodes } from './cli';
+import { getModel } from './models';
+
+const files = {
+  'grid.csv': 'name,costCoefficient\nlow,0.1\nhigh,0.3\n',
+  'grid.json': '{ "costCoefficient": [0.1, 0.2], "benefitCoefficient": [0.5, 1.5] }',
+  'human.csv': 'condition,item,mean\nbefore,granola,100\nbefore,chocolate,80\n',
+  'broken.json': '{ "costCoefficient": ',
+  'numbers.json': '[1, 2]',
+  'empty-axis.json': '{ "costCoefficient": [] }',
+  'null-value.json': '{ "costCoefficient": [0.1, null] }',
+  'other-model.json': '{ "granolaActionCost": [0.1, 0.2] }',
+  'loose-items.json': '{ "items": [null, "granola"], "conditions": [], "contrast": [] }',
+  'no-items.json': '{ "conditions": [] }'
+};
+
+const readFile = (path) => {
+  if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+  return files[path];
+};
+
+const run = (args) => runCli(args, { readFile });
+
+describe('runCli', () => {
+  it('prints the same ratings as the web app model', () => {
+    const result = run(['-i', 'desire-goal']);
+    expect(result.exitCode).toBe(exitCodes.ok);
+    const output = JSON.parse(result.stdout);
+    const model = getModel('desire-goal');
+    expect(output.runs[0].simulated).toEqual(model.simulate(model.defaults));
+    expect(output.runs[0].fit.cells).toBe(4);
+    expect(output.runs[0].analysis.interpretation).toBe('desire-goal');
+  });
+
+  it('applies --set overrides', () => {
+    const output = JSON.parse(run(['-i', 'explicit-implicit', '--set', 'costCoefficient=0.2']).stdout);
+    expect(output.runs[0].parameters.costCoefficient).toBe(0.2);
+  });
+
+  it('runs every set of a CSV or JSON grid', () => {
+    const csv = run(['-i', 'explicit-implicit', '--grid', 'grid.csv', '--format', 'csv']);
+    expect(csv.stdout.trim().split('\n')).toHaveLength(1 + 2 * 4);
+    expect(csv.stdout).toMatch(/^high,/m);
+
+    const grid = JSON.parse(run(['-i', 'explicit-implicit', '--grid=grid.json']).stdout);
+    expect(grid.runs.map(entry => [entry.parameters.costCoefficient, entry.parameters.benefitCoefficient]))
+      .toEqual([[0.1, 0.5], [0.1, 1.5], [0.2, 0.5], [0.2, 1.5]]);
+  });
+
+  it('compares against an imported dataset and writes files', () => {
+    const result = run(['-i', 'goal-goal', '--data', 'human.csv', '-o', 'out.csv', '--format', 'csv', '--report', 'report.md']);
+    expect(result.stdout).toBe('');
+    expect(Object.keys(result.files)).toEqual(['out.csv', 'report.md']);
+    expect(result.files['report.md']).toMatch(/^# Self-Control Simulation Report/);
+    expect(result.files['out.csv']).toMatch(/Before Choice,granola,\d+,100,/);
+  });
+
+  it('writes the report in the --language chosen', () => {
+    const result = run(['-i', 'goal-goal', '--language', 'es', '--report', 'report.md']);
+    expect(result.files['report.md']).toMatch(/^# Informe de simulación del autocontrol: Interpretación meta-meta/);
+  });
+
+  it.each([
+    [['--set', 'costCoefficient=0.2'], exitCodes.usage],
+    [['-i', 'explicit-implicit', '--frobnicate'], exitCodes.usage],
+    [['-i', 'explicit-implicit', '--language', 'fr'], exitCodes.usage],
+    [['-i', 'not-a-model'], exitCodes.unknownInterpretation],
+    [['-i', 'explicit-implicit', '--set', 'costCoefficient=5'], exitCodes.invalidParameters],
+    [['-i', 'explicit-implicit', '--set', 'threshold=1'], exitCodes.invalidParameters],
+    [['-i', 'explicit-implicit', '--data', 'missing.csv'], exitCodes.invalidInput],
+    [['-i', 'explicit-implicit', '--grid', 'broken.json'], exitCodes.invalidInput],
+    [['-i', 'explicit-implicit', '--grid', 'numbers.json'], exitCodes.invalidInput],
+    [['-i', 'explicit-implicit', '--grid', 'empty-axis.json'], exitCodes.invalidInput],
+    [['-i', 'explicit-implicit', '--grid', 'null-value.json'], exitCodes.invalidInput],
+    [['-i', 'explicit-implicit', '--grid', 'other-model.json'], exitCodes.invalidInput]
+  ])('exits with a meaningful code for %j', (args, exitCode) => {
+    const result = run(args);
+    expect(result.exitCode).toBe(exitCode);
+    expect(result.errors.length).toBeGreaterThan(0);
+  });
+});
+
+it('rejects an unknown output format', () => {
+  expect(parseArguments(['--format', 'xml']).errors).toEqual(['--format must be json or csv, got "xml".']);
+});
+
+it('reads a configurations export as a grid', () => {
+  const text = JSON.stringify({
+    interpretation: 'goal-goal',
+    configurations: [{ name: 'Saved', params: { costCoefficient: 0.2 } }]
+  });
+  expect(parseParameterGrid(text, 'saved.json')).toEqual({
+    interpretation: 'goal-goal',
+    configurations: [{ name: 'Saved', params: { costCoefficient: 0.2 } }]
+  });
+});
+
+it('explains what is wrong with a grid', () => {
+  expect(parseParameterGrid('[1, { "costCoefficient": 0.1 }, null]', 'sets.json').errors).toEqual([
+    'sets.json: set(s) 1, 3 are not objects of parameter values.'
+  ]);
+  expect(parseParameterGrid('{ "costCoefficient": [], "benefitCoefficient": [1, "high", null] }', 'grid.json').errors).toEqual([
+    'grid.json: costCoefficient lists no values.',
+    'grid.json: benefitCoefficient has values that are not finite numbers: "high", null.'
+  ]);
+  expect(run(['-i', 'explicit-implicit', '--grid', 'other-model.json']).errors).toEqual([
+    'other-model.json: unknown parameter(s) for explicit-implicit: granolaActionCost.'
+  ]);
+});
+
+it('explains what is wrong with a design', () => {
+  const loose = run(['-i', 'goal-goal', '--design', 'loose-items.json']);
+  expect(loose.exitCode).toBe(exitCodes.invalidInput);
+  expect(loose.errors).toEqual([
+    'loose-items.json: Item 1 is not an object of the form { id, label, health, hedonic }.',
+    'loose-items.json: Item 2 is not an object of the form { id, label, health, hedonic }.'
+  ]);
+  expect(run(['-i', 'goal-goal', '--design', 'no-items.json']).errors).toEqual([
+    'no-items.json: Expected { items, conditions, contrast }.'
+  ]);
+});
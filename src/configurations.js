@@ -0,0 +1,134 @@
+// Named parameter configurations: validation, localStorage persistence,
+// JSON export/import and the shareable URL query string.
+import { getModel } from './models';
+import { defaultTranslator } from './i18n';
+
+const STORAGE_KEY = 'simulacion-autocontrol:configurations';
+const INTERPRETATION_PARAM = 'interpretation';
+
+const isOnStep = (value, config) => {
+  const steps = (value - config.min) / config.step;
+  return Math.abs(steps - Math.round(steps)) < 1e-6;
+};
+
+// Check a parameter object against the slider configs. Values equal to a
+// model default are accepted even when the default lies off the step grid.
+// Returns { params } with only the known keys, or { errors } describing
+// every invalid value in t's language.
+export const validateParameters = (configs, rawParams, defaults = {}, t = defaultTranslator) => {
+  if (!rawParams || typeof rawParams !== 'object') {
+    return { errors: [t('errors.parametersNotObject')] };
+  }
+
+  const errors = [];
+  const params = {};
+  configs.forEach(config => {
+    const raw = rawParams[config.key];
+    const value = typeof raw === 'string' ? Number(raw) : raw;
+    if (raw === undefined || raw === null || raw === '') {
+      errors.push(t('errors.parameterMissing', { parameter: config.label }));
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(t('errors.parameterNotNumber', { parameter: config.label, raw }));
+    } else if (value < config.min - 1e-9 || value > config.max + 1e-9) {
+      errors.push(t('errors.parameterOutOfRange', { parameter: config.label, value, min: config.min, max: config.max }));
+    } else if (!isOnStep(value, config) && !(Math.abs(value - defaults[config.key]) <= 1e-9)) {
+      errors.push(t('errors.parameterOffStep', { parameter: config.label, value, step: config.step, min: config.min }));
+    } else {
+      params[config.key] = parseFloat(value.toFixed(6));
+    }
+  });
+
+  const unknown = Object.keys(rawParams).filter(key => !configs.some(config => config.key === key));
+  if (unknown.length) errors.push(t('errors.unknownParameters', { keys: unknown.join(', ') }));
+
+  return errors.length ? { errors } : { params };
+};
+
+const isValidSaved = (model, entry) =>
+  Boolean(entry) && typeof entry.name === 'string' && Boolean(entry.name.trim())
+  && !validateParameters(model.parameters, entry.params, model.defaults).errors;
+
+// Saved configurations keyed by interpretation: { [id]: [{ name, params, savedAt }] }.
+// Storage is shared with older versions and other tabs, so entries of unknown
+// interpretations, without a name or with invalid parameters are dropped.
+export const loadSavedConfigurations = () => {
+  let stored;
+  try {
+    stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return {};
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+
+  return Object.entries(stored).reduce((saved, [interpretation, entries]) => {
+    const model = getModel(interpretation);
+    const valid = model && Array.isArray(entries) ? entries.filter(entry => isValidSaved(model, entry)) : [];
+    return valid.length ? { ...saved, [interpretation]: valid } : saved;
+  }, {});
+};
+
+export const persistSavedConfigurations = (saved) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    // Storage can be full or disabled (private browsing); saving is best effort
+  }
+};
+
+export const encodeConfigurationQuery = (interpretation, params) => {
+  const query = new URLSearchParams({ [INTERPRETATION_PARAM]: interpretation });
+  Object.entries(params).forEach(([key, value]) => query.set(key, String(value)));
+  return `?${query.toString()}`;
+};
+
+// Read { interpretation, params } from a query string; params is null when
+// only the interpretation was given
+export const decodeConfigurationQuery = (search) => {
+  const query = new URLSearchParams(search);
+  const interpretation = query.get(INTERPRETATION_PARAM);
+  if (!interpretation) return null;
+
+  const params = {};
+  query.forEach((value, key) => {
+    if (key !== INTERPRETATION_PARAM) params[key] = value;
+  });
+  return { interpretation, params: Object.keys(params).length ? params : null };
+};
+
+export const configurationsToJson = (interpretation, configurations) =>
+  JSON.stringify({ interpretation, configurations }, null, 2);
+
+// An imported entry: an object with params and, optionally, a string name
+const isConfigurationEntry = (entry) =>
+  Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry)
+  && (entry.name === undefined || typeof entry.name === 'string');
+
+// Accepts { interpretation, configurations: [...] } or a single
+// { interpretation, name, params } object
+
+export const parseConfigurationsJson = (text, t = defaultTranslator) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { errors: [t('errors.invalidJson', { message: error.message })] };
+  }
+
+  if (parsed && Array.isArray(parsed.configurations)) {
+    const errors = parsed.configurations.flatMap((entry, index) => (
+      isConfigurationEntry(entry) ? [] : [t('errors.configurationEntryShape', { number: index + 1 })]
+    ));
+    if (errors.length) return { errors };
+    return {
+      interpretation: parsed.interpretation,
+      configurations: parsed.configurations
+    };
+  }
+  if (isConfigurationEntry(parsed) && parsed.params) {
+    return {
+      interpretation: parsed.interpretation,
+      configurations: [{ name: parsed.name, params: parsed.params }]
+    };
+  }
+  return { errors: [t('errors.configurationShape')] };
+};
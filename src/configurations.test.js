@@ -0,0 +1,100 @@
+import {
+  validateParameters,
+  loadSavedConfigurations,
+  persistSavedConfigurations,
+  encodeConfigurationQuery,
+  decodeConfigurationQuery,
+  configurationsToJson,
+  parseConfigurationsJson
+} from './configurations';
+import { getModel } from './models';
+
+const configs = [
+  { key: 'rate', label: 'Rate', min: 0.1, max: 0.9, step: 0.1 },
+  { key: 'cost', label: 'Cost', min: 0.1, max: 0.3, step: 0.02 }
+];
+
+describe('validateParameters', () => {
+  it('keeps known values and converts numeric strings', () => {
+    expect(validateParameters(configs, { rate: '0.3', cost: 0.24 })).toEqual({ params: { rate: 0.3, cost: 0.24 } });
+  });
+
+  it('reports every invalid value', () => {
+    expect(validateParameters(configs, { rate: 'fast', speed: 2 }).errors).toEqual([
+      'Rate must be a number, got "fast".',
+      'Cost is missing.',
+      'Unknown parameter(s): speed.'
+    ]);
+    expect(validateParameters(configs, { rate: 1.2, cost: 0.25 }).errors).toEqual([
+      'Rate = 1.2 is outside 0.1–0.9.',
+      'Cost = 0.25 is not a multiple of the step 0.02 from 0.1.'
+    ]);
+    expect(validateParameters(configs, null).errors).toEqual(['Parameters must be an object of name/value pairs.']);
+  });
+
+  it('accepts a default that lies off the step grid', () => {
+    expect(validateParameters(configs, { rate: 0.5, cost: 0.25 }, { cost: 0.25 })).toEqual({ params: { rate: 0.5, cost: 0.25 } });
+  });
+});
+
+describe('saved configurations', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  it('loads only named entries with valid parameters for known interpretations', () => {
+    const model = getModel('goal-goal');
+    const good = { name: 'Defaults', params: model.defaults, savedAt: '2026-01-01T00:00:00.000Z' };
+    persistSavedConfigurations({
+      'goal-goal': [good, null, { name: ' ', params: model.defaults }, { params: model.defaults }, { name: 'Broken', params: { speed: 1 } }],
+      'desire-goal': 'not a list',
+      habit: [good]
+    });
+    expect(loadSavedConfigurations()).toEqual({ 'goal-goal': [good] });
+  });
+
+  it('starts empty when storage holds something else', () => {
+    window.localStorage.setItem('simulacion-autocontrol:configurations', '[1, 2]');
+    expect(loadSavedConfigurations()).toEqual({});
+    window.localStorage.setItem('simulacion-autocontrol:configurations', '{ broken');
+    expect(loadSavedConfigurations()).toEqual({});
+  });
+});
+
+describe('share links', () => {
+  it('round-trips every interpretation parameter through the query string', () => {
+    const model = getModel('desire-goal');
+    const params = { ...model.defaults, costCoefficient: 0.24 };
+    const decoded = decodeConfigurationQuery(encodeConfigurationQuery(model.id, params));
+
+    expect(decoded.interpretation).toBe('desire-goal');
+    expect(validateParameters(model.parameters, decoded.params, model.defaults)).toEqual({ params });
+  });
+
+  it('reads a link with only an interpretation and ignores a link without one', () => {
+    expect(decodeConfigurationQuery('?interpretation=goal-goal')).toEqual({ interpretation: 'goal-goal', params: null });
+    expect(decodeConfigurationQuery('?rate=0.3')).toBeNull();
+  });
+});
+
+describe('configuration files', () => {
+  it('round-trips exported configurations and accepts a single one', () => {
+    const configurations = [{ name: 'Slow', params: { rate: 0.2, cost: 0.1 } }];
+    expect(parseConfigurationsJson(configurationsToJson('goal-goal', configurations))).toEqual({ interpretation: 'goal-goal', configurations });
+    expect(parseConfigurationsJson(JSON.stringify({ interpretation: 'goal-goal', ...configurations[0] }))).toEqual({ interpretation: 'goal-goal', configurations });
+  });
+
+  it('rejects other shapes', () => {
+    expect(parseConfigurationsJson('[]').errors).toEqual([
+      'Expected { interpretation, configurations: [...] } or { interpretation, name, params }.'
+    ]);
+    expect(parseConfigurationsJson('{').errors[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('rejects entries that are not configuration objects', () => {
+    const text = JSON.stringify({ interpretation: 'goal-goal', configurations: [null, { name: 'Slow', params: {} }, 'fast', { name: 3, params: {} }] });
+    expect(parseConfigurationsJson(text).errors).toEqual([
+      'Configuration 1 is not an object of the form { name, params }.',
+      'Configuration 3 is not an object of the form { name, params }.',
+      'Configuration 4 is not an object of the form { name, params }.'
+    ]);
+  });
+});
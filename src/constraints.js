@@ -0,0 +1,204 @@
+// Inverse questions: which slider values of an interpretation produce a
+// wanted pattern of ratings. A constraint bounds one simulated quantity:
+//
+//   { kind: 'cell', condition, item, min, max }  one item's rating
+//   { kind: 'gap', condition, min, max }         the condition's preference gap
+//
+// with min and/or max in rating points (null for no bound, both inclusive).
+// The solver walks the slider grid, so its answers are values the sliders
+// can actually take; when the full grid is too large it is thinned evenly
+// and the answer is only as fine as the thinned grid.
+import { defaultDesign, preferenceGap } from './design';
+import { buildGridAxes, gridPoint, toParams, yieldToBrowser } from './fitting';
+import { defaultTranslator } from './i18n';
+
+const isBound = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Met constraints are tracked as bits of an integer
+export const maxConstraints = 12;
+
+// Example targets from the original question: the before-choice gap stays
+// large while the after-choice gap disappears
+export const exampleConstraints = (design = defaultDesign) => {
+  const first = design.conditions[0].label;
+  const last = design.conditions[design.conditions.length - 1].label;
+  return [
+    { kind: 'gap', condition: first, min: 25, max: null },
+    { kind: 'gap', condition: last, min: -2, max: 2 }
+  ];
+};
+
+export const validateConstraints = (constraints, design = defaultDesign, t = defaultTranslator) => {
+  const errors = [];
+  if (!constraints.length) errors.push(t('errors.noConstraints'));
+  if (constraints.length > maxConstraints) errors.push(t('errors.tooManyConstraints', { max: maxConstraints }));
+  constraints.forEach((constraint, index) => {
+    const number = index + 1;
+    if (!design.conditions.some(condition => condition.label === constraint.condition)) {
+      errors.push(t('errors.constraintCondition', { number, condition: constraint.condition }));
+    }
+    if (constraint.kind === 'cell' && !design.items.some(item => item.id === constraint.item)) {
+      errors.push(t('errors.constraintItem', { number, item: constraint.item }));
+    }
+    if (!isBound(constraint.min) && !isBound(constraint.max)) {
+      errors.push(t('errors.constraintUnbounded', { number }));
+    } else if (isBound(constraint.min) && isBound(constraint.max) && constraint.min > constraint.max) {
+      errors.push(t('errors.constraintRange', { number, min: constraint.min, max: constraint.max }));
+    }
+  });
+  return errors;
+};
+
+// The constrained quantity in simulated rows
+export const constraintValue = (constraint, simulated, design = defaultDesign) => {
+  const row = simulated.find(simulatedRow => simulatedRow.condition === constraint.condition);
+  if (!row) return NaN;
+  return constraint.kind === 'gap' ? preferenceGap(row, design) : row[constraint.item];
+};
+
+// Rating points by which a value misses the constraint's range; 0 when met
+export const constraintViolation = (constraint, value) => {
+  if (!Number.isFinite(value)) return Infinity;
+  if (isBound(constraint.min) && value < constraint.min) return constraint.min - value;
+  if (isBound(constraint.max) && value > constraint.max) return value - constraint.max;
+  return 0;
+};
+
+// Readable name of the constrained quantity, e.g. "Before Choice gap
+// (Granola Bars − Chocolate Bars)"
+export const describeQuantity = (constraint, design = defaultDesign, t = defaultTranslator) => {
+  const labelOf = (id) => t.label((design.items.find(item => item.id === id) || { label: id }).label);
+  return constraint.kind === 'gap'
+    ? t('constraints.gapQuantity', {
+      condition: t.label(constraint.condition),
+      first: labelOf(design.contrast[0]),
+      second: labelOf(design.contrast[1])
+    })
+    : t('constraints.cellQuantity', { condition: t.label(constraint.condition), item: labelOf(constraint.item) });
+};
+
+// Readable form of a constraint, e.g. "Before Choice gap (Granola Bars −
+// Chocolate Bars) ≥ 25"
+export const describeConstraint = (constraint, design = defaultDesign, t = defaultTranslator) => {
+  const quantity = describeQuantity(constraint, design, t);
+  const min = isBound(constraint.min) ? constraint.min.toLocaleString(t.locale) : null;
+  const max = isBound(constraint.max) ? constraint.max.toLocaleString(t.locale) : null;
+  if (min !== null && max !== null) return t('constraints.between', { quantity, min, max });
+  return min !== null ? t('constraints.atLeast', { quantity, min }) : t('constraints.atMost', { quantity, max });
+};
+
+// How far parameters are from the current ones: the summed change of each
+// parameter as a fraction of its slider range, which favours changing few
+// parameters over nudging many
+export const parameterDistance = (configs, params, current) =>
+  configs.reduce((sum, config) => sum + Math.abs(params[config.key] - current[config.key]) / (config.max - config.min), 0);
+
+const allMask = (count) => (1 << count) - 1;
+
+// Whether some evaluated point met every constraint in mask
+const jointlyMet = (masks, mask) => masks.some(met => (met & mask) === mask);
+
+// A smallest set of constraints that no evaluated point meets together:
+// constraints are dropped one at a time as long as the rest still conflict
+const minimalConflict = (masks, indexes) => {
+  let conflict = [...indexes];
+  indexes.forEach(index => {
+    const without = conflict.filter(other => other !== index);
+    const mask = without.reduce((bits, other) => bits | (1 << other), 0);
+    if (without.length && !jointlyMet(masks, mask)) conflict = without;
+  });
+  return conflict;
+};
+
+// Search the slider grid of one interpretation for parameter sets meeting
+// every constraint. Returns
+//   { feasible, feasibleCount, gridSize, exhaustive,
+//     solution: { params, simulated, values, distance, changes } | null,
+//     closest: the same for the point missing the constraints by the fewest
+//       rating points, when nothing is feasible,
+//     impossible: indexes of constraints no point meets even alone,
+//     conflict: indexes of a smallest set of otherwise attainable
+//       constraints that cannot be met together }
+// Progress is reported as { completed, total, feasibleCount } between chunks.
+export const solveConstraints = async (simulate, configs, constraints, current, options = {}) => {
+  const {
+    maxGridPoints = 50000,
+    chunkSize = 500,
+    design = defaultDesign,
+    onProgress = () => {}
+  } = options;
+
+  const evaluatePoint = (params) => {
+    const simulated = simulate(params, design);
+    const values = constraints.map(constraint => constraintValue(constraint, simulated, design));
+    const violations = constraints.map((constraint, i) => constraintViolation(constraint, values[i]));
+    return { params, simulated, values, violations };
+  };
+  const metMask = (violations) => violations.reduce((bits, violation, i) => (violation === 0 ? bits | (1 << i) : bits), 0);
+  const totalViolation = (violations) => violations.reduce((sum, violation) => sum + violation, 0);
+  const everything = allMask(constraints.length);
+  const withChanges = (point) => ({
+    ...point,
+    distance: parameterDistance(configs, point.params, current),
+    changes: configs
+      .filter(config => Math.abs(point.params[config.key] - current[config.key]) > 1e-9)
+      .map(config => ({ key: config.key, from: current[config.key], to: point.params[config.key] }))
+  });
+
+  const axes = buildGridAxes(configs, maxGridPoints);
+  const gridSize = axes.reduce((product, values) => product * values.length, 1);
+  const fullSize = configs.reduce((product, config) => product * (Math.round((config.max - config.min) / config.step) + 1), 1);
+  // Distinct sets of met constraints, for telling which ones conflict
+  const masks = new Set();
+  let feasibleCount = 0;
+  let solution = null;
+  let closest = null;
+
+  // The current values may lie off the grid (some defaults do); if they
+  // already meet everything nothing needs to change
+  const start = evaluatePoint(current);
+  if (metMask(start.violations) === everything) {
+    solution = withChanges(start);
+  }
+
+  for (let index = 0; index < gridSize; index++) {
+    const point = evaluatePoint(toParams(configs, gridPoint(axes, index)));
+    const mask = metMask(point.violations);
+    masks.add(mask);
+
+    if (mask === everything) {
+      feasibleCount++;
+      const distance = parameterDistance(configs, point.params, current);
+      if (!solution || distance < solution.distance) solution = withChanges(point);
+    } else if (!solution) {
+      const total = totalViolation(point.violations);
+      if (!closest || total < closest.total
+        || (total === closest.total && parameterDistance(configs, point.params, current) < closest.distance)) {
+        closest = { ...withChanges(point), total };
+      }
+    }
+
+    if ((index + 1) % chunkSize === 0 || index === gridSize - 1) {
+      onProgress({ completed: index + 1, total: gridSize, feasibleCount });
+      await yieldToBrowser();
+    }
+  }
+
+  const metMasks = [...masks];
+  const indexes = constraints.map((_, i) => i);
+  const impossible = indexes.filter(i => !jointlyMet(metMasks, 1 << i));
+  const attainable = indexes.filter(i => !impossible.includes(i));
+  const attainableMask = attainable.reduce((bits, i) => bits | (1 << i), 0);
+  const conflict = solution || jointlyMet(metMasks, attainableMask) ? [] : minimalConflict(metMasks, attainable);
+
+  return {
+    feasible: Boolean(solution),
+    feasibleCount,
+    gridSize,
+    exhaustive: gridSize === fullSize,
+    solution,
+    closest: solution ? null : closest,
+    impossible: solution ? [] : impossible,
+    conflict
+  };
+};
@@ -0,0 +1,148 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  exampleConstraints,
+  validateConstraints,
+  constraintValue,
+  constraintViolation,
+  describeConstraint,
+  solveConstraints
+} from './constraints';
+import { defaultDesign } from './design';
+import { getModel } from './models';
+import ConstraintPanel from './ConstraintPanel';
+import { LanguageProvider } from './i18n/LanguageProvider';
+
+const solve = (model, constraints, current = model.defaults) =>
+  solveConstraints(model.simulate, model.parameters, constraints, current, { maxGridPoints: 5000 });
+
+describe('constraints', () => {
+  const simulated = [
+    { condition: 'Before Choice', granola: 110, chocolate: 80 },
+    { condition: 'After Choice', granola: 94, chocolate: 96 }
+  ];
+
+  it('reads cells and preference gaps from simulated rows', () => {
+    expect(constraintValue({ kind: 'cell', condition: 'After Choice', item: 'chocolate' }, simulated)).toBe(96);
+    expect(constraintValue({ kind: 'gap', condition: 'Before Choice' }, simulated)).toBe(30);
+    expect(constraintValue({ kind: 'gap', condition: 'Delayed' }, simulated)).toBeNaN();
+  });
+
+  it('measures by how many points a value misses its range', () => {
+    const constraint = { kind: 'gap', condition: 'After Choice', min: -2, max: 2 };
+    expect(constraintViolation(constraint, 0)).toBe(0);
+    expect(constraintViolation(constraint, 5)).toBe(3);
+    expect(constraintViolation(constraint, -4)).toBe(2);
+    expect(constraintViolation({ ...constraint, max: null }, 40)).toBe(0);
+    expect(constraintViolation(constraint, NaN)).toBe(Infinity);
+  });
+
+  it('rejects constraints that do not fit the design or have no range', () => {
+    expect(validateConstraints(exampleConstraints())).toEqual([]);
+    expect(validateConstraints([])).toEqual(['Add at least one constraint.']);
+    expect(validateConstraints([
+      { kind: 'cell', condition: 'Delayed', item: 'apple', min: 1, max: null },
+      { kind: 'gap', condition: 'After Choice', min: null, max: null },
+      { kind: 'gap', condition: 'After Choice', min: 5, max: 1 }
+    ])).toEqual([
+      'Constraint 1: unknown condition "Delayed".',
+      'Constraint 1: unknown item "apple".',
+      'Constraint 2: set a minimum, a maximum or both.',
+      'Constraint 3: the minimum 5 is above the maximum 1.'
+    ]);
+  });
+
+  it('describes constraints in words', () => {
+    const [before, after] = exampleConstraints();
+    expect(describeConstraint(before)).toBe('Before Choice gap (Granola Bars − Chocolate Bars) ≥ 25');
+    expect(describeConstraint(after)).toBe('After Choice gap (Granola Bars − Chocolate Bars) between -2 and 2');
+    expect(describeConstraint({ kind: 'cell', condition: 'After Choice', item: 'chocolate', min: null, max: 90 }))
+      .toBe('After Choice · Chocolate Bars ≤ 90');
+  });
+});
+
+describe('solveConstraints', () => {
+  const model = getModel('explicit-implicit');
+
+  it('keeps the current values when they already meet every constraint', async () => {
+    const simulated = model.simulate(model.defaults);
+    const gap = simulated[0].granola - simulated[0].chocolate;
+    const result = await solve(model, [{ kind: 'gap', condition: 'Before Choice', min: gap - 1, max: gap + 1 }]);
+    expect(result.feasible).toBe(true);
+    expect(result.solution.changes).toEqual([]);
+    expect(result.solution.distance).toBe(0);
+  });
+
+  it('finds the smallest change that meets the targets', async () => {
+    // The desire-goal defaults leave a 7-point after-choice gap
+    const desireGoal = getModel('desire-goal');
+    const constraints = exampleConstraints();
+    const result = await solve(desireGoal, constraints);
+    expect(result.feasible).toBe(true);
+    expect(result.feasibleCount).toBeGreaterThan(0);
+    result.solution.violations.forEach(violation => expect(violation).toBe(0));
+
+    // The reported parameters meet the targets when simulated again
+    const simulated = desireGoal.simulate(result.solution.params, defaultDesign);
+    constraints.forEach(constraint => {
+      expect(constraintViolation(constraint, constraintValue(constraint, simulated))).toBe(0);
+    });
+    expect(result.solution.changes.length).toBeGreaterThan(0);
+    result.solution.changes.forEach(change => expect(change.to).not.toBe(change.from));
+  });
+
+  it('reports constraints no parameter values can meet', async () => {
+    const result = await solve(model, [
+      { kind: 'gap', condition: 'Before Choice', min: 25, max: null },
+      { kind: 'cell', condition: 'After Choice', item: 'granola', min: 500, max: null }
+    ]);
+    expect(result.feasible).toBe(false);
+    expect(result.impossible).toEqual([1]);
+    expect(result.conflict).toEqual([]);
+    expect(result).toHaveProperty(['closest', 'violations', 0], 0);
+  });
+
+  it('names the constraints that cannot be met together', async () => {
+    // The explicit-implicit healthy and hedonic ratings move in opposite
+    // directions, so both cannot rise above their default levels together
+    const simulated = model.simulate(model.defaults);
+    const before = simulated[0];
+    const result = await solve(model, [
+      { kind: 'cell', condition: 'Before Choice', item: 'granola', min: before.granola + 3, max: null },
+      { kind: 'cell', condition: 'Before Choice', item: 'chocolate', min: before.chocolate + 3, max: null },
+      { kind: 'gap', condition: 'After Choice', min: -100, max: 100 }
+    ]);
+    expect(result.feasible).toBe(false);
+    expect(result.impossible).toEqual([]);
+    expect(result.conflict).toEqual([0, 1]);
+  });
+
+  it('reports progress and whether the whole slider grid was searched', async () => {
+    const onProgress = jest.fn();
+    const goalGoal = getModel('goal-goal');
+    const result = await solveConstraints(goalGoal.simulate, goalGoal.parameters, exampleConstraints(), goalGoal.defaults, {
+      maxGridPoints: 100,
+      chunkSize: 50,
+      onProgress
+    });
+    expect(result.exhaustive).toBe(false);
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ completed: result.gridSize, total: result.gridSize }));
+  });
+});
+
+describe('ConstraintPanel', () => {
+  it('shows an error from the search and can search again', async () => {
+    const model = getModel('desire-goal');
+    const failing = { ...model, simulate: () => { throw new Error('model exploded'); } };
+    render(
+      <LanguageProvider initialLanguage="en">
+        <ConstraintPanel model={failing} parameters={model.defaults} design={defaultDesign} onApply={jest.fn()} />
+      </LanguageProvider>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Search parameter values' }));
+    expect(await screen.findByText('The search stopped with an error: model exploded')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Search parameter values' }).disabled).toBe(false);
+    expect(screen.queryByRole('progressbar')).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+import { parseCsv, buildDatasetFromRecords, parseDatasetFile, datasetFitsDesign, builtInDatasets } from './datasets';
+import { defaultDesign } from './design';
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes and blank lines', () => {
+    expect(parseCsv('condition,item,rating\r\n"Before, early",granola,"9""0"\n\nafter, chocolate ,85\n')).toEqual([
+      { condition: 'Before, early', item: 'granola', rating: '9"0' },
+      { condition: 'after', item: 'chocolate', rating: '85' }
+    ]);
+  });
+
+  it('accepts semicolons when the header has no commas', () => {
+    expect(parseCsv('condition;item;mean\nbefore;granola;102,19')).toEqual([
+      { condition: 'before', item: 'granola', mean: '102,19' }
+    ]);
+  });
+
+  it('leaves short rows with missing fields and returns nothing for an empty file', () => {
+    expect(parseCsv('condition,item,rating\nbefore,granola')).toEqual([
+      { condition: 'before', item: 'granola', rating: undefined }
+    ]);
+    expect(parseCsv(' \n')).toEqual([]);
+  });
+});
+
+describe('buildDatasetFromRecords', () => {
+  it('builds summary rows over the covered design cells', () => {
+    expect(buildDatasetFromRecords([
+      { Condition: 'before', Item: 'Granola Bar', Mean: '102.19', SD: '10', N: '40' },
+      { condition: 'before', item: 'chocolate', mean: 74.06 }
+    ])).toEqual({
+      format: 'summary',
+      data: [{ condition: 'Before Choice', granola: 102.19, granolaSD: 10, granolaN: 40, chocolate: 74.06, chocolateSD: null, chocolateN: null }]
+    });
+  });
+
+  it('reports empty input and missing columns', () => {
+    expect(buildDatasetFromRecords([]).errors).toEqual(['The file contains no data rows.']);
+    expect(buildDatasetFromRecords({ condition: 'before' }).errors).toEqual(['The file contains no data rows.']);
+    expect(buildDatasetFromRecords([{ condition: 'before', rating: 3 }]).errors).toEqual([
+      'Missing column(s): item. Per-participant files need condition, item and rating; summary files need condition, item, mean and optionally sd and n.'
+    ]);
+  });
+
+  it('reports every bad row at once', () => {
+    expect(buildDatasetFromRecords([
+      { condition: 'during', item: 'granola', mean: 90 },
+      { condition: 'before', item: 'apple', mean: 90 },
+      { condition: 'before', item: 'granola', mean: '' },
+      { condition: 'after', item: 'granola', mean: 'high', sd: 'wide' }
+    ]).errors).toEqual([
+      'Row 1: unknown condition "during". Expected one of: Before Choice, After Choice.',
+      'Row 2: unknown item "apple". Expected one of: granola, chocolate.',
+      'Row 3: missing mean.',
+      'Row 4: mean "high" is not a number.',
+      'Row 4: sd "wide" is not a number.'
+    ]);
+  });
+
+  it('reports summary cells given twice', () => {
+    expect(buildDatasetFromRecords([
+      { condition: 'before', item: 'granola', mean: 90 },
+      { condition: 'Before Choice', item: 'Granola Bar', mean: 95 }
+    ]).errors).toEqual(['Duplicate summary cell for Before Choice / granola.']);
+  });
+
+  it('rejects records that are not objects of column values', () => {
+    expect(buildDatasetFromRecords([null])).toEqual({ errors: ['Row 1 is not a record of column values.'] });
+    expect(buildDatasetFromRecords([{ condition: 'before', item: 'granola', mean: 90 }, 1, ['before']]).errors).toEqual([
+      'Row 2 is not a record of column values.',
+      'Row 3 is not a record of column values.'
+    ]);
+    expect(parseDatasetFile('[null]', 'bad.json').errors).toEqual(['Row 1 is not a record of column values.']);
+    expect(parseDatasetFile('null', 'bad.json').errors).toEqual(['The file contains no data rows.']);
+    expect(parseDatasetFile('[{', 'bad.json').errors[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('rejects negative SDs and sample sizes that are not positive whole numbers', () => {
+    const result = buildDatasetFromRecords([
+      { condition: 'before', item: 'granola', mean: 100, sd: -1, n: 20 },
+      { condition: 'before', item: 'chocolate', mean: 75, sd: 10, n: 1.5 },
+      { condition: 'after', item: 'granola', mean: 94, sd: 0, n: 0 }
+    ]);
+    expect(result.errors).toEqual([
+      'Row 1: sd -1 is negative.',
+      'Row 2: n 1.5 is not a positive whole number.',
+      'Row 3: n 0 is not a positive whole number.'
+    ]);
+  });
+
+  it('groups participant ratings by condition and item even when labels contain separators', () => {
+    const design = {
+      ...defaultDesign,
+      conditions: [
+        { ...defaultDesign.conditions[0], label: 'Before|Pressure' },
+        defaultDesign.conditions[1]
+      ]
+    };
+    const result = buildDatasetFromRecords([
+      { condition: 'Before|Pressure', item: 'granola', rating: 100 },
+      { condition: 'Before|Pressure', item: 'granola', rating: 104 },
+      { condition: 'Before|Pressure', item: 'chocolate', rating: 70 }
+    ], design);
+    expect(result.errors).toBeUndefined();
+    expect(result.data).toEqual([
+      { condition: 'Before|Pressure', granola: 102, granolaSD: Math.sqrt(8), granolaN: 2, chocolate: 70, chocolateSD: null, chocolateN: 1 }
+    ]);
+  });
+});
+
+describe('parseDatasetFile', () => {
+  it('reads a named JSON dataset and a CSV per-participant file', () => {
+    const json = parseDatasetFile(JSON.stringify({ name: 'Replication', data: [{ condition: 'after', item: 'granola', mean: 94 }] }), 'replication.json');
+    expect(json.dataset).toMatchObject({ name: 'Replication', builtIn: false, format: 'summary', data: [{ condition: 'After Choice', granola: 94 }] });
+
+    const csv = parseDatasetFile('condition,item,rating\nbefore,granola,100\nbefore,granola,90', 'lab.csv');
+    expect(csv.dataset).toMatchObject({ name: 'lab', format: 'participant', data: [{ condition: 'Before Choice', granola: 95, granolaN: 2 }] });
+  });
+});
+
+describe('datasetFitsDesign', () => {
+  const dataset = {
+    data: [{ condition: 'Before Choice', granola: 100, granolaSD: 10, granolaN: 20, chocolate: 75 }]
+  };
+
+  it('accepts datasets whose conditions and items the design still has', () => {
+    expect(datasetFitsDesign(builtInDatasets[0], defaultDesign)).toBe(true);
+    expect(datasetFitsDesign(dataset, { ...defaultDesign, conditions: [defaultDesign.conditions[0]] })).toBe(true);
+  });
+
+  it('rejects datasets naming a removed condition or item', () => {
+    expect(datasetFitsDesign(dataset, { ...defaultDesign, conditions: [defaultDesign.conditions[1]] })).toBe(false);
+    expect(datasetFitsDesign(dataset, { ...defaultDesign, items: [defaultDesign.items[0]] })).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+// Experimental design: the rated items and the conditions they are rated in.
+//
+// Items carry a health and a hedonic attribute in [0, 1]; the models use them
+// as the item's achievement-drive and food-drive satisfaction. Granola (1, 0)
+// and chocolate (0, 1) are the two poles of the original study.
+//
+// Conditions are points on the choice time course: onset is how strongly the
+// achievement stimulus has been presented (0 = not at all) and progress how
+// far the post-choice change has gone (0 = rated before choosing, 1 = rated
+// after the choice has fully taken effect).
+//
+// contrast names the two items whose difference is the "preference gap".
+import { defaultTranslator } from './i18n';
+
+export const defaultDesign = {
+  items: [
+    { id: 'granola', label: 'Granola Bars', color: '#8FBC8F', health: 1, hedonic: 0 },
+    { id: 'chocolate', label: 'Chocolate Bars', color: '#CD853F', health: 0, hedonic: 1 }
+  ],
+  conditions: [
+    { label: 'Before Choice', onset: 1, progress: 0 },
+    { label: 'After Choice', onset: 1, progress: 1 }
+  ],
+  contrast: ['granola', 'chocolate']
+};
+
+const itemPalette = ['#8FBC8F', '#CD853F', '#6495ED', '#DB7093', '#DAA520', '#20B2AA', '#9370DB'];
+
+export const itemColor = (index) => itemPalette[index % itemPalette.length];
+
+export const slugify = (label) =>
+  label.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item';
+
+// Id for an item label that no other item uses; 'condition' is the row key
+// of the data and cannot be an item
+export const uniqueItemId = (label, items, ownIndex = -1) => {
+  const taken = items.filter((_, index) => index !== ownIndex).map(item => item.id).concat('condition');
+  const base = slugify(label);
+  let id = base;
+  for (let suffix = 2; taken.includes(id); suffix++) id = `${base}-${suffix}`;
+  return id;
+};
+
+// Weighted blend of a healthy-pole and a hedonic-pole value by the item's
+// attributes; an item with neither attribute sits halfway
+export const blendByAttributes = (item, healthyValue, hedonicValue) => {
+  const total = item.health + item.hedonic;
+  if (total === 0) return (healthyValue + hedonicValue) / 2;
+  return (item.health * healthyValue + item.hedonic * hedonicValue) / total;
+};
+
+// Run a model's evaluate(params, phase, items) for every condition, giving
+// rows of { condition, [itemId]: rating } with unrounded ratings
+export const evaluateDesign = (evaluate, params, design = defaultDesign) =>
+  design.conditions.map(condition => {
+    const { ratings } = evaluate(params, condition, design.items);
+    return design.items.reduce(
+      (row, item) => ({ ...row, [item.id]: ratings[item.id] }),
+      { condition: condition.label }
+    );
+  });
+
+// The intermediate quantities evaluate() reports in its trace, as rows of
+// { condition, [quantity]: value }
+export const traceDesign = (evaluate, params, design = defaultDesign) =>
+  design.conditions.map(condition => ({
+    condition: condition.label,
+    ...evaluate(params, condition, design.items).trace
+  }));
+
+// The same rows rounded to whole rating points, as the simulation reports them
+export const simulateDesign = (evaluate, params, design = defaultDesign) =>
+  evaluateDesign(evaluate, params, design).map(row =>
+    design.items.reduce((rounded, item) => ({ ...rounded, [item.id]: Math.round(row[item.id]) }), row)
+  );
+
+export const preferenceGap = (row, design = defaultDesign) =>
+  row[design.contrast[0]] - row[design.contrast[1]];
+
+const isRating = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Cells present in both the simulation and the human data, matched by
+// condition label and item id
+export const matchedCells = (simulated, human, design = defaultDesign) =>
+  simulated.flatMap(simulatedRow => {
+    const humanRow = human.find(row => row.condition === simulatedRow.condition);
+    if (!humanRow) return [];
+    return design.items
+      .filter(item => isRating(simulatedRow[item.id]) && isRating(humanRow[item.id]))
+      .map(item => ({
+        condition: simulatedRow.condition,
+        item: item.id,
+        simulated: simulatedRow[item.id],
+        human: humanRow[item.id]
+      }));
+  });
+
+// Conditions present in both, for comparing preference gaps
+export const matchedGaps = (simulated, human, design = defaultDesign) =>
+  simulated.flatMap(simulatedRow => {
+    const humanRow = human.find(row => row.condition === simulatedRow.condition);
+    if (!humanRow) return [];
+    const simulatedGap = preferenceGap(simulatedRow, design);
+    const humanGap = preferenceGap(humanRow, design);
+    return isRating(simulatedGap) && isRating(humanGap)
+      ? [{ condition: simulatedRow.condition, simulated: simulatedGap, human: humanGap }]
+      : [];
+  });
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Designs also come from files, so entries that are not objects are
+// reported by position before anything reads their fields
+export const validateDesign = (design, t = defaultTranslator) => {
+  const shapeErrors = [
+    ...design.items.flatMap((item, index) => (isPlainObject(item) ? [] : [t('errors.itemNotObject', { number: index + 1 })])),
+    ...design.conditions.flatMap((condition, index) => (
+      isPlainObject(condition) && typeof condition.label === 'string' ? [] : [t('errors.conditionNotObject', { number: index + 1 })]
+    ))
+  ];
+  if (shapeErrors.length) return shapeErrors;
+
+  const errors = [];
+  if (design.items.length < 2) errors.push(t('errors.tooFewItems'));
+  if (!design.conditions.length) errors.push(t('errors.noConditions'));
+
+  const ids = design.items.map(item => item.id);
+  if (new Set(ids).size !== ids.length) errors.push(t('errors.duplicateItems'));
+  const labels = design.conditions.map(condition => condition.label);
+  if (new Set(labels).size !== labels.length) errors.push(t('errors.duplicateConditions'));
+  if (labels.some(label => !label.trim())) errors.push(t('errors.unnamedCondition'));
+  if (ids.includes('condition')) errors.push(t('errors.reservedItemName'));
+
+  const inUnitRange = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+  design.items.forEach((item, index) => {
+    if (!inUnitRange(item.health) || !inUnitRange(item.hedonic)) {
+      errors.push(t('errors.itemAttributes', { item: item.label || item.id || t('errors.itemNumber', { number: index + 1 }) }));
+    }
+  });
+  design.conditions.forEach(condition => {
+    if (!inUnitRange(condition.onset) || !inUnitRange(condition.progress)) {
+      errors.push(t('errors.conditionPhase', { condition: condition.label }));
+    }
+  });
+
+  if (design.contrast[0] === design.contrast[1] || design.contrast.some(id => !ids.includes(id))) {
+    errors.push(t('errors.invalidContrast'));
+  }
+  return errors;
+};
@@ -0,0 +1,95 @@
+import { defaultDesign, matchedCells, matchedGaps, uniqueItemId, validateDesign } from './design';
+import { computeRMSE } from './fitting';
+import { getModel, listModels } from './models';
+
+const apple = { id: 'apple', label: 'Apple', color: '#DB7093', health: 0.8, hedonic: 0.4 };
+
+const extendedDesign = {
+  items: [...defaultDesign.items, apple],
+  conditions: [
+    { label: 'Control', onset: 0, progress: 0 },
+    ...defaultDesign.conditions,
+    { label: 'Delayed', onset: 1, progress: 0.5 }
+  ],
+  contrast: ['granola', 'chocolate']
+};
+
+describe.each(listModels().map(model => [model.id, model]))('%s with a custom design', (id, model) => {
+  const simulated = model.simulate(model.defaults, extendedDesign);
+
+  it('returns one row per condition with every item rated', () => {
+    expect(simulated.map(row => row.condition)).toEqual(['Control', 'Before Choice', 'After Choice', 'Delayed']);
+    simulated.forEach(row => {
+      extendedDesign.items.forEach(item => expect(Number.isInteger(row[item.id])).toBe(true));
+    });
+  });
+
+  it('rates an item between the healthy and the hedonic pole', () => {
+    simulated.forEach(row => {
+      expect(row.apple).toBeLessThanOrEqual(Math.max(row.granola, row.chocolate) + 1);
+      expect(row.apple).toBeGreaterThanOrEqual(Math.min(row.granola, row.chocolate) - 1);
+    });
+  });
+});
+
+it('keeps the default-design cells of items shared with the original study', () => {
+  const model = getModel('explicit-implicit');
+  const extended = model.simulate(model.defaults, extendedDesign);
+  expect(extended.slice(1, 3).map(({ condition, granola, chocolate }) => ({ condition, granola, chocolate })))
+    .toEqual(model.simulate(model.defaults));
+});
+
+describe('matching simulated and human cells', () => {
+  const human = [{ condition: 'After Choice', granola: 94, chocolate: 93 }];
+  const simulated = getModel('goal-goal').simulate(getModel('goal-goal').defaults, extendedDesign);
+
+  it('compares only the cells the human data covers', () => {
+    expect(matchedCells(simulated, human, extendedDesign).map(cell => cell.item)).toEqual(['granola', 'chocolate']);
+    expect(matchedGaps(simulated, human, extendedDesign)).toHaveLength(1);
+    expect(computeRMSE(simulated, human, extendedDesign)).toBeCloseTo(Math.sqrt((1 + 0) / 2));
+  });
+});
+
+describe('design validation', () => {
+  it('accepts the default design', () => {
+    expect(validateDesign(defaultDesign)).toEqual([]);
+  });
+
+  it('reports duplicate items, out-of-range attributes and a bad contrast', () => {
+    const errors = validateDesign({
+      items: [defaultDesign.items[0], { ...defaultDesign.items[0], health: 2 }],
+      conditions: defaultDesign.conditions,
+      contrast: ['granola', 'chocolate']
+    });
+    expect(errors).toEqual([
+      'Item names must be unique.',
+      'Granola Bars: health and hedonic attributes must be between 0 and 1.',
+      'The preference gap must compare two different defined items.'
+    ]);
+  });
+
+  it('reports entries that are not objects by position', () => {
+    expect(validateDesign({
+      items: [defaultDesign.items[0], null, 'chocolate'],
+      conditions: [defaultDesign.conditions[0], { onset: 0, progress: 1 }],
+      contrast: ['granola', 'chocolate']
+    })).toEqual([
+      'Item 2 is not an object of the form { id, label, health, hedonic }.',
+      'Item 3 is not an object of the form { id, label, health, hedonic }.',
+      'Condition 2 is not an object with a label, onset and progress.'
+    ]);
+    expect(validateDesign({ ...defaultDesign, items: [defaultDesign.items[0], { id: 'apple' }] })).toEqual([
+      'apple: health and hedonic attributes must be between 0 and 1.',
+      'The preference gap must compare two different defined items.'
+    ]);
+    expect(validateDesign({ ...defaultDesign, items: [defaultDesign.items[0], {}] })[0]).toBe(
+      'Item 2: health and hedonic attributes must be between 0 and 1.'
+    );
+  });
+
+  it('derives unique item ids from labels', () => {
+    expect(uniqueItemId('Granola', defaultDesign.items)).toBe('granola-2');
+    expect(uniqueItemId('Condition', [])).toBe('condition-2');
+    expect(uniqueItemId('Granola', defaultDesign.items, 0)).toBe('granola');
+  });
+});
@@ -0,0 +1,47 @@
+// Trial-by-trial time course. Before the choice the achievement stimulus
+// builds the drives up (onset 0 → 1); after it each model moves from its
+// before-choice to its after-choice state (progress 0 → 1). A model's
+// evaluate(params, { onset, progress }, items) maps that phase to ratings and
+// intermediate state, so a design condition is one point on this course:
+// full onset without progress is the Before Choice cell and full progress
+// the After Choice cell.
+import { defaultDesign } from './design';
+
+export const defaultDynamicsSettings = {
+  steps: 30,
+  choiceStep: 10,
+  transitionRate: 0.3
+};
+
+const roundTo = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+export const runDynamics = (model, params, settings = {}, items = defaultDesign.items) => {
+  const { steps, choiceStep, transitionRate } = { ...defaultDynamicsSettings, ...settings };
+  const rate = model.dynamicsRate ? model.dynamicsRate(params) : transitionRate;
+  // Onset reaches ~98% of its final level by the time of the choice
+  const onsetTimeConstant = Math.max(1, choiceStep / 4);
+
+  return Array.from({ length: steps }, (_, step) => {
+    const beforeChoice = step < choiceStep;
+    const onset = beforeChoice ? 1 - Math.exp(-(step + 1) / onsetTimeConstant) : 1;
+    const progress = beforeChoice ? 0 : 1 - Math.exp(-(step - choiceStep + 1) * rate);
+    const { ratings, state } = model.evaluate(params, { onset, progress }, items);
+
+    return {
+      step,
+      phase: beforeChoice ? 'Before Choice' : 'After Choice',
+      onset: roundTo(onset, 3),
+      progress: roundTo(progress, 3),
+      ...items.reduce((values, item) => ({ ...values, [item.id]: roundTo(ratings[item.id]) }), {}),
+      ...Object.entries(state).reduce((values, [key, value]) => ({ ...values, [key]: roundTo(value, 3) }), {})
+    };
+  });
+};
+
+// The step whose phase is closest to a design condition, for placing its
+// human ratings on the time course; ties go to the later, settled step
+export const conditionStep = (trajectory, condition) =>
+  trajectory.reduce((closest, point) => {
+    const distance = Math.abs(point.onset - condition.onset) + Math.abs(point.progress - condition.progress);
+    return distance <= closest.distance ? { step: point.step, distance } : closest;
+  }, { step: 0, distance: Infinity }).step;
@@ -0,0 +1,37 @@
+import { runDynamics, conditionStep } from './dynamics';
+import { defaultDesign } from './design';
+import { listModels } from './models';
+
+const { items } = defaultDesign;
+
+describe.each(listModels().map(model => [model.id, model]))('%s time course', (id, model) => {
+  const staticCells = model.simulate(model.defaults);
+
+  it('starts from the Before Choice cell at full onset', () => {
+    const { ratings } = model.evaluate(model.defaults, { onset: 1, progress: 0 }, items);
+    expect(Math.round(ratings.granola)).toBe(staticCells[0].granola);
+    expect(Math.round(ratings.chocolate)).toBe(staticCells[0].chocolate);
+  });
+
+  it('ends at the After Choice cell at full progress', () => {
+    const { ratings } = model.evaluate(model.defaults, { onset: 1, progress: 1 }, items);
+    expect(Math.round(ratings.granola)).toBe(staticCells[1].granola);
+    expect(Math.round(ratings.chocolate)).toBe(staticCells[1].chocolate);
+  });
+
+  it('records ratings and state at every step', () => {
+    const trajectory = runDynamics(model, model.defaults, { steps: 12, choiceStep: 4 });
+    expect(trajectory).toHaveLength(12);
+    expect(trajectory[3].phase).toBe('Before Choice');
+    expect(trajectory[4].phase).toBe('After Choice');
+    Object.keys(model.stateLabels(items)).forEach(key => {
+      expect(typeof trajectory[0][key]).toBe('number');
+    });
+  });
+});
+
+it('places design conditions at the closest step', () => {
+  const trajectory = runDynamics(listModels()[0], listModels()[0].defaults, { steps: 30, choiceStep: 10 });
+  expect(conditionStep(trajectory, defaultDesign.conditions[0])).toBe(9);
+  expect(conditionStep(trajectory, defaultDesign.conditions[1])).toBe(29);
+});
@@ -0,0 +1,157 @@
+// Client-side exports: results as CSV/JSON, the analysis report as Markdown
+// or JSON and Recharts charts as SVG/PNG.
+import { defaultDesign } from './design';
+import { formatCell } from './analysis';
+import { defaultTranslator } from './i18n';
+
+export const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(parseFloat(value.toFixed(4))) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One record per source x condition x item; SD, CI and N are filled in when
+// the dataset or a population run provides them. Cells a dataset does not
+// cover are skipped.
+export const resultRecords = (humanData, simulationData, design = defaultDesign) => {
+  const items = design.items.map(item => item.id);
+  const toRecords = (source, data) =>
+    data.flatMap(row =>
+      items.filter(item => row[item] !== undefined).map(item => ({
+        source,
+        condition: row.condition,
+        item,
+        mean: row[item],
+        sd: row[`${item}SD`] ?? null,
+        ciLow: row[`${item}CI`] ? row[`${item}CI`][0] : null,
+        ciHigh: row[`${item}CI`] ? row[`${item}CI`][1] : null,
+        n: row[`${item}N`] ?? row.n ?? null
+      }))
+    );
+
+  return [...toRecords('human', humanData), ...toRecords('simulation', simulationData)];
+};
+
+export const resultsToCsv = (humanData, simulationData, design = defaultDesign) => {
+  const columns = ['source', 'condition', 'item', 'mean', 'sd', 'ciLow', 'ciHigh', 'n'];
+  const lines = resultRecords(humanData, simulationData, design)
+    .map(record => columns.map(column => csvField(record[column])).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+};
+
+// report, when given, is the buildReport() object shown as the analysis
+export const resultsToJson = ({ interpretation, parameters, datasetName, humanData, simulationData, design = defaultDesign, report }) =>
+  JSON.stringify({
+    interpretation,
+    parameters,
+    dataset: datasetName,
+    design,
+    exportedAt: new Date().toISOString(),
+    results: resultRecords(humanData, simulationData, design),
+    ...(report ? { analysis: report } : {})
+  }, null, 2);
+
+const severityMarkers = { success: '✓', info: 'ℹ', warning: '⚠' };
+
+const markdownCell = (value, column, t) => String(formatCell(value, column, t)).replace(/\|/g, '\\|');
+
+const sectionToMarkdown = (section, t) => {
+  const lines = [`## ${section.title}`, ''];
+  if (section.table) {
+    const { columns, rows } = section.table;
+    lines.push(
+      `| ${columns.map(column => column.label).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${columns.map(column => markdownCell(row[column.key], column, t)).join(' | ')} |`),
+      ''
+    );
+  }
+  (section.paragraphs || []).forEach(paragraph => lines.push(paragraph, ''));
+  if (section.findings) {
+    lines.push(...section.findings.map(finding => `- ${severityMarkers[finding.severity]} ${finding.message}`), '');
+  }
+  return lines;
+};
+
+// Markdown rendering of a buildReport() object, numbers and dates in t's locale
+export const reportToMarkdown = (report, t = defaultTranslator) =>
+  [
+    `# ${report.title}`,
+    '',
+    t('report.generated', { date: t.dateTime(report.generatedAt), dataset: report.datasetName }),
+    '',
+    ...report.sections.flatMap(section => sectionToMarkdown(section, t))
+  ].join('\n');
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
+
+// Serialize the Recharts <svg> inside a chart container. Recharts renders
+// the legend as HTML, so it is redrawn here as SVG text.
+export const chartToSvg = (container) => {
+  const surface = container && container.querySelector('svg.recharts-surface');
+  if (!surface) return null;
+
+  const clone = surface.cloneNode(true);
+  const width = Number(surface.getAttribute('width')) || surface.clientWidth;
+  const height = Number(surface.getAttribute('height')) || surface.clientHeight;
+  const legendItems = [...container.querySelectorAll('.recharts-legend-item')];
+  const legendHeight = legendItems.length ? 24 : 0;
+  const svgNamespace = 'http://www.w3.org/2000/svg';
+
+  clone.setAttribute('xmlns', svgNamespace);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height + legendHeight);
+  clone.setAttribute('viewBox', `0 0 ${width} ${height + legendHeight}`);
+
+  const background = document.createElementNS(svgNamespace, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+
+  let x = 20;
+  legendItems.forEach(item => {
+    const swatch = item.querySelector('path, rect');
+    const label = item.textContent;
+    const marker = document.createElementNS(svgNamespace, 'rect');
+    marker.setAttribute('x', x);
+    marker.setAttribute('y', height + 6);
+    marker.setAttribute('width', 12);
+    marker.setAttribute('height', 12);
+    marker.setAttribute('fill', swatch ? swatch.getAttribute('fill') || swatch.getAttribute('stroke') : '#000000');
+    const text = document.createElementNS(svgNamespace, 'text');
+    text.setAttribute('x', x + 16);
+    text.setAttribute('y', height + 16);
+    text.setAttribute('font-size', '12');
+    text.setAttribute('font-family', 'sans-serif');
+    text.textContent = label;
+    clone.appendChild(marker);
+    clone.appendChild(text);
+    x += 32 + label.length * 7;
+  });
+
+  return new XMLSerializer().serializeToString(clone);
+};
+
+// Rasterize an SVG string at the given scale; resolves to a PNG Blob or
+// rejects with an Error whose message is an exportMenu catalog key
+export const svgToPng = (svg, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width * scale;
+      canvas.height = image.height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('pngEncodeFailed'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('chartRenderFailed'));
+    };
+    image.src = url;
+  });
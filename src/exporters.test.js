@@ -0,0 +1,92 @@
+import { csvField, resultsToCsv, resultsToJson, reportToMarkdown } from './exporters';
+
+const humanData = [
+  { condition: 'Before Choice', granola: 102.19, granolaSD: 12.5, granolaN: 40, chocolate: 74.06 },
+  { condition: 'After Choice', granola: 94.22 }
+];
+
+const simulationData = [
+  { condition: 'Before Choice', granola: 100, chocolate: 75, granolaCI: [96.123456, 103.9], n: 30 }
+];
+
+describe('csvField', () => {
+  it('quotes fields with commas, quotes or newlines and rounds numbers', () => {
+    expect(csvField('Before, early')).toBe('"Before, early"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+    expect(csvField(1 / 3)).toBe('0.3333');
+    expect(csvField(null)).toBe('');
+  });
+});
+
+describe('resultsToCsv', () => {
+  it('writes one row per source, condition and item with the available statistics', () => {
+    expect(resultsToCsv(humanData, simulationData)).toBe([
+      'source,condition,item,mean,sd,ciLow,ciHigh,n',
+      'human,Before Choice,granola,102.19,12.5,,,40',
+      'human,Before Choice,chocolate,74.06,,,,',
+      'human,After Choice,granola,94.22,,,,',
+      'simulation,Before Choice,granola,100,,96.1235,103.9,30',
+      'simulation,Before Choice,chocolate,75,,,,30',
+      ''
+    ].join('\n'));
+  });
+
+  it('uses the design items and quotes custom labels', () => {
+    const design = {
+      items: [{ id: 'apple', label: 'Apple' }],
+      conditions: [{ label: 'Tired, hungry' }],
+      contrast: ['apple', 'apple']
+    };
+    expect(resultsToCsv([], [{ condition: 'Tired, hungry', apple: 88, granola: 90 }], design)).toBe(
+      'source,condition,item,mean,sd,ciLow,ciHigh,n\nsimulation,"Tired, hungry",apple,88,,,,\n'
+    );
+  });
+});
+
+describe('resultsToJson', () => {
+  it('includes the parameters, the records and the analysis when given', () => {
+    const exported = JSON.parse(resultsToJson({
+      interpretation: 'goal-goal',
+      parameters: { speed: 1 },
+      datasetName: 'Myrseth et al., 2009',
+      humanData,
+      simulationData,
+      report: { title: 'Analysis' }
+    }));
+    expect(exported).toMatchObject({ interpretation: 'goal-goal', parameters: { speed: 1 }, dataset: 'Myrseth et al., 2009', analysis: { title: 'Analysis' } });
+    expect(exported.results).toHaveLength(5);
+    expect(exported.results[0]).toEqual({ source: 'human', condition: 'Before Choice', item: 'granola', mean: 102.19, sd: 12.5, ciLow: null, ciHigh: null, n: 40 });
+  });
+});
+
+describe('reportToMarkdown', () => {
+  it('renders tables, paragraphs and findings', () => {
+    const report = {
+      title: 'Analysis',
+      generatedAt: '2026-01-01T00:00:00.000Z',
+      datasetName: 'Lab',
+      sections: [{
+        title: 'Fit',
+        table: { columns: [{ key: 'label', label: 'Cell' }, { key: 'diff', label: 'Difference', digits: 1, signed: true }], rows: [{ label: 'a|b', diff: 2 }] },
+        paragraphs: ['Close.'],
+        findings: [{ severity: 'warning', message: 'Gap too small.' }]
+      }]
+    };
+    const lines = reportToMarkdown(report).split('\n');
+    expect(lines[0]).toBe('# Analysis');
+    expect(lines[2]).toMatch(/^Generated .* · Human dataset: Lab$/);
+    expect(lines.slice(4)).toEqual([
+      '## Fit',
+      '',
+      '| Cell | Difference |',
+      '| --- | --- |',
+      '| a\\|b | +2.0 |',
+      '',
+      'Close.',
+      '',
+      '- ⚠ Gap too small.',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,213 @@
+// Parameter fitting against the human data: grid search over the slider
+// ranges followed by a Nelder-Mead refinement of the best grid point.
+// Simulated and human rows are compared cell by cell over the design's
+// conditions and items; cells missing from either side are left out.
+import { defaultDesign, matchedCells, matchedGaps, preferenceGap } from './design';
+import { defaultTranslator } from './i18n';
+
+// Snap a value to the slider grid defined by a parameter config
+export const snapToStep = (value, config) => {
+  const steps = Math.round((value - config.min) / config.step);
+  const snapped = config.min + steps * config.step;
+  const clamped = Math.min(config.max, Math.max(config.min, snapped));
+  return parseFloat(clamped.toFixed(6));
+};
+
+export const computeRMSE = (simulated, human, design = defaultDesign) => {
+  const squared = matchedCells(simulated, human, design).map(cell => (cell.simulated - cell.human) ** 2);
+  return Math.sqrt(squared.reduce((sum, value) => sum + value, 0) / squared.length);
+};
+
+// RMSE over the matched cells, with each condition's preference gap added as
+// an extra residual when gapWeight > 0
+export const computeFitError = (simulated, human, gapWeight = 0, design = defaultDesign) => {
+  const cellSquares = matchedCells(simulated, human, design).map(cell => (cell.simulated - cell.human) ** 2);
+  const gapSquares = matchedGaps(simulated, human, design).map(gap => (gap.simulated - gap.human) ** 2);
+
+  const total = cellSquares.reduce((sum, value) => sum + value, 0)
+    + gapWeight * gapSquares.reduce((sum, value) => sum + value, 0);
+  return Math.sqrt(total / (cellSquares.length + gapWeight * gapSquares.length));
+};
+
+export const stepValues = (config) => {
+  const count = Math.round((config.max - config.min) / config.step) + 1;
+  return Array.from({ length: count }, (_, i) => snapToStep(config.min + i * config.step, config));
+};
+
+// Values sampled per parameter, thinned evenly when the full grid would
+// exceed maxPoints
+export const buildGridAxes = (configs, maxPoints) => {
+  const axes = configs.map(stepValues);
+  const fullSize = axes.reduce((product, values) => product * values.length, 1);
+  if (fullSize <= maxPoints) return axes;
+
+  const perAxis = Math.max(2, Math.floor(Math.pow(maxPoints, 1 / axes.length)));
+  return axes.map(values => {
+    if (values.length <= perAxis) return values;
+    return Array.from({ length: perAxis }, (_, i) => values[Math.round((i * (values.length - 1)) / (perAxis - 1))]);
+  });
+};
+
+// The index-th point of the grid spanned by axes, one value per parameter
+export const gridPoint = (axes, index) => {
+  const point = [];
+  let remainder = index;
+  axes.forEach(values => {
+    point.push(values[remainder % values.length]);
+    remainder = Math.floor(remainder / values.length);
+  });
+  return point;
+};
+
+export const toParams = (configs, vector) =>
+  configs.reduce((params, config, i) => ({ ...params, [config.key]: vector[i] }), {});
+
+const clampVector = (configs, vector) =>
+  vector.map((value, i) => Math.min(configs[i].max, Math.max(configs[i].min, value)));
+
+export const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const nelderMead = async (objective, start, configs, { iterations, onIteration }) => {
+  let simplex = [start];
+  configs.forEach((config, i) => {
+    const vertex = [...start];
+    const span = (config.max - config.min) * 0.1;
+    vertex[i] = start[i] + span <= config.max ? start[i] + span : start[i] - span;
+    simplex.push(vertex);
+  });
+  simplex = simplex.map(vertex => ({ vertex, value: objective(vertex) }));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[simplex.length - 1];
+    const secondWorst = simplex[simplex.length - 2];
+
+    const others = simplex.slice(0, -1);
+    const centroid = start.map((_, i) =>
+      others.reduce((sum, { vertex }) => sum + vertex[i], 0) / others.length
+    );
+    const along = (coefficient) =>
+      clampVector(configs, centroid.map((c, i) => c + coefficient * (worst.vertex[i] - c)));
+
+    const reflected = along(-1);
+    const reflectedValue = objective(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = along(-2);
+      const expandedValue = objective(expanded);
+      simplex[simplex.length - 1] = expandedValue < reflectedValue
+        ? { vertex: expanded, value: expandedValue }
+        : { vertex: reflected, value: reflectedValue };
+    } else if (reflectedValue < secondWorst.value) {
+      simplex[simplex.length - 1] = { vertex: reflected, value: reflectedValue };
+    } else {
+      const contracted = along(0.5);
+      const contractedValue = objective(contracted);
+      if (contractedValue < worst.value) {
+        simplex[simplex.length - 1] = { vertex: contracted, value: contractedValue };
+      } else {
+        simplex = simplex.map(({ vertex }, index) => {
+          if (index === 0) return best;
+          const shrunk = vertex.map((value, i) => best.vertex[i] + 0.5 * (value - best.vertex[i]));
+          return { vertex: shrunk, value: objective(shrunk) };
+        });
+      }
+    }
+
+    if (iteration % 10 === 0) {
+      onIteration(iteration, Math.min(...simplex.map(({ value }) => value)));
+      await yieldToBrowser();
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+};
+
+// Fit one interpretation's parameters to the human data. Progress is
+// reported as { phase, completed, total, bestError } and the work yields to
+// the browser between chunks so the UI can render it. Human data that
+// covers none of the design cells leaves nothing to fit and is rejected.
+export const fitParameters = async (simulate, configs, humanData, options = {}) => {
+  const {
+    gapWeight = 0,
+    maxGridPoints = 20000,
+    iterations = 200,
+    chunkSize = 250,
+    design = defaultDesign,
+    onProgress = () => {},
+    t = defaultTranslator
+  } = options;
+
+  const objective = (vector) => computeFitError(simulate(toParams(configs, vector), design), humanData, gapWeight, design);
+
+  const axes = buildGridAxes(configs, maxGridPoints);
+  if (!matchedCells(simulate(toParams(configs, gridPoint(axes, 0)), design), humanData, design).length) {
+    throw new Error(t('errors.fitNoMatchedCells'));
+  }
+  const gridSize = axes.reduce((product, values) => product * values.length, 1);
+  let bestVector = null;
+  let bestError = Infinity;
+
+  for (let index = 0; index < gridSize; index++) {
+    const vector = gridPoint(axes, index);
+    const error = objective(vector);
+    if (error < bestError) {
+      bestError = error;
+      bestVector = vector;
+    }
+    if ((index + 1) % chunkSize === 0 || index === gridSize - 1) {
+      onProgress({ phase: 'grid', completed: index + 1, total: gridSize, bestError });
+      await yieldToBrowser();
+    }
+  }
+
+  const refined = await nelderMead(objective, bestVector, configs, {
+    iterations,
+    onIteration: (iteration, value) =>
+      onProgress({ phase: 'refine', completed: iteration, total: iterations, bestError: Math.min(bestError, value) })
+  });
+
+  // The sliders only accept values on their step grid, so the refined point
+  // is snapped before it is compared with the grid optimum
+  const snapped = refined.vertex.map((value, i) => snapToStep(value, configs[i]));
+  const snappedError = objective(snapped);
+  if (snappedError < bestError) {
+    bestError = snappedError;
+    bestVector = snapped;
+  }
+
+  const params = toParams(configs, bestVector);
+  const simulated = simulate(params, design);
+  onProgress({ phase: 'done', completed: iterations, total: iterations, bestError });
+
+  return {
+    params,
+    error: bestError,
+    rmse: computeRMSE(simulated, humanData, design),
+    simulated,
+    gridSize
+  };
+};
+
+// Preference gap per condition, keyed by condition label
+export const computePreferenceGaps = (data, design = defaultDesign) =>
+  data.reduce((gaps, row) => ({ ...gaps, [row.condition]: preferenceGap(row, design) }), {});
+
+// Least-squares AIC/BIC over the matched cells. With only a handful of
+// observations the absolute values mean little; the differences between
+// models are what count. With no more cells than parameters (n <= k) the
+// model can reproduce the data exactly and the criteria are degenerate.
+export const computeInformationCriteria = (simulated, human, parameterCount, design = defaultDesign) => {
+  const cells = matchedCells(simulated, human, design);
+  const n = cells.length;
+  const rss = cells.reduce((sum, cell) => sum + (cell.simulated - cell.human) ** 2, 0);
+  const logLikelihoodTerm = n * Math.log(Math.max(rss, 1e-6) / n);
+
+  return {
+    rss,
+    aic: logLikelihoodTerm + 2 * parameterCount,
+    bic: logLikelihoodTerm + parameterCount * Math.log(n)
+  };
+};
@@ -0,0 +1,133 @@
+import {
+  computeFitError,
+  computeRMSE,
+  fitParameters,
+  snapToStep,
+  buildGridAxes,
+  computePreferenceGaps,
+  computeInformationCriteria
+} from './fitting';
+import { getModel } from './models';
+
+const human = [
+  { condition: 'Before Choice', granola: 100, chocolate: 75 },
+  { condition: 'After Choice', granola: 90, chocolate: 90 }
+];
+
+// Two independent levers, so the generating values are the only exact fit
+const linearConfigs = [
+  { key: 'healthy', label: 'Healthy', min: 0, max: 1, step: 0.1 },
+  { key: 'hedonic', label: 'Hedonic', min: 0, max: 1, step: 0.1 }
+];
+
+const linearModel = ({ healthy, hedonic }) => [
+  { condition: 'Before Choice', granola: 60 + 50 * healthy, chocolate: 60 + 30 * hedonic },
+  { condition: 'After Choice', granola: 80 + 20 * healthy, chocolate: 80 + 20 * hedonic }
+];
+
+describe('fit error', () => {
+  it('is the RMSE over the matched cells without a gap weight', () => {
+    const simulated = [
+      { condition: 'Before Choice', granola: 102, chocolate: 75 },
+      { condition: 'After Choice', granola: 90, chocolate: 88 }
+    ];
+    expect(computeFitError(simulated, human)).toBeCloseTo(Math.sqrt(8 / 4), 10);
+    expect(computeFitError(simulated, human)).toBeCloseTo(computeRMSE(simulated, human), 10);
+  });
+
+  it('adds each condition gap as a weighted residual', () => {
+    const simulated = [
+      { condition: 'Before Choice', granola: 102, chocolate: 75 },
+      { condition: 'After Choice', granola: 90, chocolate: 88 }
+    ];
+    // Gap residuals 2 and 2, each counted twice
+    expect(computeFitError(simulated, human, 2)).toBeCloseTo(Math.sqrt((8 + 2 * 8) / (4 + 2 * 2)), 10);
+  });
+
+  it('leaves out cells the human data does not cover', () => {
+    const partial = [{ condition: 'Before Choice', granola: 100 }];
+    expect(computeFitError(human, partial)).toBe(0);
+  });
+});
+
+describe('preference gaps', () => {
+  it('is the first contrast item minus the second per condition', () => {
+    expect(computePreferenceGaps(human)).toEqual({ 'Before Choice': 25, 'After Choice': 0 });
+    expect(computePreferenceGaps([{ condition: 'Before Choice', granola: 100 }])['Before Choice']).toBeNaN();
+  });
+});
+
+describe('information criteria', () => {
+  it('are computed from the residual sum of squares over the matched cells', () => {
+    const simulated = [
+      { condition: 'Before Choice', granola: 102, chocolate: 75 },
+      { condition: 'After Choice', granola: 90, chocolate: 88 }
+    ];
+    const criteria = computeInformationCriteria(simulated, human, 2);
+    expect(criteria.rss).toBe(8);
+    expect(criteria.aic).toBeCloseTo(4 * Math.log(2) + 4, 10);
+    expect(criteria.bic).toBeCloseTo(4 * Math.log(2) + 2 * Math.log(4), 10);
+  });
+
+  it('penalise each extra parameter and stay finite for an exact fit', () => {
+    const simple = computeInformationCriteria(human, human, 1);
+    const complex = computeInformationCriteria(human, human, 3);
+    expect(Number.isFinite(simple.aic)).toBe(true);
+    expect(complex.aic - simple.aic).toBeCloseTo(4, 10);
+    expect(complex.bic - simple.bic).toBeCloseTo(2 * Math.log(4), 10);
+  });
+});
+
+describe('grid helpers', () => {
+  it('snaps values to the slider grid inside its range', () => {
+    const config = { min: 0.1, max: 0.3, step: 0.02 };
+    expect(snapToStep(0.163, config)).toBe(0.16);
+    expect(snapToStep(5, config)).toBe(0.3);
+  });
+
+  it('thins the grid to the point budget', () => {
+    const axes = buildGridAxes(linearConfigs, 25);
+    expect(axes.map(values => values.length)).toEqual([5, 5]);
+    expect(axes[0][0]).toBe(0);
+    expect(axes[0][4]).toBe(1);
+  });
+});
+
+describe('fitParameters', () => {
+  it('recovers the parameters that generated the data', async () => {
+    const generated = linearModel({ healthy: 0.3, hedonic: 0.7 });
+    const fit = await fitParameters(linearModel, linearConfigs, generated, { iterations: 40 });
+    expect(fit.params).toEqual({ healthy: 0.3, hedonic: 0.7 });
+    expect(fit.error).toBeCloseTo(0, 10);
+    expect(fit.gridSize).toBe(121);
+  });
+
+  it('refines and snaps back to the step grid when the grid is thinned', async () => {
+    const generated = linearModel({ healthy: 0.3, hedonic: 0.7 });
+    const fit = await fitParameters(linearModel, linearConfigs, generated, { maxGridPoints: 9, iterations: 100 });
+    expect(fit.gridSize).toBe(9);
+    expect(fit.params).toEqual({ healthy: 0.3, hedonic: 0.7 });
+  });
+
+  it('reproduces data simulated by an interpretation at known values', async () => {
+    const model = getModel('desire-goal');
+    const generating = { ...model.defaults, costCoefficient: 0.24, achievementDeficit: 0.6 };
+    const generated = model.simulate(generating);
+    const progress = jest.fn();
+    const fit = await fitParameters(model.simulate, model.parameters, generated, {
+      maxGridPoints: 2000,
+      onProgress: progress
+    });
+
+    expect(fit.rmse).toBeLessThan(1);
+    expect(fit.error).toBeLessThanOrEqual(computeFitError(model.simulate(model.defaults), generated));
+    expect(progress).toHaveBeenLastCalledWith(expect.objectContaining({ phase: 'done', bestError: fit.error }));
+  });
+
+  it('rejects human data that covers none of the design cells', async () => {
+    const unmatched = [{ condition: 'During Choice', granola: 100 }, { condition: 'Before Choice', apple: 80 }];
+    await expect(fitParameters(linearModel, linearConfigs, unmatched)).rejects.toThrow(
+      'The human data covers none of the design cells, so there is nothing to fit.'
+    );
+  });
+});
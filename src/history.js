@@ -0,0 +1,108 @@
+// Parameter undo/redo and the history of simulation runs, with pinned runs
+// drawn over the current simulation. Pure functions over plain state; the
+// state itself lives in App.js.
+
+// Delay after the last parameter change before live mode re-runs
+export const liveRunDelay = 300;
+export const maxPinnedRuns = 3;
+
+const maxUndoSteps = 100;
+const maxUnpinnedRuns = 20;
+// Changes of one group (one slider being dragged) closer together than
+// this merge into a single undo step
+const coalesceWindow = 1000;
+
+export const emptyParameterHistory = { past: [], future: [], group: null, time: 0 };
+
+// Record the parameters a change replaces. A change starts a new undo step
+// unless it continues the previous one's group within the coalesce window.
+export const recordParameterChange = (history, previous, { group = null, time = 0 } = {}) => {
+  const continues = group !== null && group === history.group && time - history.time < coalesceWindow;
+  return {
+    past: continues ? history.past : [...history.past, previous].slice(-maxUndoSteps),
+    future: [],
+    group,
+    time
+  };
+};
+
+// { parameters, history } one step back, or null when there is nothing to undo
+export const undoParameters = (history, present) => {
+  if (!history.past.length) return null;
+  return {
+    parameters: history.past[history.past.length - 1],
+    history: { past: history.past.slice(0, -1), future: [present, ...history.future], group: null, time: 0 }
+  };
+};
+
+export const redoParameters = (history, present) => {
+  if (!history.future.length) return null;
+  return {
+    parameters: history.future[0],
+    history: { past: [...history.past, present], future: history.future.slice(1), group: null, time: 0 }
+  };
+};
+
+export const sameParameters = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(key => a[key] === b[key]);
+
+// Runs are { id, interpretation, parameters, data, stats, population,
+// pinned, createdAt }, newest first. Re-running the latest deterministic
+// run only refreshes its time; past maxUnpinnedRuns the oldest unpinned
+// runs are dropped.
+export const addRun = (runs, run) => {
+  const [latest] = runs;
+  if (latest && !latest.population && !run.population
+    && latest.interpretation === run.interpretation && sameParameters(latest.parameters, run.parameters)) {
+    return [{ ...latest, createdAt: run.createdAt }, ...runs.slice(1)];
+  }
+  const next = [run, ...runs];
+  const dropped = next.filter(entry => !entry.pinned).slice(maxUnpinnedRuns);
+  return next.filter(entry => !dropped.includes(entry));
+};
+
+// Pinning beyond maxPinnedRuns is ignored
+export const togglePin = (runs, id) => {
+  const pinnedCount = runs.filter(run => run.pinned).length;
+  return runs.map(run => {
+    if (run.id !== id || (!run.pinned && pinnedCount >= maxPinnedRuns)) return run;
+    return { ...run, pinned: !run.pinned };
+  });
+};
+
+export const removeRun = (runs, id) => runs.filter(run => run.id !== id);
+
+const conditionRow = (run, condition) => run.data.find(row => row.condition === condition) || {};
+
+export const overlayKey = (runId, itemId) => `run${runId}-${itemId}`;
+
+// Simulation rows with each pinned run's ratings added under overlayKey,
+// for drawing the pinned runs in the same chart
+export const overlayRows = (data, pinnedRuns, design) =>
+  data.map(row =>
+    pinnedRuns.reduce((merged, run) => {
+      const pinnedRow = conditionRow(run, row.condition);
+      return design.items.reduce((values, item) => ({ ...values, [overlayKey(run.id, item.id)]: pinnedRow[item.id] }), merged);
+    }, row)
+  );
+
+// Current against pinned ratings per condition and item:
+// [{ condition, item, current, pinned: [{ id, value, difference }] }]
+export const runDiff = (data, pinnedRuns, design) =>
+  data.flatMap(row =>
+    design.items.map(item => ({
+      condition: row.condition,
+      item: item.id,
+      current: row[item.id],
+      pinned: pinnedRuns.map(run => {
+        const value = conditionRow(run, row.condition)[item.id];
+        return { id: run.id, value, difference: Number.isFinite(value) ? row[item.id] - value : null };
+      })
+    }))
+  );
+
+// Parameters that differ between two sets: [{ key, label, from, to }]
+export const parameterChanges = (configs, from, to) =>
+  configs
+    .filter(config => from[config.key] !== to[config.key])
+    .map(config => ({ key: config.key, label: config.label, from: from[config.key], to: to[config.key] }));
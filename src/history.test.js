@@ -0,0 +1,111 @@
+import {
+  emptyParameterHistory,
+  recordParameterChange,
+  undoParameters,
+  redoParameters,
+  addRun,
+  togglePin,
+  maxPinnedRuns,
+  overlayRows,
+  overlayKey,
+  runDiff,
+  parameterChanges
+} from './history';
+import { defaultDesign } from './design';
+import { getModel } from './models';
+
+describe('parameter undo/redo', () => {
+  const a = { cost: 0.1 };
+  const b = { cost: 0.2 };
+  const c = { cost: 0.3 };
+
+  it('steps back and forward through changes', () => {
+    let history = recordParameterChange(emptyParameterHistory, a);
+    history = recordParameterChange(history, b);
+
+    const back = undoParameters(history, c);
+    expect(back.parameters).toBe(b);
+    const further = undoParameters(back.history, back.parameters);
+    expect(further.parameters).toBe(a);
+    expect(undoParameters(further.history, a)).toBeNull();
+
+    const forward = redoParameters(further.history, a);
+    expect(forward.parameters).toBe(b);
+    expect(redoParameters(forward.history, b).parameters).toBe(c);
+  });
+
+  it('merges a slider drag into one step', () => {
+    let history = recordParameterChange(emptyParameterHistory, a, { group: 'slider:cost', time: 0 });
+    history = recordParameterChange(history, b, { group: 'slider:cost', time: 200 });
+    expect(history.past).toEqual([a]);
+
+    history = recordParameterChange(history, c, { group: 'slider:cost', time: 5000 });
+    expect(history.past).toEqual([a, c]);
+  });
+
+  it('drops the redo steps when a new change is made', () => {
+    const history = recordParameterChange(emptyParameterHistory, a);
+    const back = undoParameters(history, b);
+    expect(recordParameterChange(back.history, a).future).toEqual([]);
+  });
+});
+
+const run = (id, overrides = {}) => ({
+  id,
+  interpretation: 'explicit-implicit',
+  parameters: { cost: id },
+  data: [{ condition: 'Before Choice', granola: 90 + id, chocolate: 80 }],
+  population: false,
+  pinned: false,
+  createdAt: `t${id}`,
+  ...overrides
+});
+
+describe('run history', () => {
+  it('refreshes instead of repeating an identical deterministic run', () => {
+    const runs = addRun([run(1)], run(2, { parameters: { cost: 1 } }));
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ id: 1, createdAt: 't2' });
+  });
+
+  it('keeps pinned runs when old runs are dropped', () => {
+    let runs = [run(0, { pinned: true })];
+    for (let id = 1; id <= 30; id++) runs = addRun(runs, run(id));
+    expect(runs).toHaveLength(21);
+    expect(runs[0].id).toBe(30);
+    expect(runs.some(entry => entry.id === 0)).toBe(true);
+  });
+
+  it(`pins at most ${maxPinnedRuns} runs`, () => {
+    let runs = [1, 2, 3, 4].map(id => run(id));
+    [1, 2, 3, 4].forEach(id => { runs = togglePin(runs, id); });
+    expect(runs.filter(entry => entry.pinned).map(entry => entry.id)).toEqual([1, 2, 3]);
+    expect(togglePin(runs, 2).filter(entry => entry.pinned)).toHaveLength(2);
+  });
+});
+
+describe('run comparison', () => {
+  const current = [
+    { condition: 'Before Choice', granola: 100, chocolate: 75 },
+    { condition: 'After Choice', granola: 89, chocolate: 86 }
+  ];
+  const pinned = run(4, { data: [{ condition: 'Before Choice', granola: 96, chocolate: 78 }] });
+
+  it('adds pinned ratings to the chart rows', () => {
+    const [before, after] = overlayRows(current, [pinned], defaultDesign);
+    expect(before[overlayKey(4, 'granola')]).toBe(96);
+    expect(after[overlayKey(4, 'granola')]).toBeUndefined();
+  });
+
+  it('diffs the current cells against each pinned run', () => {
+    const diff = runDiff(current, [pinned], defaultDesign);
+    expect(diff[0]).toEqual({ condition: 'Before Choice', item: 'granola', current: 100, pinned: [{ id: 4, value: 96, difference: 4 }] });
+    expect(diff[2].pinned[0].difference).toBeNull();
+  });
+
+  it('lists the parameters that changed', () => {
+    const model = getModel('explicit-implicit');
+    expect(parameterChanges(model.parameters, model.defaults, { ...model.defaults, costCoefficient: 0.2 }))
+      .toEqual([{ key: 'costCoefficient', label: 'Cost Coefficient', from: 0.16, to: 0.2 }]);
+  });
+});
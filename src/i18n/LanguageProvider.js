@@ -0,0 +1,23 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createTranslator, defaultTranslator, loadLanguage, persistLanguage } from './index';
+
+const LanguageContext = createContext({ language: 'en', setLanguage: () => {}, t: defaultTranslator });
+
+// Holds the chosen language, persists it and keeps <html lang> in sync
+export const LanguageProvider = ({ children, initialLanguage }) => {
+  const [language, setLanguage] = useState(() => initialLanguage || loadLanguage());
+  const t = useMemo(() => createTranslator(language), [language]);
+
+  useEffect(() => {
+    persistLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage, t }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+export const useTranslation = () => useContext(LanguageContext);
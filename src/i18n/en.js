@@ -0,0 +1,498 @@
+// English catalog. Model text (titles, parameters, graph nodes, model rules)
+// is written in the model modules themselves, so it only appears in the
+// other catalogs.
+const en = {
+  app: {
+    language: 'Language',
+    title: 'Self-Control Simulation: Three Interpretations',
+    selectInterpretation: 'Select Interpretation:',
+    showComparison: 'Compare All Interpretations',
+    hideComparison: 'Hide Model Comparison',
+    showRecovery: 'Validate Model Recovery',
+    hideRecovery: 'Hide Recovery Validation',
+    parameters: 'Critical Parameters:',
+    undo: 'Undo',
+    undoTitle: 'Undo parameter change (Ctrl+Z)',
+    redo: 'Redo',
+    redoTitle: 'Redo parameter change (Ctrl+Shift+Z)',
+    population: {
+      mode: 'Population Mode (simulate individual participants with noise)',
+      participantsPerCondition: 'Participants per Condition',
+      parameterVariability: 'Parameter Variability (SD, fraction of range)',
+      ratingNoise: 'Rating Noise (SD, points)',
+      errorBars: 'Error bars show 95% confidence intervals of the simulated cell means.'
+    },
+    run: 'Run Simulation',
+    liveMode: 'Live Mode',
+    reset: 'Reset Values',
+    noCoveredCells: 'The human dataset covers none of the design cells.',
+    fit: 'Fit to Human Data',
+    fitting: 'Fitting...',
+    showSensitivity: 'Sensitivity Analysis',
+    hideSensitivity: 'Hide Sensitivity',
+    showPosterior: 'Bayesian Estimation',
+    hidePosterior: 'Hide Posterior',
+    showMechanism: 'Mechanism Diagram',
+    hideMechanism: 'Hide Mechanism',
+    showDynamics: 'Time Course',
+    hideDynamics: 'Hide Time Course',
+    showConstraints: 'What Would It Take?',
+    hideConstraints: 'Hide Target Search',
+    showScenarios: 'Guided Scenarios',
+    hideScenarios: 'Leave Guided Scenarios',
+    fitPanel: {
+      gapWeight: 'Preference Gap Weight',
+      gapWeightHelp: "0 fits the cells by RMSE only; higher values also penalise errors in each condition's preference gap.",
+      gridSearch: 'Grid search',
+      refinement: 'Nelder-Mead refinement',
+      bestError: '(best error {error})',
+      points: 'points',
+      weightedError: 'Weighted error',
+      gridPoints: '{count} grid points searched',
+      current: '(current {value})',
+      apply: 'Apply to Sliders'
+    },
+    humanResults: 'Human Experiment Results ({dataset})',
+    simulationResults: 'Simulation Results',
+    pinnedOverlay: 'Dashed translucent bars are the pinned runs.',
+    analyze: 'Analyze Parameter Configuration',
+    charts: {
+      human: 'Human Results Chart',
+      simulation: 'Simulation Chart',
+      humanDescription: 'Bar chart of the mean human rating of each item in each condition. The values are also available as a table below the chart.',
+      simulationDescription: 'Bar chart of the simulated rating of each item in each condition, with any pinned runs. The values are also available as a table below the chart.'
+    },
+    explanation: {
+      restoredRun: 'Restored run #{id}.',
+      fitApplied: 'Parameters set to the best fit to the human data. The simulation below uses the fitted values.',
+      constraintsApplied: 'Parameters set to the values found by the target search. Run the simulation to see the ratings they produce.'
+    },
+    link: {
+      unknownInterpretation: 'Unknown interpretation "{interpretation}" in the link.',
+      invalidParameters: 'The link contains invalid parameters; defaults were used instead.'
+    }
+  },
+  design: {
+    title: 'Experimental Design',
+    summary: '{items} items ({itemNames}) × {conditions} conditions ({conditionNames})',
+    open: 'Edit Design',
+    close: 'Close Design Editor',
+    items: 'Items',
+    conditions: 'Conditions',
+    columns: {
+      name: 'Name',
+      id: 'Id',
+      health: 'Health',
+      hedonic: 'Hedonic',
+      colour: 'Colour',
+      onset: 'Stimulus Onset',
+      progress: 'Post-Choice Progress'
+    },
+    newItem: 'Item {number}',
+    newCondition: 'Condition {number}',
+    remove: 'Remove',
+    addItem: 'Add item',
+    addCondition: 'Add condition',
+    itemsHelp: 'Health feeds the achievement-drive satisfaction and hedonic the food-drive satisfaction (0–1). Granola is health 1, hedonic 0; chocolate the reverse.',
+    conditionsHelp: 'Onset 0 rates the items before the achievement stimulus (a control condition); progress 0 rates them before the choice and 1 once the choice has fully taken effect (e.g. 0.5 for an early delayed rating).',
+    contrast: 'Preference gap:',
+    minus: 'minus',
+    contrastFirst: 'First item of the preference gap',
+    contrastSecond: 'Second item of the preference gap',
+    apply: 'Apply Design',
+    reset: 'Reset to Granola vs Chocolate',
+    matchingHelp: 'Human data is matched by condition name and item id; cells it does not cover are left out of fits and comparisons.'
+  },
+  chartTable: {
+    show: 'Show the data as a table'
+  },
+  comparison: {
+    title: 'Model Comparison',
+    chartDescription: 'Bar chart of the human and simulated rating of every cell for each interpretation. The values are also available as a table below the chart.',
+    cell: 'Cell',
+    parameters: 'Parameters:',
+    current: 'Current',
+    bestFit: 'Best Fit',
+    fitting: 'Fitting {model}...',
+    fitMissing: 'Fit {count} Unfitted Model(s)',
+    human: 'Human',
+    model: 'Model',
+    gap: 'Gap {condition}',
+    sources: {
+      current: 'current',
+      fit: 'best fit',
+      default: 'default'
+    },
+    help: 'Gaps are {first} minus {second} ratings. AIC and BIC are computed from the residual sum of squares over the cells the human data covers with k free parameters; lower is better and the best value is highlighted.',
+    helpRmseOnly: 'Gaps are {first} minus {second} ratings. Compare the interpretations by RMSE over the cells the human data covers; lower is better.',
+    criteriaHidden: 'AIC and BIC are hidden: the human data covers {cells} cell(s), no more than the {parameters} free parameters of the largest interpretation, so the criteria would be degenerate.'
+  },
+  configurations: {
+    title: 'Saved Configurations',
+    namePlaceholder: 'Configuration name',
+    save: 'Save Current',
+    export: 'Export JSON',
+    import: 'Import JSON',
+    copyLink: 'Copy Share Link',
+    load: 'Load',
+    delete: 'Delete',
+    empty: 'No saved configurations for this interpretation yet.',
+    current: 'Current',
+    nameRequired: 'Enter a name for the configuration.',
+    saved: 'Saved "{name}".',
+    loaded: 'Loaded "{name}".',
+    invalid: '"{name}" is not valid:',
+    unknownInterpretation: 'Unknown interpretation "{interpretation}".',
+    importedName: 'Imported {number}',
+    imported: 'Imported {count} configuration(s) for {interpretation}.',
+    linkCopied: 'Share link copied to the clipboard.'
+  },
+  constraints: {
+    title: 'What Would It Take?',
+    intro: 'Set target ranges for simulated ratings or preference gaps and search the slider values of this interpretation for parameter sets that produce them. Leave a bound empty for no limit.',
+    number: 'Constraint {number}',
+    quantity: 'Quantity',
+    kinds: {
+      gap: 'Preference gap',
+      cell: 'Rating'
+    },
+    condition: 'Condition',
+    item: 'Item',
+    min: 'Minimum',
+    max: 'Maximum',
+    remove: 'Remove',
+    add: 'Add constraint',
+    solve: 'Search parameter values',
+    solving: 'Searching...',
+    progress: '{completed} / {total} parameter sets checked',
+    feasible: '{count} of {total} parameter sets on the slider grid meet every constraint.',
+    alreadyMet: 'The current parameter values already meet every constraint.',
+    smallestChange: 'Smallest change from the current values',
+    parameter: 'Parameter',
+    current: 'Current',
+    needed: 'Needed',
+    constraint: 'Constraint',
+    achieved: 'Simulated',
+    missedBy: 'Missed by',
+    infeasible: 'No parameter set on the slider grid meets every constraint.',
+    impossible: 'No parameter values of this interpretation meet these, even on their own:',
+    conflict: 'These can each be met, but not together:',
+    closest: 'Closest parameter set',
+    closestHelp: 'Misses the constraints by {points} rating points in total.',
+    thinned: 'The full slider grid is too large, so an evenly thinned grid of {count} points was searched; narrow target ranges may fall between its points.',
+    closestValue: 'Closest',
+    apply: 'Apply to sliders',
+    applyClosest: 'Apply the closest values',
+    gapQuantity: '{condition} gap ({first} − {second})',
+    cellQuantity: '{condition} · {item}',
+    between: '{quantity} between {min} and {max}',
+    atLeast: '{quantity} ≥ {min}',
+    atMost: '{quantity} ≤ {max}'
+  },
+  scenarios: {
+    title: 'Guided Scenarios',
+    intro: 'Step-by-step exercises through the interpretations: predict how a change will move the ratings, run it and read why. Progress is saved in this browser.',
+    import: 'Import Scenario (JSON)',
+    importFailed: 'Could not import {file}:',
+    readFailed: 'Could not read {file}.',
+    imported: '(imported)',
+    steps: '{count} steps',
+    score: '{answered} / {total} answered, {correct} right',
+    completed: 'Completed',
+    start: 'Start',
+    resume: 'Continue',
+    restart: 'Start over',
+    back: 'All scenarios',
+    invalid: 'This scenario does not fit the current design:',
+    stepOf: 'Step {number} of {total}',
+    locked: 'Locked by the scenario: {parameters}.',
+    change: 'The scenario will change {parameter} from {from} to {to}.',
+    predict: 'What will happen to {quantity}?',
+    predictions: {
+      up: 'It will go up',
+      down: 'It will go down',
+      same: 'It will stay about the same'
+    },
+    run: 'Apply the change and run',
+    outcome: '{quantity} went from {before} to {after}.',
+    outcomes: {
+      up: 'It went up.',
+      down: 'It went down.',
+      same: 'It stayed within {tolerance} points, so about the same.'
+    },
+    right: 'Your prediction was right.',
+    wrong: 'Your prediction was wrong.',
+    why: 'Why',
+    quiz: 'Question',
+    check: 'Check answer',
+    quizRight: 'Right.',
+    quizWrong: 'Not quite. The answer is: {answer}',
+    previous: 'Previous step',
+    next: 'Next step',
+    finish: 'Finish',
+    finished: 'Scenario completed: {correct} of {total} answers right.'
+  },
+  datasetPanel: {
+    title: 'Human Dataset',
+    active: 'Active dataset:',
+    builtIn: '(built-in)',
+    import: 'Import CSV / JSON',
+    importFailed: 'Could not import {file}:',
+    readFailed: 'Could not read {file}.',
+    removedForDesign: 'Removed imported datasets that do not fit the new design: {names}.',
+    activeRemovedForDesign: 'Removed imported datasets that do not fit the new design: {names}. The built-in data is active again.',
+    help: 'Per-participant files need the columns condition, item and rating; summary files need condition, item, mean and optionally sd and n. Conditions must be one of {conditions} and items one of {items}; design cells missing from the file are left out of fits and comparisons.'
+  },
+  dynamics: {
+    title: 'Time Course',
+    steps: 'Time Steps',
+    choiceStep: 'Choice at Step',
+    transitionRate: 'Post-Choice Transition Rate',
+    modelRate: "The post-choice transition rate follows the model's own parameters ({rate} per step).",
+    ratings: 'Ratings',
+    choice: 'Choice',
+    humanHelp: 'Outlined dots are the human means, placed at the step whose stimulus onset and post-choice progress are closest to each condition.',
+    state: 'Model State',
+    step: 'Step',
+    ratingsDescription: 'Line chart of the simulated rating of each item at every time step, with the choice marked and the human means as outlined dots. Each item has its own dash. The values are also available as a table below the chart.',
+    stateDescription: 'Line chart of the model state variables at every time step, with the choice marked. Each variable has its own dash. The values are also available as a table below the chart.'
+  },
+  errors: {
+    parametersNotObject: 'Parameters must be an object of name/value pairs.',
+    parameterMissing: '{parameter} is missing.',
+    parameterNotNumber: '{parameter} must be a number, got "{raw}".',
+    parameterOutOfRange: '{parameter} = {value} is outside {min}–{max}.',
+    parameterOffStep: '{parameter} = {value} is not a multiple of the step {step} from {min}.',
+    unknownParameters: 'Unknown parameter(s): {keys}.',
+    invalidJson: 'Invalid JSON: {message}',
+    configurationShape: 'Expected { interpretation, configurations: [...] } or { interpretation, name, params }.',
+    configurationEntryShape: 'Configuration {number} is not an object of the form { name, params }.',
+    noDataRows: 'The file contains no data rows.',
+    missingColumns: 'Missing column(s): {columns}. Per-participant files need condition, item and rating; summary files need condition, item, mean and optionally sd and n.',
+    unknownCondition: 'Row {row}: unknown condition "{condition}". Expected one of: {expected}.',
+    unknownItem: 'Row {row}: unknown item "{item}". Expected one of: {expected}.',
+    missingValue: 'Row {row}: missing {column}.',
+    valueNotNumber: 'Row {row}: {column} "{raw}" is not a number.',
+    recordNotObject: 'Row {row} is not a record of column values.',
+    negativeSd: 'Row {row}: sd {raw} is negative.',
+    invalidN: 'Row {row}: n {raw} is not a positive whole number.',
+    duplicateCell: 'Duplicate summary cell for {condition} / {item}.',
+    tooFewItems: 'Define at least two items.',
+    noConditions: 'Define at least one condition.',
+    duplicateItems: 'Item names must be unique.',
+    duplicateConditions: 'Condition names must be unique.',
+    unnamedCondition: 'Every condition needs a name.',
+    reservedItemName: '"condition" cannot be used as an item name.',
+    itemAttributes: '{item}: health and hedonic attributes must be between 0 and 1.',
+    itemNumber: 'Item {number}',
+    itemNotObject: 'Item {number} is not an object of the form { id, label, health, hedonic }.',
+    conditionNotObject: 'Condition {number} is not an object with a label, onset and progress.',
+    designShape: 'Expected { items, conditions, contrast }.',
+    conditionPhase: '{condition}: stimulus onset and post-choice progress must be between 0 and 1.',
+    invalidContrast: 'The preference gap must compare two different defined items.',
+    noConstraints: 'Add at least one constraint.',
+    tooManyConstraints: 'Use at most {max} constraints.',
+    constraintCondition: 'Constraint {number}: unknown condition "{condition}".',
+    constraintItem: 'Constraint {number}: unknown item "{item}".',
+    constraintUnbounded: 'Constraint {number}: set a minimum, a maximum or both.',
+    constraintRange: 'Constraint {number}: the minimum {min} is above the maximum {max}.',
+    constraintSolveFailed: 'The search stopped with an error: {message}',
+    fitFailed: 'The fit stopped with an error: {message}',
+    unknownInterpretation: 'Unknown interpretation "{interpretation}".',
+    unknownInterpretations: 'Unknown interpretation(s): {interpretations}.',
+    fitNoMatchedCells: 'The human data covers none of the design cells, so there is nothing to fit.',
+    scenarioShape: 'A scenario needs an id, a title and at least one step.',
+    scenarioStepShape: 'Step {number} must be an object.',
+    scenarioStepTitle: 'Step {number} needs a title.',
+    scenarioInterpretation: 'Step {number}: unknown interpretation "{interpretation}".',
+    scenarioStep: 'Step {number}: {error}',
+    scenarioLocked: 'Step {number}: unknown locked parameters: {keys}.',
+    scenarioPrediction: 'Step {number}: a change needs a measure and a measure needs a change.',
+    scenarioMeasureKind: 'Step {number}: the measure kind must be "gap" or "cell", got "{kind}".',
+    scenarioCondition: 'Step {number}: unknown condition "{condition}".',
+    scenarioItem: 'Step {number}: unknown item "{item}".',
+    scenarioTolerance: 'Step {number}: the tolerance must be a number of at least 0.',
+    scenarioQuiz: 'Step {number}: a quiz needs a question, at least two options and the index of the right one.'
+  },
+  exportMenu: {
+    button: 'Export',
+    data: 'Data',
+    results: 'Results',
+    report: 'Report',
+    analysisReport: 'Analysis Report',
+    charts: 'Charts',
+    chartMissing: 'The {chart} chart is not on screen.',
+    chartRenderFailed: 'Could not render the chart.',
+    pngEncodeFailed: 'Could not encode the chart as PNG.'
+  },
+  population: {
+    descriptives: 'Cell Descriptives',
+    ci: '95% CI',
+    sampleSize: 'n = {n} simulated participants per condition.',
+    anova: 'Mixed ANOVA',
+    effect: 'Effect',
+    effects: {
+      condition: 'Condition (between)',
+      item: 'Item (within)',
+      interaction: 'Condition × Item'
+    },
+    pairedTests: '{first} vs {second} (paired t-tests)',
+    gapTests: 'Preference gap ({first} − {second}) between conditions (independent t-tests)',
+    versus: '{first} vs {second}'
+  },
+  posterior: {
+    title: 'Bayesian Parameter Estimation',
+    intro: "Metropolis-Hastings sampling with uniform priors over the slider ranges. Each human cell mean is treated as normal around the model's prediction, with the dataset's standard error (SD / √n) where it reports one and the assumed SE below otherwise.",
+    settings: {
+      chains: 'Chains',
+      iterations: 'Iterations per Chain',
+      burnIn: 'Burn-in',
+      observationSD: 'Assumed SE of a Cell Mean (points)'
+    },
+    run: 'Sample Posterior',
+    running: 'Sampling...',
+    cancel: 'Cancel',
+    stopped: 'The sampler stopped unexpectedly.',
+    columns: {
+      parameter: 'Parameter',
+      mean: 'Mean',
+      sd: 'SD',
+      interval: '95% CrI',
+      shrinkage: 'Shrinkage'
+    },
+    summaryHelp: '{draws} draws from {chains} chains (acceptance {acceptance}). Shrinkage is 1 − posterior SD / prior SD: near 1 the experiment identifies the parameter, near 0 the data leave it where the prior put it. R-hat above 1.1 or an ESS below 100 means the chains have not converged; run longer.',
+    marginals: 'Marginal Posteriors',
+    draws: 'Draws',
+    pairwise: 'Pairwise Posterior',
+    pairwiseHelp: 'Ridges or diagonal bands mean the two parameters trade off and only a combination of them is identified.',
+    predictive: 'Posterior Predictive',
+    predicted: 'Predicted (95% interval)',
+    predictedMean: 'Predicted',
+    intervalLow: '95% Interval Low',
+    intervalHigh: '95% Interval High',
+    marginalDescription: 'Histogram of the posterior draws of {parameter} over its slider range. The counts are also available as a table below the chart.',
+    pairwiseDescription: 'Scatter plot of the posterior draws of {x} against {y}; their correlation is {r}. The mean and interval of each parameter are in the summary table above.',
+    predictiveDescription: 'Bar chart of the human and posterior predicted rating of every cell, with 95% intervals. The values are also available as a table below the chart.'
+  },
+  recovery: {
+    title: 'Model and Parameter Recovery',
+    intro: 'Synthetic experiments are generated from each interpretation at random parameter values, with simulated participants and rating noise, and every interpretation is fitted to each of them. If the fitting cannot recover the generating model here, it cannot settle the comparison on real data either.',
+    settings: {
+      datasetsPerModel: 'Datasets per Model',
+      participantsPerCondition: 'Participants per Condition',
+      ratingNoise: 'Rating Noise (SD, points)',
+      maxGridPoints: 'Grid Points per Fit'
+    },
+    criterion: 'Winner by:',
+    run: 'Run Validation',
+    running: 'Running...',
+    cancel: 'Cancel',
+    stopped: 'The validation stopped unexpectedly.',
+    modelRecovery: 'Model Recovery',
+    matrixCorner: 'Generated by ↓ / Won by →',
+    accuracy: '{percent}% of the {runs} synthetic datasets were won by the model that generated them ({criterion}, {noise} points of rating noise, {participants} participants per condition).',
+    parameterRecovery: 'Parameter Recovery',
+    interpretation: 'Interpretation:',
+    true: 'True',
+    recovered: 'Recovered',
+    scatterHelp: 'True values (x) against the values recovered by refitting the same interpretation (y); points on the dashed diagonal are recovered exactly.',
+    scatterDescription: 'Scatter plot of the true against the recovered values of {parameter} (r = {r}). The values are also available as a table below the chart.',
+    dataset: 'Dataset'
+  },
+  rules: {
+    gapReversed: '{condition}: the {contrast} gap is reversed (simulation {simulated}, human {human}).',
+    gapConverged: '{condition}: both human and simulation show good convergence.',
+    gapExceedsHuman: '{condition}: the simulation shows a stronger preference difference than humans ({simulated} vs {human}).',
+    gapBelowHuman: '{condition}: the simulation shows a weaker preference difference than humans ({simulated} vs {human}).',
+    gapMatchesHuman: '{condition}: the simulated gap is about as large as the human gap ({simulated} vs {human}).',
+    parameterAtLowerBound: '{parameter} is at the lower end of its range ({value}); the data may favour values outside it.',
+    parameterAtUpperBound: '{parameter} is at the upper end of its range ({value}); the data may favour values outside it.',
+    parameterIncreased: '{parameter} ({group}) increased by {change}% from its default.',
+    parameterDecreased: '{parameter} ({group}) decreased by {change}% from its default.',
+    fitClose: 'The simulation reproduces the human cell means closely (RMSE {rmse} points).',
+    fitPoor: 'The simulation is far from the human cell means (RMSE {rmse} points); consider fitting the parameters.'
+  },
+  reportPanel: {
+    title: 'Parameter Configuration Analysis',
+    noCells: 'The human dataset covers none of these cells.',
+    noFindings: 'No rule produced a finding for this configuration.'
+  },
+  report: {
+    title: 'Self-Control Simulation Report: {interpretation}',
+    generated: 'Generated {date} · Human dataset: {dataset}',
+    parameters: 'Parameters',
+    cells: 'Simulation vs Human Results',
+    gaps: 'Effect Size Comparison ({contrast})',
+    findings: 'Findings',
+    columns: {
+      parameter: 'Parameter',
+      group: 'Group',
+      value: 'Value',
+      default: 'Default',
+      range: 'Range',
+      change: 'Change (%)',
+      condition: 'Condition',
+      item: 'Item',
+      human: 'Human',
+      simulation: 'Simulation',
+      difference: 'Difference',
+      humanGap: 'Human Gap',
+      simulationGap: 'Simulation Gap'
+    }
+  },
+  mechanism: {
+    title: 'Causal Mechanism',
+    intro: "How the parameters on the left reach the ratings on the right through the model's intermediate quantities. Values follow the sliders; click a node, or focus it and press Enter, to see how it is computed.",
+    diagramLabel: 'Causal diagram of the {model} interpretation at {condition}',
+    legend: 'Green arrows raise their target, red arrows lower it and dashed grey arrows blend two values by the post-choice progress. ▲/▼ mark values above or below those at the model defaults (shown after the mark); the highlighted arrows are the path the changed sliders take.',
+    defaults: '(defaults: {value})',
+    raisedBy: 'Raised by',
+    loweredBy: 'Lowered by',
+    blends: 'Blends',
+    parameterNode: '{group} parameter, {min}–{max}.',
+    ratingNode: '{item} Rating',
+    ratingDescription: 'Rating of {item}.'
+  },
+  runs: {
+    title: 'Run History',
+    clear: 'Clear unpinned',
+    help: 'Pin up to {max} runs to draw them over the current simulation and compare them cell by cell.',
+    firstRun: 'First run',
+    sameParameters: 'Same parameters',
+    population: 'population',
+    pin: 'Pin',
+    unpin: 'Unpin',
+    restore: 'Restore',
+    remove: 'Remove',
+    comparisonTitle: 'Current vs Pinned Runs',
+    current: 'Current',
+    difference: 'Δ vs #{id}',
+    otherInterpretation: '#{id} is a {interpretation} run.',
+    since: 'Since #{id}',
+    noChanges: 'no parameter changes'
+  },
+  sensitivity: {
+    title: 'Parameter Sensitivity',
+    sweepParameter: 'Sweep parameter:',
+    ratings: 'Simulated Ratings',
+    gap: 'Preference Gap ({first} − {second})',
+    gapLine: 'Gap ({condition})',
+    gapHelp: 'Dotted horizontal lines mark the human gaps; the dashed vertical line marks the current slider value.',
+    ratingsDescription: 'Line chart of the simulated rating of each item in each condition as {parameter} varies. Each item has its own marker and each condition its own dash. The values are also available as a table below the chart.',
+    gapDescription: 'Line chart of the simulated preference gap in each condition as {parameter} varies, with the human gaps as reference lines. The values are also available as a table below the chart.',
+    humanGap: 'Human gap ({condition})',
+    heatmap: 'Two-Parameter Heatmap',
+    xAxis: 'X axis:',
+    yAxis: 'Y axis:',
+    metric: 'Metric:',
+    rmseMetric: 'Fit Error (RMSE)',
+    gapMetric: '{condition} Gap',
+    heatmapHelp: 'Rows: {rows}. Columns: {columns}. Other parameters are held at their current values; the outlined cell is the current configuration.',
+    sameParameters: 'Choose two different parameters to draw a heatmap.'
+  },
+  slider: {
+    exactValue: '{label}, exact value'
+  }
+};
+
+export default en;
@@ -0,0 +1,703 @@
+// Spanish catalog. Besides the interface it translates the labels of the
+// default design (designLabels), the parameter groups and the text of the
+// built-in models and dataset; user-defined labels are shown as written.
+const es = {
+  app: {
+    language: 'Idioma',
+    title: 'Simulación del autocontrol: tres interpretaciones',
+    selectInterpretation: 'Seleccione una interpretación:',
+    showComparison: 'Comparar todas las interpretaciones',
+    hideComparison: 'Ocultar la comparación de modelos',
+    showRecovery: 'Validar la recuperación de modelos',
+    hideRecovery: 'Ocultar la validación por recuperación',
+    parameters: 'Parámetros críticos:',
+    undo: 'Deshacer',
+    undoTitle: 'Deshacer el cambio de parámetros (Ctrl+Z)',
+    redo: 'Rehacer',
+    redoTitle: 'Rehacer el cambio de parámetros (Ctrl+Mayús+Z)',
+    population: {
+      mode: 'Modo población (simula participantes individuales con ruido)',
+      participantsPerCondition: 'Participantes por condición',
+      parameterVariability: 'Variabilidad de los parámetros (DE, fracción del rango)',
+      ratingNoise: 'Ruido de las valoraciones (DE, puntos)',
+      errorBars: 'Las barras de error muestran intervalos de confianza del 95 % de las medias simuladas de cada celda.'
+    },
+    run: 'Ejecutar simulación',
+    liveMode: 'Modo en vivo',
+    reset: 'Restablecer valores',
+    noCoveredCells: 'El conjunto de datos humanos no cubre ninguna celda del diseño.',
+    fit: 'Ajustar a los datos humanos',
+    fitting: 'Ajustando...',
+    showSensitivity: 'Análisis de sensibilidad',
+    hideSensitivity: 'Ocultar la sensibilidad',
+    showPosterior: 'Estimación bayesiana',
+    hidePosterior: 'Ocultar la posterior',
+    showMechanism: 'Diagrama del mecanismo',
+    hideMechanism: 'Ocultar el mecanismo',
+    showDynamics: 'Curso temporal',
+    hideDynamics: 'Ocultar el curso temporal',
+    showConstraints: '¿Qué haría falta?',
+    hideConstraints: 'Ocultar la búsqueda de objetivos',
+    showScenarios: 'Escenarios guiados',
+    hideScenarios: 'Salir de los escenarios guiados',
+    fitPanel: {
+      gapWeight: 'Peso de la diferencia de preferencia',
+      gapWeightHelp: '0 ajusta las celdas solo por RMSE; los valores mayores penalizan también los errores en la diferencia de preferencia de cada condición.',
+      gridSearch: 'Búsqueda en rejilla',
+      refinement: 'Refinamiento Nelder-Mead',
+      bestError: '(mejor error {error})',
+      points: 'puntos',
+      weightedError: 'Error ponderado',
+      gridPoints: '{count} puntos de rejilla explorados',
+      current: '(actual {value})',
+      apply: 'Aplicar a los controles'
+    },
+    humanResults: 'Resultados del experimento humano ({dataset})',
+    simulationResults: 'Resultados de la simulación',
+    pinnedOverlay: 'Las barras translúcidas discontinuas son las ejecuciones fijadas.',
+    analyze: 'Analizar la configuración de parámetros',
+    charts: {
+      human: 'Gráfico de resultados humanos',
+      simulation: 'Gráfico de la simulación',
+      humanDescription: 'Gráfico de barras de la valoración humana media de cada ítem en cada condición. Los valores también están en una tabla bajo el gráfico.',
+      simulationDescription: 'Gráfico de barras de la valoración simulada de cada ítem en cada condición, con las ejecuciones fijadas. Los valores también están en una tabla bajo el gráfico.'
+    },
+    explanation: {
+      restoredRun: 'Ejecución n.º {id} restaurada.',
+      fitApplied: 'Parámetros fijados en el mejor ajuste a los datos humanos. La simulación de abajo usa los valores ajustados.',
+      constraintsApplied: 'Parámetros fijados en los valores hallados por la búsqueda de objetivos. Ejecute la simulación para ver las valoraciones que producen.'
+    },
+    link: {
+      unknownInterpretation: 'Interpretación desconocida «{interpretation}» en el enlace.',
+      invalidParameters: 'El enlace contiene parámetros no válidos; se usaron los valores por defecto.'
+    }
+  },
+  design: {
+    title: 'Diseño experimental',
+    summary: '{items} ítems ({itemNames}) × {conditions} condiciones ({conditionNames})',
+    open: 'Editar el diseño',
+    close: 'Cerrar el editor de diseño',
+    items: 'Ítems',
+    conditions: 'Condiciones',
+    columns: {
+      name: 'Nombre',
+      id: 'Id',
+      health: 'Salud',
+      hedonic: 'Hedónico',
+      colour: 'Color',
+      onset: 'Inicio del estímulo',
+      progress: 'Progreso tras la elección'
+    },
+    newItem: 'Ítem {number}',
+    newCondition: 'Condición {number}',
+    remove: 'Quitar',
+    addItem: 'Añadir ítem',
+    addCondition: 'Añadir condición',
+    itemsHelp: 'La salud alimenta la satisfacción del impulso de logro y lo hedónico la del impulso alimentario (0–1). La granola tiene salud 1 y hedónico 0; el chocolate, al revés.',
+    conditionsHelp: 'Un inicio 0 valora los ítems antes del estímulo de logro (una condición de control); un progreso 0 los valora antes de la elección y 1 cuando la elección ha surtido todo su efecto (p. ej., 0,5 para una valoración diferida temprana).',
+    contrast: 'Diferencia de preferencia:',
+    minus: 'menos',
+    contrastFirst: 'Primer ítem de la diferencia de preferencia',
+    contrastSecond: 'Segundo ítem de la diferencia de preferencia',
+    apply: 'Aplicar el diseño',
+    reset: 'Volver a granola frente a chocolate',
+    matchingHelp: 'Los datos humanos se emparejan por nombre de condición e id de ítem; las celdas que no cubren quedan fuera de los ajustes y las comparaciones.'
+  },
+  chartTable: {
+    show: 'Mostrar los datos en una tabla'
+  },
+  comparison: {
+    title: 'Comparación de modelos',
+    chartDescription: 'Gráfico de barras de la valoración humana y la simulada de cada celda para cada interpretación. Los valores también están en una tabla bajo el gráfico.',
+    cell: 'Celda',
+    parameters: 'Parámetros:',
+    current: 'Actuales',
+    bestFit: 'Mejor ajuste',
+    fitting: 'Ajustando {model}...',
+    fitMissing: 'Ajustar {count} modelo(s) sin ajustar',
+    human: 'Humanos',
+    model: 'Modelo',
+    gap: 'Diferencia {condition}',
+    sources: {
+      current: 'actuales',
+      fit: 'mejor ajuste',
+      default: 'por defecto'
+    },
+    help: 'Las diferencias son las valoraciones de {first} menos las de {second}. AIC y BIC se calculan a partir de la suma de cuadrados residual en las celdas que cubren los datos humanos, con k parámetros libres; menos es mejor y el mejor valor aparece resaltado.',
+    helpRmseOnly: 'Las diferencias son las valoraciones de {first} menos las de {second}. Compare las interpretaciones por el RMSE en las celdas que cubren los datos humanos; menos es mejor.',
+    criteriaHidden: 'AIC y BIC están ocultos: los datos humanos cubren {cells} celda(s), no más que los {parameters} parámetros libres de la interpretación más grande, así que los criterios serían degenerados.'
+  },
+  configurations: {
+    title: 'Configuraciones guardadas',
+    namePlaceholder: 'Nombre de la configuración',
+    save: 'Guardar la actual',
+    export: 'Exportar JSON',
+    import: 'Importar JSON',
+    copyLink: 'Copiar enlace para compartir',
+    load: 'Cargar',
+    delete: 'Eliminar',
+    empty: 'Aún no hay configuraciones guardadas para esta interpretación.',
+    current: 'Actual',
+    nameRequired: 'Escriba un nombre para la configuración.',
+    saved: '«{name}» guardada.',
+    loaded: '«{name}» cargada.',
+    invalid: '«{name}» no es válida:',
+    unknownInterpretation: 'Interpretación desconocida «{interpretation}».',
+    importedName: 'Importada {number}',
+    imported: '{count} configuración(es) importada(s) para {interpretation}.',
+    linkCopied: 'Enlace para compartir copiado al portapapeles.'
+  },
+  constraints: {
+    title: '¿Qué haría falta?',
+    intro: 'Fije rangos objetivo para valoraciones simuladas o diferencias de preferencia y busque entre los valores de los deslizadores de esta interpretación los conjuntos de parámetros que los producen. Deje un límite vacío para no acotarlo.',
+    number: 'Restricción {number}',
+    quantity: 'Magnitud',
+    kinds: {
+      gap: 'Diferencia de preferencia',
+      cell: 'Valoración'
+    },
+    condition: 'Condición',
+    item: 'Ítem',
+    min: 'Mínimo',
+    max: 'Máximo',
+    remove: 'Quitar',
+    add: 'Añadir restricción',
+    solve: 'Buscar valores de parámetros',
+    solving: 'Buscando...',
+    progress: '{completed} / {total} conjuntos de parámetros comprobados',
+    feasible: '{count} de {total} conjuntos de parámetros de la rejilla de los deslizadores cumplen todas las restricciones.',
+    alreadyMet: 'Los valores actuales de los parámetros ya cumplen todas las restricciones.',
+    smallestChange: 'Cambio mínimo respecto a los valores actuales',
+    parameter: 'Parámetro',
+    current: 'Actual',
+    needed: 'Necesario',
+    constraint: 'Restricción',
+    achieved: 'Simulado',
+    missedBy: 'Falla por',
+    infeasible: 'Ningún conjunto de parámetros de la rejilla de los deslizadores cumple todas las restricciones.',
+    impossible: 'Ningún valor de los parámetros de esta interpretación cumple estas, ni siquiera por separado:',
+    conflict: 'Cada una puede cumplirse, pero no a la vez:',
+    closest: 'Conjunto de parámetros más cercano',
+    closestHelp: 'Falla las restricciones por {points} puntos de valoración en total.',
+    thinned: 'La rejilla completa de los deslizadores es demasiado grande, así que se exploró una rejilla reducida uniformemente de {count} puntos; los rangos objetivo estrechos pueden quedar entre sus puntos.',
+    closestValue: 'Más cercano',
+    apply: 'Aplicar a los controles',
+    applyClosest: 'Aplicar los valores más cercanos',
+    gapQuantity: 'Diferencia en {condition} ({first} − {second})',
+    cellQuantity: '{condition} · {item}',
+    between: '{quantity} entre {min} y {max}',
+    atLeast: '{quantity} ≥ {min}',
+    atMost: '{quantity} ≤ {max}'
+  },
+  scenarios: {
+    title: 'Escenarios guiados',
+    intro: 'Ejercicios paso a paso por las interpretaciones: prediga cómo moverá un cambio las valoraciones, ejecútelo y lea por qué. El progreso se guarda en este navegador.',
+    import: 'Importar escenario (JSON)',
+    importFailed: 'No se pudo importar {file}:',
+    readFailed: 'No se pudo leer {file}.',
+    imported: '(importado)',
+    steps: '{count} pasos',
+    score: '{answered} / {total} respondidas, {correct} correctas',
+    completed: 'Completado',
+    start: 'Empezar',
+    resume: 'Continuar',
+    restart: 'Empezar de nuevo',
+    back: 'Todos los escenarios',
+    invalid: 'Este escenario no encaja con el diseño actual:',
+    stepOf: 'Paso {number} de {total}',
+    locked: 'Bloqueados por el escenario: {parameters}.',
+    change: 'El escenario cambiará {parameter} de {from} a {to}.',
+    predict: '¿Qué pasará con {quantity}?',
+    predictions: {
+      up: 'Subirá',
+      down: 'Bajará',
+      same: 'Se quedará más o menos igual'
+    },
+    run: 'Aplicar el cambio y ejecutar',
+    outcome: '{quantity} pasó de {before} a {after}.',
+    outcomes: {
+      up: 'Subió.',
+      down: 'Bajó.',
+      same: 'Se movió como mucho {tolerance} puntos, así que quedó más o menos igual.'
+    },
+    right: 'Su predicción fue correcta.',
+    wrong: 'Su predicción fue incorrecta.',
+    why: 'Por qué',
+    quiz: 'Pregunta',
+    check: 'Comprobar respuesta',
+    quizRight: 'Correcto.',
+    quizWrong: 'No exactamente. La respuesta es: {answer}',
+    previous: 'Paso anterior',
+    next: 'Paso siguiente',
+    finish: 'Terminar',
+    finished: 'Escenario completado: {correct} de {total} respuestas correctas.'
+  },
+  datasetPanel: {
+    title: 'Conjunto de datos humanos',
+    active: 'Conjunto activo:',
+    builtIn: '(incluido)',
+    import: 'Importar CSV / JSON',
+    importFailed: 'No se pudo importar {file}:',
+    readFailed: 'No se pudo leer {file}.',
+    removedForDesign: 'Se han quitado los conjuntos importados que no encajan en el nuevo diseño: {names}.',
+    activeRemovedForDesign: 'Se han quitado los conjuntos importados que no encajan en el nuevo diseño: {names}. Vuelven a estar activos los datos incluidos.',
+    help: 'Los archivos por participante necesitan las columnas condition, item y rating; los de resumen, condition, item, mean y, opcionalmente, sd y n. Las condiciones deben ser una de {conditions} y los ítems uno de {items}; las celdas del diseño que falten en el archivo quedan fuera de los ajustes y las comparaciones.'
+  },
+  dynamics: {
+    title: 'Curso temporal',
+    steps: 'Pasos de tiempo',
+    choiceStep: 'Elección en el paso',
+    transitionRate: 'Tasa de transición tras la elección',
+    modelRate: 'La tasa de transición tras la elección sigue los parámetros del propio modelo ({rate} por paso).',
+    ratings: 'Valoraciones',
+    choice: 'Elección',
+    humanHelp: 'Los puntos con contorno son las medias humanas, situadas en el paso cuyo inicio del estímulo y progreso tras la elección más se acercan a cada condición.',
+    state: 'Estado del modelo',
+    step: 'Paso',
+    ratingsDescription: 'Gráfico de líneas de la valoración simulada de cada ítem en cada paso de tiempo, con la elección marcada y las medias humanas como puntos con contorno. Cada ítem tiene su propio trazo. Los valores también están en una tabla bajo el gráfico.',
+    stateDescription: 'Gráfico de líneas de las variables de estado del modelo en cada paso de tiempo, con la elección marcada. Cada variable tiene su propio trazo. Los valores también están en una tabla bajo el gráfico.'
+  },
+  errors: {
+    parametersNotObject: 'Los parámetros deben ser un objeto de pares nombre/valor.',
+    parameterMissing: 'Falta {parameter}.',
+    parameterNotNumber: '{parameter} debe ser un número; se recibió «{raw}».',
+    parameterOutOfRange: '{parameter} = {value} está fuera de {min}–{max}.',
+    parameterOffStep: '{parameter} = {value} no es múltiplo del paso {step} desde {min}.',
+    unknownParameters: 'Parámetro(s) desconocido(s): {keys}.',
+    invalidJson: 'JSON no válido: {message}',
+    configurationShape: 'Se esperaba { interpretation, configurations: [...] } o { interpretation, name, params }.',
+    configurationEntryShape: 'La configuración {number} no es un objeto de la forma { name, params }.',
+    noDataRows: 'El archivo no contiene filas de datos.',
+    missingColumns: 'Falta(n) la(s) columna(s): {columns}. Los archivos por participante necesitan condition, item y rating; los de resumen, condition, item, mean y, opcionalmente, sd y n.',
+    unknownCondition: 'Fila {row}: condición desconocida «{condition}». Se esperaba una de: {expected}.',
+    unknownItem: 'Fila {row}: ítem desconocido «{item}». Se esperaba uno de: {expected}.',
+    missingValue: 'Fila {row}: falta {column}.',
+    valueNotNumber: 'Fila {row}: {column} «{raw}» no es un número.',
+    recordNotObject: 'La fila {row} no es un registro de valores por columna.',
+    negativeSd: 'Fila {row}: sd {raw} es negativa.',
+    invalidN: 'Fila {row}: n {raw} no es un número entero positivo.',
+    duplicateCell: 'Celda de resumen duplicada para {condition} / {item}.',
+    tooFewItems: 'Defina al menos dos ítems.',
+    noConditions: 'Defina al menos una condición.',
+    duplicateItems: 'Los nombres de los ítems deben ser únicos.',
+    duplicateConditions: 'Los nombres de las condiciones deben ser únicos.',
+    unnamedCondition: 'Cada condición necesita un nombre.',
+    reservedItemName: '«condition» no puede usarse como nombre de ítem.',
+    itemAttributes: '{item}: los atributos de salud y hedónico deben estar entre 0 y 1.',
+    itemNumber: 'Ítem {number}',
+    itemNotObject: 'El ítem {number} no es un objeto de la forma { id, label, health, hedonic }.',
+    conditionNotObject: 'La condición {number} no es un objeto con etiqueta, inicio y progreso.',
+    designShape: 'Se esperaba { items, conditions, contrast }.',
+    conditionPhase: '{condition}: el inicio del estímulo y el progreso tras la elección deben estar entre 0 y 1.',
+    invalidContrast: 'La diferencia de preferencia debe comparar dos ítems definidos distintos.',
+    noConstraints: 'Añada al menos una restricción.',
+    tooManyConstraints: 'Use como máximo {max} restricciones.',
+    constraintCondition: 'Restricción {number}: condición desconocida «{condition}».',
+    constraintItem: 'Restricción {number}: ítem desconocido «{item}».',
+    constraintUnbounded: 'Restricción {number}: indique un mínimo, un máximo o ambos.',
+    constraintRange: 'Restricción {number}: el mínimo {min} es mayor que el máximo {max}.',
+    constraintSolveFailed: 'La búsqueda se detuvo con un error: {message}',
+    fitFailed: 'El ajuste se detuvo con un error: {message}',
+    unknownInterpretation: 'Interpretación desconocida «{interpretation}».',
+    unknownInterpretations: 'Interpretación(es) desconocida(s): {interpretations}.',
+    fitNoMatchedCells: 'Los datos humanos no cubren ninguna celda del diseño, así que no hay nada que ajustar.',
+    scenarioShape: 'Un escenario necesita un id, un título y al menos un paso.',
+    scenarioStepShape: 'El paso {number} debe ser un objeto.',
+    scenarioStepTitle: 'El paso {number} necesita un título.',
+    scenarioInterpretation: 'Paso {number}: interpretación desconocida «{interpretation}».',
+    scenarioStep: 'Paso {number}: {error}',
+    scenarioLocked: 'Paso {number}: parámetros bloqueados desconocidos: {keys}.',
+    scenarioPrediction: 'Paso {number}: un cambio necesita una medida y una medida necesita un cambio.',
+    scenarioMeasureKind: 'Paso {number}: el tipo de medida debe ser «gap» o «cell», no «{kind}».',
+    scenarioCondition: 'Paso {number}: condición desconocida «{condition}».',
+    scenarioItem: 'Paso {number}: ítem desconocido «{item}».',
+    scenarioTolerance: 'Paso {number}: la tolerancia debe ser un número no menor que 0.',
+    scenarioQuiz: 'Paso {number}: una pregunta necesita un enunciado, al menos dos opciones y el índice de la correcta.'
+  },
+  exportMenu: {
+    button: 'Exportar',
+    data: 'Datos',
+    results: 'Resultados',
+    report: 'Informe',
+    analysisReport: 'Informe de análisis',
+    charts: 'Gráficos',
+    chartMissing: 'El gráfico «{chart}» no está en pantalla.',
+    chartRenderFailed: 'No se pudo dibujar el gráfico.',
+    pngEncodeFailed: 'No se pudo codificar el gráfico como PNG.'
+  },
+  population: {
+    descriptives: 'Descriptivos por celda',
+    ci: 'IC 95 %',
+    sampleSize: 'n = {n} participantes simulados por condición.',
+    anova: 'ANOVA mixto',
+    effect: 'Efecto',
+    effects: {
+      condition: 'Condición (entre sujetos)',
+      item: 'Ítem (intrasujeto)',
+      interaction: 'Condición × Ítem'
+    },
+    pairedTests: '{first} frente a {second} (pruebas t pareadas)',
+    gapTests: 'Diferencia de preferencia ({first} − {second}) entre condiciones (pruebas t independientes)',
+    versus: '{first} frente a {second}'
+  },
+  posterior: {
+    title: 'Estimación bayesiana de parámetros',
+    intro: 'Muestreo Metropolis-Hastings con priors uniformes sobre los rangos de los controles. Cada media humana se trata como normal en torno a la predicción del modelo, con el error típico del conjunto de datos (DE / √n) cuando lo indica y el EE supuesto de abajo en caso contrario.',
+    settings: {
+      chains: 'Cadenas',
+      iterations: 'Iteraciones por cadena',
+      burnIn: 'Calentamiento',
+      observationSD: 'EE supuesto de una media de celda (puntos)'
+    },
+    run: 'Muestrear la posterior',
+    running: 'Muestreando...',
+    cancel: 'Cancelar',
+    stopped: 'El muestreador se detuvo de forma inesperada.',
+    columns: {
+      parameter: 'Parámetro',
+      mean: 'Media',
+      sd: 'DE',
+      interval: 'ICr 95 %',
+      shrinkage: 'Contracción'
+    },
+    summaryHelp: '{draws} extracciones de {chains} cadenas (aceptación {acceptance}). La contracción es 1 − DE posterior / DE prior: cerca de 1 el experimento identifica el parámetro, cerca de 0 los datos lo dejan donde lo puso la prior. Un R-hat por encima de 1,1 o un ESS por debajo de 100 indica que las cadenas no han convergido; muestree más tiempo.',
+    marginals: 'Posteriores marginales',
+    draws: 'Extracciones',
+    pairwise: 'Posterior por pares',
+    pairwiseHelp: 'Las crestas o bandas diagonales indican que los dos parámetros se compensan y solo se identifica una combinación de ambos.',
+    predictive: 'Predictiva posterior',
+    predicted: 'Predicción (intervalo del 95 %)',
+    predictedMean: 'Predicción',
+    intervalLow: 'Límite inferior del 95 %',
+    intervalHigh: 'Límite superior del 95 %',
+    marginalDescription: 'Histograma de las extracciones posteriores de {parameter} en el rango de su control. Los recuentos también están en una tabla bajo el gráfico.',
+    pairwiseDescription: 'Diagrama de dispersión de las extracciones posteriores de {x} frente a {y}; su correlación es {r}. La media y el intervalo de cada parámetro están en la tabla resumen de arriba.',
+    predictiveDescription: 'Gráfico de barras de la valoración humana y la predictiva posterior de cada celda, con intervalos del 95 %. Los valores también están en una tabla bajo el gráfico.'
+  },
+  recovery: {
+    title: 'Recuperación de modelos y parámetros',
+    intro: 'Se generan experimentos sintéticos desde cada interpretación con valores de parámetros aleatorios, participantes simulados y ruido en las valoraciones, y cada interpretación se ajusta a cada uno de ellos. Si el ajuste no recupera aquí el modelo generador, tampoco podrá decidir la comparación con datos reales.',
+    settings: {
+      datasetsPerModel: 'Conjuntos por modelo',
+      participantsPerCondition: 'Participantes por condición',
+      ratingNoise: 'Ruido de las valoraciones (DE, puntos)',
+      maxGridPoints: 'Puntos de rejilla por ajuste'
+    },
+    criterion: 'Ganador según:',
+    run: 'Ejecutar la validación',
+    running: 'Ejecutando...',
+    cancel: 'Cancelar',
+    stopped: 'La validación se detuvo de forma inesperada.',
+    modelRecovery: 'Recuperación de modelos',
+    matrixCorner: 'Generado por ↓ / Ganado por →',
+    accuracy: 'El {percent} % de los {runs} conjuntos sintéticos lo ganó el modelo que los generó ({criterion}, {noise} puntos de ruido en las valoraciones, {participants} participantes por condición).',
+    parameterRecovery: 'Recuperación de parámetros',
+    interpretation: 'Interpretación:',
+    true: 'Verdadero',
+    recovered: 'Recuperado',
+    scatterHelp: 'Valores verdaderos (x) frente a los recuperados al reajustar la misma interpretación (y); los puntos sobre la diagonal discontinua se recuperan exactamente.',
+    scatterDescription: 'Diagrama de dispersión de los valores verdaderos frente a los recuperados de {parameter} (r = {r}). Los valores también están en una tabla bajo el gráfico.',
+    dataset: 'Conjunto de datos'
+  },
+  rules: {
+    gapReversed: '{condition}: la diferencia {contrast} está invertida (simulación {simulated}, humanos {human}).',
+    gapConverged: '{condition}: tanto los humanos como la simulación muestran una buena convergencia.',
+    gapExceedsHuman: '{condition}: la simulación muestra una diferencia de preferencia mayor que los humanos ({simulated} frente a {human}).',
+    gapBelowHuman: '{condition}: la simulación muestra una diferencia de preferencia menor que los humanos ({simulated} frente a {human}).',
+    gapMatchesHuman: '{condition}: la diferencia simulada es aproximadamente igual a la humana ({simulated} frente a {human}).',
+    parameterAtLowerBound: '{parameter} está en el extremo inferior de su rango ({value}); los datos podrían favorecer valores fuera de él.',
+    parameterAtUpperBound: '{parameter} está en el extremo superior de su rango ({value}); los datos podrían favorecer valores fuera de él.',
+    parameterIncreased: '{parameter} ({group}) ha aumentado un {change} % respecto a su valor por defecto.',
+    parameterDecreased: '{parameter} ({group}) ha disminuido un {change} % respecto a su valor por defecto.',
+    fitClose: 'La simulación reproduce de cerca las medias humanas de cada celda (RMSE {rmse} puntos).',
+    fitPoor: 'La simulación está lejos de las medias humanas de cada celda (RMSE {rmse} puntos); considere ajustar los parámetros.'
+  },
+  reportPanel: {
+    title: 'Análisis de la configuración de parámetros',
+    noCells: 'El conjunto de datos humanos no cubre ninguna de estas celdas.',
+    noFindings: 'Ninguna regla produjo un hallazgo para esta configuración.'
+  },
+  report: {
+    title: 'Informe de simulación del autocontrol: {interpretation}',
+    generated: 'Generado el {date} · Datos humanos: {dataset}',
+    parameters: 'Parámetros',
+    cells: 'Simulación frente a resultados humanos',
+    gaps: 'Comparación del tamaño del efecto ({contrast})',
+    findings: 'Hallazgos',
+    columns: {
+      parameter: 'Parámetro',
+      group: 'Grupo',
+      value: 'Valor',
+      default: 'Por defecto',
+      range: 'Rango',
+      change: 'Cambio (%)',
+      condition: 'Condición',
+      item: 'Ítem',
+      human: 'Humanos',
+      simulation: 'Simulación',
+      difference: 'Diferencia',
+      humanGap: 'Diferencia humana',
+      simulationGap: 'Diferencia simulada'
+    }
+  },
+  mechanism: {
+    title: 'Mecanismo causal',
+    intro: 'Cómo llegan los parámetros de la izquierda a las valoraciones de la derecha a través de las magnitudes intermedias del modelo. Los valores siguen a los controles; pulse un nodo, o selecciónelo con el teclado y pulse Intro, para ver cómo se calcula.',
+    diagramLabel: 'Diagrama causal de la interpretación {model} en {condition}',
+    legend: 'Las flechas verdes aumentan su destino, las rojas lo disminuyen y las grises discontinuas mezclan dos valores según el progreso tras la elección. ▲/▼ marcan valores por encima o por debajo de los obtenidos con los valores por defecto del modelo (indicados tras la marca); las flechas resaltadas son el camino que siguen los controles modificados.',
+    defaults: '(por defecto: {value})',
+    raisedBy: 'Aumentado por',
+    loweredBy: 'Disminuido por',
+    blends: 'Mezcla',
+    parameterNode: 'Parámetro de {group}, {min}–{max}.',
+    ratingNode: 'Valoración de {item}',
+    ratingDescription: 'Valoración de {item}.'
+  },
+  runs: {
+    title: 'Historial de ejecuciones',
+    clear: 'Borrar las no fijadas',
+    help: 'Fije hasta {max} ejecuciones para dibujarlas sobre la simulación actual y compararlas celda a celda.',
+    firstRun: 'Primera ejecución',
+    sameParameters: 'Mismos parámetros',
+    population: 'población',
+    pin: 'Fijar',
+    unpin: 'Soltar',
+    restore: 'Restaurar',
+    remove: 'Quitar',
+    comparisonTitle: 'Actual frente a ejecuciones fijadas',
+    current: 'Actual',
+    difference: 'Δ frente a n.º {id}',
+    otherInterpretation: 'La n.º {id} es una ejecución de {interpretation}.',
+    since: 'Desde la n.º {id}',
+    noChanges: 'sin cambios de parámetros'
+  },
+  sensitivity: {
+    title: 'Sensibilidad de los parámetros',
+    sweepParameter: 'Parámetro a barrer:',
+    ratings: 'Valoraciones simuladas',
+    gap: 'Diferencia de preferencia ({first} − {second})',
+    gapLine: 'Diferencia ({condition})',
+    gapHelp: 'Las líneas horizontales punteadas marcan las diferencias humanas; la línea vertical discontinua marca el valor actual del control.',
+    ratingsDescription: 'Gráfico de líneas de la valoración simulada de cada ítem en cada condición según varía {parameter}. Cada ítem tiene su propio marcador y cada condición su propio trazo. Los valores también están en una tabla bajo el gráfico.',
+    gapDescription: 'Gráfico de líneas de la diferencia de preferencia simulada en cada condición según varía {parameter}, con las diferencias humanas como líneas de referencia. Los valores también están en una tabla bajo el gráfico.',
+    humanGap: 'Diferencia humana ({condition})',
+    heatmap: 'Mapa de calor de dos parámetros',
+    xAxis: 'Eje X:',
+    yAxis: 'Eje Y:',
+    metric: 'Métrica:',
+    rmseMetric: 'Error de ajuste (RMSE)',
+    gapMetric: 'Diferencia {condition}',
+    heatmapHelp: 'Filas: {rows}. Columnas: {columns}. Los demás parámetros se mantienen en sus valores actuales; la celda con contorno es la configuración actual.',
+    sameParameters: 'Elija dos parámetros distintos para dibujar un mapa de calor.'
+  },
+  slider: {
+    exactValue: '{label}, valor exacto'
+  },
+  designLabels: {
+    'Before Choice': 'Antes de la elección',
+    'After Choice': 'Después de la elección',
+    'Granola Bars': 'Barritas de granola',
+    'Chocolate Bars': 'Barritas de chocolate'
+  },
+  groups: {
+    'Drive Parameters': 'Parámetros de impulso',
+    'Self-Control Depletion': 'Agotamiento del autocontrol',
+    'Utility Parameters': 'Parámetros de utilidad',
+    'Goal Competition': 'Competición de metas',
+    'Action-Drive Satisfaction': 'Satisfacción acción-impulso',
+    'Action Costs': 'Costes de acción'
+  },
+  datasets: {
+    'myrseth-2009': {
+      description: 'Los participantes humanos valoraron las barritas de granola significativamente por encima de las de chocolate en la condición antes de la elección (M = 102,19 frente a M = 74,06), y esta diferencia de preferencia desapareció en la condición después de la elección (M = 94,22 frente a M = 93,11).'
+    }
+  },
+  models: {
+    'explicit-implicit': {
+      title: 'Interpretación explícito-implícito',
+      shortTitle: 'Explícito-implícito',
+      description: 'Modela el autocontrol como una competición entre reglas explícitas de salud y preferencias hedónicas implícitas.',
+      explanation: 'La interpretación explícito-implícito muestra cómo opera el autocontrol mediante la competición entre reglas deliberadas de salud y preferencias hedónicas automáticas.',
+      parameters: {
+        achievementDeficit: {
+          label: 'Déficit de logro',
+          effect: 'Un déficit de logro mayor aumenta la motivación por la conducta dirigida a metas y refuerza el dominio de las reglas explícitas.'
+        },
+        achievementStimulus: { label: 'Nivel del estímulo de logro' },
+        deficitReductionRate: {
+          label: 'Tasa de reducción del déficit',
+          effect: 'Tasas de reducción del déficit mayores representan un agotamiento más rápido de los recursos de autocontrol tras el esfuerzo.'
+        },
+        benefitCoefficient: { label: 'Coeficiente de beneficio' },
+        costCoefficient: {
+          label: 'Coeficiente de coste',
+          effect: 'Coeficientes de coste mayores representan un mayor esfuerzo cognitivo para el control explícito.'
+        }
+      },
+      mechanism: {
+        title: 'Explicación mecanicista (explícito-implícito)',
+        summary: 'La competición entre lo explícito y lo implícito determina si las reglas de salud o las preferencias hedónicas dominan las valoraciones de los alimentos.',
+        notes: {
+          achievementDeficit: 'Los cambios en el déficit de logro afectan a la motivación para aplicar reglas explícitas.'
+        }
+      },
+      graph: {
+        achievementDriveStrength: {
+          label: 'Impulso de logro',
+          description: 'Estímulo de logro × déficit de logro × inicio del estímulo.'
+        },
+        beforeExplicitness: {
+          label: 'Explicitud antes de la elección',
+          description: 'mín(1; 0,75 + 0,3 × (impulso × coeficiente de beneficio − coeficiente de coste)): el impulso hace explícitas las reglas de salud y su coste las frena.'
+        },
+        afterExplicitness: {
+          label: 'Explicitud después de la elección',
+          description: 'máx(0,3; 0,75 − 0,4 × tasa de reducción del déficit): la elección reduce el déficit y las reglas se relajan.'
+        },
+        explicitness: {
+          label: 'Explicitud',
+          description: 'La explicitud antes de la elección, desplazada hacia el nivel posterior a medida que avanza el cambio tras la elección.'
+        },
+        healthyRating: {
+          label: 'Valoración del polo saludable',
+          description: '70 + 35 × explicitud: las reglas explícitas suben los ítems saludables.'
+        },
+        hedonicRating: {
+          label: 'Valoración del polo hedónico',
+          description: '105 − 35 × explicitud: las reglas explícitas bajan los ítems hedónicos.'
+        }
+      },
+      rules: {
+        explicitnessCeiling: 'La explicitud antes de la elección está en su techo de 1,0, así que ajustes más altos del impulso o del beneficio ya no cambian las valoraciones antes de la elección.'
+      },
+      state: {
+        deficit: 'Déficit de logro'
+      }
+    },
+    'desire-goal': {
+      title: 'Interpretación deseo-meta',
+      shortTitle: 'Deseo-meta',
+      description: 'Entiende el autocontrol como la gestión de la competición entre los deseos alimentarios inmediatos y las metas de salud a largo plazo.',
+      explanation: 'La interpretación deseo-meta muestra cómo los deseos alimentarios inmediatos compiten con las metas de salud a largo plazo mediante la modulación temporal de los impulsos de logro.',
+      parameters: {
+        achievementStimulusBefore: {
+          label: 'Estímulo de logro (antes)',
+          effect: 'Un estímulo de logro mayor antes de la elección activa con más fuerza la meta durante la toma de decisiones.'
+        },
+        achievementStimulusAfter: { label: 'Estímulo de logro (después)' },
+        achievementDeficit: { label: 'Déficit de logro' },
+        healthyGoalSatisfaction: {
+          label: 'Satisfacción de la meta saludable',
+          effect: 'Una satisfacción mayor de la meta saludable aumenta la utilidad obtenida al cumplir los objetivos de salud.'
+        },
+        costCoefficient: {
+          label: 'Coeficiente de coste',
+          effect: 'Coeficientes de coste mayores representan un mayor esfuerzo para perseguir la meta.'
+        }
+      },
+      mechanism: {
+        title: 'Explicación mecanicista (deseo-meta)',
+        summary: 'La modulación temporal de los impulsos de logro produce niveles de explicitud diferentes.',
+        notes: {
+          achievementStimulusBefore: 'Los cambios en el estímulo de logro alteran la fuerza de activación de la meta en los contextos de decisión.'
+        }
+      },
+      graph: {
+        stimulus: {
+          label: 'Estímulo de logro',
+          description: 'El estímulo antes de la elección, que pasa al de después a medida que avanza el cambio tras la elección, escalado por el inicio del estímulo.'
+        },
+        foodDriveStrength: {
+          label: 'Impulso alimentario',
+          description: 'Fijo en 0,8 × 0,7: el deseo de comida no depende de los controles.'
+        },
+        achievementDrive: {
+          label: 'Impulso de logro',
+          description: 'Estímulo de logro × déficit de logro.'
+        },
+        goalValue: {
+          label: 'Valor de la meta de salud',
+          description: 'Impulso de logro × satisfacción de la meta saludable + 0,7 × impulso alimentario.'
+        },
+        explicitness: {
+          label: 'Explicitud',
+          description: 'Limitada a 0,3–1: 1,5 × (valor de la meta − coeficiente de coste). Una meta activa hace deliberada la elección.'
+        },
+        healthyRating: {
+          label: 'Valoración del polo saludable',
+          description: 'Antes de la elección 62 + 52 × explicitud; después, cerca de 93,5 y apenas afectada por la explicitud.'
+        },
+        hedonicRating: {
+          label: 'Valoración del polo hedónico',
+          description: 'Antes de la elección 106 − 40 × explicitud; después, cerca de 93,5 y apenas afectada por la explicitud.'
+        }
+      },
+      rules: {
+        explicitnessClamped: 'La explicitud está limitada a 0,3 o 1,0 antes o después de la elección, así que allí los cambios pequeños de parámetros no mueven las valoraciones.'
+      },
+      state: {
+        goalValue: 'Valor de la meta'
+      }
+    },
+    'goal-goal': {
+      title: 'Interpretación meta-meta',
+      shortTitle: 'Meta-meta',
+      description: 'Modela el autocontrol como la resolución explícita del conflicto entre submetas que compiten mediante cálculos de utilidad.',
+      explanation: 'La interpretación meta-meta modela la competición explícita entre submetas orientadas a la salud y al sabor mediante cálculos de utilidad.',
+      parameters: {
+        achievementStimulusBefore: { label: 'Estímulo de logro (antes)' },
+        achievementStimulusAfter: { label: 'Estímulo de logro (después)' },
+        granolaAchievementSat: {
+          label: 'Satisfacción de logro de la granola',
+          effect: 'Una satisfacción de logro mayor de la granola aumenta la utilidad obtenida con las elecciones saludables.'
+        },
+        chocolateFoodSat: {
+          label: 'Satisfacción alimentaria del chocolate',
+          effect: 'Una satisfacción alimentaria mayor del chocolate aumenta la ventaja hedónica de las opciones indulgentes.'
+        },
+        granolaActionCost: {
+          label: 'Coste de acción de la granola',
+          effect: 'Costes de acción mayores de la granola representan un mayor esfuerzo para las elecciones saludables.'
+        },
+        chocolateActionCost: { label: 'Coste de acción del chocolate' }
+      },
+      mechanism: {
+        title: 'Explicación mecanicista (meta-meta)',
+        summary: 'La competición entre submetas basada en la utilidad determina las preferencias alimentarias mediante cálculos de satisfacción específicos de cada acción.',
+        notes: {
+          granolaAchievementSat: 'Los cambios en la satisfacción de logro de la granola alteran la ventaja de utilidad de las elecciones saludables.'
+        }
+      },
+      graph: {
+        stimulus: {
+          label: 'Estímulo de logro',
+          description: 'El estímulo antes de la elección, que pasa al de después a medida que avanza el cambio tras la elección, escalado por el inicio del estímulo.'
+        },
+        foodDriveStrength: {
+          label: 'Impulso alimentario',
+          description: 'Fijo en 0,8 × 0,7: el deseo de comida no depende de los controles.'
+        },
+        achievementDrive: {
+          label: 'Impulso de logro',
+          description: 'Estímulo de logro × 0,7.'
+        },
+        utility: {
+          label: 'Utilidad de {item}',
+          description: 'Impulso de logro × satisfacción de logro + impulso alimentario × satisfacción alimentaria − coste de acción, con las satisfacciones y el coste de {item} fijados por sus atributos de salud y hedónico.'
+        },
+        advantage: {
+          label: 'Ventaja de {item}',
+          description: 'La utilidad de {item} menos la utilidad media de los demás ítems.'
+        },
+        rating: {
+          description: 'Alrededor de 88 + 30 × ventaja más un desplazamiento por condición que se reduce tras la elección, limitada a 50–150.'
+        }
+      },
+      rules: {
+        ratingClamped: 'Al menos una valoración está limitada a la escala 50–150, así que la diferencia de utilidad que hay detrás es mayor de lo que muestra la valoración.'
+      }
+    }
+  }
+};
+
+export default es;
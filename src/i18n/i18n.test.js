@@ -0,0 +1,101 @@
+import { catalogs, createTranslator, localizeModel } from '.';
+import { buildReport } from '../analysis';
+import { reportToMarkdown } from '../exporters';
+import { getModel, listModels } from '../models';
+import { parseConfigurationsJson } from '../configurations';
+
+const keys = (catalog, prefix = '') =>
+  Object.entries(catalog).flatMap(([key, value]) =>
+    value && typeof value === 'object' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+
+const es = createTranslator('es');
+const en = createTranslator('en');
+
+const humanData = [
+  { condition: 'Before Choice', granola: 102.19, chocolate: 74.06 },
+  { condition: 'After Choice', granola: 94.22, chocolate: 93.11 }
+];
+
+describe('createTranslator', () => {
+  it('interpolates values into the active catalog', () => {
+    expect(es('runs.since', { id: 3 })).toBe('Desde la n.º 3');
+    expect(en('runs.since', { id: 3 })).toBe('Since #3');
+  });
+
+  it('falls back to English, then to the fallback text, then to the key', () => {
+    catalogs.en.testOnly = 'English only {n}';
+    try {
+      expect(es('testOnly', { n: 1 })).toBe('English only 1');
+    } finally {
+      delete catalogs.en.testOnly;
+    }
+    expect(es('missing.key', { item: 'X' }, 'Fallback {item}')).toBe('Fallback X');
+    expect(es('missing.key')).toBe('missing.key');
+  });
+
+  it('formats numbers with the locale separator', () => {
+    expect(es.number(0.7)).toBe('0,70');
+    expect(en.number(0.7)).toBe('0.70');
+    expect(en.signed(2.5)).toBe('+2.5');
+    expect(es.number(NaN)).toBe('–');
+  });
+
+  it('translates default design labels and passes others through', () => {
+    expect(es.label('Before Choice')).toBe('Antes de la elección');
+    expect(es.label('Delayed')).toBe('Delayed');
+    expect(en.label('Before Choice')).toBe('Before Choice');
+  });
+});
+
+describe('catalogs', () => {
+  it('translates every English key into Spanish', () => {
+    const spanish = new Set(keys(catalogs.es));
+    expect(keys(catalogs.en).filter(key => !spanish.has(key))).toEqual([]);
+  });
+
+  it('has Spanish text for every built-in model and parameter', () => {
+    listModels().forEach(model => {
+      const localized = localizeModel(model, es);
+      expect(localized.title).not.toBe(model.title);
+      localized.parameters.forEach((config, index) => {
+        expect(config.label).not.toBe(model.parameters[index].label);
+        expect(config.group).not.toBe(model.parameters[index].group);
+      });
+    });
+  });
+});
+
+describe('localizeModel', () => {
+  it('keeps the model behaviour and passes t to the design-dependent text', () => {
+    const model = getModel('goal-goal');
+    const localized = localizeModel(model, es);
+    expect(localized.simulate(model.defaults)).toEqual(model.simulate(model.defaults));
+    expect(localized.stateLabels([{ id: 'granola', label: 'Granola Bars' }]).granolaUtility)
+      .toBe('Utilidad de Barritas de granola');
+  });
+});
+
+describe('Spanish output', () => {
+  it('writes the report and its markdown in Spanish', () => {
+    const model = localizeModel(getModel('explicit-implicit'), es);
+    const report = buildReport({
+      model,
+      parameters: model.defaults,
+      simulationData: model.simulate(model.defaults),
+      humanData,
+      datasetName: 'Myrseth et al. (2009)',
+      t: es
+    });
+    expect(report.title).toBe('Informe de simulación del autocontrol: Interpretación explícito-implícito');
+    const markdown = reportToMarkdown(report, es);
+    expect(markdown).toContain('## Hallazgos');
+    expect(markdown).toContain('Antes de la elección');
+    expect(markdown).toContain('0,7');
+  });
+
+  it('reports validation errors in Spanish', () => {
+    const { errors } = parseConfigurationsJson('{', es);
+    expect(errors[0]).toMatch(/^JSON no válido/);
+  });
+});
@@ -0,0 +1,125 @@
+// Translation layer. Catalogs are nested objects of strings with {name}
+// placeholders, or functions of the values for plurals. A key missing from
+// the active catalog falls back to English, then to the fallback text the
+// caller passes (interpolated the same way), then to the key itself; models
+// pass their own English text as that fallback, so a registered model
+// without catalog entries still reads correctly.
+import en from './en';
+import es from './es';
+
+export const catalogs = { en, es };
+
+export const languages = [
+  { id: 'es', label: 'Español', locale: 'es-ES' },
+  { id: 'en', label: 'English', locale: 'en-US' }
+];
+
+const STORAGE_KEY = 'simulacion-autocontrol:language';
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+const interpolate = (text, values) =>
+  String(text).replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+
+// t(key, values, fallback) plus locale-aware helpers:
+//   t.number(value, digits)  fixed decimals with the locale's separator
+//   t.signed(value, digits)  the same with an explicit + for positive values
+//   t.dateTime(iso), t.time(iso)
+//   t.label(text)            a default design label (condition or item) in
+//                            the active language; user-defined labels pass through
+export const createTranslator = (language) => {
+  const { locale } = languages.find(entry => entry.id === language) || languages[1];
+  const formatters = {};
+  const formatter = (digits, signed) => {
+    const key = `${digits}${signed ? '+' : ''}`;
+    if (!formatters[key]) {
+      formatters[key] = new Intl.NumberFormat(locale, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+        signDisplay: signed ? 'exceptZero' : 'auto'
+      });
+    }
+    return formatters[key];
+  };
+
+  const t = (key, values = {}, fallback) => {
+    const entry = lookup(catalogs[language], key) ?? lookup(catalogs.en, key) ?? fallback ?? key;
+    return interpolate(typeof entry === 'function' ? entry(values) : entry, values);
+  };
+  t.language = language;
+  t.locale = locale;
+  t.number = (value, digits = 2) => (Number.isFinite(value) ? formatter(digits, false).format(value) : '–');
+  t.signed = (value, digits = 1) => (Number.isFinite(value) ? formatter(digits, true).format(value) : '–');
+  t.dateTime = (iso) => new Date(iso).toLocaleString(locale);
+  t.time = (iso) => new Date(iso).toLocaleTimeString(locale);
+  t.label = (text) => {
+    const entry = lookup(catalogs[language], 'designLabels');
+    return (entry && entry[text]) || text;
+  };
+  return t;
+};
+
+// English, for code that runs without a chosen language (tests, the CLI default)
+export const defaultTranslator = createTranslator('en');
+
+export const isLanguage = (id) => languages.some(entry => entry.id === id);
+
+// Stored choice, else the browser's language when it is supported, else Spanish
+export const loadLanguage = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (isLanguage(stored)) return stored;
+  } catch (error) {
+    // Storage can be disabled; fall through to the browser language
+  }
+  const browser = (typeof navigator !== 'undefined' && navigator.language ? navigator.language : '').slice(0, 2);
+  return isLanguage(browser) ? browser : 'es';
+};
+
+export const persistLanguage = (language) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch (error) {
+    // Storage can be full or disabled (private browsing); saving is best effort
+  }
+};
+
+// Catalog entries of one model live under models.<id>; the model's own
+// English text is the fallback
+export const modelText = (t, modelId) => (path, fallback, values = {}) =>
+  t(`models.${modelId}.${path}`, values, fallback);
+
+export const localizeParameter = (t, modelId, config) => {
+  const text = modelText(t, modelId);
+  return {
+    ...config,
+    label: text(`parameters.${config.key}.label`, config.label),
+    group: t(`groups.${config.group}`, {}, config.group),
+    ...(config.effect ? { effect: text(`parameters.${config.key}.effect`, config.effect) } : {})
+  };
+};
+
+// A registered model with its display text in t's language. Functions that
+// build text from the design's items receive t as their last argument.
+export const localizeModel = (model, t) => {
+  const text = modelText(t, model.id);
+  return {
+    ...model,
+    title: text('title', model.title),
+    shortTitle: text('shortTitle', model.shortTitle),
+    description: text('description', model.description),
+    explanation: model.explanation && text('explanation', model.explanation),
+    parameters: model.parameters.map(config => localizeParameter(t, model.id, config)),
+    mechanism: model.mechanism && {
+      title: text('mechanism.title', model.mechanism.title),
+      summary: text('mechanism.summary', model.mechanism.summary),
+      notes: Object.entries(model.mechanism.notes || {}).reduce(
+        (notes, [key, note]) => ({ ...notes, [key]: text(`mechanism.notes.${key}`, note) }),
+        {}
+      )
+    },
+    ...(model.stateLabels ? { stateLabels: (items) => model.stateLabels(items, t) } : {}),
+    ...(model.causalGraph ? { causalGraph: (items) => model.causalGraph(items, t) } : {})
+  };
+};
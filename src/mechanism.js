@@ -0,0 +1,72 @@
+// Causal-mechanism diagram support: the value of every node of a model's
+// causalGraph(items) at one design condition, how it moved away from the
+// model defaults, and a left-to-right layout by layer.
+import { ratingNodeId } from './models/shared';
+
+// Parameters, the evaluate() trace and the ratings, keyed by node id
+export const nodeValues = (model, params, condition, items) => {
+  const { ratings, trace } = model.evaluate(params, condition, items);
+  return items.reduce(
+    (values, item) => ({ ...values, [ratingNodeId(item.id)]: ratings[item.id] }),
+    { ...params, ...trace }
+  );
+};
+
+// Per node: +1 when the current value is above the value at the model
+// defaults, -1 when below, 0 when (practically) unchanged
+export const changeDirections = (current, reference) =>
+  Object.keys(current).reduce((directions, id) => {
+    const difference = current[id] - reference[id];
+    const tolerance = 1e-6 * Math.max(1, Math.abs(reference[id]));
+    return { ...directions, [id]: Math.abs(difference) <= tolerance ? 0 : Math.sign(difference) };
+  }, {});
+
+export const defaultLayout = {
+  nodeWidth: 150,
+  nodeHeight: 44,
+  columnGap: 56,
+  rowGap: 14,
+  padding: 10
+};
+
+// Node positions in columns by layer, each column centred vertically, and
+// a cubic curve from the right edge of each source to the left edge of its
+// target
+export const layoutGraph = (graph, layout = defaultLayout) => {
+  const { nodeWidth, nodeHeight, columnGap, rowGap, padding } = { ...defaultLayout, ...layout };
+  const layers = [...new Set(graph.nodes.map(node => node.layer))].sort((a, b) => a - b);
+  const columns = layers.map(layer => graph.nodes.filter(node => node.layer === layer));
+  const columnHeight = (column) => column.length * nodeHeight + (column.length - 1) * rowGap;
+  const height = Math.max(...columns.map(columnHeight)) + 2 * padding;
+  const width = layers.length * nodeWidth + (layers.length - 1) * columnGap + 2 * padding;
+
+  const positions = {};
+  columns.forEach((column, columnIndex) => {
+    const top = (height - columnHeight(column)) / 2;
+    column.forEach((node, rowIndex) => {
+      positions[node.id] = {
+        x: padding + columnIndex * (nodeWidth + columnGap),
+        y: top + rowIndex * (nodeHeight + rowGap)
+      };
+    });
+  });
+
+  const edges = graph.edges.map(edge => {
+    const start = { x: positions[edge.from].x + nodeWidth, y: positions[edge.from].y + nodeHeight / 2 };
+    const end = { x: positions[edge.to].x, y: positions[edge.to].y + nodeHeight / 2 };
+    const bend = (end.x - start.x) / 2;
+    return {
+      ...edge,
+      path: `M ${start.x} ${start.y} C ${start.x + bend} ${start.y}, ${end.x - bend} ${end.y}, ${end.x} ${end.y}`
+    };
+  });
+
+  return {
+    width,
+    height,
+    nodeWidth,
+    nodeHeight,
+    nodes: graph.nodes.map(node => ({ ...node, ...positions[node.id] })),
+    edges
+  };
+};
@@ -0,0 +1,74 @@
+import { nodeValues, changeDirections, layoutGraph } from './mechanism';
+import { defaultDesign } from './design';
+import { listModels, getModel } from './models';
+import { ratingNodeId } from './models/shared';
+
+const threeItems = {
+  ...defaultDesign,
+  items: [...defaultDesign.items, { id: 'apple', label: 'Apple', color: '#6495ED', health: 0.8, hedonic: 0.4 }]
+};
+
+describe.each(listModels().map(model => [model.id, model]))('%s causal graph', (id, model) => {
+  it.each([['default', defaultDesign], ['three-item', threeItems]])('has a value for every node in the %s design', (name, design) => {
+    const graph = model.causalGraph(design.items);
+    const nodeIds = graph.nodes.map(node => node.id);
+    expect(new Set(nodeIds).size).toBe(nodeIds.length);
+    graph.edges.forEach(edge => {
+      expect(nodeIds).toContain(edge.from);
+      expect(nodeIds).toContain(edge.to);
+    });
+
+    design.conditions.forEach(condition => {
+      const values = nodeValues(model, model.defaults, condition, design.items);
+      nodeIds.forEach(nodeId => expect(Number.isFinite(values[nodeId])).toBe(true));
+    });
+  });
+
+  it('traces the intermediates of every condition', () => {
+    const trace = model.trace(model.defaults, defaultDesign);
+    expect(trace.map(row => row.condition)).toEqual(defaultDesign.conditions.map(condition => condition.label));
+  });
+
+  it('ends every rating node at the simulated rating', () => {
+    const [row] = model.simulate(model.defaults);
+    const values = nodeValues(model, model.defaults, defaultDesign.conditions[0], defaultDesign.items);
+    defaultDesign.items.forEach(item => {
+      expect(Math.round(values[ratingNodeId(item.id)])).toBe(row[item.id]);
+    });
+  });
+});
+
+it('follows a slider change through to the ratings', () => {
+  const model = getModel('explicit-implicit');
+  const condition = defaultDesign.conditions[0];
+  const reference = nodeValues(model, model.defaults, condition, defaultDesign.items);
+  const changed = nodeValues(model, { ...model.defaults, costCoefficient: 0.3 }, condition, defaultDesign.items);
+  const directions = changeDirections(changed, reference);
+
+  expect(directions).toMatchObject({
+    costCoefficient: 1,
+    achievementDriveStrength: 0,
+    afterExplicitness: 0,
+    beforeExplicitness: -1,
+    explicitness: -1,
+    [ratingNodeId('granola')]: -1,
+    [ratingNodeId('chocolate')]: 1
+  });
+});
+
+it('lays the layers out left to right', () => {
+  const graph = {
+    nodes: [
+      { id: 'a', layer: 0 },
+      { id: 'b', layer: 0 },
+      { id: 'c', layer: 1 }
+    ],
+    edges: [{ from: 'a', to: 'c', sign: 1 }]
+  };
+  const layout = layoutGraph(graph, { nodeWidth: 100, nodeHeight: 40, columnGap: 50, rowGap: 10, padding: 0 });
+  const [a, b, c] = layout.nodes;
+  expect([layout.width, layout.height]).toEqual([250, 90]);
+  expect([a.x, a.y, b.y]).toEqual([0, 0, 50]);
+  expect([c.x, c.y]).toEqual([150, 25]);
+  expect(layout.edges[0].path).toBe('M 100 20 C 125 20, 125 45, 150 45');
+});
@@ -0,0 +1,139 @@
+// Desire-goal interpretation: immediate food desires compete with a
+// longer-term health goal whose activation follows the achievement stimulus
+// before and after the choice.
+import { blendByAttributes, simulateDesign, traceDesign } from '../design';
+import { defaultTranslator, modelText } from '../i18n';
+import { lerp, parameterNodes, intermediateNode, ratingNodes, poleEdges } from './shared';
+
+// One point of the choice time course: the achievement stimulus builds to
+// its before-choice level, then shifts to its after-choice level; the rating
+// mapping moves from the before to the after form with the same progress.
+// Healthy items follow the goal pole and hedonic items the desire pole.
+const evaluate = (params, { onset, progress }, items) => {
+  const { achievementStimulusBefore, achievementStimulusAfter, achievementDeficit, healthyGoalSatisfaction, costCoefficient } = params;
+
+  const stimulus = lerp(achievementStimulusBefore, achievementStimulusAfter, progress) * onset;
+  const achievementDrive = stimulus * achievementDeficit;
+  const foodDriveStrength = 0.8 * 0.7;
+  const goalValue = achievementDrive * healthyGoalSatisfaction + foodDriveStrength * 0.7;
+  const explicitness = Math.min(1.0, Math.max(0.3, (goalValue * 1.0 - costCoefficient) * 1.5));
+
+  const beforeHealthy = Math.max(50, 60 + explicitness * 52 + 2);
+  const beforeHedonic = Math.max(50, 100 - explicitness * 40 + 6);
+  const afterHealthy = Math.max(50, 93.5 + (explicitness - 0.5) * 2);
+  const afterHedonic = Math.max(50, 93.5 - (explicitness - 0.5) * 1);
+  const healthyRating = lerp(beforeHealthy, afterHealthy, progress);
+  const hedonicRating = lerp(beforeHedonic, afterHedonic, progress);
+
+  return {
+    ratings: items.reduce((ratings, item) => ({ ...ratings, [item.id]: blendByAttributes(item, healthyRating, hedonicRating) }), {}),
+    state: { stimulus, drive: achievementDrive, goalValue, explicitness },
+    trace: { stimulus, achievementDrive, foodDriveStrength, goalValue, explicitness, healthyRating, hedonicRating }
+  };
+};
+
+const causalGraph = (items, t = defaultTranslator) => {
+  const text = modelText(t, 'desire-goal');
+  return {
+    nodes: [
+      ...parameterNodes(desireGoal, t),
+      intermediateNode(text, 'stimulus', 1, 'Achievement Stimulus',
+        'The before-choice stimulus, shifting to the after-choice one as the post-choice change progresses, scaled by stimulus onset.'),
+      intermediateNode(text, 'foodDriveStrength', 1, 'Food Drive',
+        'Fixed at 0.8 × 0.7: the desire for food does not depend on the sliders.'),
+      intermediateNode(text, 'achievementDrive', 2, 'Achievement Drive',
+        'Achievement stimulus × Achievement Deficit.'),
+      intermediateNode(text, 'goalValue', 3, 'Health Goal Value',
+        'Achievement drive × Healthy Goal Satisfaction + 0.7 × food drive.'),
+      intermediateNode(text, 'explicitness', 4, 'Explicitness',
+        'Clamped to 0.3–1: 1.5 × (goal value − Cost Coefficient). An active goal makes the choice deliberate.'),
+      intermediateNode(text, 'healthyRating', 5, 'Healthy-Pole Rating',
+        'Before the choice 62 + 52 × explicitness; after it close to 93.5, barely affected by explicitness.'),
+      intermediateNode(text, 'hedonicRating', 5, 'Hedonic-Pole Rating',
+        'Before the choice 106 − 40 × explicitness; after it close to 93.5, barely affected by explicitness.'),
+      ...ratingNodes(items, t, 6)
+    ],
+    edges: [
+      { from: 'achievementStimulusBefore', to: 'stimulus', sign: 0 },
+      { from: 'achievementStimulusAfter', to: 'stimulus', sign: 0 },
+      { from: 'stimulus', to: 'achievementDrive', sign: 1 },
+      { from: 'achievementDeficit', to: 'achievementDrive', sign: 1 },
+      { from: 'achievementDrive', to: 'goalValue', sign: 1 },
+      { from: 'healthyGoalSatisfaction', to: 'goalValue', sign: 1 },
+      { from: 'foodDriveStrength', to: 'goalValue', sign: 1 },
+      { from: 'goalValue', to: 'explicitness', sign: 1 },
+      { from: 'costCoefficient', to: 'explicitness', sign: -1 },
+      { from: 'explicitness', to: 'healthyRating', sign: 1 },
+      { from: 'explicitness', to: 'hedonicRating', sign: -1 },
+      ...poleEdges(items, 'healthyRating', 'hedonicRating')
+    ]
+  };
+};
+
+const desireGoal = {
+  id: 'desire-goal',
+  title: 'Desire-Goal Interpretation',
+  shortTitle: 'Desire-Goal',
+  description: 'Views self-control as managing competition between immediate food desires and longer-term health goals.',
+  explanation: 'The desire-goal interpretation demonstrates how immediate food desires compete with longer-term health goals through temporal modulation of achievement drives.',
+  defaults: {
+    achievementStimulusBefore: 0.8,
+    achievementStimulusAfter: 0.5,
+    achievementDeficit: 0.7,
+    healthyGoalSatisfaction: 0.5,
+    costCoefficient: 0.185
+  },
+  parameters: [
+    {
+      key: 'achievementStimulusBefore', label: 'Achievement Stimulus (Before)', group: 'Drive Parameters', min: 0.5, max: 1.0, step: 0.1,
+      effect: 'Higher before-choice achievement stimulus creates stronger goal activation during decision-making.'
+    },
+    { key: 'achievementStimulusAfter', label: 'Achievement Stimulus (After)', group: 'Drive Parameters', min: 0.3, max: 0.7, step: 0.1 },
+    { key: 'achievementDeficit', label: 'Achievement Deficit', group: 'Drive Parameters', min: 0.4, max: 1.0, step: 0.1 },
+    {
+      key: 'healthyGoalSatisfaction', label: 'Healthy Goal Satisfaction', group: 'Goal Competition', min: 0.2, max: 0.8, step: 0.1,
+      effect: 'Higher healthy goal satisfaction increases the utility gained from achieving health objectives.'
+    },
+    {
+      key: 'costCoefficient', label: 'Cost Coefficient', group: 'Utility Parameters', min: 0.1, max: 0.3, step: 0.02,
+      effect: 'Higher cost coefficients represent greater effort required for goal pursuit.'
+    }
+  ],
+  mechanism: {
+    title: 'Mechanistic Explanation (Desire-Goal)',
+    summary: 'The temporal modulation of achievement drives creates differential explicitness levels.',
+    notes: {
+      achievementStimulusBefore: 'Achievement stimulus changes alter goal activation strength during decision-making contexts.'
+    }
+  },
+  analysisRules: [
+    {
+      id: 'explicitness-clamped',
+      scope: 'model',
+      severity: 'info',
+      when: ({ evaluate }) => [0, 1].some(progress => {
+        const { explicitness } = evaluate({ onset: 1, progress }).state;
+        return explicitness <= 0.3 || explicitness >= 1;
+      }),
+      message: (context, t = defaultTranslator) => modelText(t, 'desire-goal')(
+        'rules.explicitnessClamped',
+        'Explicitness is clamped at 0.3 or 1.0 before or after the choice, so small parameter changes there do not move the ratings.'
+      )
+    }
+  ],
+  evaluate,
+  simulate: (params, design) => simulateDesign(evaluate, params, design),
+  trace: (params, design) => traceDesign(evaluate, params, design),
+  causalGraph,
+  stateLabels: (items, t = defaultTranslator) => {
+    const text = modelText(t, 'desire-goal');
+    return {
+      stimulus: text('graph.stimulus.label', 'Achievement Stimulus'),
+      drive: text('graph.achievementDrive.label', 'Achievement Drive'),
+      goalValue: text('state.goalValue', 'Goal Value'),
+      explicitness: text('graph.explicitness.label', 'Explicitness')
+    };
+  }
+};
+
+export default desireGoal;
@@ -0,0 +1,129 @@
+// Explicit-implicit interpretation: deliberate health rules compete with
+// automatic hedonic preferences; explicitness drops once the achievement
+// deficit is reduced by the choice.
+import { blendByAttributes, simulateDesign, traceDesign } from '../design';
+import { defaultTranslator, modelText } from '../i18n';
+import { lerp, parameterNodes, intermediateNode, ratingNodes, poleEdges } from './shared';
+
+// One point of the choice time course: the drive builds with stimulus onset,
+// and after the choice the deficit is worked off at deficitReductionRate
+// while explicitness relaxes toward its depleted level. Explicit rules pull
+// healthy items up and hedonic items down.
+const evaluate = (params, { onset, progress }, items) => {
+  const { achievementDeficit, achievementStimulus, deficitReductionRate, benefitCoefficient, costCoefficient } = params;
+
+  const deficit = achievementDeficit * (1 - deficitReductionRate * progress);
+  const achievementDriveStrength = achievementStimulus * achievementDeficit * onset;
+  const beforeExplicitness = Math.min(1.0, 0.75 + (achievementDriveStrength * benefitCoefficient - costCoefficient) * 0.3);
+  const afterExplicitness = Math.max(0.3, 0.75 - deficitReductionRate * 0.4);
+  const explicitness = lerp(beforeExplicitness, afterExplicitness, progress);
+
+  const healthyRating = 70 + explicitness * 35;
+  const hedonicRating = 105 - explicitness * 35;
+
+  return {
+    ratings: items.reduce((ratings, item) => ({ ...ratings, [item.id]: blendByAttributes(item, healthyRating, hedonicRating) }), {}),
+    state: { deficit, drive: achievementStimulus * deficit * onset, explicitness },
+    trace: { achievementDriveStrength, beforeExplicitness, afterExplicitness, explicitness, healthyRating, hedonicRating }
+  };
+};
+
+const causalGraph = (items, t = defaultTranslator) => {
+  const text = modelText(t, 'explicit-implicit');
+  return {
+    nodes: [
+      ...parameterNodes(explicitImplicit, t),
+      intermediateNode(text, 'achievementDriveStrength', 1, 'Achievement Drive',
+        'Achievement Stimulus × Achievement Deficit × stimulus onset.'),
+      intermediateNode(text, 'beforeExplicitness', 2, 'Before-Choice Explicitness',
+        'min(1, 0.75 + 0.3 × (drive × Benefit Coefficient − Cost Coefficient)): the drive makes the health rules explicit, their cost holds them back.'),
+      intermediateNode(text, 'afterExplicitness', 2, 'After-Choice Explicitness',
+        'max(0.3, 0.75 − 0.4 × Deficit Reduction Rate): the choice works off the deficit and the rules relax.'),
+      intermediateNode(text, 'explicitness', 3, 'Explicitness',
+        'Before-choice explicitness, moved toward the after-choice level as the post-choice change progresses.'),
+      intermediateNode(text, 'healthyRating', 4, 'Healthy-Pole Rating',
+        '70 + 35 × explicitness: explicit rules pull healthy items up.'),
+      intermediateNode(text, 'hedonicRating', 4, 'Hedonic-Pole Rating',
+        '105 − 35 × explicitness: explicit rules push hedonic items down.'),
+      ...ratingNodes(items, t, 5)
+    ],
+    edges: [
+      { from: 'achievementStimulus', to: 'achievementDriveStrength', sign: 1 },
+      { from: 'achievementDeficit', to: 'achievementDriveStrength', sign: 1 },
+      { from: 'achievementDriveStrength', to: 'beforeExplicitness', sign: 1 },
+      { from: 'benefitCoefficient', to: 'beforeExplicitness', sign: 1 },
+      { from: 'costCoefficient', to: 'beforeExplicitness', sign: -1 },
+      { from: 'deficitReductionRate', to: 'afterExplicitness', sign: -1 },
+      { from: 'beforeExplicitness', to: 'explicitness', sign: 0 },
+      { from: 'afterExplicitness', to: 'explicitness', sign: 0 },
+      { from: 'explicitness', to: 'healthyRating', sign: 1 },
+      { from: 'explicitness', to: 'hedonicRating', sign: -1 },
+      ...poleEdges(items, 'healthyRating', 'hedonicRating')
+    ]
+  };
+};
+
+const explicitImplicit = {
+  id: 'explicit-implicit',
+  title: 'Explicit-Implicit Interpretation',
+  shortTitle: 'Explicit-Implicit',
+  description: 'Models self-control as competition between explicit health-conscious rules and implicit hedonic preferences.',
+  explanation: 'The explicit-implicit interpretation shows how self-control operates through competition between deliberate health-conscious rules and automatic hedonic preferences.',
+  defaults: {
+    achievementDeficit: 0.7,
+    achievementStimulus: 0.7,
+    deficitReductionRate: 0.5,
+    benefitCoefficient: 1.0,
+    costCoefficient: 0.16
+  },
+  parameters: [
+    {
+      key: 'achievementDeficit', label: 'Achievement Deficit', group: 'Drive Parameters', min: 0.4, max: 1.0, step: 0.1,
+      effect: 'Higher achievement deficit increases motivation for goal-directed behavior, strengthening explicit rule dominance.'
+    },
+    { key: 'achievementStimulus', label: 'Achievement Stimulus Level', group: 'Drive Parameters', min: 0.4, max: 1.0, step: 0.1 },
+    {
+      key: 'deficitReductionRate', label: 'Deficit Reduction Rate', group: 'Self-Control Depletion', min: 0.2, max: 0.8, step: 0.1,
+      effect: 'Higher deficit reduction rates represent faster depletion of self-control resources after exertion.'
+    },
+    { key: 'benefitCoefficient', label: 'Benefit Coefficient', group: 'Utility Parameters', min: 0.5, max: 1.5, step: 0.1 },
+    {
+      key: 'costCoefficient', label: 'Cost Coefficient', group: 'Utility Parameters', min: 0.1, max: 0.3, step: 0.02,
+      effect: 'Higher cost coefficients represent greater cognitive effort required for explicit control.'
+    }
+  ],
+  mechanism: {
+    title: 'Mechanistic Explanation (Explicit-Implicit)',
+    summary: 'The explicit-implicit competition determines whether health-conscious rules or hedonic preferences dominate food evaluations.',
+    notes: {
+      achievementDeficit: 'Changes in achievement deficit affect the motivation for explicit rule engagement.'
+    }
+  },
+  analysisRules: [
+    {
+      id: 'explicitness-ceiling',
+      scope: 'model',
+      severity: 'info',
+      when: ({ evaluate }) => evaluate({ onset: 1, progress: 0 }).state.explicitness >= 1,
+      message: (context, t = defaultTranslator) => modelText(t, 'explicit-implicit')(
+        'rules.explicitnessCeiling',
+        'Before-choice explicitness is at its ceiling of 1.0, so stronger drive or benefit settings no longer change the before-choice ratings.'
+      )
+    }
+  ],
+  evaluate,
+  simulate: (params, design) => simulateDesign(evaluate, params, design),
+  trace: (params, design) => traceDesign(evaluate, params, design),
+  causalGraph,
+  dynamicsRate: (params) => params.deficitReductionRate,
+  stateLabels: (items, t = defaultTranslator) => {
+    const text = modelText(t, 'explicit-implicit');
+    return {
+      deficit: text('state.deficit', 'Achievement Deficit'),
+      drive: text('graph.achievementDriveStrength.label', 'Achievement Drive'),
+      explicitness: text('graph.explicitness.label', 'Explicitness')
+    };
+  }
+};
+
+export default explicitImplicit;
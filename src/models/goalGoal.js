@@ -0,0 +1,179 @@
+// Goal-goal interpretation: health- and taste-oriented subgoals compete
+// through explicit utility calculations for each food.
+import { blendByAttributes, simulateDesign, traceDesign } from '../design';
+import { defaultTranslator, modelText } from '../i18n';
+import { lerp, parameterNodes, intermediateNode, ratingNodes, ratingNodeId } from './shared';
+
+// Causal-graph node ids for an item's utility and its advantage over the
+// other items
+const utilityNodeId = (itemId) => `utility:${itemId}`;
+const advantageNodeId = (itemId) => `advantage:${itemId}`;
+
+// One point of the choice time course: the achievement stimulus builds to
+// its before-choice level, then shifts to its after-choice level, and the
+// rating offsets move from their before to their after values. An item's
+// health and hedonic attributes place its achievement satisfaction, food
+// satisfaction and action cost between the hedonic and the healthy pole;
+// it is rated on its utility advantage over the other items.
+const evaluate = (params, { onset, progress }, items) => {
+  const { achievementStimulusBefore, achievementStimulusAfter, granolaAchievementSat, chocolateFoodSat, granolaActionCost, chocolateActionCost } = params;
+
+  const stimulus = lerp(achievementStimulusBefore, achievementStimulusAfter, progress) * onset;
+  const achievementDrive = stimulus * 0.7;
+  const foodDriveStrength = 0.8 * 0.7;
+
+  const utilities = items.map(item => {
+    const achievementSat = lerp(0.1, granolaAchievementSat, item.health);
+    const foodSat = lerp(0.6, chocolateFoodSat, item.hedonic);
+    const actionCost = lerp(chocolateActionCost, granolaActionCost, item.health);
+    return (achievementDrive * achievementSat + foodDriveStrength * foodSat) - actionCost;
+  });
+
+  const healthyOffset = lerp(14.1, 6.1, progress);
+  const hedonicOffset = lerp(-14.0, 5.0, progress);
+
+  const utilityDiffs = utilities.map((utility, index) => {
+    const others = utilities.filter((_, otherIndex) => otherIndex !== index);
+    return utility - others.reduce((sum, value) => sum + value, 0) / Math.max(1, others.length);
+  });
+
+  const ratings = items.reduce((values, item, index) => {
+    const rating = 88.1 + utilityDiffs[index] * blendByAttributes(item, 35, 28) + blendByAttributes(item, healthyOffset, hedonicOffset);
+    return { ...values, [item.id]: Math.max(50, Math.min(150, rating)) };
+  }, {});
+
+  return {
+    ratings,
+    state: items.reduce(
+      (state, item, index) => ({ ...state, [`${item.id}Utility`]: utilities[index] }),
+      { drive: achievementDrive }
+    ),
+    trace: items.reduce(
+      (trace, item, index) => ({ ...trace, [utilityNodeId(item.id)]: utilities[index], [advantageNodeId(item.id)]: utilityDiffs[index] }),
+      { stimulus, achievementDrive, foodDriveStrength }
+    )
+  };
+};
+
+// Each item's utility depends on the satisfaction and cost parameters of
+// the poles it has attributes of; its advantage is its utility against the
+// mean of the others, so every other utility lowers it
+const causalGraph = (items, t = defaultTranslator) => {
+  const text = modelText(t, 'goal-goal');
+  return {
+    nodes: [
+      ...parameterNodes(goalGoal, t),
+      intermediateNode(text, 'stimulus', 1, 'Achievement Stimulus',
+        'The before-choice stimulus, shifting to the after-choice one as the post-choice change progresses, scaled by stimulus onset.'),
+      intermediateNode(text, 'foodDriveStrength', 1, 'Food Drive',
+        'Fixed at 0.8 × 0.7: the desire for food does not depend on the sliders.'),
+      intermediateNode(text, 'achievementDrive', 2, 'Achievement Drive',
+        'Achievement stimulus × 0.7.'),
+      ...items.map(item => ({
+        id: utilityNodeId(item.id),
+        label: text('graph.utility.label', '{item} Utility', { item: t.label(item.label) }),
+        layer: 3,
+        kind: 'intermediate',
+        description: text(
+          'graph.utility.description',
+          "Achievement drive × achievement satisfaction + food drive × food satisfaction − action cost, with {item}'s satisfactions and cost set by its health and hedonic attributes.",
+          { item: t.label(item.label) }
+        )
+      })),
+      ...items.map(item => ({
+        id: advantageNodeId(item.id),
+        label: text('graph.advantage.label', '{item} Advantage', { item: t.label(item.label) }),
+        layer: 4,
+        kind: 'intermediate',
+        description: text('graph.advantage.description', "{item}'s utility minus the mean utility of the other items.", { item: t.label(item.label) })
+      })),
+      ...ratingNodes(items, t, 5).map(node => ({
+        ...node,
+        description: text('graph.rating.description', 'About 88 + 30 × advantage plus a condition offset that shrinks after the choice, clamped to 50–150.')
+      }))
+    ],
+    edges: [
+      { from: 'achievementStimulusBefore', to: 'stimulus', sign: 0 },
+      { from: 'achievementStimulusAfter', to: 'stimulus', sign: 0 },
+      { from: 'stimulus', to: 'achievementDrive', sign: 1 },
+      ...items.flatMap(item => [
+        { from: 'achievementDrive', to: utilityNodeId(item.id), sign: 1 },
+        { from: 'foodDriveStrength', to: utilityNodeId(item.id), sign: 1 },
+        ...(item.health > 0 ? [
+          { from: 'granolaAchievementSat', to: utilityNodeId(item.id), sign: 1 },
+          { from: 'granolaActionCost', to: utilityNodeId(item.id), sign: -1 }
+        ] : []),
+        ...(item.hedonic > 0 ? [{ from: 'chocolateFoodSat', to: utilityNodeId(item.id), sign: 1 }] : []),
+        ...(item.health < 1 ? [{ from: 'chocolateActionCost', to: utilityNodeId(item.id), sign: -1 }] : []),
+        ...items.map(other => ({ from: utilityNodeId(other.id), to: advantageNodeId(item.id), sign: other.id === item.id ? 1 : -1 })),
+        { from: advantageNodeId(item.id), to: ratingNodeId(item.id), sign: 1 }
+      ])
+    ]
+  };
+};
+
+const goalGoal = {
+  id: 'goal-goal',
+  title: 'Goal-Goal Interpretation',
+  shortTitle: 'Goal-Goal',
+  description: 'Models self-control as explicit conflict resolution between competing subgoals through utility calculations.',
+  explanation: 'The goal-goal interpretation models explicit competition between health-oriented and taste-oriented subgoals through utility calculations.',
+  defaults: {
+    achievementStimulusBefore: 0.8,
+    achievementStimulusAfter: 0.5,
+    granolaAchievementSat: 0.9,
+    chocolateFoodSat: 0.9,
+    granolaActionCost: 0.2,
+    chocolateActionCost: 0.1
+  },
+  parameters: [
+    { key: 'achievementStimulusBefore', label: 'Achievement Stimulus (Before)', group: 'Drive Parameters', min: 0.5, max: 1.0, step: 0.1 },
+    { key: 'achievementStimulusAfter', label: 'Achievement Stimulus (After)', group: 'Drive Parameters', min: 0.3, max: 0.7, step: 0.1 },
+    {
+      key: 'granolaAchievementSat', label: 'Granola Achievement Satisfaction', group: 'Action-Drive Satisfaction', min: 0.5, max: 1.0, step: 0.1,
+      effect: 'Higher granola achievement satisfaction increases utility gained from healthy choices.'
+    },
+    {
+      key: 'chocolateFoodSat', label: 'Chocolate Food Satisfaction', group: 'Action-Drive Satisfaction', min: 0.6, max: 1.0, step: 0.1,
+      effect: 'Higher chocolate food satisfaction increases the hedonic advantage of indulgent options.'
+    },
+    {
+      key: 'granolaActionCost', label: 'Granola Action Cost', group: 'Action Costs', min: 0.1, max: 0.4, step: 0.1,
+      effect: 'Higher granola action costs represent greater effort required for healthy choices.'
+    },
+    { key: 'chocolateActionCost', label: 'Chocolate Action Cost', group: 'Action Costs', min: 0.05, max: 0.2, step: 0.05 }
+  ],
+  mechanism: {
+    title: 'Mechanistic Explanation (Goal-Goal)',
+    summary: 'Utility-based subgoal competition determines food preferences through action-specific satisfaction calculations.',
+    notes: {
+      granolaAchievementSat: 'Changes in granola achievement satisfaction alter the utility advantage of healthy choices.'
+    }
+  },
+  analysisRules: [
+    {
+      id: 'rating-clamped',
+      scope: 'model',
+      severity: 'warning',
+      when: ({ simulationData, design }) =>
+        simulationData.some(row => design.items.some(item => row[item.id] <= 50 || row[item.id] >= 150)),
+      message: (context, t = defaultTranslator) => modelText(t, 'goal-goal')(
+        'rules.ratingClamped',
+        'At least one rating is clamped to the 50–150 scale, so the utility difference behind it is larger than the rating shows.'
+      )
+    }
+  ],
+  evaluate,
+  simulate: (params, design) => simulateDesign(evaluate, params, design),
+  trace: (params, design) => traceDesign(evaluate, params, design),
+  causalGraph,
+  stateLabels: (items, t = defaultTranslator) => {
+    const text = modelText(t, 'goal-goal');
+    return items.reduce(
+      (labels, item) => ({ ...labels, [`${item.id}Utility`]: text('graph.utility.label', '{item} Utility', { item: t.label(item.label) }) }),
+      { drive: text('graph.achievementDrive.label', 'Achievement Drive') }
+    );
+  }
+};
+
+export default goalGoal;
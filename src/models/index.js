@@ -0,0 +1,50 @@
+// Model registry. Each interpretation is one self-describing object:
+//   id, title, shortTitle, description  - identification and card text
+//   explanation                         - shown after a simulation run
+//   defaults                            - { [parameterKey]: value }
+//   parameters                          - slider schema: key, label, group,
+//                                         min, max, step and optional effect
+//   mechanism                           - { title, summary, notes } for the analysis
+//   analysisRules                       - optional extra report rules, see analysis.js
+//   simulate(params, design)            - [{ condition, [itemId]: rating }], one
+//                                         row per condition of the design.js design
+//   evaluate(params, phase, items)      - optional unrounded ratings, state and
+//                                         trace at one phase, see dynamics.js
+//   trace(params, design)               - optional intermediate quantities per
+//                                         condition, see traceDesign in design.js
+//   causalGraph(items, t)               - optional node-link description of how the
+//                                         trace connects parameters to ratings,
+//                                         see shared.js and mechanism.js
+//   dynamicsRate(params)                - optional time-course transition rate
+//   stateLabels(items, t)               - optional names of the state values
+// Text is written in English; other languages come from the i18n catalogs
+// under models.<id> (see localizeModel in i18n/index.js), and functions
+// that build text receive the translator t.
+// Adding an interpretation means writing one such module and registering it.
+import explicitImplicit from './explicitImplicit';
+import desireGoal from './desireGoal';
+import goalGoal from './goalGoal';
+
+const registry = new Map();
+
+const requiredFields = ['id', 'title', 'description', 'defaults', 'parameters', 'simulate'];
+
+export const registerModel = (model) => {
+  const missing = requiredFields.filter(field => model[field] === undefined);
+  if (missing.length) {
+    throw new Error(`Model "${model.id || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  const undefinedDefaults = model.parameters.filter(parameter => model.defaults[parameter.key] === undefined);
+  if (undefinedDefaults.length) {
+    throw new Error(`Model "${model.id}" has no default for: ${undefinedDefaults.map(parameter => parameter.key).join(', ')}`);
+  }
+  registry.set(model.id, { shortTitle: model.title, explanation: '', mechanism: null, ...model });
+};
+
+export const unregisterModel = (id) => registry.delete(id);
+
+export const getModel = (id) => registry.get(id);
+
+export const listModels = () => [...registry.values()];
+
+[explicitImplicit, desireGoal, goalGoal].forEach(registerModel);
@@ -0,0 +1,78 @@
+import { getModel, listModels, registerModel, unregisterModel } from './index';
+
+describe('model outputs for default parameters', () => {
+  it('explicit-implicit', () => {
+    const model = getModel('explicit-implicit');
+    expect(model.simulate(model.defaults)).toEqual([
+      { condition: 'Before Choice', granola: 100, chocolate: 75 },
+      { condition: 'After Choice', granola: 89, chocolate: 86 }
+    ]);
+  });
+
+  it('desire-goal', () => {
+    const model = getModel('desire-goal');
+    expect(model.simulate(model.defaults)).toEqual([
+      { condition: 'Before Choice', granola: 100, chocolate: 77 },
+      { condition: 'After Choice', granola: 94, chocolate: 93 }
+    ]);
+  });
+
+  it('goal-goal', () => {
+    const model = getModel('goal-goal');
+    expect(model.simulate(model.defaults)).toEqual([
+      { condition: 'Before Choice', granola: 108, chocolate: 69 },
+      { condition: 'After Choice', granola: 95, chocolate: 93 }
+    ]);
+  });
+});
+
+describe('model registry', () => {
+  it('lists the built-in interpretations in order', () => {
+    expect(listModels().map(model => model.id)).toEqual(['explicit-implicit', 'desire-goal', 'goal-goal']);
+  });
+
+  it.each(listModels().map(model => [model.id, model]))('%s has defaults inside its slider ranges', (id, model) => {
+    model.parameters.forEach(({ key, min, max }) => {
+      expect(model.defaults[key]).toBeGreaterThanOrEqual(min);
+      expect(model.defaults[key]).toBeLessThanOrEqual(max);
+    });
+  });
+
+  it('registers and removes an additional interpretation', () => {
+    const model = {
+      id: 'test-model',
+      title: 'Test Interpretation',
+      description: 'Constant ratings.',
+      defaults: { level: 1 },
+      parameters: [{ key: 'level', label: 'Level', group: 'Test', min: 0, max: 2, step: 1 }],
+      simulate: () => [
+        { condition: 'Before Choice', granola: 90, chocolate: 90 },
+        { condition: 'After Choice', granola: 90, chocolate: 90 }
+      ]
+    };
+
+    registerModel(model);
+    expect(getModel('test-model').shortTitle).toBe('Test Interpretation');
+    expect(listModels()).toHaveLength(4);
+
+    unregisterModel('test-model');
+    expect(getModel('test-model')).toBeUndefined();
+  });
+
+  it('rejects a model without a simulate function', () => {
+    expect(() => registerModel({ id: 'broken', title: 'Broken', description: '', defaults: {}, parameters: [] }))
+      .toThrow('Model "broken" is missing: simulate');
+  });
+
+  it('rejects a parameter without a default', () => {
+    const model = {
+      id: 'no-default',
+      title: 'No Default',
+      description: '',
+      defaults: {},
+      parameters: [{ key: 'level', label: 'Level', group: 'Test', min: 0, max: 2, step: 1 }],
+      simulate: () => []
+    };
+    expect(() => registerModel(model)).toThrow('Model "no-default" has no default for: level');
+  });
+});
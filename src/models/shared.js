@@ -0,0 +1,51 @@
+// Helpers shared by the interpretation modules
+import { defaultTranslator, localizeParameter } from '../i18n';
+
+// Linear interpolation written so that t = 0 and t = 1 return a and b
+// exactly, keeping the condition endpoints identical to the static cells
+export const lerp = (a, b, t) => a * (1 - t) + b * t;
+
+// Causal-graph building blocks. A graph is { nodes, edges }: nodes are
+// { id, label, layer, kind, description } with kind 'parameter',
+// 'intermediate' or 'rating', laid out left to right by layer; edges are
+// { from, to, sign } with sign +1 (raises), -1 (lowers) or 0 (blends).
+export const ratingNodeId = (itemId) => `rating:${itemId}`;
+
+export const parameterNodes = (model, t = defaultTranslator) =>
+  model.parameters.map(config => localizeParameter(t, model.id, config)).map(config => ({
+    id: config.key,
+    label: config.label,
+    layer: 0,
+    kind: 'parameter',
+    description: config.effect || t('mechanism.parameterNode', { group: config.group, min: config.min, max: config.max })
+  }));
+
+// A model quantity; text is the model's modelText lookup, so label and
+// description can be translated under models.<id>.graph.<id>
+export const intermediateNode = (text, id, layer, label, description) => ({
+  id,
+  label: text(`graph.${id}.label`, label),
+  layer,
+  kind: 'intermediate',
+  description: text(`graph.${id}.description`, description)
+});
+
+export const ratingNodes = (items, t = defaultTranslator, layer) =>
+  items.map(item => ({
+    id: ratingNodeId(item.id),
+    label: t('mechanism.ratingNode', { item: t.label(item.label) }),
+    layer,
+    kind: 'rating',
+    description: t('mechanism.ratingDescription', { item: t.label(item.label) })
+  }));
+
+// Edges from the healthy- and hedonic-pole ratings to each item that has
+// the attribute; an item with neither sits halfway and gets both
+export const poleEdges = (items, healthyId, hedonicId) =>
+  items.flatMap(item => {
+    const neither = item.health + item.hedonic === 0;
+    return [
+      ...(item.health > 0 || neither ? [{ from: healthyId, to: ratingNodeId(item.id), sign: 1 }] : []),
+      ...(item.hedonic > 0 || neither ? [{ from: hedonicId, to: ratingNodeId(item.id), sign: 1 }] : [])
+    ];
+  });
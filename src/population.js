@@ -0,0 +1,130 @@
+// Virtual participants: each one gets parameters drawn around the slider
+// values, is assigned to one condition (between subjects, as in the original
+// study) and rates every item of the design with added rating noise.
+import {
+  mean,
+  standardDeviation,
+  gaussian,
+  confidenceInterval,
+  pairedTTest,
+  independentTTest,
+  fTestPValue
+} from './statistics';
+import { defaultDesign } from './design';
+
+export const defaultPopulationSettings = {
+  participantsPerCondition: 30,
+  parameterVariability: 0.1,
+  ratingNoise: 15
+};
+
+// parameterVariability is the SD of each parameter as a fraction of its
+// slider range; draws are clamped to the range
+const sampleParameters = (configs, params, parameterVariability, rng) =>
+  configs.reduce((sampled, config) => {
+    const sd = parameterVariability * (config.max - config.min);
+    const value = params[config.key] + gaussian(rng) * sd;
+    return { ...sampled, [config.key]: Math.min(config.max, Math.max(config.min, value)) };
+  }, { ...params });
+
+export const simulatePopulation = (simulate, configs, params, settings = {}, design = defaultDesign, rng = Math.random) => {
+  const { participantsPerCondition, parameterVariability, ratingNoise } = { ...defaultPopulationSettings, ...settings };
+  const participants = [];
+
+  design.conditions.forEach((_, row) => {
+    for (let i = 0; i < participantsPerCondition; i++) {
+      const simulated = simulate(sampleParameters(configs, params, parameterVariability, rng), design)[row];
+      participants.push(design.items.reduce(
+        (participant, item) => ({ ...participant, [item.id]: simulated[item.id] + gaussian(rng) * ratingNoise }),
+        { condition: simulated.condition }
+      ));
+    }
+  });
+
+  return participants;
+};
+
+// Condition (between) x item (within) mixed ANOVA from sums of squares.
+// With a single condition only the item effect is estimable.
+const mixedAnova = (groups, itemIds) => {
+  const scores = groups.map(group => group.map(p => itemIds.map(id => p[id])));
+  const grandMean = mean(scores.flat(2));
+  const totalParticipants = scores.reduce((sum, group) => sum + group.length, 0);
+  const groupMeans = scores.map(group => mean(group.flat()));
+  const cellMeans = scores.map(group => itemIds.map((_, k) => mean(group.map(ratings => ratings[k]))));
+  const itemMeans = itemIds.map((_, k) => mean(scores.flatMap(group => group.map(ratings => ratings[k]))));
+  const squared = (value) => value * value;
+
+  const ssCondition = itemIds.length * scores.reduce((sum, group, j) => sum + group.length * squared(groupMeans[j] - grandMean), 0);
+  const ssSubjects = itemIds.length * scores.reduce((sum, group, j) =>
+    sum + group.reduce((groupSum, ratings) => groupSum + squared(mean(ratings) - groupMeans[j]), 0), 0);
+  const ssItem = totalParticipants * itemMeans.reduce((sum, itemMean) => sum + squared(itemMean - grandMean), 0);
+  const ssCells = scores.reduce((sum, group, j) =>
+    sum + group.length * cellMeans[j].reduce((cellSum, cellMean) => cellSum + squared(cellMean - grandMean), 0), 0);
+  const ssWithinError = scores.reduce((sum, group, j) =>
+    sum + group.reduce((groupSum, ratings) => {
+      const subjectMean = mean(ratings);
+      return groupSum + ratings.reduce((ratingSum, rating, k) =>
+        ratingSum + squared(rating - subjectMean - cellMeans[j][k] + groupMeans[j]), 0);
+    }, 0), 0);
+
+  const dfCondition = groups.length - 1;
+  const dfSubjects = totalParticipants - groups.length;
+  const dfItem = itemIds.length - 1;
+  const dfWithinError = dfSubjects * dfItem;
+
+  const toEffect = (ss, df, ssError, dfError) => {
+    const F = (ss / df) / (ssError / dfError);
+    return {
+      F,
+      df: [df, dfError],
+      p: fTestPValue(F, df, dfError),
+      partialEtaSquared: ss / (ss + ssError)
+    };
+  };
+
+  const item = toEffect(ssItem, dfItem, ssWithinError, dfWithinError);
+  if (dfCondition < 1) return { item };
+  return {
+    condition: toEffect(ssCondition, dfCondition, ssSubjects, dfSubjects),
+    item,
+    interaction: toEffect(ssCells - ssCondition - ssItem, dfCondition * dfItem, ssWithinError, dfWithinError)
+  };
+};
+
+// Per-cell descriptives in the same shape as the deterministic simulation
+// data, plus the tests reported in the original study: the contrast items
+// compared within each condition, the preference gap compared between the
+// first condition and each other one, and the mixed ANOVA
+export const summarizePopulation = (participants, design = defaultDesign) => {
+  const conditions = [...new Set(participants.map(p => p.condition))];
+  const groups = conditions.map(condition => participants.filter(p => p.condition === condition));
+  const items = design.items.map(item => item.id);
+  const [first, second] = design.contrast;
+
+  const cells = groups.map((group, index) => {
+    const row = { condition: conditions[index], n: group.length };
+    items.forEach(item => {
+      const ratings = group.map(p => p[item]);
+      const interval = confidenceInterval(ratings);
+      row[item] = interval.mean;
+      row[`${item}SD`] = standardDeviation(ratings);
+      row[`${item}CI`] = [interval.low, interval.high];
+      row[`${item}Error`] = interval.halfWidth;
+    });
+    return row;
+  });
+
+  const simpleEffects = groups.map((group, index) => ({
+    condition: conditions[index],
+    ...pairedTTest(group.map(p => p[first]), group.map(p => p[second]))
+  }));
+
+  const gaps = groups.map(group => group.map(p => p[first] - p[second]));
+  const gapComparisons = groups.slice(1).map((_, index) => ({
+    conditions: [conditions[0], conditions[index + 1]],
+    ...independentTTest(gaps[0], gaps[index + 1])
+  }));
+
+  return { cells, simpleEffects, gapComparisons, anova: mixedAnova(groups, items) };
+};
@@ -0,0 +1,39 @@
+import { simulatePopulation, summarizePopulation } from './population';
+import { seededRandom } from './statistics';
+import { getModel } from './models';
+
+const model = getModel('explicit-implicit');
+
+const summarize = (settings) => summarizePopulation(
+  simulatePopulation(model.simulate, model.parameters, model.defaults, settings, undefined, seededRandom(7))
+);
+
+describe('summarizePopulation', () => {
+  it('tests the preference gap within and between conditions', () => {
+    const stats = summarize({ participantsPerCondition: 40, parameterVariability: 0.05, ratingNoise: 10 });
+    expect(stats.cells.map(cell => cell.n)).toEqual([40, 40]);
+    expect(stats.simpleEffects[0].p).toBeLessThan(0.001);
+
+    // A 25-point gap before the choice against a 3-point one after it
+    expect(stats.gapComparisons).toHaveLength(1);
+    const [comparison] = stats.gapComparisons;
+    expect(comparison.conditions).toEqual(['Before Choice', 'After Choice']);
+    expect(comparison.df).toBe(78);
+    expect(comparison.t).toBeGreaterThan(0);
+    expect(comparison.p).toBeLessThan(0.001);
+    expect(stats.anova.interaction.p).toBeLessThan(0.001);
+  });
+
+  it('has no p-value for a gap that is zero for every participant', () => {
+    // What the sliders' minimum noise and variability give: identical
+    // participants, here with a gap only before the choice
+    const participants = [
+      ...Array(5).fill({ condition: 'Before Choice', granola: 90, chocolate: 80 }),
+      ...Array(5).fill({ condition: 'After Choice', granola: 90, chocolate: 90 })
+    ];
+    const stats = summarizePopulation(participants);
+    expect(stats.simpleEffects[0].p).toBe(0);
+    expect(stats.simpleEffects[1].p).toBeNaN();
+    expect(stats.gapComparisons[0].p).toBe(0);
+  });
+});
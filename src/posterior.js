@@ -0,0 +1,205 @@
+// Bayesian parameter estimation: random-walk Metropolis-Hastings over an
+// interpretation's parameters. Priors are uniform over the slider ranges and
+// each human cell mean is treated as normal around the model's unrounded
+// prediction, with the standard error the dataset gives (sd / √n) or an
+// assumed observation SD when it gives none.
+import { defaultDesign, evaluateDesign, matchedCells } from './design';
+import { mean, variance, gaussian, quantile, seededRandom } from './statistics';
+
+export const defaultPosteriorSettings = {
+  chains: 4,
+  iterations: 4000,
+  burnIn: 1000,
+  thin: 2,
+  observationSD: 5,
+  seed: 1
+};
+
+// Ratings without rounding, so the likelihood is smooth in the parameters;
+// models without evaluate fall back to their rounded simulate
+export const predictRatings = (model, params, design = defaultDesign) =>
+  model.evaluate ? evaluateDesign(model.evaluate, params, design) : model.simulate(params, design);
+
+const cellStandardError = (humanRow, itemId, observationSD) => {
+  const sd = humanRow[`${itemId}SD`];
+  const n = humanRow[`${itemId}N`];
+  if (Number.isFinite(sd) && sd > 0 && Number.isFinite(n) && n > 0) return sd / Math.sqrt(n);
+  return observationSD;
+};
+
+export const createLogPosterior = (model, humanData, design = defaultDesign, observationSD = defaultPosteriorSettings.observationSD) => {
+  const configs = model.parameters;
+  return (params) => {
+    if (configs.some(config => !(params[config.key] >= config.min && params[config.key] <= config.max))) {
+      return -Infinity;
+    }
+    const cells = matchedCells(predictRatings(model, params, design), humanData, design);
+    return cells.reduce((sum, cell) => {
+      const humanRow = humanData.find(row => row.condition === cell.condition);
+      const se = cellStandardError(humanRow, cell.item, observationSD);
+      return sum - 0.5 * ((cell.simulated - cell.human) / se) ** 2;
+    }, 0);
+  };
+};
+
+const toParams = (configs, vector) =>
+  configs.reduce((params, config, i) => ({ ...params, [config.key]: vector[i] }), {});
+
+// One chain from a random start inside the prior. The proposal scale is
+// tuned toward a ~25% acceptance rate during burn-in and fixed afterwards.
+// Returns the kept draws as vectors in parameter order.
+export const runChain = (logPosterior, configs, settings, rng, onStep = () => {}) => {
+  const { iterations, burnIn, thin } = settings;
+  const spans = configs.map(config => config.max - config.min);
+  const propose = (vector, scale) => vector.map((value, i) => value + gaussian(rng) * scale * spans[i]);
+  let scale = 0.1;
+  let current = configs.map((config, i) => config.min + rng() * spans[i]);
+  let currentValue = logPosterior(toParams(configs, current));
+  const draws = [];
+  let accepted = 0;
+  let windowAccepted = 0;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const proposal = propose(current, scale);
+    const proposalValue = logPosterior(toParams(configs, proposal));
+    if (Math.log(rng()) < proposalValue - currentValue) {
+      current = proposal;
+      currentValue = proposalValue;
+      windowAccepted++;
+      if (iteration >= burnIn) accepted++;
+    }
+
+    if (iteration < burnIn && (iteration + 1) % 50 === 0) {
+      scale *= Math.exp(windowAccepted / 50 - 0.25);
+      windowAccepted = 0;
+    }
+    if (iteration >= burnIn && (iteration - burnIn) % thin === 0) draws.push(current);
+    onStep(iteration);
+  }
+
+  return { draws, acceptanceRate: accepted / Math.max(1, iterations - burnIn) };
+};
+
+// Between- and within-chain variances for one parameter's chains
+const chainVariances = (chains) => {
+  const n = chains[0].length;
+  const chainMeans = chains.map(mean);
+  const within = mean(chains.map(variance));
+  const between = n * variance(chainMeans);
+  return { n, within, pooled: ((n - 1) / n) * within + between / n };
+};
+
+// Split R-hat: every chain is halved so drift within a chain also shows up
+export const rHat = (chains) => {
+  const half = Math.floor(chains[0].length / 2);
+  const split = chains.flatMap(chain => [chain.slice(0, half), chain.slice(half, 2 * half)]);
+  const { within, pooled } = chainVariances(split);
+  return within > 0 ? Math.sqrt(pooled / within) : 1;
+};
+
+const autocovariance = (chain, chainMean, lag) => {
+  let sum = 0;
+  for (let i = 0; i + lag < chain.length; i++) sum += (chain[i] - chainMean) * (chain[i + lag] - chainMean);
+  return sum / chain.length;
+};
+
+// Effective sample size across chains from the combined autocorrelation,
+// truncated with Geyer's initial positive sequence
+export const effectiveSampleSize = (chains) => {
+  const { n, within, pooled } = chainVariances(chains);
+  const total = n * chains.length;
+  if (!(pooled > 0)) return total;
+  const chainMeans = chains.map(mean);
+  const rho = (lag) =>
+    1 - (within - mean(chains.map((chain, m) => autocovariance(chain, chainMeans[m], lag) * n / (n - 1)))) / pooled;
+
+  let tau = -1;
+  for (let lag = 0; lag + 1 < n; lag += 2) {
+    const pair = rho(lag) + rho(lag + 1);
+    if (pair <= 0) break;
+    tau += 2 * pair;
+  }
+  return Math.min(total, total / Math.max(tau, 1 / total));
+};
+
+// Per-parameter posterior summary; shrinkage compares the posterior SD with
+// the SD of the uniform prior (1 means the data pin the value down, 0 that
+// they say nothing beyond the prior)
+export const summarizePosterior = (chainDraws, configs) =>
+  configs.map((config, i) => {
+    const chains = chainDraws.map(draws => draws.map(vector => vector[i]));
+    const values = chains.flat();
+    const sorted = [...values].sort((a, b) => a - b);
+    const sd = Math.sqrt(variance(values));
+    const priorSD = (config.max - config.min) / Math.sqrt(12);
+    return {
+      key: config.key,
+      label: config.label,
+      mean: mean(values),
+      sd,
+      low: quantile(sorted, 0.025),
+      median: quantile(sorted, 0.5),
+      high: quantile(sorted, 0.975),
+      shrinkage: 1 - sd / priorSD,
+      rHat: rHat(chains),
+      ess: effectiveSampleSize(chains)
+    };
+  });
+
+export const histogram = (values, min, max, bins = 20) => {
+  const width = (max - min) / bins;
+  const counts = Array.from({ length: bins }, (_, i) => ({ x: parseFloat((min + (i + 0.5) * width).toFixed(4)), count: 0 }));
+  values.forEach(value => {
+    const index = Math.min(bins - 1, Math.max(0, Math.floor((value - min) / width)));
+    counts[index].count++;
+  });
+  return counts;
+};
+
+// Predicted rating per design cell over (a thinned subset of) the draws:
+// rows of { condition, [itemId]: mean, [itemId + 'Interval']: [low, high] }
+export const posteriorPredictive = (model, samples, design = defaultDesign, maxDraws = 500) => {
+  const stride = Math.max(1, Math.floor(samples.length / maxDraws));
+  const predictions = samples
+    .filter((_, index) => index % stride === 0)
+    .map(params => predictRatings(model, params, design));
+
+  return design.conditions.map((condition, row) =>
+    design.items.reduce((summary, item) => {
+      const sorted = predictions.map(prediction => prediction[row][item.id]).sort((a, b) => a - b);
+      const center = mean(sorted);
+      return {
+        ...summary,
+        [item.id]: center,
+        [`${item.id}Interval`]: [center - quantile(sorted, 0.025), quantile(sorted, 0.975) - center]
+      };
+    }, { condition: condition.label })
+  );
+};
+
+// Full run: all chains, diagnostics and predictive summary. onProgress gets
+// the fraction of iterations done.
+export const samplePosterior = (model, humanData, design = defaultDesign, settings = {}, onProgress = () => {}) => {
+  const options = { ...defaultPosteriorSettings, ...settings };
+  const configs = model.parameters;
+  const logPosterior = createLogPosterior(model, humanData, design, options.observationSD);
+  const rng = seededRandom(options.seed);
+  const total = options.chains * options.iterations;
+
+  const chains = Array.from({ length: options.chains }, (_, chainIndex) =>
+    runChain(logPosterior, configs, options, rng, iteration => {
+      if ((iteration + 1) % 250 === 0) onProgress((chainIndex * options.iterations + iteration + 1) / total);
+    })
+  );
+
+  const chainDraws = chains.map(chain => chain.draws);
+  const samples = chainDraws.flat().map(vector => toParams(configs, vector));
+  return {
+    settings: options,
+    samples,
+    chainCount: options.chains,
+    acceptanceRates: chains.map(chain => chain.acceptanceRate),
+    summary: summarizePosterior(chainDraws, configs),
+    predictive: posteriorPredictive(model, samples, design)
+  };
+};
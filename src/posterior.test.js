@@ -0,0 +1,87 @@
+import {
+  createLogPosterior,
+  runChain,
+  rHat,
+  effectiveSampleSize,
+  summarizePosterior,
+  histogram,
+  samplePosterior
+} from './posterior';
+import { gaussian, seededRandom } from './statistics';
+import { getModel } from './models';
+
+const iidChains = (rng, count, length, offset = 0) =>
+  Array.from({ length: count }, () => Array.from({ length }, () => gaussian(rng) + offset));
+
+describe('convergence diagnostics', () => {
+  it('gives R-hat near 1 and ESS near the draw count for independent chains', () => {
+    const chains = iidChains(seededRandom(3), 4, 500);
+    expect(rHat(chains)).toBeLessThan(1.02);
+    expect(effectiveSampleSize(chains)).toBeGreaterThan(1500);
+  });
+
+  it('flags chains stuck in different places', () => {
+    const rng = seededRandom(4);
+    const chains = [...iidChains(rng, 2, 500), ...iidChains(rng, 2, 500, 3)];
+    expect(rHat(chains)).toBeGreaterThan(1.5);
+  });
+
+  it('gives a small ESS for strongly autocorrelated chains', () => {
+    const rng = seededRandom(5);
+    const chains = Array.from({ length: 4 }, () => {
+      let value = 0;
+      return Array.from({ length: 500 }, () => (value = 0.95 * value + gaussian(rng)));
+    });
+    expect(effectiveSampleSize(chains)).toBeLessThan(200);
+  });
+});
+
+it('samples a known normal target', () => {
+  const configs = [{ key: 'x', label: 'x', min: -10, max: 10 }];
+  const logPosterior = ({ x }) => (x < -10 || x > 10 ? -Infinity : -0.5 * ((x - 2) / 0.5) ** 2);
+  const rng = seededRandom(7);
+  const chains = [0, 1, 2].map(() =>
+    runChain(logPosterior, configs, { iterations: 6000, burnIn: 1000, thin: 1 }, rng).draws
+  );
+  const [summary] = summarizePosterior(chains, configs);
+  expect(summary.mean).toBeCloseTo(2, 1);
+  expect(summary.sd).toBeCloseTo(0.5, 1);
+  expect(summary.rHat).toBeLessThan(1.05);
+});
+
+it('rejects parameters outside the slider ranges', () => {
+  const model = getModel('explicit-implicit');
+  const logPosterior = createLogPosterior(model, [{ condition: 'Before Choice', granola: 100, chocolate: 75 }]);
+  expect(logPosterior({ ...model.defaults, costCoefficient: 0.5 })).toBe(-Infinity);
+  expect(Number.isFinite(logPosterior(model.defaults))).toBe(true);
+});
+
+it('bins values into a histogram over the prior range', () => {
+  const bins = histogram([0, 0.1, 0.5, 1], 0, 1, 2);
+  expect(bins.map(bin => bin.count)).toEqual([2, 2]);
+});
+
+it('runs a reproducible posterior for an interpretation', () => {
+  const model = getModel('goal-goal');
+  const humanData = [
+    { condition: 'Before Choice', granola: 102.19, chocolate: 74.06 },
+    { condition: 'After Choice', granola: 94.22, chocolate: 93.11 }
+  ];
+  const settings = { chains: 2, iterations: 600, burnIn: 200, thin: 2, seed: 11 };
+  const first = samplePosterior(model, humanData, undefined, settings);
+  const second = samplePosterior(model, humanData, undefined, settings);
+
+  expect(first.samples).toHaveLength(400);
+  expect(first.summary.map(parameter => parameter.key)).toEqual(model.parameters.map(config => config.key));
+  expect(first.predictive.map(row => row.condition)).toEqual(['Before Choice', 'After Choice']);
+  expect(second.summary).toEqual(first.summary);
+});
+
+describe('posterior worker', () => {
+  it('posts an unknown interpretation as a catalog code', () => {
+    const postMessage = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+    require('./posterior.worker');
+    window.onmessage({ data: { interpretation: 'habit', humanData: [], settings: {} } });
+    expect(postMessage).toHaveBeenCalledWith({ type: 'error', code: 'unknownInterpretation', values: { interpretation: 'habit' } });
+  });
+});
@@ -0,0 +1,20 @@
+/* eslint-disable no-restricted-globals */
+// Runs samplePosterior off the main thread. Models hold functions, so the
+// worker looks the interpretation up in its own copy of the registry.
+// Errors are posted as an errors catalog code for the panel to translate.
+import { samplePosterior } from './posterior';
+import { getModel } from './models';
+
+self.onmessage = ({ data }) => {
+  const { interpretation, humanData, design, settings } = data;
+  const model = getModel(interpretation);
+  if (!model) {
+    self.postMessage({ type: 'error', code: 'unknownInterpretation', values: { interpretation } });
+    return;
+  }
+
+  const result = samplePosterior(model, humanData, design, settings, fraction =>
+    self.postMessage({ type: 'progress', fraction })
+  );
+  self.postMessage({ type: 'done', result });
+};
@@ -0,0 +1,117 @@
+// Model and parameter recovery. Synthetic datasets are generated from each
+// interpretation at parameters drawn uniformly from the slider grid, as a
+// simulated population with rating noise; every interpretation is then fitted
+// to every dataset. Model recovery asks how often the generating model wins
+// on the chosen criterion, parameter recovery how close the generating
+// model's refit comes to the true values.
+import { defaultDesign } from './design';
+import { fitParameters, snapToStep, computeInformationCriteria } from './fitting';
+import { simulatePopulation, summarizePopulation } from './population';
+import { correlation, seededRandom } from './statistics';
+
+export const defaultRecoverySettings = {
+  datasetsPerModel: 10,
+  participantsPerCondition: 30,
+  ratingNoise: 15,
+  criterion: 'aic',
+  maxGridPoints: 2000,
+  iterations: 100,
+  seed: 1
+};
+
+export const recoveryCriteria = {
+  aic: 'AIC',
+  bic: 'BIC',
+  rmse: 'RMSE'
+};
+
+export const sampleTrueParameters = (configs, rng) =>
+  configs.reduce((params, config) => ({
+    ...params,
+    [config.key]: snapToStep(config.min + rng() * (config.max - config.min), config)
+  }), {});
+
+// Cell means of one synthetic experiment, in the shape of a human dataset
+export const generateDataset = (model, trueParams, settings, design, rng) => {
+  const participants = simulatePopulation(
+    model.simulate,
+    model.parameters,
+    trueParams,
+    { participantsPerCondition: settings.participantsPerCondition, parameterVariability: 0, ratingNoise: settings.ratingNoise },
+    design,
+    rng
+  );
+  return summarizePopulation(participants, design).cells;
+};
+
+// Every model fitted to every synthetic dataset. Resolves to
+// { settings, modelIds, runs } where a run records the generating model,
+// its true parameters, each candidate's fit and the winner.
+export const runRecovery = async (models, settings = {}, design = defaultDesign, onProgress = () => {}) => {
+  const options = { ...defaultRecoverySettings, ...settings };
+  const rng = seededRandom(options.seed);
+  const totalFits = models.length * options.datasetsPerModel * models.length;
+  const runs = [];
+  let completedFits = 0;
+
+  for (const generator of models) {
+    for (let index = 0; index < options.datasetsPerModel; index++) {
+      const trueParams = sampleTrueParameters(generator.parameters, rng);
+      const data = generateDataset(generator, trueParams, options, design, rng);
+      const fits = {};
+
+      for (const candidate of models) {
+        const fit = await fitParameters(candidate.simulate, candidate.parameters, data, {
+          design,
+          maxGridPoints: options.maxGridPoints,
+          iterations: options.iterations,
+          chunkSize: options.maxGridPoints
+        });
+        fits[candidate.id] = {
+          params: fit.params,
+          rmse: fit.rmse,
+          ...computeInformationCriteria(fit.simulated, data, candidate.parameters.length, design)
+        };
+        completedFits++;
+        onProgress(completedFits / totalFits);
+      }
+
+      const winner = models.reduce((best, candidate) =>
+        fits[candidate.id][options.criterion] < fits[best.id][options.criterion] ? candidate : best
+      ).id;
+      runs.push({ generator: generator.id, index, trueParams, fits, winner });
+    }
+  }
+
+  return { settings: options, modelIds: models.map(model => model.id), runs };
+};
+
+// counts[generator][winner] plus the share of datasets recovered correctly
+export const confusionMatrix = ({ modelIds, runs }) => {
+  const counts = modelIds.reduce((matrix, generator) => ({
+    ...matrix,
+    [generator]: modelIds.reduce((row, winner) => ({ ...row, [winner]: 0 }), {})
+  }), {});
+  runs.forEach(run => {
+    counts[run.generator][run.winner]++;
+  });
+  const correct = runs.filter(run => run.winner === run.generator).length;
+  return { counts, accuracy: runs.length ? correct / runs.length : 0 };
+};
+
+// True against recovered values of each parameter of one model, refitted
+// with that same model, and their correlation
+export const parameterRecovery = ({ runs }, model) => {
+  const ownRuns = runs.filter(run => run.generator === model.id);
+  return model.parameters.map(config => {
+    const points = ownRuns.map(run => ({ true: run.trueParams[config.key], recovered: run.fits[model.id].params[config.key] }));
+    return {
+      key: config.key,
+      label: config.label,
+      min: config.min,
+      max: config.max,
+      points,
+      r: points.length > 1 ? correlation(points.map(point => point.true), points.map(point => point.recovered)) : NaN
+    };
+  });
+};
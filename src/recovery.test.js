@@ -0,0 +1,83 @@
+import { runRecovery, confusionMatrix, parameterRecovery, sampleTrueParameters } from './recovery';
+import { seededRandom } from './statistics';
+import { listModels } from './models';
+
+const models = listModels();
+const smallRun = { datasetsPerModel: 2, participantsPerCondition: 20, maxGridPoints: 500, iterations: 40, seed: 5 };
+
+describe('small-scale recovery', () => {
+  let noiseless;
+
+  // The full fitting budget: with the small grid the six goal-goal
+  // parameters are not always fitted closely enough to win
+  beforeAll(async () => {
+    noiseless = await runRecovery(models, { ...smallRun, ratingNoise: 0, maxGridPoints: 2000, iterations: 100 });
+  });
+
+  it('fits every model to every synthetic dataset', () => {
+    expect(noiseless.runs).toHaveLength(models.length * smallRun.datasetsPerModel);
+    noiseless.runs.forEach(run => {
+      expect(Object.keys(run.fits)).toEqual(models.map(model => model.id));
+    });
+  });
+
+  it('lets the generating model reproduce noiseless data', () => {
+    noiseless.runs.forEach(run => {
+      expect(run.fits[run.generator].rmse).toBeLessThan(1.5);
+    });
+  });
+
+  it('counts every dataset once in the confusion matrix', () => {
+    const { counts } = confusionMatrix(noiseless);
+    models.forEach(model => {
+      const row = Object.values(counts[model.id]);
+      expect(row.reduce((sum, count) => sum + count, 0)).toBe(smallRun.datasetsPerModel);
+    });
+  });
+
+  it('picks the generating model for noiseless data', () => {
+    const { counts, accuracy } = confusionMatrix(noiseless);
+    models.forEach(generator => {
+      const others = models.filter(model => model.id !== generator.id).map(model => counts[generator.id][model.id]);
+      expect(counts[generator.id][generator.id]).toBeGreaterThan(Math.max(...others));
+    });
+    expect(accuracy).toBeGreaterThanOrEqual(5 / 6);
+  });
+
+  it('pairs true and recovered values for each parameter', () => {
+    const model = models[0];
+    const recovery = parameterRecovery(noiseless, model);
+    expect(recovery.map(parameter => parameter.key)).toEqual(model.parameters.map(config => config.key));
+    recovery.forEach(parameter => {
+      expect(parameter.points).toHaveLength(smallRun.datasetsPerModel);
+      parameter.points.forEach(point => {
+        expect(point.recovered).toBeGreaterThanOrEqual(parameter.min);
+        expect(point.recovered).toBeLessThanOrEqual(parameter.max);
+      });
+    });
+  });
+});
+
+it('draws true parameters on the slider grid', () => {
+  const model = models[2];
+  const params = sampleTrueParameters(model.parameters, seededRandom(2));
+  model.parameters.forEach(config => {
+    const steps = (params[config.key] - config.min) / config.step;
+    expect(Math.abs(steps - Math.round(steps))).toBeLessThan(1e-6);
+  });
+});
+
+it('is reproducible for a seed', async () => {
+  const settings = { ...smallRun, datasetsPerModel: 1, ratingNoise: 10 };
+  const [first, second] = [await runRecovery(models, settings), await runRecovery(models, settings)];
+  expect(second.runs).toEqual(first.runs);
+});
+
+describe('recovery worker', () => {
+  it('posts unknown interpretations as a catalog code', async () => {
+    const postMessage = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+    require('./recovery.worker');
+    await window.onmessage({ data: { modelIds: ['goal-goal', 'habit', 'mood'], settings: {} } });
+    expect(postMessage).toHaveBeenCalledWith({ type: 'error', code: 'unknownInterpretations', values: { interpretations: 'habit, mood' } });
+  });
+});
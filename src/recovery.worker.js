@@ -0,0 +1,21 @@
+/* eslint-disable no-restricted-globals */
+// Runs runRecovery off the main thread; models are looked up by id in the
+// worker's own registry because functions cannot be posted. Errors carry a
+// catalog code and values, not text, so they show in the user's language.
+import { runRecovery } from './recovery';
+import { getModel } from './models';
+
+self.onmessage = async ({ data }) => {
+  const { modelIds, settings, design } = data;
+  const models = modelIds.map(getModel);
+  const unknown = modelIds.filter((id, index) => !models[index]);
+  if (unknown.length) {
+    self.postMessage({ type: 'error', code: 'unknownInterpretations', values: { interpretations: unknown.join(', ') } });
+    return;
+  }
+
+  const result = await runRecovery(models, settings, design, fraction =>
+    self.postMessage({ type: 'progress', fraction })
+  );
+  self.postMessage({ type: 'done', result });
+};
@@ -0,0 +1,7 @@
+// Built-in teaching scenarios. Each is a JSON file in this directory in the
+// format described in teaching.js; adding one means writing the file and
+// listing it here. Scenarios can also be imported in the app without a
+// rebuild.
+import threeInterpretations from './three-interpretations.json';
+
+export const builtInScenarios = [threeInterpretations];
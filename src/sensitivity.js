@@ -0,0 +1,54 @@
+// Parameter sweeps and two-parameter grids around the current slider values
+import { defaultDesign, preferenceGap } from './design';
+import { stepValues, computeRMSE } from './fitting';
+import { defaultTranslator } from './i18n';
+
+// Column keys of a sweep row for one cell and for one condition's gap
+export const cellKey = (conditionIndex, itemId) => `c${conditionIndex}-${itemId}`;
+export const gapKey = (conditionIndex) => `gap${conditionIndex}`;
+
+// Fit error plus the preference gap of every condition in the design
+export const heatmapMetrics = (design = defaultDesign, t = defaultTranslator) => ({
+  rmse: {
+    label: t('sensitivity.rmseMetric'),
+    compute: (simulated, humanData) => computeRMSE(simulated, humanData, design)
+  },
+  ...design.conditions.reduce((metrics, condition, index) => ({
+    ...metrics,
+    [gapKey(index)]: {
+      label: t('sensitivity.gapMetric', { condition: t.label(condition.label) }),
+      compute: (simulated) => preferenceGap(simulated[index], design)
+    }
+  }), {})
+});
+
+// One row per step of the swept parameter, holding every cell and every
+// condition's preference gap; the other parameters stay at baseParams
+export const sweepParameter = (simulate, config, baseParams, design = defaultDesign) =>
+  stepValues(config).map(value => {
+    const simulated = simulate({ ...baseParams, [config.key]: value }, design);
+    return simulated.reduce((row, simulatedRow, index) => ({
+      ...row,
+      ...design.items.reduce((cells, item) => ({ ...cells, [cellKey(index, item.id)]: simulatedRow[item.id] }), {}),
+      [gapKey(index)]: preferenceGap(simulatedRow, design)
+    }), { value });
+  });
+
+export const computeHeatmap = (simulate, xConfig, yConfig, baseParams, metric, humanData, design = defaultDesign) => {
+  const xValues = stepValues(xConfig);
+  const yValues = stepValues(yConfig);
+  const compute = heatmapMetrics(design)[metric].compute;
+
+  const cells = yValues.map(y =>
+    xValues.map(x => compute(simulate({ ...baseParams, [xConfig.key]: x, [yConfig.key]: y }, design), humanData))
+  );
+  const flat = cells.flat();
+
+  return {
+    xValues,
+    yValues,
+    cells,
+    min: Math.min(...flat),
+    max: Math.max(...flat)
+  };
+};
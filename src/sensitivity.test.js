@@ -0,0 +1,90 @@
+import { cellKey, gapKey, heatmapMetrics, sweepParameter, computeHeatmap } from './sensitivity';
+import { defaultDesign } from './design';
+import { getModel } from './models';
+
+const rateConfig = { key: 'rate', label: 'Rate', min: 0.1, max: 0.5, step: 0.1 };
+const costConfig = { key: 'cost', label: 'Cost', min: 0, max: 2, step: 1 };
+
+// Granola follows rate and cost; chocolate only the fixed offset
+const linearModel = ({ rate, cost, offset }) => [
+  { condition: 'Before Choice', granola: 100 * rate + cost, chocolate: 70 + offset },
+  { condition: 'After Choice', granola: 90 + cost, chocolate: 80 + offset }
+];
+
+const human = [
+  { condition: 'Before Choice', granola: 30, chocolate: 75 },
+  { condition: 'After Choice', granola: 91, chocolate: 85 }
+];
+
+let simulate;
+beforeEach(() => {
+  simulate = jest.fn(linearModel);
+});
+
+describe('sweepParameter', () => {
+  it('steps the swept parameter over its slider grid', () => {
+    const rows = sweepParameter(simulate, rateConfig, { rate: 0.3, cost: 1, offset: 5 });
+    expect(rows.map(row => row.value)).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+    expect(rows[1]).toEqual({
+      value: 0.2,
+      [cellKey(0, 'granola')]: 21,
+      [cellKey(0, 'chocolate')]: 75,
+      [gapKey(0)]: -54,
+      [cellKey(1, 'granola')]: 91,
+      [cellKey(1, 'chocolate')]: 85,
+      [gapKey(1)]: 6
+    });
+  });
+
+  it('holds every other parameter at its base value', () => {
+    sweepParameter(simulate, rateConfig, { rate: 0.3, cost: 1, offset: 5 });
+    expect(simulate).toHaveBeenCalledTimes(5);
+    simulate.mock.calls.forEach(([params]) => expect(params).toMatchObject({ cost: 1, offset: 5 }));
+  });
+
+  it('moves a real interpretation only through the swept parameter', () => {
+    const model = getModel('explicit-implicit');
+    const config = model.parameters.find(parameter => parameter.key === 'costCoefficient');
+    const rows = sweepParameter(model.simulate, config, model.defaults);
+    expect(rows).toHaveLength(11);
+    const simulated = model.simulate({ ...model.defaults, costCoefficient: rows[2].value });
+    expect(rows[2][cellKey(0, 'granola')]).toBe(simulated[0].granola);
+    expect(rows[2][gapKey(1)]).toBe(simulated[1].granola - simulated[1].chocolate);
+  });
+});
+
+describe('heatmapMetrics', () => {
+  it('offers the fit error and one gap per design condition', () => {
+    const metrics = heatmapMetrics(defaultDesign);
+    expect(Object.keys(metrics)).toEqual(['rmse', 'gap0', 'gap1']);
+    expect(metrics.gap1.label).toMatch(/After Choice/);
+
+    const simulated = linearModel({ rate: 0.3, cost: 0, offset: 5 });
+    expect(metrics.rmse.compute(simulated, human)).toBeCloseTo(Math.sqrt(1 / 4), 10);
+    expect(metrics.gap0.compute(simulated)).toBe(-45);
+    expect(metrics.gap1.compute(simulated)).toBe(5);
+  });
+});
+
+describe('computeHeatmap', () => {
+  it('evaluates the metric on every grid point with y rows and x columns', () => {
+    const heatmap = computeHeatmap(simulate, rateConfig, costConfig, { rate: 0.3, cost: 1, offset: 5 }, 'gap0', human);
+    expect(heatmap.xValues).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+    expect(heatmap.yValues).toEqual([0, 1, 2]);
+    expect(heatmap.cells).toHaveLength(3);
+    expect(heatmap.cells[0]).toEqual([-65, -55, -45, -35, -25]);
+    expect(heatmap.cells[2][0]).toBe(-63);
+    expect(heatmap.min).toBe(-65);
+    expect(heatmap.max).toBe(-23);
+    simulate.mock.calls.forEach(([params]) => expect(params.offset).toBe(5));
+  });
+
+  it('reports the fit error range over the grid', () => {
+    const heatmap = computeHeatmap(simulate, rateConfig, costConfig, { rate: 0.3, cost: 1, offset: 5 }, 'rmse', human);
+    // At rate 0.3 either cost misses exactly one cell by 1 point
+    expect(heatmap.cells[0][2]).toBeCloseTo(Math.sqrt(1 / 4), 10);
+    expect(heatmap.cells[1][2]).toBeCloseTo(Math.sqrt(1 / 4), 10);
+    expect(heatmap.min).toBeCloseTo(Math.sqrt(1 / 4), 10);
+    expect(heatmap.max).toBeGreaterThan(heatmap.min);
+  });
+});
@@ -0,0 +1,158 @@
+// Descriptive statistics and the t- and F-based tests used for simulated populations
+
+export const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const variance = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+};
+
+export const standardDeviation = (values) => Math.sqrt(variance(values));
+
+// Pearson correlation; 0 when either variable is constant
+export const correlation = (a, b) => {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let sumA = 0;
+  let sumB = 0;
+  a.forEach((value, i) => {
+    covariance += (value - meanA) * (b[i] - meanB);
+    sumA += (value - meanA) ** 2;
+    sumB += (b[i] - meanB) ** 2;
+  });
+  return sumA > 0 && sumB > 0 ? covariance / Math.sqrt(sumA * sumB) : 0;
+};
+
+// Standard normal draw (Box-Muller); rng defaults to Math.random
+export const gaussian = (rng = Math.random) => {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Reproducible uniform draws in [0, 1) (mulberry32), for seeded runs
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Quantile of already sorted values by linear interpolation
+export const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const logGamma = (x) => {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, c) => sum + c / ++y, 1.000000000190015);
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+};
+
+// Continued fraction for the regularized incomplete beta function
+const betaContinuedFraction = (a, b, x) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 3e-12) break;
+  }
+  return h;
+};
+
+const incompleteBeta = (a, b, x) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+// Two-tailed p-value of a t statistic. An infinite t (a difference with no
+// spread) is significant; an undefined one (no difference and no spread,
+// 0 / 0) has no p-value.
+export const tTestPValue = (t, df) => {
+  if (Number.isNaN(t)) return NaN;
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / 2, 0.5, df / (df + t * t));
+};
+
+// Upper-tail p-value of an F statistic, NaN when F is undefined like t
+export const fTestPValue = (F, df1, df2) => {
+  if (Number.isNaN(F)) return NaN;
+  if (!Number.isFinite(F)) return 0;
+  if (F <= 0) return 1;
+  return incompleteBeta(df2 / 2, df1 / 2, df2 / (df2 + df1 * F));
+};
+
+// Critical t for a two-tailed test at level alpha, found by bisection
+export const tCritical = (df, alpha = 0.05) => {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (tTestPValue(middle, df) > alpha) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+};
+
+export const confidenceInterval = (values, level = 0.95) => {
+  const m = mean(values);
+  if (values.length < 2) return { mean: m, low: m, high: m, halfWidth: 0 };
+  const halfWidth = tCritical(values.length - 1, 1 - level) * standardDeviation(values) / Math.sqrt(values.length);
+  return { mean: m, low: m - halfWidth, high: m + halfWidth, halfWidth };
+};
+
+// Paired t-test on a[i] - b[i]; d is Cohen's dz
+export const pairedTTest = (a, b) => {
+  const differences = a.map((value, i) => value - b[i]);
+  const sd = standardDeviation(differences);
+  const df = differences.length - 1;
+  const t = mean(differences) / (sd / Math.sqrt(differences.length));
+  return { t, df, p: tTestPValue(t, df), d: mean(differences) / sd };
+};
+
+// Student's independent-samples t-test with pooled variance
+export const independentTTest = (a, b) => {
+  const df = a.length + b.length - 2;
+  const pooled = ((a.length - 1) * variance(a) + (b.length - 1) * variance(b)) / df;
+  const t = (mean(a) - mean(b)) / Math.sqrt(pooled * (1 / a.length + 1 / b.length));
+  return { t, df, p: tTestPValue(t, df), d: (mean(a) - mean(b)) / Math.sqrt(pooled) };
+};
@@ -0,0 +1,52 @@
+import { tTestPValue, fTestPValue, tCritical, confidenceInterval, pairedTTest, independentTTest } from './statistics';
+
+describe('p-values', () => {
+  it('match reference tables', () => {
+    expect(tTestPValue(2, 10)).toBeCloseTo(0.0734, 4);
+    expect(tTestPValue(-2, 10)).toBeCloseTo(0.0734, 4);
+    expect(tTestPValue(2.228, 10)).toBeCloseTo(0.05, 3);
+    expect(tTestPValue(0, 5)).toBeCloseTo(1, 10);
+    expect(fTestPValue(4.965, 1, 10)).toBeCloseTo(0.05, 3);
+    expect(fTestPValue(3.493, 2, 20)).toBeCloseTo(0.05, 3);
+    expect(fTestPValue(0, 2, 20)).toBe(1);
+    expect(tCritical(10)).toBeCloseTo(2.228, 3);
+  });
+
+  it('treat an infinite statistic as significant and an undefined one as having no p-value', () => {
+    expect(tTestPValue(Infinity, 10)).toBe(0);
+    expect(tTestPValue(NaN, 10)).toBeNaN();
+    expect(fTestPValue(Infinity, 1, 10)).toBe(0);
+    expect(fTestPValue(NaN, 1, 10)).toBeNaN();
+  });
+});
+
+describe('tests', () => {
+  it('runs a paired t-test on the differences', () => {
+    const result = pairedTTest([5, 7, 9, 6], [4, 4, 6, 5]);
+    expect(result.df).toBe(3);
+    // Differences 1, 3, 3, 1: mean 2, SD √(4/3)
+    expect(result.t).toBeCloseTo(2 * Math.sqrt(3), 10);
+    expect(result.p).toBeCloseTo(0.0405, 4);
+    expect(result.d).toBeCloseTo(Math.sqrt(3), 10);
+  });
+
+  it('runs an independent t-test with pooled variance', () => {
+    // Means 3 and 6, both variances 2.5: pooled SE √(2.5 × 2 / 5) = 1
+    const result = independentTTest([1, 2, 3, 4, 5], [4, 5, 6, 7, 8]);
+    expect(result.df).toBe(8);
+    expect(result.t).toBeCloseTo(-3, 10);
+    expect(result.p).toBeCloseTo(0.0171, 4);
+    expect(result.d).toBeCloseTo(-3 / Math.sqrt(2.5), 10);
+  });
+
+  it('has no p-value when nothing varies', () => {
+    expect(pairedTTest([3, 3, 3], [3, 3, 3]).p).toBeNaN();
+    expect(pairedTTest([4, 4, 4], [3, 3, 3]).p).toBe(0);
+  });
+
+  it('computes t confidence intervals', () => {
+    const interval = confidenceInterval([1, 2, 3, 4, 5]);
+    expect(interval.mean).toBe(3);
+    expect(interval.halfWidth).toBeCloseTo(1.963, 3);
+  });
+});
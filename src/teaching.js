@@ -0,0 +1,197 @@
+// Guided teaching scenarios: validation of instructor-written JSON, the
+// parameters a step sets, checking a predicted direction against a run and
+// localStorage persistence of imported scenarios and student progress.
+//
+// A scenario is
+//   { id, title, description?, steps: [step, ...] }
+// and a step
+//   { title, interpretation, intro?, preset?, locked?, change?, measure?,
+//     tolerance?, explanation?, quiz? }
+// where
+//   preset       { [parameterKey]: value } on top of the model defaults
+//   locked       parameter keys whose sliders are disabled during the step
+//   change       { parameter, to }: the manipulation whose effect is predicted
+//   measure      { kind: 'gap' | 'cell', condition, item? }, as in constraints.js
+//   tolerance    rating points within which the effect counts as "same" (1)
+//   quiz         { question, options: [text, ...], answer: option index, feedback? }
+// Every text may be a string or { en, es, ... } by language.
+import { getModel } from './models';
+import { defaultDesign } from './design';
+import { validateParameters } from './configurations';
+import { constraintValue } from './constraints';
+import { defaultTranslator } from './i18n';
+
+const PROGRESS_KEY = 'simulacion-autocontrol:scenario-progress';
+const IMPORTED_KEY = 'simulacion-autocontrol:scenarios';
+
+export const directions = ['up', 'down', 'same'];
+
+const defaultTolerance = 1;
+
+const isText = (value) => typeof value === 'string'
+  || (Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).length > 0 && Object.values(value).every(text => typeof text === 'string'));
+
+// The text in the given language, else English, else any language given
+export const scenarioText = (value, language = 'en') => {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value[language] ?? value.en ?? Object.values(value)[0] ?? '';
+};
+
+const validateStep = (step, index, design, t) => {
+  const number = index + 1;
+  if (!step || typeof step !== 'object') return [t('errors.scenarioStepShape', { number })];
+
+  const errors = [];
+  if (!isText(step.title)) errors.push(t('errors.scenarioStepTitle', { number }));
+  const model = getModel(step.interpretation);
+  if (!model) return [...errors, t('errors.scenarioInterpretation', { number, interpretation: step.interpretation })];
+
+  // The preset and the change are checked like any other parameter set
+  const changed = step.change ? { [step.change.parameter]: step.change.to } : {};
+  const result = validateParameters(model.parameters, { ...model.defaults, ...step.preset, ...changed }, model.defaults, t);
+  (result.errors || []).forEach(error => errors.push(t('errors.scenarioStep', { number, error })));
+
+  const locked = step.locked || [];
+  const unknownLocked = Array.isArray(locked) ? locked.filter(key => !model.parameters.some(config => config.key === key)) : [locked];
+  if (unknownLocked.length) errors.push(t('errors.scenarioLocked', { number, keys: unknownLocked.join(', ') }));
+
+  if (Boolean(step.change) !== Boolean(step.measure)) {
+    errors.push(t('errors.scenarioPrediction', { number }));
+  } else if (step.measure) {
+    const { kind, condition, item } = step.measure;
+    if (!['gap', 'cell'].includes(kind)) errors.push(t('errors.scenarioMeasureKind', { number, kind }));
+    if (!design.conditions.some(entry => entry.label === condition)) {
+      errors.push(t('errors.scenarioCondition', { number, condition }));
+    }
+    if (kind === 'cell' && !design.items.some(entry => entry.id === item)) {
+      errors.push(t('errors.scenarioItem', { number, item }));
+    }
+    if (step.tolerance !== undefined && !(typeof step.tolerance === 'number' && step.tolerance >= 0)) {
+      errors.push(t('errors.scenarioTolerance', { number }));
+    }
+  }
+
+  if (step.quiz !== undefined) {
+    const { question, options, answer } = step.quiz || {};
+    if (!isText(question) || !Array.isArray(options) || options.length < 2 || !options.every(isText)
+      || !Number.isInteger(answer) || answer < 0 || answer >= options.length) {
+      errors.push(t('errors.scenarioQuiz', { number }));
+    }
+  }
+  return errors;
+};
+
+// Every problem with a scenario, in t's language; measures are checked
+// against the current design
+export const validateScenario = (scenario, design = defaultDesign, t = defaultTranslator) => {
+  if (!scenario || typeof scenario !== 'object' || typeof scenario.id !== 'string' || !scenario.id
+    || !isText(scenario.title) || !Array.isArray(scenario.steps) || !scenario.steps.length) {
+    return [t('errors.scenarioShape')];
+  }
+  return scenario.steps.flatMap((step, index) => validateStep(step, index, design, t));
+};
+
+export const parseScenarioJson = (text, design = defaultDesign, t = defaultTranslator) => {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (error) {
+    return { errors: [t('errors.invalidJson', { message: error.message })] };
+  }
+  const errors = validateScenario(scenario, design, t);
+  return errors.length ? { errors } : { scenario };
+};
+
+// The parameters a step starts from and, when it asks for a prediction, the
+// same parameters with its change applied
+export const stepParameters = (step, model) => {
+  const baseline = { ...model.defaults, ...step.preset };
+  return {
+    baseline,
+    changed: step.change ? { ...baseline, [step.change.parameter]: step.change.to } : baseline
+  };
+};
+
+// The measured quantity before and after the change, and the direction it
+// moved in: changes within the step's tolerance count as 'same'
+export const predictionOutcome = (step, baselineRows, changedRows, design = defaultDesign) => {
+  const before = constraintValue(step.measure, baselineRows, design);
+  const after = constraintValue(step.measure, changedRows, design);
+  const delta = after - before;
+  const tolerance = step.tolerance ?? defaultTolerance;
+  const direction = Math.abs(delta) <= tolerance ? 'same' : delta > 0 ? 'up' : 'down';
+  return { before, after, delta, direction };
+};
+
+// Progress is kept per scenario id:
+//   { [id]: { step, completed, answers: { [stepIndex]: { prediction, outcome, quiz } } } }
+export const emptyScenarioProgress = { step: 0, completed: false, answers: {} };
+
+export const scenarioProgress = (progress, id) => progress[id] || emptyScenarioProgress;
+
+export const updateScenarioProgress = (progress, id, changes) => ({
+  ...progress,
+  [id]: { ...scenarioProgress(progress, id), ...changes }
+});
+
+export const recordStepAnswer = (progress, id, stepIndex, answer) => {
+  const current = scenarioProgress(progress, id);
+  return updateScenarioProgress(progress, id, {
+    answers: { ...current.answers, [stepIndex]: { ...current.answers[stepIndex], ...answer } }
+  });
+};
+
+// Correct answers so far: predictions against the checked outcomes and
+// quiz choices against the scenario's answers
+export const scenarioScore = (scenario, entry) => {
+  const score = { correct: 0, answered: 0, total: 0 };
+  scenario.steps.forEach((step, index) => {
+    const answer = entry.answers[index] || {};
+    if (step.measure) {
+      score.total++;
+      if (answer.outcome) {
+        score.answered++;
+        if (answer.prediction === answer.outcome.direction) score.correct++;
+      }
+    }
+    if (step.quiz) {
+      score.total++;
+      if (answer.quiz !== undefined) {
+        score.answered++;
+        if (answer.quiz === step.quiz.answer) score.correct++;
+      }
+    }
+  });
+  return score;
+};
+
+const loadStored = (key, isValid, fallback) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key));
+    return isValid(stored) ? stored : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const persistStored = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage can be full or disabled (private browsing); saving is best effort
+  }
+};
+
+export const loadScenarioProgress = () =>
+  loadStored(PROGRESS_KEY, stored => Boolean(stored) && typeof stored === 'object' && !Array.isArray(stored), {});
+
+export const persistScenarioProgress = (progress) => persistStored(PROGRESS_KEY, progress);
+
+// Imported scenarios are stored as given and validated again when loaded,
+// since models or the design may have changed since
+export const loadImportedScenarios = (design = defaultDesign) =>
+  loadStored(IMPORTED_KEY, Array.isArray, []).filter(scenario => !validateScenario(scenario, design).length);
+
+export const persistImportedScenarios = (scenarios) => persistStored(IMPORTED_KEY, scenarios);
@@ -0,0 +1,182 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  scenarioText,
+  validateScenario,
+  parseScenarioJson,
+  stepParameters,
+  predictionOutcome,
+  recordStepAnswer,
+  updateScenarioProgress,
+  scenarioProgress,
+  scenarioScore,
+  loadScenarioProgress,
+  persistScenarioProgress,
+  loadImportedScenarios,
+  persistImportedScenarios
+} from './teaching';
+import { builtInScenarios } from './scenarios';
+import { getModel, listModels } from './models';
+import { defaultDesign } from './design';
+import ScenarioPanel from './ScenarioPanel';
+import { LanguageProvider } from './i18n/LanguageProvider';
+
+const scenario = {
+  id: 'cost',
+  title: { en: 'Cost', es: 'Coste' },
+  steps: [
+    {
+      title: 'Raise the cost',
+      interpretation: 'desire-goal',
+      locked: ['costCoefficient'],
+      change: { parameter: 'costCoefficient', to: 0.3 },
+      measure: { kind: 'gap', condition: 'Before Choice' }
+    },
+    {
+      title: 'Quiz',
+      interpretation: 'desire-goal',
+      quiz: { question: 'Which pole gained?', options: ['Healthy', 'Hedonic'], answer: 1 }
+    }
+  ]
+};
+
+beforeEach(() => window.localStorage.clear());
+
+describe('teaching scenarios', () => {
+  it('accepts the built-in scenarios and their predictions have a clear answer', () => {
+    const expected = { 'three-interpretations': ['down', 'down', 'same', 'up'] };
+    builtInScenarios.forEach(builtIn => {
+      expect(validateScenario(builtIn)).toEqual([]);
+      const answers = builtIn.steps.filter(step => step.measure).map(step => {
+        const model = getModel(step.interpretation);
+        const { baseline, changed } = stepParameters(step, model);
+        return predictionOutcome(step, model.simulate(baseline), model.simulate(changed)).direction;
+      });
+      expect(answers).toEqual(expected[builtIn.id]);
+    });
+  });
+
+  it('visits every interpretation in the built-in scenario', () => {
+    const visited = new Set(builtInScenarios[0].steps.map(step => step.interpretation));
+    expect([...visited].sort()).toEqual(listModels().map(model => model.id).sort());
+  });
+
+  it('reports every problem with a step', () => {
+    expect(validateScenario(scenario)).toEqual([]);
+    expect(validateScenario({ id: 'empty', title: 'Empty', steps: [] })).toEqual([
+      'A scenario needs an id, a title and at least one step.'
+    ]);
+    expect(validateScenario({
+      id: 'broken',
+      title: 'Broken',
+      steps: [
+        { title: 'Unknown', interpretation: 'habit' },
+        {
+          interpretation: 'goal-goal',
+          preset: { granolaActionCost: 2 },
+          locked: ['speed'],
+          change: { parameter: 'chocolateActionCost', to: 0.1 },
+          measure: { kind: 'cell', condition: 'Delayed', item: 'apple' },
+          quiz: { question: 'Why?', options: ['Because'], answer: 0 }
+        },
+        { title: 'No measure', interpretation: 'goal-goal', change: { parameter: 'chocolateActionCost', to: 0.1 } }
+      ]
+    })).toEqual([
+      'Step 1: unknown interpretation "habit".',
+      'Step 2 needs a title.',
+      'Step 2: Granola Action Cost = 2 is outside 0.1–0.4.',
+      'Step 2: unknown locked parameters: speed.',
+      'Step 2: unknown condition "Delayed".',
+      'Step 2: unknown item "apple".',
+      'Step 2: a quiz needs a question, at least two options and the index of the right one.',
+      'Step 3: a change needs a measure and a measure needs a change.'
+    ]);
+  });
+
+  it('parses scenario files', () => {
+    expect(parseScenarioJson(JSON.stringify(scenario))).toEqual({ scenario });
+    expect(parseScenarioJson('{ "id": ').errors[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('picks the text in the chosen language, else English', () => {
+    expect(scenarioText(scenario.title, 'es')).toBe('Coste');
+    expect(scenarioText({ en: 'Only English' }, 'es')).toBe('Only English');
+    expect(scenarioText('Plain', 'es')).toBe('Plain');
+    expect(scenarioText(undefined)).toBe('');
+  });
+
+  it('counts changes within the tolerance as no change', () => {
+    const step = { measure: { kind: 'cell', condition: 'After Choice', item: 'granola' } };
+    const rows = (granola) => [{ condition: 'After Choice', granola, chocolate: 90 }];
+    expect(predictionOutcome(step, rows(90), rows(91)).direction).toBe('same');
+    expect(predictionOutcome(step, rows(90), rows(92))).toEqual({ before: 90, after: 92, delta: 2, direction: 'up' });
+    expect(predictionOutcome({ ...step, tolerance: 0 }, rows(90), rows(89)).direction).toBe('down');
+  });
+
+  it('scores predictions and quiz answers', () => {
+    let progress = recordStepAnswer({}, 'cost', 0, { prediction: 'up', outcome: { direction: 'down' } });
+    progress = recordStepAnswer(progress, 'cost', 1, { quiz: 1 });
+    progress = updateScenarioProgress(progress, 'cost', { step: 1 });
+    expect(scenarioProgress(progress, 'cost').step).toBe(1);
+    expect(scenarioScore(scenario, scenarioProgress(progress, 'cost'))).toEqual({ correct: 1, answered: 2, total: 2 });
+    expect(scenarioScore(scenario, scenarioProgress(progress, 'other'))).toEqual({ correct: 0, answered: 0, total: 2 });
+  });
+
+  it('keeps progress and imported scenarios in local storage', () => {
+    const progress = updateScenarioProgress({}, 'cost', { step: 1 });
+    persistScenarioProgress(progress);
+    expect(loadScenarioProgress()).toEqual(progress);
+
+    persistImportedScenarios([scenario, { id: 'stale', title: 'Stale', steps: [{ title: 'Gone', interpretation: 'habit' }] }]);
+    expect(loadImportedScenarios()).toEqual([scenario]);
+
+    window.localStorage.setItem('simulacion-autocontrol:scenario-progress', '{ broken');
+    expect(loadScenarioProgress()).toEqual({});
+  });
+});
+
+describe('ScenarioPanel', () => {
+  const renderPanel = (handlers) => render(
+    <LanguageProvider initialLanguage="en">
+      <ScenarioPanel models={listModels()} design={defaultDesign} {...handlers} />
+    </LanguageProvider>
+  );
+
+  it('checks a prediction against the run and saves the answer', () => {
+    const model = getModel('explicit-implicit');
+    const onStartStep = jest.fn();
+    const onRunStep = jest.fn(params => model.simulate(params));
+    renderPanel({ onStartStep, onRunStep, onExit: jest.fn() });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+    expect(onStartStep).toHaveBeenCalledWith(builtInScenarios[0].steps[0]);
+    expect(screen.getByText('Locked by the scenario: Deficit Reduction Rate.')).toBeTruthy();
+
+    const run = screen.getByRole('button', { name: 'Apply the change and run' });
+    expect(run.disabled).toBe(true);
+    fireEvent.click(screen.getByRole('radio', { name: 'It will go up' }));
+    fireEvent.click(run);
+
+    expect(onRunStep).toHaveBeenCalledWith({ ...model.defaults, deficitReductionRate: 0.8 });
+    expect(screen.getByText('Your prediction was wrong.')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Next step' }).disabled).toBe(true);
+
+    fireEvent.click(screen.getByRole('radio', { name: 'The deficit is only worked off once the choice has been made.' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Check answer' }));
+    expect(screen.getByText('Right.')).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next step' }));
+    expect(onStartStep).toHaveBeenLastCalledWith(builtInScenarios[0].steps[1]);
+    expect(scenarioProgress(loadScenarioProgress(), 'three-interpretations')).toEqual({
+      step: 1,
+      completed: false,
+      answers: {
+        0: {
+          prediction: 'up',
+          outcome: expect.objectContaining({ direction: 'down' }),
+          quiz: 0
+        }
+      }
+    });
+  });
+});
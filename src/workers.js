@@ -0,0 +1,5 @@
+// Worker factories, kept apart from the panels so tests can replace them:
+// Jest cannot parse the import.meta URLs that bundle the worker scripts
+export const createPosteriorWorker = () => new Worker(new URL('./posterior.worker.js', import.meta.url));
+
+export const createRecoveryWorker = () => new Worker(new URL('./recovery.worker.js', import.meta.url));